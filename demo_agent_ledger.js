@@ -1,6 +1,7 @@
 import crypto from 'node:crypto';
 import fs from 'node:fs';
 import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerForensics from './src/identity/governance/LedgerForensics.js';
 import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
 import PersistentAgentIdentity from './src/identity/models/PersistentAgentIdentity.js';
 
@@ -88,4 +89,7 @@ fs.writeFileSync('./agent_ledger_tampered.json', JSON.stringify(parsed, null, 2)
 const tampered = AgentActivityLedger.loadFromFile('./agent_ledger_tampered.json');
 console.log('Tampered verification:', tampered.verifyChain());
 
+// Full forensic report against the untouched ledger
+console.log(LedgerForensics.format(LedgerForensics.analyze(tampered, { trusted: ledger })));
+
 console.log('Demo complete.');
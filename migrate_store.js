@@ -0,0 +1,74 @@
+import fs from 'node:fs';
+import createIdentityStoreMigrator from './src/identity/migrations/identityStoreMigrations.js';
+import createLedgerMigrator from './src/identity/migrations/ledgerMigrations.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+
+/**
+ * Migrate or roll back an identity store or ledger file.
+ *
+ *   node migrate_store.js <identity|ledger> <file> [--to <version>] [--dry-run]
+ *   node migrate_store.js <identity|ledger> <file> --rollback [--to <version> | --backup <path>] [--dry-run]
+ *   node migrate_store.js <identity|ledger> <file> --list-backups
+ *
+ * A sealed identity store is only rewritten with `--signing-key <pem file>`,
+ * the registry's private key, which reseals it.
+ */
+const USAGE = 'Usage: node migrate_store.js <identity|ledger> <file> [--to <version>] [--dry-run] [--rollback [--backup <path>]] [--list-backups] [--signing-key <pem file>]';
+
+function parseArgs(argv) {
+    const [kind, file, ...rest] = argv;
+    const options = { kind, file, dryRun: false, rollback: false, listBackups: false, targetVersion: null, backupPath: null, signingKey: null };
+    for (let i = 0; i < rest.length; i++) {
+        switch (rest[i]) {
+            case '--dry-run': options.dryRun = true; break;
+            case '--rollback': options.rollback = true; break;
+            case '--list-backups': options.listBackups = true; break;
+            case '--to': options.targetVersion = Number(rest[++i]); break;
+            case '--backup': options.backupPath = rest[++i]; break;
+            case '--signing-key': options.signingKey = rest[++i]; break;
+            default: throw new Error(`Unknown option ${rest[i]}`);
+        }
+    }
+    if (!['identity', 'ledger'].includes(kind) || !file) throw new Error(USAGE);
+    if (options.targetVersion !== null && !Number.isInteger(options.targetVersion)) throw new Error('--to expects an integer version');
+    if (options.signingKey && kind !== 'identity') throw new Error('--signing-key only applies to identity stores');
+    return options;
+}
+
+function printReport(report) {
+    const verb = report.dryRun ? 'Would migrate' : 'Migrated';
+    if (report.restoredFrom) {
+        console.log(`${report.dryRun ? 'Would restore' : 'Restored'} ${report.kind} ${report.path} from ${report.restoredFrom} (v${report.fromVersion} -> v${report.toVersion})`);
+    } else if (report.steps.length === 0) {
+        console.log(`${report.kind} ${report.path} is already at v${report.fromVersion}`);
+        return;
+    } else {
+        console.log(`${verb} ${report.kind} ${report.path} from v${report.fromVersion} to v${report.toVersion}`);
+        report.steps.forEach(step => console.log(`  ${step.direction === 'up' ? '+' : '-'} v${step.version}: ${step.description}`));
+    }
+
+    const { added, removed, modified } = report.changes;
+    console.log(`  records: ${modified.length} modified, ${added.length} added, ${removed.length} removed`);
+    modified.forEach(change => console.log(`    ${change.id}: ${change.fields.join(', ')}`));
+    (report.errors || []).forEach(e => console.log(`  INVALID ${e.id} at v${e.version}: ${e.reason}`));
+    if (report.backupPath) console.log(`  backup: ${report.backupPath}`);
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const signer = options.signingKey ? new InProcessSigner(fs.readFileSync(options.signingKey, 'utf8')) : null;
+    const migrator = options.kind === 'identity' ? createIdentityStoreMigrator({}, { signer }) : createLedgerMigrator();
+
+    if (options.listBackups) {
+        migrator.listBackups(options.file).forEach(p => console.log(p));
+    } else if (options.rollback) {
+        printReport(migrator.rollback(options.file, { targetVersion: options.targetVersion, backupPath: options.backupPath, dryRun: options.dryRun }));
+    } else {
+        const report = migrator.migrateFile(options.file, { targetVersion: options.targetVersion ?? migrator.currentVersion, dryRun: options.dryRun });
+        printReport(report);
+        if (!report.valid) process.exitCode = 1;
+    }
+} catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+}
@@ -1,11 +1,17 @@
 import path from 'node:path';
-import fs from 'node:fs';
 import AgentIdentityRegistry from '../identity/AgentIdentityRegistry.js';
+import DidResolver from '../identity/DidResolver.js';
+import TrustCredentialIssuer from '../identity/credentials/TrustCredentialIssuer.js';
 import AgentActivityLedger from '../identity/governance/AgentActivityLedger.js';
+import LedgerArchive from '../identity/governance/LedgerArchive.js';
+import LedgerEventStream from '../identity/governance/LedgerEventStream.js';
+import LedgerForensics from '../identity/governance/LedgerForensics.js';
 import TrustScoringEngine from '../identity/reputation/TrustScoringEngine.js';
 import ReputationEvolutionEngine from '../identity/reputation/ReputationEvolutionEngine.js';
+import LedgerReplayEngine from '../identity/reputation/LedgerReplayEngine.js';
 import TrustGraph from '../identity/reputation/TrustGraph.js';
 import PredictiveSynergyEngine from '../identity/reputation/PredictiveSynergyEngine.js';
+import TenantDirectory from '../identity/tenancy/TenantDirectory.js';
 
 /**
  * IdentityReputationAPI
@@ -23,33 +29,88 @@ class IdentityReputationAPI {
      * @param {Object} options
      * @param {string} options.basePath - Directory for persistent storage
      * @param {string} options.identityStorePath - Path to agent_identities.json
-     * @param {string} options.ledgerPath - Path to agent_ledger.json
-     * @param {boolean} options.loadExistingLedger - Whether to load data on startup (default: true)
+     * @param {string} options.ledgerPath - Ledger segment directory (default: basePath/agent_ledger). A JSON ledger at
+     *                                      `<ledgerPath>.json` (or a ledgerPath ending in .json) is imported on first open.
+     * @param {boolean} options.loadExistingLedger - Whether to open the persisted ledger (default: true); false keeps an in-memory ledger
+     * @param {Object} options.ledgerStorage - Ledger settings { fsync, maxSegmentBytes, checkpointInterval, witnesses, witnessQuorum, snapshotKeys, actionTypes, cosignedTypes, cosignTtlMs, privateFields } (see LedgerSegmentStore, AgentActivityLedger)
+     * @param {Array} options.didServices - Service endpoints added to every resolved DID Document
+     * @param {Object} options.credentialIssuer - Issuer keys/settings ({ publicKey, privateKey, ... }) to enable trust credentials
+     * @param {string} options.tenantId - Scope this API to one tenant namespace (storage under basePath/tenants/<tenantId>)
+     * @param {TenantDirectory} options.tenantDirectory - Shared directory of tenants (default: one rooted at basePath)
+     * @param {Object} options.governanceConfig - Governance overrides applied when the tenant is created
+     * @param {Object} options.integrity - Seal the identity store with a registry key ({ signer, onMismatch, ... }, see AgentIdentityRegistry)
+     * @param {Object} options.importPolicy - { reputationDiscount, trustedRegistries, trustAnySource } applied to imported identity bundles
      */
     constructor(options = {}) {
         this.basePath = options.basePath || process.cwd();
+        this.tenantId = options.tenantId || null;
+        this.tenants = null;
+
+        if (this.tenantId) {
+            // Tenant-scoped: the directory owns the tenant's registry, ledger and governance configuration
+            this.tenants = options.tenantDirectory || new TenantDirectory({
+                basePath: this.basePath,
+                integrity: options.integrity || null,
+                ledgerStorage: options.ledgerStorage || {}
+            });
+            const tenant = this.tenants.hasTenant(this.tenantId)
+                ? this.tenants.getTenant(this.tenantId)
+                : this.tenants.createTenant(this.tenantId, { governanceConfig: options.governanceConfig || null });
+            this.registry = tenant.registry;
+            this.ledger = tenant.ledger;
+            this.ledgerPath = tenant.ledgerPath;
+            this.storagePath = tenant.path;
+        } else {
+            this._initGlobalStorage(options);
+        }
+
+        this.importPolicy = options.importPolicy || {};
+
+        // DID resolution over registry records
+        this.didResolver = new DidResolver(this.registry, { defaultServices: options.didServices || [] });
+
+        // Optional issuer of offline-verifiable trust credentials
+        this.credentialIssuer = options.credentialIssuer
+            ? new TrustCredentialIssuer({
+                statePath: path.resolve(this.storagePath, 'credential_status.json'),
+                ...options.credentialIssuer,
+                registry: this.registry
+            })
+            : null;
+
+        // Internal analysis components (rebuilt on demand)
+        this.trustGraph = new TrustGraph({ tenantId: this.tenantId });
+        this.predictor = new PredictiveSynergyEngine(this.trustGraph);
+
+        // Typed ledger events, created on first use
+        this.events = null;
+    }
+
+    _initGlobalStorage(options) {
+        this.storagePath = this.basePath;
 
         // Initialize Identity Registry (manages keys and metadata)
         this.registry = new AgentIdentityRegistry({
-            storePath: options.identityStorePath || path.resolve(this.basePath, 'agent_identities.json')
+            storePath: options.identityStorePath || path.resolve(this.basePath, 'agent_identities.json'),
+            governanceConfig: options.governanceConfig || null,
+            integrity: options.integrity || null
         });
 
-        // Initialize Activity Ledger (immutable audit trail)
-        this.ledgerPath = options.ledgerPath || path.resolve(this.basePath, 'agent_ledger.json');
-        if (options.loadExistingLedger !== false && fs.existsSync(this.ledgerPath)) {
-            try {
-                this.ledger = AgentActivityLedger.loadFromFile(this.ledgerPath, this.registry);
-            } catch (e) {
-                console.warn(`[IdentityReputationAPI] Could not load ledger from ${this.ledgerPath}, starting fresh.`);
-                this.ledger = new AgentActivityLedger(this.registry);
+        // Initialize Activity Ledger (immutable audit trail), appended to disk entry by entry
+        const location = options.ledgerPath || path.resolve(this.basePath, 'agent_ledger');
+        this.ledgerPath = location.endsWith('.json') ? location.slice(0, -'.json'.length) : location;
+        if (options.loadExistingLedger !== false) {
+            this.ledger = AgentActivityLedger.open(this.ledgerPath, this.registry, {
+                ...(options.ledgerStorage || {}),
+                importFrom: `${this.ledgerPath}.json`
+            });
+            if (this.ledger.importedFrom) {
+                console.log(`[IdentityReputationAPI] Imported ${this.ledger.entries.length} entries from ${this.ledger.importedFrom} into ${this.ledgerPath}`);
             }
         } else {
-            this.ledger = new AgentActivityLedger(this.registry);
+            const { checkpointInterval, witnesses, witnessQuorum, snapshotKeys, actionTypes, cosignedTypes, cosignTtlMs, privateFields } = options.ledgerStorage || {};
+            this.ledger = new AgentActivityLedger(this.registry, { checkpointInterval, witnesses, witnessQuorum, snapshotKeys, actionTypes, cosignedTypes, cosignTtlMs, privateFields });
         }
-
-        // Internal analysis components (rebuilt on demand)
-        this.trustGraph = new TrustGraph();
-        this.predictor = new PredictiveSynergyEngine(this.trustGraph);
     }
 
     /**
@@ -69,6 +130,31 @@ class IdentityReputationAPI {
         return this.registry.registerIdentity({ publicKey, originSystem, id, metadata: finalMetadata, performance });
     }
 
+    /**
+     * queryIdentities
+     * Filters, sorts and paginates registered identities using the registry's in-memory indexes.
+     * 
+     * @param {Object} [query] - { originSystem, lifecycleState, authorityLevel, compositeScore: { min, max },
+     *                           contextScore: { context, min, max }, createdAfter, createdBefore,
+     *                           sortBy, sortContext, order, limit, cursor }
+     * @returns {Object} { items, total, nextCursor } - pass nextCursor back to fetch the next page
+     */
+    queryIdentities(query = {}) {
+        return this.registry.queryIdentities(query);
+    }
+
+    /**
+     * resolveDid
+     * Resolves a did:agent identifier to a W3C DID Resolution result.
+     * 
+     * @param {string} did - The agent's DID
+     * @param {Object} [options] - { versionTime }
+     * @returns {Object} { didResolutionMetadata, didDocument, didDocumentMetadata }
+     */
+    resolveDid(did, options = {}) {
+        return this.didResolver.resolve(did, options);
+    }
+
     /**
      * getTrustScore
      * Computes a dynamic multi-dimensional trust profile for an agent.
@@ -84,9 +170,84 @@ class IdentityReputationAPI {
         return TrustScoringEngine.calculateScore(identity.performance);
     }
 
+    /**
+     * issueTrustCredential
+     * Issues a signed, expiring credential attesting the agent's current scores and authority level.
+     * Verify it offline with TrustCredentialVerifier.
+     * 
+     * @param {string} agentId - The persistent ID of the agent
+     * @param {Object} [options] - { validityMs }
+     * @returns {Object} Verifiable credential
+     */
+    issueTrustCredential(agentId, options = {}) {
+        if (!this.credentialIssuer) throw new Error('Trust credentials are not enabled: configure options.credentialIssuer.');
+        return this.credentialIssuer.issue(agentId, options);
+    }
+
+    /**
+     * revokeTrustCredential
+     * Marks an issued credential as revoked in the published status list.
+     * 
+     * @param {string} credentialId
+     * @returns {boolean}
+     */
+    revokeTrustCredential(credentialId) {
+        if (!this.credentialIssuer) throw new Error('Trust credentials are not enabled: configure options.credentialIssuer.');
+        return this.credentialIssuer.revoke(credentialId);
+    }
+
+    /**
+     * getCredentialStatusList
+     * Returns the signed revocation status list that verifiers check offline.
+     * 
+     * @returns {Object} Status list credential
+     */
+    getCredentialStatusList() {
+        if (!this.credentialIssuer) throw new Error('Trust credentials are not enabled: configure options.credentialIssuer.');
+        return this.credentialIssuer.getStatusListCredential();
+    }
+
+    /**
+     * verifyStoreIntegrity
+     * Re-verifies the identity store file against its signed seal and reports
+     * altered, added and removed identities. Requires options.integrity.
+     * 
+     * @returns {Object} { valid, reason, altered, added, removed, sections }
+     */
+    verifyStoreIntegrity() {
+        return this.registry.verifyIntegrity();
+    }
+
+    /**
+     * exportIdentityBundle
+     * Packages an agent's record, version history, performance and (by default) its
+     * ledger entries into a bundle signed by this deployment and by the agent.
+     * 
+     * @param {string} agentId
+     * @param {Object} params - { registrySigner, agentSigner, includeLedger }
+     * @returns {Object} Signed identity bundle
+     */
+    exportIdentityBundle(agentId, { registrySigner, agentSigner, includeLedger = true }) {
+        return this.registry.exportIdentityBundle(agentId, { registrySigner, agentSigner, ledger: includeLedger ? this.ledger : null });
+    }
+
+    /**
+     * importIdentityBundle
+     * Verifies and imports an identity bundle from another deployment. Reputation is
+     * discounted according to options.importPolicy (overridable per call).
+     * 
+     * @param {Object} bundle
+     * @param {Object} [options] - { reputationDiscount, trustedRegistries, trustAnySource }
+     * @returns {Object} { identity, ledgerEntries, source }
+     */
+    importIdentityBundle(bundle, options = {}) {
+        return this.registry.importIdentityBundle(bundle, { ...this.importPolicy, ...options });
+    }
+
     /**
      * updateReputation
      * Evolves an agent's reputation metrics based on recent activity and time decay.
+     * These actions are not in the ledger, so verifyReputation reports the result as divergence.
      * 
      * @param {string} agentId - The agent being updated
      * @param {Array} recentActions - Array of action results to incorporate
@@ -110,6 +271,31 @@ class IdentityReputationAPI {
         return updatedIdentity.performance;
     }
 
+    /**
+     * verifyReputation
+     * Replays the ledger and compares each agent's stored performance with the
+     * replayed one. Metrics supplied through updateReputation, or edited in the
+     * store, show up as divergences.
+     * 
+     * @param {Object} [options] - { tolerance }
+     * @returns {Object} { valid, reason, divergent, unregistered, agents }
+     */
+    verifyReputation(options = {}) {
+        return LedgerReplayEngine.diff(this.registry, this.ledger, options);
+    }
+
+    /**
+     * regenerateRegistry
+     * Builds a new identity registry from this API's ledger alone (identities, key
+     * history, lifecycle and replayed performance). The current registry is not touched.
+     * 
+     * @param {Object} options - { storePath, originSystem, ...registry options }
+     * @returns {Object} { registry, report }
+     */
+    regenerateRegistry(options) {
+        return LedgerReplayEngine.regenerateRegistry(this.ledger, options);
+    }
+
     /**
      * getActivityHistory
      * Retrieves the behavioral ledger for a specific agent or the entire system.
@@ -118,11 +304,177 @@ class IdentityReputationAPI {
      * @returns {Array} List of ledger entries
      */
     getActivityHistory(agentId = null) {
-        const entries = this.ledger.getEntries();
         if (agentId) {
-            return entries.filter(e => e.agentId === agentId);
+            return this.ledger.getEntriesByAgent(agentId);
+        }
+        return this.ledger.getEntries();
+    }
+
+    /**
+     * queryActivity
+     * Indexed search of the ledger by agent, action type, counterparty, delegation
+     * target, time range and predicates on details, with cursor pagination.
+     * 
+     * @param {Object} query - See LedgerIndex.query, e.g. { actionType: 'ECONOMIC_OUTCOME', details: { pnl: { gt: 1000 } } }
+     * @returns {Object} { items, total, nextCursor }
+     */
+    queryActivity(query = {}) {
+        return this.ledger.query(query);
+    }
+
+    /**
+     * aggregateActivity
+     * Count, sum and group matching ledger entries.
+     * 
+     * @param {Object} query - Filters as in queryActivity, plus { groupBy, sum }
+     * @returns {Object} { count, sum, groups? }
+     */
+    aggregateActivity(query = {}) {
+        return this.ledger.aggregate(query);
+    }
+
+    /**
+     * getLedgerCheckpoints
+     * Merkle checkpoints recorded so far ({ treeSize, rootHash, lastHash, timestamp }).
+     * 
+     * @returns {Array}
+     */
+    getLedgerCheckpoints() {
+        return this.ledger.getCheckpoints();
+    }
+
+    /**
+     * getInclusionProof
+     * Proof that one ledger entry is in a checkpointed tree. Verify it with
+     * AgentActivityLedger.verifyInclusionProof(entry, proof, checkpoint).
+     * 
+     * @param {number} index - Ledger index of the entry
+     * @param {Object} [options] - { treeSize }
+     * @returns {Object} { index, treeSize, entryHash, path, rootHash }
+     */
+    getInclusionProof(index, options = {}) {
+        return this.ledger.getInclusionProof(index, options);
+    }
+
+    /**
+     * getConsistencyProof
+     * Proof that the ledger at `toSize` entries extends the ledger at `fromSize`.
+     * Verify it with AgentActivityLedger.verifyConsistencyProof(from, to, proof).
+     * 
+     * @param {number} fromSize
+     * @param {number} [toSize] - Defaults to the whole ledger
+     * @returns {Object} { fromSize, toSize, fromRoot, toRoot, path }
+     */
+    getConsistencyProof(fromSize, toSize) {
+        return this.ledger.getConsistencyProof(fromSize, toSize);
+    }
+
+    /**
+     * setLedgerWitnesses
+     * Has registered witness identities co-sign every ledger checkpoint from now on.
+     * 
+     * @param {LedgerWitness[]} witnesses
+     * @param {Object} [options] - { quorum } cosignatures required (default: all)
+     */
+    setLedgerWitnesses(witnesses, options = {}) {
+        this.ledger.setWitnesses(witnesses, options);
+    }
+
+    /**
+     * verifyWitnessedLedger
+     * Verifies the ledger against the checkpoints its witnesses co-signed, and against
+     * witnessed checkpoints kept elsewhere (e.g. each witness's latest()).
+     * 
+     * @param {Object} [options] - { witnessIds, quorum, checkpoints }
+     * @returns {Object} { valid, reason?, treeSize?, witnessedSize }
+     */
+    verifyWitnessedLedger(options = {}) {
+        return this.ledger.verifyWitnessed(options);
+    }
+
+    /**
+     * compactLedger
+     * Moves closed ledger segments to cold storage behind a signed snapshot of the
+     * state they add up to. Reopening the ledger requires the signer's public key
+     * in ledgerStorage.snapshotKeys.
+     * 
+     * @param {Object} options - { signer, archiveDir, rotate } (see LedgerArchive.compact)
+     * @returns {Object} { snapshot, archived, archiveDir }
+     */
+    compactLedger(options = {}) {
+        return LedgerArchive.compact(this.ledger, options);
+    }
+
+    /**
+     * verifyLedger
+     * Verifies the ledger chain, starting at the snapshot of a compacted ledger, or,
+     * with includeArchive, from genesis through the archived segments.
+     * 
+     * @param {Object} [options] - { includeArchive, archiveDir }
+     * @returns {Object} { valid, reason?, index?, archived? }
+     */
+    verifyLedger({ includeArchive = false, archiveDir = null } = {}) {
+        return includeArchive ? LedgerArchive.verify(this.ledger, { archiveDir }) : this.ledger.verifyChain();
+    }
+
+    /**
+     * analyzeLedger
+     * Forensic tamper report: every hash mismatch, broken link and bad signature, keys the
+     * agent did not hold, checkpoint findings, field-level diffs against a trusted copy, and
+     * the agents whose reputation was computed from corrupted entries (see LedgerForensics).
+     * 
+     * @param {Object} [options] - { ledger (default: this API's ledger), trusted, checkpoints }
+     * @returns {Object} Forensic report; LedgerForensics.format(report) renders it as text
+     */
+    analyzeLedger({ ledger = this.ledger, trusted = null, checkpoints = [] } = {}) {
+        return LedgerForensics.analyze(ledger, { trusted, checkpoints, registry: this.registry });
+    }
+
+    /**
+     * getEventStream
+     * The typed event stream over this API's ledger (see LedgerEventStream).
+     * 
+     * @returns {LedgerEventStream}
+     */
+    getEventStream() {
+        if (!this.events) {
+            this.events = new LedgerEventStream(this.ledger);
+            // Revocations reach this ledger only when it is attached to the registry; publish the others directly
+            this.registry.onLifecycleTransition((transition, entry) => {
+                if (transition.to === 'REVOKED' && !(entry && this.registry.ledger === this.ledger)) this.events.publishRevocation(transition);
+            });
         }
-        return entries;
+        return this.events;
+    }
+
+    /**
+     * subscribeEvents
+     * Receive ledger, governance-profile, validation-rejection and revocation events
+     * as they are recorded. Store the last event's index and pass index + 1 as
+     * fromIndex after a restart to receive what was missed.
+     * 
+     * @param {Function} handler - Called with { type, index, timestamp, agentId, data }
+     * @param {Object} [options] - { fromIndex, types, agentId }
+     * @returns {Function} Ends the subscription
+     */
+    subscribeEvents(handler, options = {}) {
+        return this.getEventStream().subscribe(handler, options);
+    }
+
+    /**
+     * startEventServer / stopEventServer
+     * Serve the event stream as server-sent events on a local HTTP endpoint
+     * (GET <url>?from=&types=&agentId=, resumable with Last-Event-ID).
+     * 
+     * @param {Object} [options] - { port, host, path, heartbeatMs }
+     * @returns {Promise<string>} The endpoint URL
+     */
+    async startEventServer(options = {}) {
+        return (await this.getEventStream().listen(options)).url;
+    }
+
+    async stopEventServer() {
+        if (this.events) await this.events.close();
     }
 
     /**
@@ -130,11 +482,23 @@ class IdentityReputationAPI {
      * High-level validation of signed agent actions.
      * Includes identity lookup, revocation check, and cryptographic verification.
      * 
-     * @param {Object} params - { agentId, publicKey, message, signature, timestamp, originSystem }
+     * @param {Object} params - { agentId, publicKey, message, signature, timestamp, nonce, originSystem }
      * @returns {Object} { valid: boolean, reason: string, identity?: Object }
      */
-    validateIdentitySignature({ agentId, publicKey, message, signature, timestamp, originSystem }) {
-        return this.registry.validateAction({ agentId, publicKey, message, signature, timestamp, originSystem });
+    validateIdentitySignature({ agentId, publicKey, message, signature, timestamp, nonce, originSystem }) {
+        return this.registry.validateAction({ agentId, publicKey, message, signature, timestamp, nonce, originSystem });
+    }
+
+    /**
+     * issueChallenge
+     * Issues a single-use, time-limited nonce for replay-safe signed actions.
+     * The agent signs `${nonce}:${message}` and passes the nonce to validateIdentitySignature.
+     * 
+     * @param {string} agentId
+     * @returns {Object} { nonce, agentId, issuedAt, expiresAt }
+     */
+    issueChallenge(agentId) {
+        return this.registry.issueChallenge(agentId);
     }
 
     /**
@@ -144,7 +508,7 @@ class IdentityReputationAPI {
      * @returns {Object} Full graph structure with central nodes and risk clusters
      */
     getTrustGraph() {
-        this.trustGraph = new TrustGraph();
+        this.trustGraph = new TrustGraph({ tenantId: this.tenantId });
 
         const identityMap = new Map();
         this.registry.listIdentityIds().forEach(id => {
@@ -156,6 +520,20 @@ class IdentityReputationAPI {
         return this.trustGraph.toJSON();
     }
 
+    /**
+     * registerActionType
+     * Adds a custom action type to the ledger: a schema its details must match and
+     * how its entries feed the trust graph and reputation (see ActionTypeRegistry).
+     * Not persisted; register it again (or pass ledgerStorage.actionTypes) on restart.
+     * 
+     * @param {string} name - Upper-case type name
+     * @param {Object} definition - { description, schema, trustGraph, reputation }
+     * @returns {Object} The stored definition
+     */
+    registerActionType(name, definition) {
+        return this.ledger.registerActionType(name, definition);
+    }
+
     /**
      * recordAction
      * Convenience method to record an action in the ledger and automatically update reputation.
@@ -166,28 +544,124 @@ class IdentityReputationAPI {
     recordAction(params) {
         const { agentId, actionType, details } = params;
 
-        // 1. Log to immutable ledger
+        // 1. Log to immutable ledger (a persisted ledger appends the entry as it is added)
         const entry = this.ledger.addEntry(params);
-        this.ledger.saveToFile(this.ledgerPath);
-
-        // 2. Automatically trigger reputation update if it's a performance-related action
-        if (['ECONOMIC_OUTCOME', 'COOPERATIVE_COLLABORATION', 'POLICY_VIOLATION'].includes(actionType)) {
-            // Map ledger details to reputation action structure
-            const reputationAction = {
-                type: actionType,
-                details: {
-                    success: actionType === 'POLICY_VIOLATION' ? false : (details.outcome === 'SUCCESS' || details.pnl > 0),
-                    quality: details.quality || (actionType === 'POLICY_VIOLATION' ? 0.1 : 0.8),
-                    pnl: details.pnl || 0,
-                    cooperationScore: details.cooperationScore || (actionType === 'COOPERATIVE_COLLABORATION' ? 1.0 : 0.5)
-                }
-            };
-            this.updateReputation(agentId, [reputationAction]);
+
+        // 2. Action types with a reputation feed update reputation exactly as a ledger replay would
+        if (this.ledger.actionTypes.feedsReputation(actionType)) {
+            const identity = this.registry.getIdentityById(agentId);
+            if (!identity) throw new Error(`Agent identity '${agentId}' not found.`);
+            const performance = LedgerReplayEngine.applyEntry(identity.performance, entry, this.ledger.actionTypes);
+            this.registry.migrateIdentity(agentId, (raw) => {
+                raw.performance = performance;
+                return raw;
+            }, 'REPUTATION_UPDATE');
         }
 
         return entry;
     }
 
+    /**
+     * cosignAction
+     * Co-sign a recorded action that names the agent as a party (see LedgerCosignatures).
+     * The action counts in the trust graph once every party has co-signed.
+     * 
+     * @param {Object} params - { index, agentId, publicKey, privateKey | signer }
+     * @returns {Object} The COSIGNATURE ledger entry
+     */
+    cosignAction(params) {
+        return this.ledger.cosign(params);
+    }
+
+    /**
+     * getCosignatureStatus
+     * 
+     * @param {number} index - Ledger index of an action that requested co-signatures
+     * @returns {Object|null} { index, status: PENDING | COMPLETE | EXPIRED, parties, signed, missing, expiresAt, completedAt }
+     */
+    getCosignatureStatus(index) {
+        return this.ledger.getCosignatureStatus(index);
+    }
+
+    /**
+     * listPendingCosignatures
+     * Actions still waiting for co-signatures, e.g. the ones an agent has yet to sign.
+     * 
+     * @param {Object} [options] - { agentId }
+     * @returns {Array} Statuses, in ledger order
+     */
+    listPendingCosignatures(options = {}) {
+        return this.ledger.pendingCosignatures(options);
+    }
+
+    /**
+     * discloseActionFields
+     * Disclose private detail fields of a recorded action with a proof (see AgentActivityLedger.disclose).
+     * 
+     * @param {number} index - Ledger index of the action
+     * @param {string[]} fields - Private fields to disclose
+     * @returns {Object} { entry, fields, inclusionProof }, for verifyDisclosure
+     */
+    discloseActionFields(index, fields) {
+        return this.ledger.disclose(index, fields);
+    }
+
+    /**
+     * verifyDisclosure
+     * 
+     * @param {Object} disclosure - From discloseActionFields
+     * @param {string|Object} [root] - Trusted root hash or checkpoint to check the action's inclusion against
+     * @returns {Object} { valid, reason?, fields?: { field: value } }
+     */
+    verifyDisclosure(disclosure, root = null) {
+        return AgentActivityLedger.verifyDisclosure(disclosure, root);
+    }
+
+    /**
+     * redactActionFields
+     * Delete the plain values of an action's private fields. The ledger keeps verifying.
+     * 
+     * @param {number} index - Ledger index of the action
+     * @param {string[]} [fields] - Default: all of its private fields
+     * @returns {string[]} The fields redacted
+     */
+    redactActionFields(index, fields = null) {
+        return this.ledger.redact(index, fields);
+    }
+
+    /**
+     * getGovernanceConfig / setGovernanceConfig
+     * Governance overrides (thresholds, level limits) for this API's tenant or global pool.
+     * 
+     * @returns {Object|null}
+     */
+    getGovernanceConfig() {
+        return this.registry.getGovernanceConfig();
+    }
+
+    setGovernanceConfig(governanceConfig) {
+        return this.registry.setGovernanceConfig(governanceConfig);
+    }
+
+    /**
+     * recordCrossTenantCollaboration
+     * Creates an explicit, approved collaboration edge between an agent of this tenant and
+     * an agent of another tenant. Both agents sign; both ledgers and the directory audit log record it.
+     * 
+     * @param {Object} params - { agentId, privateKey, partnerTenantId, partnerId, partnerPrivateKey, approvedBy, reason, outcome }
+     * @returns {Object} The audit record
+     */
+    recordCrossTenantCollaboration({ agentId, privateKey, partnerTenantId, partnerId, partnerPrivateKey, approvedBy, reason = null, outcome = null }) {
+        if (!this.tenants) throw new Error('Cross-tenant collaboration requires a tenant-scoped API (options.tenantId).');
+        return this.tenants.recordCrossTenantCollaboration({
+            source: { tenantId: this.tenantId, agentId, privateKey },
+            target: { tenantId: partnerTenantId, agentId: partnerId, privateKey: partnerPrivateKey },
+            approvedBy,
+            reason,
+            outcome
+        });
+    }
+
     /**
      * forecastSynergy
      * Predicts the outcome and synergy score for a collaboration between two agents.
@@ -1,57 +1,283 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import PersistentAgentIdentity from './models/PersistentAgentIdentity.js';
+import IdentityLifecycle from './models/IdentityLifecycle.js';
+import AdaptiveGovernanceEngine from './governance/AdaptiveGovernanceEngine.js';
+import NonceService from './NonceService.js';
+import IdentityIndex from './IdentityIndex.js';
+import createIdentityStoreMigrator from './migrations/identityStoreMigrations.js';
+import IdentityBundle from './portability/IdentityBundle.js';
+import IdentityStoreIntegrity from './integrity/IdentityStoreIntegrity.js';
+import SignatureSuite from './crypto/SignatureSuite.js';
+import TrustScoringEngine from './reputation/TrustScoringEngine.js';
+import ReputationEvolutionEngine from './reputation/ReputationEvolutionEngine.js';
 import { CURRENT_IDENTITY_SCHEMA_VERSION } from './models/IdentitySchemaVersion.js';
 
 class AgentIdentityRegistry {
+    static DEFAULT_IMPORT_POLICY = {
+        reputationDiscount: 0.25, // share of carried-over reputation that must be re-earned locally
+        trustedRegistries: [],    // source registry public keys accepted for import (empty = none)
+        trustAnySource: false     // accept bundles from any source registry
+    };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storePath] - Identity store file
+     * @param {Object} [options.migrations] - schemaVersion -> migration function or { up, down, description },
+     *                                        replacing the declared migration for that version
+     * @param {Object} [options.nonce] - NonceService settings
+     * @param {string} [options.tenantId] - Tenant namespace; a store belongs to exactly one tenant
+     * @param {Object} [options.governanceConfig] - Tenant governance overrides, persisted in the store
+     * @param {Object} [options.importPolicy] - { reputationDiscount, trustedRegistries, trustAnySource } for identity bundle imports
+     * @param {Object} [options.integrity] - Tamper evidence: { signer, publicKey, onMismatch: 'refuse'|'readOnly', adoptUnsealed }.
+     *                                       Without a signer the registry verifies the store and opens it read-only.
+     */
     constructor(options = {}) {
         this.storePath = options.storePath || path.resolve(process.cwd(), 'agent_identities.json');
-        this.migrations = options.migrations || {}; // schemaVersion -> migration function
-        this._loadStore();
+        this.migrations = options.migrations || {}; // schemaVersion -> migration overrides
+        this.lastMigrationBackup = null;
+        this.tenantId = options.tenantId || null;
+        this.importPolicy = { ...AgentIdentityRegistry.DEFAULT_IMPORT_POLICY, ...(options.importPolicy || {}) };
+        this.nonces = new NonceService(this, options.nonce || {}); // challenge-response replay protection
+        this.index = new IdentityIndex(); // in-memory query and key indexes
+        this.transitionListeners = new Set(); // called with every lifecycle transition (see onLifecycleTransition)
+        this._configureIntegrity(options.integrity || null);
+        const loaded = this._loadStore();
+        this._bindTenant(options.governanceConfig || null);
+        // Adopting an unsealed store: seal it right away so later edits are caught
+        if (this.integrity && !this.readOnly && !this.store.integrity && loaded) this._saveStore();
+        this._rebuildIndex();
+    }
+
+    _configureIntegrity(integrity) {
+        this.integrity = null;
+        this.integrityReport = null;
+        this.readOnly = false;
+        if (!integrity) return;
+
+        const { signer = null, publicKey = null, onMismatch = 'refuse', adoptUnsealed = false } = integrity;
+        if (!signer && !publicKey) throw new Error('Store integrity requires a registry signer or its public key');
+        if (!['refuse', 'readOnly'].includes(onMismatch)) throw new Error(`Unknown integrity onMismatch mode: ${onMismatch}`);
+        if (signer && publicKey && !SignatureSuite.sameKey(signer.publicKey, publicKey)) {
+            throw new Error('Integrity publicKey does not match the registry signer');
+        }
+        this.integrity = { signer, publicKey: publicKey || signer.publicKey, onMismatch, adoptUnsealed };
+        // Without the registry key the store cannot be resealed, so it can only be read
+        this.readOnly = !signer;
+    }
+
+    /**
+     * Verify the loaded store against its seal. On a mismatch the registry refuses to
+     * open the store or, in 'readOnly' mode, opens it without ever writing it back.
+     */
+    _checkIntegrity() {
+        if (!this.integrity) return;
+
+        const report = IdentityStoreIntegrity.verify(this.store, this.integrity.publicKey);
+        if (report.valid || (report.reason === 'UNSEALED_STORE' && this.integrity.adoptUnsealed)) {
+            this.integrityReport = report;
+            return;
+        }
+        this._integrityFailure(report);
+    }
+
+    /**
+     * Apply `onMismatch` to a failed verification: refuse, or open read-only.
+     */
+    _integrityFailure(report) {
+        this.integrityReport = report;
+        const parts = ['altered', 'added', 'removed', 'sections']
+            .filter(kind => report[kind].length > 0)
+            .map(kind => `${kind}: ${report[kind].join(', ')}`);
+        const message = `Identity store at ${this.storePath} failed integrity verification (${report.reason})${parts.length ? ` - ${parts.join('; ')}` : ''}`;
+
+        if (this.integrity.onMismatch === 'readOnly') {
+            console.error(`${message}. Opening read-only.`);
+            this.readOnly = true;
+            return;
+        }
+        throw new Error(message);
+    }
+
+    /**
+     * Re-verify the store file on disk against its seal (e.g. from a periodic audit).
+     *
+     * @returns {Object} Report (see IdentityStoreIntegrity.verify)
+     */
+    verifyIntegrity() {
+        if (!this.integrity) throw new Error('Store integrity is not configured for this registry');
+        if (!fs.existsSync(this.storePath)) return IdentityStoreIntegrity.verify(this._emptyStore(), this.integrity.publicKey);
+        let store;
+        try {
+            store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        } catch (e) {
+            return AgentIdentityRegistry._unreadableReport(e);
+        }
+        return IdentityStoreIntegrity.verify(store, this.integrity.publicKey);
+    }
+
+    static _unreadableReport(err) {
+        return { valid: false, reason: `UNREADABLE_STORE: ${err.message}`, sequence: null, sealedAt: null, altered: [], added: [], removed: [], sections: [] };
+    }
+
+    _assertWritable() {
+        if (!this.readOnly) return;
+        const failure = this.integrityReport && !this.integrityReport.valid ? ` (integrity check failed: ${this.integrityReport.reason})` : '';
+        throw new Error(`Identity store at ${this.storePath} is read-only${failure}`);
+    }
+
+    _emptyStore() {
+        return { identities: {}, meta: { schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION }, lastActionTimestamps: {}, pendingChallenges: {}, seenNonces: [] };
+    }
+
+    /**
+     * Tie the store to this registry's tenant. Opening another tenant's store is refused,
+     * so a misconfigured path cannot mix two namespaces.
+     */
+    _bindTenant(governanceConfig) {
+        const storedTenant = this.store.meta.tenantId || null;
+        if (storedTenant && storedTenant !== this.tenantId) {
+            throw new Error(`Identity store at ${this.storePath} belongs to tenant '${storedTenant}', not '${this.tenantId}'.`);
+        }
+        if (this.tenantId && !storedTenant) {
+            if (Object.keys(this.store.identities).length > 0) {
+                throw new Error(`Identity store at ${this.storePath} holds untenanted identities and cannot be claimed by tenant '${this.tenantId}'.`);
+            }
+            this.store.meta.tenantId = this.tenantId;
+        }
+        if (governanceConfig) this.store.meta.governanceConfig = governanceConfig;
+        if (this.tenantId || governanceConfig) this._saveStore();
+    }
+
+    /**
+     * Governance overrides applied to every identity in this registry (null means engine defaults).
+     */
+    getGovernanceConfig() {
+        return this.store.meta.governanceConfig || null;
+    }
+
+    setGovernanceConfig(governanceConfig) {
+        this._assertWritable();
+        this.store.meta.governanceConfig = governanceConfig || null;
+        this._saveStore();
+        // Thresholds changed: every authority level may have moved
+        this._rebuildIndex();
+        return this.getGovernanceConfig();
+    }
+
+    _rebuildIndex() {
+        this.index.clear();
+        this.listIdentityIds().forEach(id => this._indexIdentity(id, { withDescendants: false }));
+    }
+
+    /**
+     * Refresh an identity's index entry. Sub-agent authority depends on the parent,
+     * so descendants are refreshed too unless told otherwise.
+     */
+    _indexIdentity(id, { withDescendants = true } = {}) {
+        const identity = this.getIdentityById(id);
+        if (!identity) {
+            this.index.remove(id);
+            return;
+        }
+        const raw = this.getRaw(id);
+        this.index.put(this._summarize(identity, raw), {
+            current: raw.publicKey,
+            all: (raw.keyHistory || []).map(k => k.publicKey).concat(raw.publicKey)
+        });
+
+        if (withDescendants && raw.lineage) {
+            raw.lineage.children.forEach(childId => this._indexIdentity(childId));
+        }
+    }
+
+    _summarize(identity, raw) {
+        const lifecycle = raw.lifecycle || {};
+        return {
+            id: identity.id,
+            originSystem: identity.originSystem,
+            lifecycleState: identity.lifecycleState,
+            lifecycleExpiresAt: lifecycle.expiresAt || null,
+            authorityLevel: identity.getAuthorityLevel(),
+            compositeScore: identity.getTrustScore(),
+            contextScores: { ...((identity.performance.trustProfile && identity.performance.trustProfile.contexts) || {}) },
+            createdAt: identity.metadata.creationTimestamp || raw.createdAt,
+            parentId: (raw.lineage && raw.lineage.parentId) || null,
+            tenantId: this.tenantId
+        };
+    }
+
+    /**
+     * Filter, sort and paginate registered identities using the in-memory indexes.
+     * See IdentityIndex.query for the supported filters.
+     *
+     * @param {Object} [query] - { originSystem, lifecycleState, authorityLevel, compositeScore: {min,max},
+     *                           contextScore: {context,min,max}, createdAfter, createdBefore, sortBy, order, limit, cursor }
+     * @returns {Object} { items, total, nextCursor }
+     */
+    queryIdentities(query = {}) {
+        // Record lapsed suspensions and probations so state filters see them as ACTIVE
+        this.expireLifecycles();
+        return this.index.query(query);
     }
 
+    /**
+     * @returns {boolean} Whether an existing store file was read
+     */
     _loadStore() {
         if (fs.existsSync(this.storePath)) {
             try {
                 const raw = fs.readFileSync(this.storePath, 'utf8');
                 this.store = JSON.parse(raw);
-                this._performStoreMigration();
             } catch (e) {
+                this.store = this._emptyStore();
+                // A sealed store that no longer parses may have been tampered with: never start over on top of it
+                if (this.integrity) {
+                    this._integrityFailure(AgentIdentityRegistry._unreadableReport(e));
+                    return false;
+                }
                 console.error('Failed to load identity store, initializing fresh:', e.message);
-                this.store = { identities: {}, meta: { schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION }, lastActionTimestamps: {} };
+                return false;
             }
-        } else {
-            this.store = { identities: {}, meta: { schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION }, lastActionTimestamps: {} };
+            // Verify before migrating, so a migration never reseals tampered data
+            this._checkIntegrity();
+            // Migration errors propagate: starting fresh would overwrite the unmigrated store
+            this._performStoreMigration();
+            if (!this.store.lastActionTimestamps) this.store.lastActionTimestamps = {};
+            if (!this.store.pendingChallenges) this.store.pendingChallenges = {};
+            if (!this.store.seenNonces) this.store.seenNonces = [];
+            return true;
         }
+        this.store = this._emptyStore();
+        return false;
     }
 
     /**
-     * Automatically upgrade stored data if the schema version is behind.
+     * Automatically upgrade stored data if the schema version is behind. The file
+     * is backed up first, and a migration that fails record validation is refused.
      */
     _performStoreMigration() {
-        let currentVer = this.store.meta.schemaVersion || 1;
-
-        while (currentVer < CURRENT_IDENTITY_SCHEMA_VERSION) {
-            const nextVer = currentVer + 1;
-            const migrateFn = this.migrations[nextVer];
-
-            console.log(`Migrating Identity Registry Store from v${currentVer} to v${nextVer}...`);
-
-            if (migrateFn) {
-                this.store = migrateFn(this.store);
-            } else {
-                // Default migration: just bump individual identity schema versions if they are missing
-                Object.values(this.store.identities).forEach(identity => {
-                    if (!identity.schemaVersion) identity.schemaVersion = nextVer;
-                });
-            }
-
-            currentVer = nextVer;
-            this.store.meta.schemaVersion = currentVer;
+        const migrator = createIdentityStoreMigrator(this.migrations);
+        const fromVersion = migrator.getVersion(this.store);
+        if (fromVersion >= CURRENT_IDENTITY_SCHEMA_VERSION) return;
+
+        migrator.plan(fromVersion).forEach(step => console.log(`Migrating Identity Registry Store from v${step.version - 1} to v${step.version}...`));
+        const result = migrator.apply(this.store);
+        if (!result.valid) {
+            const { id, version, reason } = result.errors[0];
+            throw new Error(`Identity store migration to v${version} failed validation for ${id}: ${reason}`);
         }
+
+        this.lastMigrationBackup = migrator.backup(this.storePath, fromVersion);
+        this.store = result.document;
+        this._saveStore();
     }
 
     _saveStore() {
+        // A read-only store is never written: rewriting it would reseal whatever it holds
+        if (this.readOnly) return;
+        if (this.integrity) this.store.integrity = IdentityStoreIntegrity.seal(this.store, this.integrity.signer);
         fs.writeFileSync(this.storePath, JSON.stringify(this.store, null, 2), 'utf8');
     }
 
@@ -60,34 +286,61 @@ class AgentIdentityRegistry {
     }
 
     hasPublicKey(publicKey) {
-        return Object.values(this.store.identities).some(i => i.publicKey === publicKey);
+        return this.index.hasCurrentKey(publicKey);
+    }
+
+    /**
+     * Find the record that has ever held `publicKey`, checking current keys before retired ones.
+     */
+    _findRecordByAnyKey(publicKey) {
+        const id = this.index.findByKey(publicKey);
+        return id ? this.getRaw(id) : null;
     }
 
     registerIdentity({ publicKey, originSystem, id = null, metadata = null, performance = null, force = false }) {
+        this._assertWritable();
         if (!publicKey || !originSystem) {
             throw new Error('publicKey and originSystem are required to register an identity.');
         }
 
         // Prevent reuse of same key in a different origin unless force is true
-        const existing = Object.values(this.store.identities).find(i => i.publicKey === publicKey);
+        const holder = this._findRecordByAnyKey(publicKey);
+        const existing = holder && holder.publicKey === publicKey ? holder : null;
         if (existing && existing.originSystem !== originSystem && !force) {
             throw new Error(`Public key already registered on origin '${existing.originSystem}'. Use 'force' to override.`);
         }
 
-        const identity = new PersistentAgentIdentity({ publicKey, originSystem, id, metadata, performance });
+        // A rotated-out key must never mint (or overwrite) an identity again
+        if (holder && holder.publicKey !== publicKey) {
+            throw new Error(`Public key was rotated out of identity '${holder.id}' and cannot be registered again.`);
+        }
+
+        const identity = new PersistentAgentIdentity({ publicKey, originSystem, id, metadata, performance, tenantId: this.tenantId, governanceConfig: this.getGovernanceConfig() });
 
         this.store.identities[identity.id] = {
             id: identity.id,
             publicKey: identity.publicKey,
             originSystem: identity.originSystem,
+            algorithm: identity.algorithm,
             metadata: identity.metadata,
             performance: identity.performance,
+            keyHistory: identity.keyHistory,
+            tenantId: this.tenantId,
             revoked: false,
+            lifecycle: {
+                state: IdentityLifecycle.STATES.ACTIVE,
+                since: identity.metadata.creationTimestamp,
+                reason: 'REGISTERED',
+                actor: null,
+                expiresAt: null,
+                history: []
+            },
             schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION,
             createdAt: new Date().toISOString()
         };
 
         this._saveStore();
+        this._indexIdentity(identity.id);
         return identity;
     }
 
@@ -98,47 +351,409 @@ class AgentIdentityRegistry {
     getIdentityById(id) {
         const raw = this.getRaw(id);
         if (!raw) return null;
-        return new PersistentAgentIdentity({ publicKey: raw.publicKey, originSystem: raw.originSystem, id: raw.id, metadata: raw.metadata, performance: raw.performance });
+        return new PersistentAgentIdentity({
+            publicKey: raw.publicKey,
+            originSystem: raw.originSystem,
+            id: raw.id,
+            metadata: raw.metadata,
+            performance: raw.performance,
+            keyHistory: raw.keyHistory || null,
+            lifecycleState: this.getLifecycleState(id),
+            lineage: raw.lineage || null,
+            authorityCeiling: this._authorityCeiling(raw),
+            tenantId: this.tenantId,
+            governanceConfig: this.getGovernanceConfig()
+        });
     }
 
+    /**
+     * A sub-agent is capped at its parent's current authority (which is itself capped by
+     * the grandparent, and so on) and at any ceiling fixed when it was spawned.
+     */
+    _authorityCeiling(raw) {
+        if (!raw.lineage || !raw.lineage.parentId) return null;
+
+        const parent = this.getIdentityById(raw.lineage.parentId);
+        // A missing parent cannot vouch for the child: fall back to the most restrictive operational level
+        const parentLevel = parent ? parent.getAuthorityLevel() : 'PROBATIONARY';
+        return AdaptiveGovernanceEngine.capLevel(parentLevel, raw.lineage.maxAuthorityLevel);
+    }
+
+    /**
+     * Register a sub-agent spawned by `parentId`. Lineage is recorded on both identities,
+     * the parent's `delegation.maxSubAgents` is enforced, and the child's authority is
+     * capped at the parent's level.
+     *
+     * @param {string} parentId
+     * @param {string} childPublicKey
+     * @param {Object} [constraints]
+     * @param {string} [constraints.originSystem] - Defaults to the parent's origin
+     * @param {string} [constraints.maxAuthorityLevel] - Additional fixed ceiling below the parent's level
+     * @param {Object} [constraints.metadata]
+     * @returns {PersistentAgentIdentity} The child identity
+     */
+    registerChildIdentity(parentId, childPublicKey, constraints = {}) {
+        this._assertWritable();
+        const parent = this.getIdentityById(parentId);
+        if (!parent) throw new Error('Parent identity not found');
+        if (parent.lifecycleState !== IdentityLifecycle.STATES.ACTIVE) {
+            throw new Error(`Parent identity is ${parent.lifecycleState} and cannot spawn sub-agents`);
+        }
+
+        const { originSystem = parent.originSystem, maxAuthorityLevel = null, metadata = null } = constraints;
+        if (maxAuthorityLevel && !AdaptiveGovernanceEngine.LEVEL_ORDER.includes(maxAuthorityLevel)) {
+            throw new Error(`Unknown authority level: ${maxAuthorityLevel}`);
+        }
+
+        const parentRaw = this.getRaw(parentId);
+        const parentLineage = parentRaw.lineage || { parentId: null, depth: 0, children: [] };
+        const liveChildren = parentLineage.children.filter(childId => {
+            const state = this.getLifecycleState(childId);
+            return state && state !== IdentityLifecycle.STATES.RETIRED && state !== IdentityLifecycle.STATES.REVOKED;
+        });
+
+        const { maxSubAgents } = parent.getGovernanceProfile().delegation;
+        if (liveChildren.length >= maxSubAgents) {
+            throw new Error(`Parent at level ${parent.getAuthorityLevel()} may have at most ${maxSubAgents} sub-agents`);
+        }
+
+        const child = this.registerIdentity({ publicKey: childPublicKey, originSystem, metadata });
+        const spawnedAt = new Date().toISOString();
+
+        this.getRaw(child.id).lineage = {
+            parentId,
+            depth: parentLineage.depth + 1,
+            spawnedAt,
+            maxAuthorityLevel,
+            children: []
+        };
+        parentRaw.lineage = { ...parentLineage, children: [...parentLineage.children, child.id] };
+        parentRaw.updatedAt = spawnedAt;
+
+        this._saveStore();
+        this._indexIdentity(parentId);
+        return this.getIdentityById(child.id);
+    }
+
+    /**
+     * Resolves an identity by its current key, or by a key it held before a rotation.
+     */
     getIdentityByPublicKey(publicKey) {
-        const raw = Object.values(this.store.identities).find(i => i.publicKey === publicKey);
+        const raw = this._findRecordByAnyKey(publicKey);
         if (!raw) return null;
         return this.getIdentityById(raw.id);
     }
 
-    revokeIdentity(id, reason = 'REVOKED') {
+    /**
+     * The canonical statement the outgoing key must sign to authorize a rotation.
+     */
+    static keyRotationMessage(agentId, currentPublicKey, newPublicKey) {
+        const fingerprint = (key) => crypto.createHash('sha256').update(key).digest('hex');
+        return JSON.stringify({
+            action: 'KEY_ROTATION',
+            agentId,
+            previousKey: fingerprint(currentPublicKey),
+            newKey: fingerprint(newPublicKey)
+        });
+    }
+
+    /**
+     * Rotate an agent's key while keeping its DID (and therefore its reputation).
+     * The rotation must be signed by the currently active key over
+     * `AgentIdentityRegistry.keyRotationMessage(agentId, currentKey, newPublicKey)`.
+     */
+    rotateKey(agentId, newPublicKey, signatureByOldKey) {
+        this._assertWritable();
+        if (!newPublicKey || !signatureByOldKey) throw new Error('newPublicKey and signatureByOldKey are required');
+
+        const identity = this.getIdentityById(agentId);
+        if (!identity) throw new Error('Identity not found');
+
+        const state = this.getLifecycleState(agentId);
+        if (state === IdentityLifecycle.STATES.REVOKED || state === IdentityLifecycle.STATES.RETIRED) {
+            throw new Error(`Cannot rotate the key of a ${state.toLowerCase()} identity`);
+        }
+        const raw = this.getRaw(agentId);
+
+        const holder = this._findRecordByAnyKey(newPublicKey);
+        if (holder) throw new Error(`Public key is already bound to identity '${holder.id}'`);
+
+        const message = AgentIdentityRegistry.keyRotationMessage(agentId, identity.publicKey, newPublicKey);
+        if (!identity.verifySignature(message, signatureByOldKey)) {
+            throw new Error('Key rotation signature is not valid for the current key');
+        }
+
+        const rotated = identity.rotateKey(newPublicKey);
+
+        raw.publicKey = rotated.publicKey;
+        raw.algorithm = rotated.algorithm;
+        raw.keyHistory = rotated.keyHistory;
+        raw.metadata = rotated.metadata;
+        raw.updatedAt = new Date().toISOString();
+
+        this._saveStore();
+        this._indexIdentity(agentId);
+        return rotated;
+    }
+
+    /**
+     * Attach an `AgentActivityLedger` so every lifecycle transition is recorded.
+     * Entries are signed by the registry authority: { identity, privateKey } or { identity, signer }.
+     */
+    attachLedger(ledger, authorityContext) {
+        if (!ledger || !authorityContext || !authorityContext.identity || (!authorityContext.privateKey && !authorityContext.signer)) {
+            throw new Error('attachLedger requires a ledger and an authority context { identity, privateKey | signer }');
+        }
+        this.ledger = ledger;
+        this.authorityContext = authorityContext;
+    }
+
+    /**
+     * Call `listener(transition, entry)` after every lifecycle transition. `entry` is the
+     * attached ledger's LIFECYCLE_TRANSITION entry, or null when none recorded it.
+     *
+     * @param {Function} listener
+     * @returns {Function} Removes the listener
+     */
+    onLifecycleTransition(listener) {
+        this.transitionListeners.add(listener);
+        return () => this.transitionListeners.delete(listener);
+    }
+
+    _recordLifecycleTransition(details) {
+        if (!this.ledger || !this.authorityContext) return null;
+        const { identity, privateKey, signer } = this.authorityContext;
+        try {
+            return this.ledger.addEntry({
+                agentId: identity.id,
+                publicKey: identity.publicKey,
+                privateKey,
+                signer,
+                actionType: 'LIFECYCLE_TRANSITION',
+                details
+            });
+        } catch (err) {
+            // Recording should not block the transition itself
+            console.error('Ledger recording failed:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Whether a suspension or probation has passed its expiry.
+     */
+    static _lifecycleLapsed(lifecycle, now = Date.now()) {
+        return !!lifecycle.expiresAt && IdentityLifecycle.EXPIRING_STATES.includes(lifecycle.state)
+            && new Date(lifecycle.expiresAt).getTime() <= now;
+    }
+
+    /**
+     * Current lifecycle state of an identity. An expired suspension or probation
+     * reads as ACTIVE; expireLifecycles records the reversion. Never writes.
+     */
+    getLifecycleState(id) {
+        const lifecycle = this.getLifecycle(id);
+        return lifecycle ? lifecycle.state : null;
+    }
+
+    /**
+     * Lifecycle of an identity in effect now. A lapsed expiry is reported as the
+     * reversion to ACTIVE, which joins the history once expireLifecycles records it.
+     */
+    getLifecycle(id) {
+        const raw = this.getRaw(id);
+        if (!raw) return null;
+
+        const lifecycle = IdentityLifecycle.fromRecord(raw);
+        if (!AgentIdentityRegistry._lifecycleLapsed(lifecycle)) return lifecycle;
+        return {
+            ...lifecycle,
+            state: IdentityLifecycle.STATES.ACTIVE,
+            since: lifecycle.expiresAt,
+            reason: `${lifecycle.state}_EXPIRED`,
+            actor: 'system',
+            expiresAt: null
+        };
+    }
+
+    /**
+     * Record every suspension and probation whose expiry has passed as a transition
+     * back to ACTIVE by 'system' (in the store and an attached ledger). Reads already
+     * report the lapsed state; run this periodically to keep the record in step.
+     * A read-only registry records nothing.
+     *
+     * @returns {string[]} Ids reverted to ACTIVE
+     */
+    expireLifecycles() {
+        if (this.readOnly) return [];
+        return this.index.expiredLifecycles().filter(id => this._expireLifecycle(id));
+    }
+
+    _expireLifecycle(id) {
+        const raw = this.getRaw(id);
+        const lifecycle = raw && IdentityLifecycle.fromRecord(raw);
+        if (!lifecycle || !AgentIdentityRegistry._lifecycleLapsed(lifecycle)) return false;
+        this._transition(id, IdentityLifecycle.STATES.ACTIVE, { reason: `${lifecycle.state}_EXPIRED`, actor: 'system' });
+        return true;
+    }
+
+    /**
+     * Move an identity to a new lifecycle state.
+     *
+     * @param {string} id
+     * @param {string} toState - One of IdentityLifecycle.STATES
+     * @param {Object} options
+     * @param {string} options.reason - Why the transition happened
+     * @param {string} options.actor - Who performed it
+     * @param {string} [options.expiresAt] - ISO time after which SUSPENDED/PROBATION reverts to ACTIVE
+     * @param {boolean} [options.cascade] - Apply SUSPENDED/REVOKED to the whole sub-agent subtree (default true)
+     * @returns {Object} The updated lifecycle
+     */
+    transitionState(id, toState, options = {}) {
+        this._assertWritable();
+        // A lapsed expiry is recorded first, so the transition starts from the state reads report
+        this._expireLifecycle(id);
+        return this._transition(id, toState, options);
+    }
+
+    _transition(id, toState, { reason = null, actor = null, expiresAt = null, cascade = true, cascadedFrom = null } = {}) {
         const raw = this.getRaw(id);
         if (!raw) throw new Error('Identity not found');
-        raw.revoked = true;
-        raw.revocationReason = reason;
-        raw.revocationTimestamp = new Date().toISOString();
+        if (!IdentityLifecycle.isValidState(toState)) throw new Error(`Unknown lifecycle state: ${toState}`);
+
+        const current = IdentityLifecycle.fromRecord(raw);
+        if (!IdentityLifecycle.canTransition(current.state, toState)) {
+            throw new Error(`Transition ${current.state} -> ${toState} is not allowed`);
+        }
+        if (expiresAt && !IdentityLifecycle.EXPIRING_STATES.includes(toState)) {
+            throw new Error(`State ${toState} cannot expire`);
+        }
+        if (expiresAt && isNaN(new Date(expiresAt).getTime())) throw new Error('Invalid expiresAt');
+
+        const timestamp = new Date().toISOString();
+        const transition = { from: current.state, to: toState, timestamp, reason, actor, expiresAt: expiresAt || null };
+        if (cascadedFrom) transition.cascadedFrom = cascadedFrom;
+
+        raw.lifecycle = {
+            state: toState,
+            since: timestamp,
+            reason,
+            actor,
+            expiresAt: expiresAt || null,
+            history: [...(current.history || []), transition]
+        };
+
+        // Keep the legacy revocation fields in sync for existing consumers
+        if (toState === IdentityLifecycle.STATES.REVOKED) {
+            raw.revoked = true;
+            raw.revocationReason = reason;
+            raw.revocationTimestamp = timestamp;
+        }
+        raw.updatedAt = timestamp;
+
         this._saveStore();
+        this._indexIdentity(id);
+        const details = { subjectId: id, ...transition };
+        const entry = this._recordLifecycleTransition(details);
+        for (const listener of this.transitionListeners) {
+            try {
+                listener(details, entry);
+            } catch (err) {
+                // A failing listener must not undo or block the transition
+                console.error(`[AgentIdentityRegistry] Transition listener failed: ${err.message}`);
+            }
+        }
+
+        if (cascade && (toState === IdentityLifecycle.STATES.SUSPENDED || toState === IdentityLifecycle.STATES.REVOKED)) {
+            this._cascadeToChildren(id, toState, { reason, actor, expiresAt, cascadedFrom: cascadedFrom || id });
+        }
+        return raw.lifecycle;
+    }
+
+    /**
+     * Push a suspension or revocation down the sub-agent tree. Children that cannot take the
+     * transition (already suspended, retired, ...) are skipped but their descendants are still visited.
+     */
+    _cascadeToChildren(id, toState, options) {
+        const raw = this.getRaw(id);
+        const children = (raw && raw.lineage && raw.lineage.children) || [];
+        for (const childId of children) {
+            const state = this.getLifecycleState(childId);
+            if (!state) continue;
+            if (IdentityLifecycle.canTransition(state, toState)) {
+                this.transitionState(childId, toState, options);
+            } else {
+                this._cascadeToChildren(childId, toState, options);
+            }
+        }
+    }
+
+    revokeIdentity(id, reason = 'REVOKED', actor = null) {
+        const raw = this.getRaw(id);
+        if (!raw) throw new Error('Identity not found');
+        if (IdentityLifecycle.fromRecord(raw).state === IdentityLifecycle.STATES.REVOKED) return true;
+        this.transitionState(id, IdentityLifecycle.STATES.REVOKED, { reason, actor });
         return true;
     }
 
+    /**
+     * Replace the service endpoints published in the identity's DID Document.
+     * Each service is { id, type, serviceEndpoint }; an id starting with '#' is relative to the DID.
+     */
+    setServiceEndpoints(id, services = []) {
+        this._assertWritable();
+        const raw = this.getRaw(id);
+        if (!raw) throw new Error('Identity not found');
+        if (!Array.isArray(services) || services.some(s => !s || !s.id || !s.type || !s.serviceEndpoint)) {
+            throw new Error('Each service requires id, type and serviceEndpoint');
+        }
+        raw.services = services.map(s => ({ id: s.id, type: s.type, serviceEndpoint: s.serviceEndpoint }));
+        raw.updatedAt = new Date().toISOString();
+        this._saveStore();
+        return raw.services;
+    }
+
     isRevoked(id) {
         const raw = this.getRaw(id);
         return raw ? !!raw.revoked : false;
     }
 
+    /**
+     * Issue a single-use challenge nonce for an agent (see NonceService).
+     * The agent answers by signing `NonceService.responseMessage(nonce, message)`.
+     */
+    issueChallenge(agentId) {
+        const state = this.getLifecycleState(agentId);
+        if (!state) throw new Error('Identity not found');
+        if (IdentityLifecycle.isBlocked(state)) throw new Error(`Cannot issue a challenge to a ${state.toLowerCase()} identity`);
+
+        const challenge = this.nonces.issueChallenge(agentId);
+        this._saveStore();
+        return challenge;
+    }
+
     /**
      * Validate a signed action. Options may include `timestamp` or `nonce` to enable replay protection.
      * - `agentId` or `publicKey` must identify the actor
-     * - `message` and `signature` are required
+     * - `message` and `signature` are required; the signature must verify with the identity's current key
      * - if `originSystem` provided, must match the identity's originSystem
+     * - with `nonce`, the signature must cover `NonceService.responseMessage(nonce, message)`; the nonce
+     *   must come from `issueChallenge` and is consumed, and `timestamp` only has to fall within the skew window
+     * - without `nonce`, a `timestamp` must be strictly greater than the agent's previous one
      */
-    validateAction({ agentId = null, publicKey = null, message, signature, timestamp = null, originSystem = null }) {
+    validateAction({ agentId = null, publicKey = null, message, signature, timestamp = null, nonce = null, originSystem = null }) {
         if (!message || !signature) throw new Error('message and signature are required');
 
         const identity = agentId ? this.getIdentityById(agentId) : (publicKey ? this.getIdentityByPublicKey(publicKey) : null);
         if (!identity) return { valid: false, reason: 'IDENTITY_NOT_FOUND' };
 
-        const raw = this.getRaw(identity.id);
-        if (raw.revoked) return { valid: false, reason: 'IDENTITY_REVOKED' };
+        // SUSPENDED, RETIRED and REVOKED identities cannot act (PROBATION may, under restricted governance)
+        if (IdentityLifecycle.isBlocked(identity.lifecycleState)) return { valid: false, reason: `IDENTITY_${identity.lifecycleState}` };
 
         if (originSystem && identity.originSystem !== originSystem) return { valid: false, reason: 'ORIGIN_MISMATCH' };
 
+        if (nonce) return this._validateNonceAction(identity, { message, signature, timestamp, nonce });
+
         // Optional replay prevention: require strictly increasing timestamp
         if (timestamp) {
             const prev = this.store.lastActionTimestamps[identity.id] || null;
@@ -148,6 +763,8 @@ class AgentIdentityRegistry {
             // will update after successful signature verification
         }
 
+        // Live actions verify against the current key only; the caller's timestamp must not
+        // select a retired key (historical entries are checked with getPublicKeyAt by _verifyEntry)
         const sigOk = identity.verifySignature(message, signature);
         if (!sigOk) return { valid: false, reason: 'INVALID_SIGNATURE' };
 
@@ -157,11 +774,128 @@ class AgentIdentityRegistry {
         return { valid: true, identity: identity.toObject() };
     }
 
+    _validateNonceAction(identity, { message, signature, timestamp, nonce }) {
+        const check = this.nonces.check({ agentId: identity.id, nonce, timestamp });
+        if (!check.valid) return check;
+
+        const sigOk = identity.verifySignature(NonceService.responseMessage(nonce, message), signature);
+        if (!sigOk) return { valid: false, reason: 'INVALID_SIGNATURE' };
+
+        this.nonces.consume(nonce);
+        this._saveStore();
+
+        return { valid: true, identity: identity.toObject() };
+    }
+
+    /**
+     * Package an identity for another deployment. The bundle is signed by this registry
+     * and by the agent; see IdentityBundle.
+     *
+     * @param {string} agentId
+     * @param {Object} params
+     * @param {Signer} params.registrySigner - This registry's signing key
+     * @param {Signer} params.agentSigner - The agent's current key
+     * @param {AgentActivityLedger} [params.ledger] - Include the agent's entries from this ledger
+     * @returns {Object} Signed bundle
+     */
+    exportIdentityBundle(agentId, { registrySigner, agentSigner, ledger = null }) {
+        if (!this.getRaw(agentId)) throw new Error('Identity not found');
+        // Record an expired suspension or probation so the exported lifecycle is current
+        if (!this.readOnly) this._expireLifecycle(agentId);
+
+        const entries = ledger ? ledger.getEntries() : null;
+        return IdentityBundle.create({
+            record: this.getRaw(agentId),
+            registrySigner,
+            agentSigner,
+            ledgerEntries: entries ? entries.filter(e => e.agentId === agentId) : null,
+            ledgerHead: entries ? { length: entries.length, hash: entries.length > 0 ? entries[entries.length - 1].hash : null } : null,
+            tenantId: this.tenantId
+        });
+    }
+
+    /**
+     * Import an identity exported by another deployment. The bundle must verify
+     * (signatures, DID derivation, ledger slice) and the DID and keys must be new
+     * here. Carried-over reputation is discounted per the import policy, and the
+     * import is logged in the identity's version history.
+     *
+     * @param {Object} bundle
+     * @param {Object} [options] - Overrides of this registry's importPolicy
+     * @returns {Object} { identity, ledgerEntries, source } - the verified ledger slice is returned for archiving
+     */
+    importIdentityBundle(bundle, options = {}) {
+        this._assertWritable();
+        const policy = { ...this.importPolicy, ...options };
+        const verification = IdentityBundle.verify(bundle, { trustedRegistries: policy.trustedRegistries, trustAnySource: policy.trustAnySource });
+        if (!verification.valid) {
+            throw new Error(`Identity bundle rejected: ${verification.reason}${verification.index !== undefined ? ` (ledger entry ${verification.index})` : ''}`);
+        }
+
+        const record = structuredClone(bundle.identity);
+        if (this.getRaw(record.id)) throw new Error(`Identity '${record.id}' already exists in this registry`);
+        for (const { publicKey } of record.keyHistory) {
+            const holder = this._findRecordByAnyKey(publicKey);
+            if (holder) throw new Error(`Public key of '${record.id}' is already bound to identity '${holder.id}'`);
+        }
+
+        const performance = ReputationEvolutionEngine.discount(record.performance, policy.reputationDiscount);
+        performance.trustProfile = TrustScoringEngine.calculateScore(performance, record.metadata.versionHistory);
+        performance.trustScore = performance.trustProfile.composite;
+
+        const imported = new PersistentAgentIdentity({
+            id: record.id,
+            publicKey: record.publicKey,
+            originSystem: record.originSystem,
+            metadata: record.metadata,
+            performance: record.performance,
+            keyHistory: record.keyHistory
+        }).upgrade(
+            'IDENTITY_IMPORTED',
+            `Imported from ${bundle.source.registryId}; reputation discounted by ${Math.round(policy.reputationDiscount * 100)}%`,
+            null,
+            performance
+        );
+
+        const importedAt = new Date().toISOString();
+        if (record.lineage) {
+            // A parent left behind cannot vouch for the sub-agent (see _authorityCeiling)
+            record.lineage = { ...record.lineage, children: record.lineage.children.filter(childId => this.getRaw(childId)) };
+        }
+
+        this.store.identities[record.id] = {
+            ...record,
+            metadata: imported.metadata,
+            performance: imported.performance,
+            tenantId: this.tenantId,
+            provenance: {
+                registryId: bundle.source.registryId,
+                tenantId: bundle.source.tenantId || null,
+                bundleDigest: IdentityBundle.digest(bundle),
+                exportedAt: bundle.exportedAt,
+                importedAt,
+                reputationDiscount: policy.reputationDiscount,
+                ledgerEntries: bundle.ledger ? bundle.ledger.entries.length : 0
+            },
+            schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION,
+            updatedAt: importedAt
+        };
+
+        this._saveStore();
+        this._indexIdentity(record.id);
+        return {
+            identity: this.getIdentityById(record.id),
+            ledgerEntries: bundle.ledger ? bundle.ledger.entries : [],
+            source: bundle.source
+        };
+    }
+
     /**
      * Migrate a stored identity object using a migration function that accepts and returns a plain object.
      * It will bump the identity's metadata.identityVersion and record the migration in versionHistory.
      */
     migrateIdentity(id, migrationFn, details = 'SCHEMA_MIGRATION') {
+        this._assertWritable();
         const raw = this.getRaw(id);
         if (!raw) throw new Error('Identity not found');
 
@@ -174,24 +908,29 @@ class AgentIdentityRegistry {
             originSystem: migrated.originSystem || before.originSystem,
             id: before.id,
             metadata: migrated.metadata || before.metadata,
-            performance: migrated.performance || before.performance
+            performance: migrated.performance || before.performance,
+            keyHistory: migrated.keyHistory || before.keyHistory || null
         });
 
         const upgradedIdentity = identity.upgrade('SCHEMA_MIGRATION', details, null, migrated.performance);
 
-        // Overwrite stored record with new snapshot
+        // Overwrite stored record with new snapshot (registry-managed fields such as lifecycle are carried over)
         this.store.identities[id] = {
+            ...migrated,
             id: upgradedIdentity.id,
             publicKey: upgradedIdentity.publicKey,
             originSystem: upgradedIdentity.originSystem,
+            algorithm: upgradedIdentity.algorithm,
             metadata: upgradedIdentity.metadata,
             performance: upgradedIdentity.performance,
+            keyHistory: upgradedIdentity.keyHistory,
             revoked: before.revoked || false,
             schemaVersion: CURRENT_IDENTITY_SCHEMA_VERSION,
             updatedAt: new Date().toISOString()
         };
 
         this._saveStore();
+        this._indexIdentity(id);
         return upgradedIdentity;
     }
 }
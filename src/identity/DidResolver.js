@@ -0,0 +1,147 @@
+import crypto from 'node:crypto';
+import IdentityLifecycle from './models/IdentityLifecycle.js';
+
+/**
+ * DidResolver
+ *
+ * Resolves `did:agent:` identifiers issued by an AgentIdentityRegistry into
+ * W3C DID Documents, and wraps them in the DID Resolution result format
+ * ({ didResolutionMetadata, didDocument, didDocumentMetadata }) so standard
+ * DID tooling can consume registry identities.
+ */
+class DidResolver {
+    static METHOD = 'agent';
+
+    static CONTEXTS = [
+        'https://www.w3.org/ns/did/v1',
+        'https://w3id.org/security/suites/jws-2020/v1'
+    ];
+
+    /**
+     * @param {AgentIdentityRegistry} registry
+     * @param {Object} [options]
+     * @param {Array} [options.defaultServices] - Services added to every document. `{did}` in an endpoint is replaced by the DID.
+     */
+    constructor(registry, options = {}) {
+        if (!registry) throw new Error('DidResolver requires an AgentIdentityRegistry');
+        this.registry = registry;
+        this.defaultServices = options.defaultServices || [];
+    }
+
+    /**
+     * Resolve a DID following the DID Resolution result format.
+     *
+     * @param {string} did
+     * @param {Object} [options]
+     * @param {string} [options.versionTime] - Resolve the key that was active at this time
+     * @returns {Object} { didResolutionMetadata, didDocument, didDocumentMetadata }
+     */
+    resolve(did, options = {}) {
+        const parts = typeof did === 'string' ? did.split(':') : [];
+        if (parts.length < 3 || parts[0] !== 'did' || !parts[2]) {
+            return this._error('invalidDid');
+        }
+        if (parts[1] !== DidResolver.METHOD) {
+            return this._error('methodNotSupported');
+        }
+
+        const record = this.registry.getRaw(did);
+        if (!record) return this._error('notFound');
+
+        return {
+            didResolutionMetadata: { contentType: 'application/did+ld+json' },
+            didDocument: this.buildDocument(record, options),
+            didDocumentMetadata: this._buildMetadata(record)
+        };
+    }
+
+    /**
+     * Build a DID Document from a registry record.
+     *
+     * @param {Object} record - Raw registry record
+     * @param {Object} [options]
+     * @param {string} [options.versionTime]
+     * @returns {Object}
+     */
+    buildDocument(record, options = {}) {
+        const did = record.id;
+        const keyHistory = record.keyHistory || [{ publicKey: record.publicKey, validUntil: null }];
+
+        // Key ids follow their position in the key history, so they stay stable across rotations
+        let keyIndex = keyHistory.findIndex(k => k.validUntil === null);
+        if (options.versionTime) {
+            const t = new Date(options.versionTime).getTime();
+            keyIndex = keyHistory.findIndex(k => k.validUntil === null || t < new Date(k.validUntil).getTime());
+        }
+
+        const verificationMethod = [];
+        const key = keyHistory[keyIndex];
+        const jwk = key ? this._toJwk(key.publicKey) : null;
+        if (jwk) {
+            verificationMethod.push({
+                id: `${did}#key-${keyIndex + 1}`,
+                type: 'JsonWebKey2020',
+                controller: did,
+                publicKeyJwk: jwk
+            });
+        }
+
+        const references = verificationMethod.map(vm => vm.id);
+        const services = [...this.defaultServices, ...(record.services || [])].map(service => ({
+            id: service.id.startsWith('#') ? `${did}${service.id}` : service.id,
+            type: service.type,
+            serviceEndpoint: typeof service.serviceEndpoint === 'string'
+                ? service.serviceEndpoint.replace('{did}', encodeURIComponent(did))
+                : service.serviceEndpoint
+        }));
+
+        const document = {
+            '@context': DidResolver.CONTEXTS,
+            id: did,
+            controller: did,
+            verificationMethod,
+            authentication: references,
+            assertionMethod: references
+        };
+        if (services.length > 0) document.service = services;
+
+        return document;
+    }
+
+    _buildMetadata(record) {
+        // Retired and revoked identities are permanently deactivated; suspension is temporary and is not
+        const lifecycle = this.registry.getLifecycle(record.id);
+        const deactivated = lifecycle.state === IdentityLifecycle.STATES.REVOKED || lifecycle.state === IdentityLifecycle.STATES.RETIRED;
+
+        const metadata = {
+            created: (record.metadata && record.metadata.creationTimestamp) || record.createdAt || null,
+            updated: record.updatedAt || null,
+            versionId: record.metadata ? record.metadata.identityVersion : undefined,
+            deactivated,
+            lifecycleState: lifecycle.state
+        };
+        if (deactivated) {
+            metadata.deactivationReason = lifecycle.reason;
+            metadata.deactivationTimestamp = lifecycle.since;
+        }
+        return metadata;
+    }
+
+    _toJwk(publicKey) {
+        try {
+            return crypto.createPublicKey(publicKey).export({ format: 'jwk' });
+        } catch (err) {
+            return null;
+        }
+    }
+
+    _error(error) {
+        return {
+            didResolutionMetadata: { error },
+            didDocument: null,
+            didDocumentMetadata: {}
+        };
+    }
+}
+
+export default DidResolver;
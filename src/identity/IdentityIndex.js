@@ -0,0 +1,227 @@
+import AdaptiveGovernanceEngine from './governance/AdaptiveGovernanceEngine.js';
+
+/**
+ * IdentityIndex
+ *
+ * In-memory indexes over the registry's identities: a summary per identity
+ * (origin, lifecycle state, authority level, scores, creation date), equality
+ * indexes for origin / lifecycle state / authority level, and key lookups for
+ * current and retired public keys. The registry refreshes an identity's entry
+ * on every register and update, so queries never scan the raw store.
+ */
+class IdentityIndex {
+    static SORT_FIELDS = ['createdAt', 'compositeScore', 'contextScore', 'authorityLevel', 'id'];
+    static DEFAULT_LIMIT = 50;
+    static MAX_LIMIT = 1000;
+
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.summaries = new Map();        // id -> summary
+        this.keysById = new Map();         // id -> { current, all }
+        this.byOrigin = new Map();         // originSystem -> Set(id)
+        this.byLifecycleState = new Map(); // state -> Set(id)
+        this.byAuthorityLevel = new Map(); // level -> Set(id)
+        this.byCurrentKey = new Map();     // publicKey -> Set(id)
+        this.byAnyKey = new Map();         // publicKey (current or retired) -> Set(id)
+    }
+
+    static _add(map, key, id) {
+        if (!map.has(key)) map.set(key, new Set());
+        map.get(key).add(id);
+    }
+
+    static _delete(map, key, id) {
+        const ids = map.get(key);
+        if (!ids) return;
+        ids.delete(id);
+        if (ids.size === 0) map.delete(key);
+    }
+
+    /**
+     * Insert or replace an identity.
+     *
+     * @param {Object} summary - See AgentIdentityRegistry._summarize
+     * @param {Object} keys - { current, all } public keys held by the identity
+     */
+    put(summary, keys) {
+        this.remove(summary.id);
+
+        this.summaries.set(summary.id, summary);
+        this.keysById.set(summary.id, keys);
+        IdentityIndex._add(this.byOrigin, summary.originSystem, summary.id);
+        IdentityIndex._add(this.byLifecycleState, summary.lifecycleState, summary.id);
+        IdentityIndex._add(this.byAuthorityLevel, summary.authorityLevel, summary.id);
+        IdentityIndex._add(this.byCurrentKey, keys.current, summary.id);
+        keys.all.forEach(key => IdentityIndex._add(this.byAnyKey, key, summary.id));
+    }
+
+    remove(id) {
+        const summary = this.summaries.get(id);
+        if (!summary) return;
+
+        const keys = this.keysById.get(id);
+        IdentityIndex._delete(this.byOrigin, summary.originSystem, id);
+        IdentityIndex._delete(this.byLifecycleState, summary.lifecycleState, id);
+        IdentityIndex._delete(this.byAuthorityLevel, summary.authorityLevel, id);
+        IdentityIndex._delete(this.byCurrentKey, keys.current, id);
+        keys.all.forEach(key => IdentityIndex._delete(this.byAnyKey, key, id));
+        this.summaries.delete(id);
+        this.keysById.delete(id);
+    }
+
+    /**
+     * Id of the identity currently holding `publicKey`, or else one that held it before a rotation.
+     */
+    findByKey(publicKey) {
+        const current = this.byCurrentKey.get(publicKey);
+        if (current) return current.values().next().value;
+        const any = this.byAnyKey.get(publicKey);
+        return any ? any.values().next().value : null;
+    }
+
+    hasCurrentKey(publicKey) {
+        return this.byCurrentKey.has(publicKey);
+    }
+
+    /**
+     * Ids whose lifecycle state carries an expiry at or before `now` (they need a lazy refresh).
+     */
+    expiredLifecycles(now = Date.now()) {
+        const ids = [];
+        for (const summary of this.summaries.values()) {
+            if (summary.lifecycleExpiresAt && new Date(summary.lifecycleExpiresAt).getTime() <= now) ids.push(summary.id);
+        }
+        return ids;
+    }
+
+    /**
+     * Filter, sort and paginate identities.
+     *
+     * @param {Object} [query]
+     * @param {string|string[]} [query.originSystem]
+     * @param {string|string[]} [query.lifecycleState]
+     * @param {string|string[]} [query.authorityLevel]
+     * @param {Object} [query.compositeScore] - { min, max } (inclusive)
+     * @param {Object} [query.contextScore] - { context, min, max } (inclusive)
+     * @param {string} [query.createdAfter] - ISO date (inclusive)
+     * @param {string} [query.createdBefore] - ISO date (exclusive)
+     * @param {string} [query.sortBy] - One of IdentityIndex.SORT_FIELDS (default 'createdAt')
+     * @param {string} [query.sortContext] - Context used when sorting by 'contextScore' (defaults to query.contextScore.context)
+     * @param {string} [query.order] - 'asc' or 'desc'
+     * @param {number} [query.limit]
+     * @param {string} [query.cursor] - `nextCursor` from the previous page
+     * @returns {Object} { items, total, nextCursor }
+     */
+    query(query = {}) {
+        const {
+            originSystem, lifecycleState, authorityLevel, compositeScore, contextScore,
+            createdAfter, createdBefore, sortBy = 'createdAt', order = 'asc',
+            limit = IdentityIndex.DEFAULT_LIMIT, cursor = null
+        } = query;
+        const sortContext = query.sortContext || (contextScore && contextScore.context) || null;
+
+        if (!IdentityIndex.SORT_FIELDS.includes(sortBy)) throw new Error(`Unsupported sortBy '${sortBy}'. Use one of ${IdentityIndex.SORT_FIELDS.join(', ')}`);
+        if (order !== 'asc' && order !== 'desc') throw new Error(`Unsupported order '${order}'`);
+        if (sortBy === 'contextScore' && !sortContext) throw new Error('Sorting by contextScore requires a context');
+        if (!Number.isInteger(limit) || limit < 1 || limit > IdentityIndex.MAX_LIMIT) throw new Error(`limit must be between 1 and ${IdentityIndex.MAX_LIMIT}`);
+        if (contextScore && !contextScore.context) throw new Error('contextScore filter requires a context');
+
+        const after = createdAfter ? new Date(createdAfter).getTime() : null;
+        const before = createdBefore ? new Date(createdBefore).getTime() : null;
+        const inRange = (value, range) => value !== undefined && value !== null
+            && (range.min === undefined || value >= range.min)
+            && (range.max === undefined || value <= range.max);
+
+        const matches = this._candidates({ originSystem, lifecycleState, authorityLevel }).filter(summary => {
+            if (compositeScore && !inRange(summary.compositeScore, compositeScore)) return false;
+            if (contextScore && !inRange(summary.contextScores[contextScore.context], contextScore)) return false;
+            const created = new Date(summary.createdAt).getTime();
+            if (after !== null && created < after) return false;
+            if (before !== null && created >= before) return false;
+            return true;
+        });
+
+        const sortKey = (summary) => this._sortKey(summary, sortBy, sortContext);
+        const direction = order === 'desc' ? -1 : 1;
+        const compare = (a, b) => direction * (IdentityIndex._compare(a.key, b.key) || IdentityIndex._compare(a.id, b.id));
+        const keyed = matches.map(summary => ({ key: sortKey(summary), id: summary.id, summary }));
+        keyed.sort(compare);
+
+        // Keyset pagination: resume strictly after the last item of the previous page,
+        // so identities registered between pages neither repeat nor shift the window
+        let start = 0;
+        if (cursor) {
+            const position = IdentityIndex.decodeCursor(cursor);
+            if (position.sortBy !== sortBy || position.order !== order || (position.sortContext || null) !== sortContext) {
+                throw new Error('Cursor does not match the query sort order');
+            }
+            start = keyed.findIndex(item => compare(item, position) > 0);
+            if (start === -1) start = keyed.length;
+        }
+
+        const page = keyed.slice(start, start + limit);
+        const last = page[page.length - 1];
+        const nextCursor = last && start + limit < keyed.length
+            ? IdentityIndex.encodeCursor({ sortBy, order, sortContext, key: last.key, id: last.id })
+            : null;
+
+        return { items: page.map(item => ({ ...item.summary })), total: keyed.length, nextCursor };
+    }
+
+    static _compare(a, b) {
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+
+    _candidates({ originSystem, lifecycleState, authorityLevel }) {
+        const sets = [];
+        const lookup = (map, values) => {
+            const ids = new Set();
+            [].concat(values).forEach(value => (map.get(value) || []).forEach(id => ids.add(id)));
+            return ids;
+        };
+        if (originSystem) sets.push(lookup(this.byOrigin, originSystem));
+        if (lifecycleState) sets.push(lookup(this.byLifecycleState, lifecycleState));
+        if (authorityLevel) sets.push(lookup(this.byAuthorityLevel, authorityLevel));
+
+        if (sets.length === 0) return Array.from(this.summaries.values());
+
+        // Intersect starting from the most selective index
+        sets.sort((a, b) => a.size - b.size);
+        const [smallest, ...rest] = sets;
+        return Array.from(smallest)
+            .filter(id => rest.every(set => set.has(id)))
+            .map(id => this.summaries.get(id));
+    }
+
+    _sortKey(summary, sortBy, sortContext) {
+        switch (sortBy) {
+            case 'createdAt': return new Date(summary.createdAt).getTime();
+            case 'compositeScore': return summary.compositeScore;
+            case 'contextScore': {
+                const score = summary.contextScores[sortContext];
+                return score === undefined ? -1 : score;
+            }
+            case 'authorityLevel': return AdaptiveGovernanceEngine.LEVEL_ORDER.indexOf(summary.authorityLevel);
+            default: return summary.id;
+        }
+    }
+
+    static encodeCursor(position) {
+        return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+    }
+
+    static decodeCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!position || typeof position.id !== 'string') throw new Error('missing id');
+            return position;
+        } catch (err) {
+            throw new Error('Invalid cursor');
+        }
+    }
+}
+
+export default IdentityIndex;
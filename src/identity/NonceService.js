@@ -0,0 +1,124 @@
+import crypto from 'node:crypto';
+
+/**
+ * NonceService
+ *
+ * Challenge-response replay protection for signed agent actions. The registry
+ * issues single-use nonces with a TTL; an agent signs its message bound to the
+ * nonce, and each nonce can be redeemed exactly once. Unlike the strictly
+ * increasing timestamp check, this tolerates concurrent workers and clock skew.
+ *
+ * State lives in the registry store (`pendingChallenges`, `seenNonces`) next to
+ * `lastActionTimestamps`, so it is persisted with every registry save.
+ */
+class NonceService {
+    static DEFAULTS = {
+        ttlMs: 60 * 1000,          // How long an issued challenge may be answered
+        clockSkewMs: 2 * 60 * 1000, // Accepted distance between a response timestamp and registry time
+        maxSeenNonces: 10000,      // Bound on the redeemed-nonce cache
+        maxPendingChallenges: 10000
+    };
+
+    /**
+     * @param {AgentIdentityRegistry} registry - Owner of the persisted store
+     * @param {Object} [options] - Overrides for NonceService.DEFAULTS
+     */
+    constructor(registry, options = {}) {
+        this.registry = registry;
+        this.config = { ...NonceService.DEFAULTS, ...options };
+    }
+
+    /**
+     * The exact message an agent must sign when answering a challenge.
+     */
+    static responseMessage(nonce, message) {
+        return `${nonce}:${message}`;
+    }
+
+    _state() {
+        const store = this.registry.store;
+        if (!store.pendingChallenges) store.pendingChallenges = {};
+        if (!Array.isArray(store.seenNonces)) store.seenNonces = [];
+        return store;
+    }
+
+    /**
+     * Drop expired challenges and expired entries from the seen cache.
+     */
+    prune(now = Date.now()) {
+        const state = this._state();
+        for (const [nonce, challenge] of Object.entries(state.pendingChallenges)) {
+            if (challenge.expiresAt <= now) delete state.pendingChallenges[nonce];
+        }
+        state.seenNonces = state.seenNonces.filter(([, expiresAt]) => expiresAt > now);
+    }
+
+    /**
+     * Issue a single-use challenge for an agent. The caller is responsible for persisting the store.
+     *
+     * @param {string} agentId
+     * @returns {Object} { nonce, agentId, issuedAt, expiresAt }
+     */
+    issueChallenge(agentId, now = Date.now()) {
+        this.prune(now);
+        const state = this._state();
+
+        const pending = Object.keys(state.pendingChallenges);
+        if (pending.length >= this.config.maxPendingChallenges) {
+            // Evict the oldest outstanding challenge rather than refusing service
+            delete state.pendingChallenges[pending[0]];
+        }
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const challenge = { agentId, issuedAt: now, expiresAt: now + this.config.ttlMs };
+        state.pendingChallenges[nonce] = challenge;
+
+        return {
+            nonce,
+            agentId,
+            issuedAt: new Date(challenge.issuedAt).toISOString(),
+            expiresAt: new Date(challenge.expiresAt).toISOString()
+        };
+    }
+
+    /**
+     * Check that a nonce can be redeemed by this agent. Does not consume it.
+     *
+     * @returns {Object} { valid: boolean, reason?: string }
+     */
+    check({ agentId, nonce, timestamp = null }, now = Date.now()) {
+        const state = this._state();
+
+        if (state.seenNonces.some(([seen]) => seen === nonce)) return { valid: false, reason: 'REPLAY_DETECTED' };
+
+        const challenge = state.pendingChallenges[nonce];
+        if (!challenge) return { valid: false, reason: 'UNKNOWN_NONCE' };
+        if (challenge.agentId !== agentId) return { valid: false, reason: 'NONCE_AGENT_MISMATCH' };
+        if (challenge.expiresAt <= now) return { valid: false, reason: 'NONCE_EXPIRED' };
+
+        if (timestamp) {
+            const ts = new Date(timestamp).getTime();
+            if (isNaN(ts)) return { valid: false, reason: 'INVALID_TIMESTAMP' };
+            if (Math.abs(ts - now) > this.config.clockSkewMs) return { valid: false, reason: 'CLOCK_SKEW_EXCEEDED' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Redeem a nonce: it leaves the pending set and enters the bounded seen cache.
+     */
+    consume(nonce) {
+        const state = this._state();
+        const challenge = state.pendingChallenges[nonce];
+        delete state.pendingChallenges[nonce];
+
+        // Remember redeemed nonces at least until their challenge would have expired
+        state.seenNonces.push([nonce, challenge ? challenge.expiresAt : Date.now() + this.config.ttlMs]);
+        if (state.seenNonces.length > this.config.maxSeenNonces) {
+            state.seenNonces.splice(0, state.seenNonces.length - this.config.maxSeenNonces);
+        }
+    }
+}
+
+export default NonceService;
@@ -0,0 +1,57 @@
+import zlib from 'node:zlib';
+
+/**
+ * RevocationStatusList
+ *
+ * A compressed bitstring in the StatusList2021 style. Each issued credential
+ * owns one bit; a set bit means the credential has been revoked. The encoded
+ * list (gzip + base64url) is published inside a signed status list credential
+ * so verifiers can check revocation without contacting the issuer.
+ */
+class RevocationStatusList {
+    /**
+     * Minimum list length recommended by StatusList2021 for herd privacy.
+     */
+    static DEFAULT_SIZE = 131072;
+
+    /**
+     * @param {number} [size] - Number of entries (bits) in the list
+     * @param {Buffer} [bits] - Existing raw bitstring
+     */
+    constructor(size = RevocationStatusList.DEFAULT_SIZE, bits = null) {
+        this.size = size;
+        this.bits = bits || Buffer.alloc(Math.ceil(size / 8));
+    }
+
+    _check(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size) {
+            throw new Error(`Status list index out of range: ${index}`);
+        }
+    }
+
+    setRevoked(index, revoked = true) {
+        this._check(index);
+        const byte = Math.floor(index / 8);
+        const mask = 1 << (7 - (index % 8));
+        this.bits[byte] = revoked ? (this.bits[byte] | mask) : (this.bits[byte] & ~mask);
+    }
+
+    isRevoked(index) {
+        this._check(index);
+        return (this.bits[Math.floor(index / 8)] & (1 << (7 - (index % 8)))) !== 0;
+    }
+
+    /**
+     * @returns {string} gzip-compressed, base64url-encoded bitstring
+     */
+    encode() {
+        return zlib.gzipSync(this.bits).toString('base64url');
+    }
+
+    static decode(encodedList) {
+        const bits = zlib.gunzipSync(Buffer.from(encodedList, 'base64url'));
+        return new RevocationStatusList(bits.length * 8, bits);
+    }
+}
+
+export default RevocationStatusList;
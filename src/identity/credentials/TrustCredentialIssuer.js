@@ -0,0 +1,181 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { canonicalize } from '../crypto/canonicalize.js';
+import TrustScoringEngine from '../reputation/TrustScoringEngine.js';
+import RevocationStatusList from './RevocationStatusList.js';
+import IdentityLifecycle from '../models/IdentityLifecycle.js';
+
+/**
+ * TrustCredentialIssuer
+ *
+ * Issues signed, expiring trust credentials in the W3C Verifiable Credentials
+ * data model. A credential attests an agent's composite score, context scores
+ * and governance authority level at the moment of issuance, so downstream
+ * services can check it offline with TrustCredentialVerifier instead of
+ * calling the registry live. The authority level is the one the registry
+ * grants: the tenant's governance thresholds, a sub-agent's authority ceiling
+ * and the lifecycle state all apply.
+ */
+class TrustCredentialIssuer {
+    static CREDENTIAL_TYPE = 'AgentTrustCredential';
+    static PROOF_TYPE = 'AgentRegistrySignature';
+    static DEFAULT_VALIDITY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * @param {Object} options
+     * @param {AgentIdentityRegistry} options.registry - Source of identity and performance data
+     * @param {string} options.publicKey - Issuer public key (PEM)
+     * @param {string} options.privateKey - Issuer private key (PEM)
+     * @param {string} [options.issuerId] - Issuer DID (defaults to did:agent:<sha256 of publicKey>)
+     * @param {string} [options.statusListUrl] - Identifier of the published status list credential
+     * @param {string} [options.statePath] - File used to persist status list allocation and revocations
+     * @param {number} [options.validityMs] - Default credential lifetime
+     * @param {number} [options.statusListSize] - Capacity of the revocation status list
+     */
+    constructor({ registry, publicKey, privateKey, issuerId = null, statusListUrl = null, statePath = null, validityMs = TrustCredentialIssuer.DEFAULT_VALIDITY_MS, statusListSize = RevocationStatusList.DEFAULT_SIZE }) {
+        if (!registry) throw new Error('TrustCredentialIssuer requires an AgentIdentityRegistry');
+        if (!publicKey || !privateKey) throw new Error('Issuer publicKey and privateKey are required');
+
+        this.registry = registry;
+        this.publicKey = publicKey;
+        this.privateKey = privateKey;
+        this.algorithm = SignatureSuite.detectAlgorithm(publicKey);
+        this.issuerId = issuerId || `did:agent:${crypto.createHash('sha256').update(publicKey).digest('hex')}`;
+        this.statusListUrl = statusListUrl || `${this.issuerId}/status/1`;
+        this.statePath = statePath;
+        this.validityMs = validityMs;
+        this.statusListSize = statusListSize;
+        this._loadState();
+    }
+
+    _loadState() {
+        this.state = { nextIndex: 0, revoked: [], issued: {} };
+        if (this.statePath && fs.existsSync(this.statePath)) {
+            this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        }
+        this.statusList = new RevocationStatusList(this.statusListSize);
+        this.state.revoked.forEach(index => this.statusList.setRevoked(index));
+    }
+
+    _saveState() {
+        if (!this.statePath) return;
+        fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+    }
+
+    get verificationMethod() {
+        return `${this.issuerId}#key-1`;
+    }
+
+    /**
+     * Sign a document (without its proof) and return a copy with the proof attached.
+     */
+    _sign(document, created) {
+        const proofValue = SignatureSuite.sign(canonicalize(document), this.privateKey, this.algorithm);
+        return {
+            ...document,
+            proof: {
+                type: TrustCredentialIssuer.PROOF_TYPE,
+                algorithm: this.algorithm,
+                created,
+                verificationMethod: this.verificationMethod,
+                proofPurpose: 'assertionMethod',
+                proofValue
+            }
+        };
+    }
+
+    /**
+     * Issue a trust credential for an agent.
+     *
+     * @param {string} agentId
+     * @param {Object} [options]
+     * @param {number} [options.validityMs] - Lifetime override
+     * @returns {Object} Signed verifiable credential
+     */
+    issue(agentId, { validityMs = null } = {}) {
+        const identity = this.registry.getIdentityById(agentId);
+        if (!identity) throw new Error(`Agent identity '${agentId}' not found.`);
+        if (IdentityLifecycle.isBlocked(identity.lifecycleState)) {
+            throw new Error(`Agent identity '${agentId}' is ${identity.lifecycleState.toLowerCase()}.`);
+        }
+
+        const statusListIndex = this.state.nextIndex;
+        if (statusListIndex >= this.statusListSize) throw new Error('Revocation status list is full');
+
+        const profile = TrustScoringEngine.calculateScore(identity.performance, identity.metadata.versionHistory);
+        const now = new Date();
+        const expires = new Date(now.getTime() + (validityMs || this.validityMs));
+        const credentialId = `urn:uuid:${crypto.randomUUID()}`;
+
+        const credential = {
+            '@context': ['https://www.w3.org/2018/credentials/v1'],
+            id: credentialId,
+            type: ['VerifiableCredential', TrustCredentialIssuer.CREDENTIAL_TYPE],
+            issuer: this.issuerId,
+            issuanceDate: now.toISOString(),
+            expirationDate: expires.toISOString(),
+            credentialSubject: {
+                id: identity.id,
+                compositeScore: profile.composite,
+                contextScores: profile.contexts,
+                authorityLevel: identity.getAuthorityLevel(),
+                scoredAt: profile.timestamp
+            },
+            credentialStatus: {
+                id: `${this.statusListUrl}#${statusListIndex}`,
+                type: 'StatusList2021Entry',
+                statusPurpose: 'revocation',
+                statusListIndex: String(statusListIndex),
+                statusListCredential: this.statusListUrl
+            }
+        };
+
+        this.state.nextIndex++;
+        this.state.issued[credentialId] = statusListIndex;
+        this._saveState();
+
+        return this._sign(credential, now.toISOString());
+    }
+
+    /**
+     * Revoke a previously issued credential by id.
+     */
+    revoke(credentialId) {
+        const index = this.state.issued[credentialId];
+        if (index === undefined) throw new Error(`Credential '${credentialId}' was not issued by this issuer.`);
+        if (!this.state.revoked.includes(index)) {
+            this.state.revoked.push(index);
+            this.statusList.setRevoked(index);
+            this._saveState();
+        }
+        return true;
+    }
+
+    /**
+     * Produce the signed status list credential that verifiers use for offline revocation checks.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.validityMs] - How long verifiers may rely on this snapshot
+     */
+    getStatusListCredential({ validityMs = null } = {}) {
+        const now = new Date();
+        const credential = {
+            '@context': ['https://www.w3.org/2018/credentials/v1'],
+            id: this.statusListUrl,
+            type: ['VerifiableCredential', 'StatusList2021Credential'],
+            issuer: this.issuerId,
+            issuanceDate: now.toISOString(),
+            expirationDate: new Date(now.getTime() + (validityMs || this.validityMs)).toISOString(),
+            credentialSubject: {
+                id: `${this.statusListUrl}#list`,
+                type: 'StatusList2021',
+                statusPurpose: 'revocation',
+                encodedList: this.statusList.encode()
+            }
+        };
+        return this._sign(credential, now.toISOString());
+    }
+}
+
+export default TrustCredentialIssuer;
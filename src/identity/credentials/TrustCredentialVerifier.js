@@ -0,0 +1,77 @@
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { canonicalize } from '../crypto/canonicalize.js';
+import RevocationStatusList from './RevocationStatusList.js';
+
+/**
+ * TrustCredentialVerifier
+ *
+ * Offline verification of credentials produced by TrustCredentialIssuer.
+ * Needs only the issuer's public key and a status list credential; it never
+ * touches the registry.
+ */
+class TrustCredentialVerifier {
+    /**
+     * Verify a signed document's proof against the issuer key.
+     */
+    static _verifyProof(document, issuerId, issuerPublicKey) {
+        const { proof, ...unsigned } = document || {};
+        if (!proof || !proof.proofValue) return { valid: false, reason: 'MISSING_PROOF' };
+        if (document.issuer !== issuerId) return { valid: false, reason: 'UNTRUSTED_ISSUER' };
+        if (!proof.verificationMethod || !proof.verificationMethod.startsWith(`${issuerId}#`)) {
+            return { valid: false, reason: 'VERIFICATION_METHOD_MISMATCH' };
+        }
+
+        const ok = SignatureSuite.verify(canonicalize(unsigned), proof.proofValue, issuerPublicKey);
+        return ok ? { valid: true } : { valid: false, reason: 'INVALID_SIGNATURE' };
+    }
+
+    static _isExpired(document, now) {
+        return !document.expirationDate || new Date(document.expirationDate).getTime() <= now.getTime();
+    }
+
+    /**
+     * Verify a trust credential.
+     *
+     * @param {Object} credential - Credential produced by TrustCredentialIssuer.issue
+     * @param {Object} options
+     * @param {string} options.issuerId - Expected issuer DID
+     * @param {string} options.issuerPublicKey - Issuer public key (PEM)
+     * @param {Object} options.statusListCredential - Signed status list from the same issuer
+     * @param {Date} [options.now] - Verification time (defaults to now)
+     * @returns {Object} { valid: boolean, reason?: string, subject?: Object }
+     */
+    static verify(credential, { issuerId, issuerPublicKey, statusListCredential, now = new Date() } = {}) {
+        if (!issuerId || !issuerPublicKey) throw new Error('issuerId and issuerPublicKey are required');
+        if (!credential || !Array.isArray(credential.type) || !credential.type.includes('VerifiableCredential')) {
+            return { valid: false, reason: 'MALFORMED_CREDENTIAL' };
+        }
+
+        const proof = this._verifyProof(credential, issuerId, issuerPublicKey);
+        if (!proof.valid) return proof;
+
+        if (new Date(credential.issuanceDate).getTime() > now.getTime()) return { valid: false, reason: 'NOT_YET_VALID' };
+        if (this._isExpired(credential, now)) return { valid: false, reason: 'EXPIRED' };
+
+        // Revocation: the status list must itself be authentic, current and the one the credential points at
+        const status = credential.credentialStatus;
+        if (status) {
+            if (!statusListCredential) return { valid: false, reason: 'STATUS_LIST_REQUIRED' };
+            if (statusListCredential.id !== status.statusListCredential) return { valid: false, reason: 'STATUS_LIST_MISMATCH' };
+
+            const listProof = this._verifyProof(statusListCredential, issuerId, issuerPublicKey);
+            if (!listProof.valid) return { valid: false, reason: `STATUS_LIST_${listProof.reason}` };
+            if (this._isExpired(statusListCredential, now)) return { valid: false, reason: 'STATUS_LIST_EXPIRED' };
+
+            try {
+                const list = RevocationStatusList.decode(statusListCredential.credentialSubject.encodedList);
+                if (list.isRevoked(parseInt(status.statusListIndex, 10))) return { valid: false, reason: 'REVOKED' };
+            } catch (err) {
+                return { valid: false, reason: 'STATUS_LIST_UNREADABLE' };
+            }
+        }
+
+        return { valid: true, subject: credential.credentialSubject };
+    }
+}
+
+export default TrustCredentialVerifier;
@@ -0,0 +1,132 @@
+import crypto from 'node:crypto';
+
+/**
+ * SignatureSuite
+ *
+ * Central place for signing and verifying agent messages. The algorithm is
+ * detected from the key itself, so identities and ledger entries can mix
+ * RSA-PSS, Ed25519 and ECDSA keys.
+ */
+class SignatureSuite {
+    static ALGORITHMS = {
+        RSA_PSS_SHA256: 'RSA_PSS_SHA256',
+        ED25519: 'ED25519',
+        ECDSA_P256_SHA256: 'ECDSA_P256_SHA256',
+        ECDSA_P384_SHA384: 'ECDSA_P384_SHA384',
+        ECDSA_SECP256K1_SHA256: 'ECDSA_SECP256K1_SHA256'
+    };
+
+    /**
+     * Algorithm assumed for entries and identities recorded before algorithms were tracked.
+     */
+    static DEFAULT_ALGORITHM = 'RSA_PSS_SHA256';
+
+    static _CURVES = {
+        'prime256v1': 'ECDSA_P256_SHA256',
+        'secp384r1': 'ECDSA_P384_SHA384',
+        'secp256k1': 'ECDSA_SECP256K1_SHA256'
+    };
+
+    /**
+     * Detects the signature algorithm from a public or private key (PEM string or KeyObject).
+     *
+     * @param {string|crypto.KeyObject} key
+     * @returns {string|null} One of SignatureSuite.ALGORITHMS, or null if the key cannot be parsed
+     */
+    static detectAlgorithm(key) {
+        let keyObject;
+        try {
+            // createPublicKey also accepts private keys and derives the public half
+            keyObject = key instanceof crypto.KeyObject && key.type === 'public' ? key : crypto.createPublicKey(key);
+        } catch (err) {
+            return null;
+        }
+
+        switch (keyObject.asymmetricKeyType) {
+            case 'rsa':
+            case 'rsa-pss':
+                return this.ALGORITHMS.RSA_PSS_SHA256;
+            case 'ed25519':
+                return this.ALGORITHMS.ED25519;
+            case 'ec':
+                return this._CURVES[keyObject.asymmetricKeyDetails.namedCurve] || null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * True when two public keys (any encoding Node can parse) are the same key.
+     *
+     * @param {string|crypto.KeyObject} a
+     * @param {string|crypto.KeyObject} b
+     * @returns {boolean}
+     */
+    static sameKey(a, b) {
+        try {
+            const der = (key) => crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+            return der(a).equals(der(b));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Node signing parameters (digest + key options) for an algorithm.
+     * @private
+     */
+    static _params(algorithm, key) {
+        switch (algorithm) {
+            case this.ALGORITHMS.RSA_PSS_SHA256:
+                return { digest: 'sha256', key: { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING } };
+            case this.ALGORITHMS.ED25519:
+                return { digest: null, key };
+            case this.ALGORITHMS.ECDSA_P256_SHA256:
+            case this.ALGORITHMS.ECDSA_SECP256K1_SHA256:
+                return { digest: 'sha256', key };
+            case this.ALGORITHMS.ECDSA_P384_SHA384:
+                return { digest: 'sha384', key };
+            default:
+                throw new Error(`Unsupported signature algorithm: ${algorithm}`);
+        }
+    }
+
+    /**
+     * Signs a message and returns a hex signature.
+     *
+     * @param {string|Buffer} message
+     * @param {string|crypto.KeyObject} privateKey
+     * @param {string} [algorithm] - Detected from the key when omitted
+     * @returns {string}
+     */
+    static sign(message, privateKey, algorithm = null) {
+        const alg = algorithm || this.detectAlgorithm(privateKey);
+        if (!alg) throw new Error('Unable to determine signature algorithm from private key');
+
+        const { digest, key } = this._params(alg, privateKey);
+        return crypto.sign(digest, Buffer.from(message), key).toString('hex');
+    }
+
+    /**
+     * Verifies a hex signature. Never throws; malformed input yields false.
+     *
+     * @param {string|Buffer} message
+     * @param {string} signature - hex encoded
+     * @param {string|crypto.KeyObject} publicKey
+     * @param {string} [algorithm] - Detected from the key when omitted
+     * @returns {boolean}
+     */
+    static verify(message, signature, publicKey, algorithm = null) {
+        try {
+            const alg = algorithm || this.detectAlgorithm(publicKey);
+            if (!alg) return false;
+
+            const { digest, key } = this._params(alg, publicKey);
+            return crypto.verify(digest, Buffer.from(message), key, Buffer.from(signature, 'hex'));
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+export default SignatureSuite;
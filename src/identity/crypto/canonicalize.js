@@ -0,0 +1,20 @@
+/**
+ * Deterministic JSON serialization (object keys sorted recursively) used
+ * wherever a structured document is signed, so signatures do not depend on
+ * property insertion order.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value === undefined ? null : value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(v => canonicalize(v)).join(',')}]`;
+    }
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+}
+
+export default canonicalize;
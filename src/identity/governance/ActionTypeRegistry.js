@@ -0,0 +1,354 @@
+import IdentityLifecycle from '../models/IdentityLifecycle.js';
+
+/**
+ * ActionTypeRegistry
+ *
+ * The action types a ledger accepts. Each type has a definition:
+ *
+ *   {
+ *     description,
+ *     schema,      // JSON-Schema-style definition of `details` (see SCHEMA_KEYWORDS)
+ *     trustGraph,  // { edges: [{ type, to, label, metadata, collaboration, tenantField }], performance: { metric: field | amount } }
+ *     reputation   // { success, quality, cooperationScore, economic, violation }
+ *   }
+ *
+ * `addEntry` validates details against the schema and rejects an entry with
+ * the path of every violation (e.g. `details.partners[1]: expected string,
+ * got number`). The feeds say what an entry contributes elsewhere:
+ *
+ * - trustGraph.edges: one edge per agent id found in details[to] (a string
+ *   or an array of them), of type DELEGATION or COLLABORATION, with `label`
+ *   as metadata.type and the listed detail fields copied into the metadata.
+ *   `collaboration` also counts the pair in the collaboration matrix;
+ *   `tenantField` names the detail holding the partner's tenant.
+ * - trustGraph.performance: added to the node's revenue, pnl, violations or
+ *   count, either a detail field or a fixed amount.
+ * - reputation: the type is replayed into agent performance
+ *   (LedgerReplayEngine). `success`, `quality` and `cooperationScore` are
+ *   used when the details do not say; `economic` books revenue and expense
+ *   (true reads pnl/profit, revenue and expense; { pnl, revenue, expense }
+ *   names other detail fields), `violation` counts a policy violation.
+ *
+ * Types without feeds are recorded and verified but change nothing else.
+ * The built-in types cannot be redefined. Custom types are not persisted:
+ * register them again whenever a ledger is opened.
+ */
+class ActionTypeRegistry {
+    static NAME_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+    static SCHEMA_KEYWORDS = [
+        'type', 'description', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+        'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'
+    ];
+    static TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+    static EDGE_TYPES = ['DELEGATION', 'COLLABORATION'];
+    static GRAPH_METRICS = ['revenue', 'pnl', 'violations', 'count'];
+
+    static BUILT_IN = {
+        DELEGATION: {
+            description: 'Work or authority handed to another agent',
+            schema: {
+                type: 'object',
+                required: ['delegatedTo'],
+                properties: { delegatedTo: { type: 'string', minLength: 1 }, scope: { type: 'string' } }
+            },
+            trustGraph: { edges: [{ type: 'DELEGATION', to: 'delegatedTo', metadata: ['scope'] }] }
+        },
+        NEGOTIATION: {
+            description: 'Negotiation round with a counterparty',
+            schema: { type: 'object', properties: { counterparty: { type: 'string', minLength: 1 } } },
+            trustGraph: { edges: [{ type: 'COLLABORATION', to: 'counterparty', label: 'NEGOTIATION', collaboration: true }] }
+        },
+        ECONOMIC_OUTCOME: {
+            description: 'Realized revenue, expense or profit',
+            schema: {
+                type: 'object',
+                properties: {
+                    pnl: { type: 'number' },
+                    profit: { type: 'number' },
+                    revenue: { type: 'number' },
+                    expense: { type: 'number' },
+                    expenses: { type: 'number' },
+                    counterparty: { type: 'string', minLength: 1 }
+                }
+            },
+            trustGraph: { performance: { revenue: 'revenue', pnl: 'pnl', count: 1 } },
+            reputation: { economic: true }
+        },
+        POLICY_VIOLATION: {
+            description: 'Breach of a governance policy',
+            schema: { type: 'object', properties: { policyId: { type: 'string' }, severity: { type: 'string' } } },
+            trustGraph: { performance: { violations: 1 } },
+            reputation: { success: false, quality: 0.1, violation: true }
+        },
+        SANDBOX_PROPOSAL: {
+            description: 'Proposal checked by the pre-execution validator',
+            schema: { type: 'object' }
+        },
+        COOPERATIVE_COLLABORATION: {
+            description: 'Joint work with partner agents',
+            schema: {
+                type: 'object',
+                properties: {
+                    partners: { type: ['string', 'array'], items: { type: 'string', minLength: 1 } },
+                    outcome: { type: 'string' },
+                    quality: { type: 'number', minimum: 0, maximum: 1 },
+                    cooperationScore: { type: 'number', minimum: 0, maximum: 1 }
+                }
+            },
+            trustGraph: { edges: [{ type: 'COLLABORATION', to: 'partners', label: 'COOPERATION', metadata: ['outcome'], collaboration: true }] },
+            reputation: { cooperationScore: 1.0 }
+        },
+        GOVERNANCE_PROFILE_APPLIED: {
+            description: 'Governance profile computed for an agent',
+            schema: { type: 'object', properties: { profile: { type: 'object' } } }
+        },
+        PERMISSION_CHECK: {
+            description: 'Permission decision',
+            schema: { type: 'object', properties: { permission: { type: 'string' }, allowed: { type: 'boolean' } } }
+        },
+        BUDGET_REQUEST: {
+            description: 'Budget request and its result',
+            schema: { type: 'object', properties: { amount: { type: 'number' } } }
+        },
+        LIFECYCLE_TRANSITION: {
+            description: 'Lifecycle change of an identity, recorded by the registry',
+            schema: {
+                type: 'object',
+                required: ['subjectId', 'to'],
+                properties: {
+                    subjectId: { type: 'string', minLength: 1 },
+                    from: { enum: Object.values(IdentityLifecycle.STATES) },
+                    to: { enum: Object.values(IdentityLifecycle.STATES) },
+                    reason: { type: ['string', 'null'] },
+                    actor: { type: ['string', 'null'] },
+                    expiresAt: { type: ['string', 'null'] }
+                }
+            }
+        },
+        CROSS_TENANT_COLLABORATION: {
+            description: 'Approved collaboration with an agent of another tenant',
+            schema: {
+                type: 'object',
+                required: ['collaborationId', 'role', 'partnerTenantId', 'partnerId'],
+                properties: {
+                    collaborationId: { type: 'string', minLength: 1 },
+                    role: { enum: ['INITIATOR', 'PARTNER'] },
+                    partnerTenantId: { type: 'string', minLength: 1 },
+                    partnerId: { type: 'string', minLength: 1 }
+                }
+            },
+            trustGraph: {
+                edges: [{
+                    type: 'COLLABORATION',
+                    to: 'partnerId',
+                    label: 'CROSS_TENANT',
+                    metadata: ['partnerTenantId', 'collaborationId', 'approvedBy', 'outcome'],
+                    collaboration: true,
+                    tenantField: 'partnerTenantId'
+                }]
+            }
+        },
+        COSIGNATURE: {
+            description: 'A named party\'s signature on an entry that requested co-signatures (see LedgerCosignatures)',
+            schema: {
+                type: 'object',
+                required: ['entryIndex', 'entryHash'],
+                additionalProperties: false,
+                properties: {
+                    entryIndex: { type: 'integer', minimum: 0 },
+                    entryHash: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+                }
+            }
+        }
+    };
+
+    /**
+     * @param {Object} [definitions] - name -> definition of custom types to register
+     */
+    constructor(definitions = {}) {
+        this.types = new Map();
+        for (const [name, definition] of Object.entries(ActionTypeRegistry.BUILT_IN)) this.types.set(name, { ...definition, builtIn: true });
+        for (const [name, definition] of Object.entries(definitions)) this.register(name, definition);
+    }
+
+    /**
+     * A registry as given, or one built from a name -> definition map.
+     */
+    static from(actionTypes) {
+        return actionTypes instanceof ActionTypeRegistry ? actionTypes : new ActionTypeRegistry(actionTypes || {});
+    }
+
+    /**
+     * Register a custom action type. Registering an identical definition again is a no-op.
+     *
+     * @param {string} name - Upper-case name, e.g. 'DATA_PURCHASE'
+     * @param {Object} definition - { description, schema, trustGraph, reputation }
+     * @returns {Object} The stored definition
+     */
+    register(name, { description = null, schema = { type: 'object' }, trustGraph = null, reputation = null } = {}) {
+        if (typeof name !== 'string' || !ActionTypeRegistry.NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid action type name '${name}': use upper-case letters, digits and underscores`);
+        }
+        const definition = { description, schema, trustGraph, reputation };
+        ActionTypeRegistry._checkSchema(schema, 'schema');
+        if (![].concat(schema.type).includes('object')) throw new Error(`Schema of ${name} must describe an object (details)`);
+        if (trustGraph) ActionTypeRegistry._checkGraphFeed(trustGraph, name);
+        if (reputation) ActionTypeRegistry._checkReputationFeed(reputation, name);
+
+        const existing = this.types.get(name);
+        if (existing) {
+            if (existing.builtIn) throw new Error(`${name} is a built-in action type and cannot be redefined`);
+            if (JSON.stringify(existing) !== JSON.stringify(definition)) throw new Error(`Action type ${name} is already registered with another definition`);
+            return existing;
+        }
+        this.types.set(name, definition);
+        return definition;
+    }
+
+    has(name) {
+        return this.types.has(name);
+    }
+
+    get(name) {
+        return this.types.get(name) || null;
+    }
+
+    names() {
+        return Array.from(this.types.keys());
+    }
+
+    /**
+     * Whether entries of a type are replayed into agent performance.
+     */
+    feedsReputation(name) {
+        const definition = this.types.get(name);
+        return !!(definition && definition.reputation);
+    }
+
+    /**
+     * Validate the details of an action. Never throws.
+     *
+     * @param {string} name - Action type
+     * @param {*} details
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(name, details) {
+        const definition = this.types.get(name);
+        if (!definition) return { valid: false, errors: [{ path: 'actionType', message: `unknown action type '${name}'` }] };
+        const errors = ActionTypeRegistry.validateValue(definition.schema, details, 'details');
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Errors of a value against a schema, each with the path of the offending value.
+     *
+     * @param {Object} schema
+     * @param {*} value
+     * @param {string} [path]
+     * @returns {Object[]} [{ path, message }]
+     */
+    static validateValue(schema, value, path = 'value') {
+        const errors = [];
+        const error = message => errors.push({ path, message });
+        const actual = ActionTypeRegistry._typeOf(value);
+
+        if (schema.type !== undefined) {
+            const types = [].concat(schema.type);
+            if (!types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+                error(`expected ${types.join(' or ')}, got ${actual === 'integer' ? 'number' : actual}`);
+                return errors;
+            }
+        }
+        if (schema.enum && !schema.enum.some(option => ActionTypeRegistry._equal(option, value))) {
+            error(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (schema.const !== undefined && !ActionTypeRegistry._equal(schema.const, value)) error(`must be ${JSON.stringify(schema.const)}`);
+
+        if (actual === 'number' || actual === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}`);
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) error(`must be > ${schema.exclusiveMinimum}`);
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) error(`must be < ${schema.exclusiveMaximum}`);
+        } else if (actual === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) error(`must be at least ${schema.minLength} characters`);
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) error(`must be at most ${schema.maxLength} characters`);
+            if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) error(`must match ${schema.pattern}`);
+        } else if (actual === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) error(`must have at least ${schema.minItems} items`);
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) error(`must have at most ${schema.maxItems} items`);
+            if (schema.items) value.forEach((item, i) => errors.push(...ActionTypeRegistry.validateValue(schema.items, item, `${path}[${i}]`)));
+        } else if (actual === 'object') {
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+            for (const [key, item] of Object.entries(value)) {
+                if (item === undefined) continue;
+                if (properties[key]) errors.push(...ActionTypeRegistry.validateValue(properties[key], item, `${path}.${key}`));
+                else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+                else if (typeof schema.additionalProperties === 'object') errors.push(...ActionTypeRegistry.validateValue(schema.additionalProperties, item, `${path}.${key}`));
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * JSON type of a value; NaN and infinities are not numbers JSON can carry.
+     */
+    static _typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return 'non-finite number';
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    static _equal(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    static _checkSchema(schema, path) {
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error(`${path} must be an object`);
+        for (const keyword of Object.keys(schema)) {
+            if (!ActionTypeRegistry.SCHEMA_KEYWORDS.includes(keyword)) throw new Error(`${path}: unsupported schema keyword '${keyword}'`);
+        }
+        if (schema.type !== undefined) {
+            const unknown = [].concat(schema.type).filter(type => !ActionTypeRegistry.TYPES.includes(type));
+            if (unknown.length > 0) throw new Error(`${path}: unknown type ${unknown.join(', ')}`);
+        }
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) throw new Error(`${path}.enum must be an array`);
+        if (schema.required !== undefined && !Array.isArray(schema.required)) throw new Error(`${path}.required must be an array`);
+        if (schema.pattern !== undefined) new RegExp(schema.pattern, 'u');
+        for (const [key, property] of Object.entries(schema.properties || {})) ActionTypeRegistry._checkSchema(property, `${path}.properties.${key}`);
+        if (schema.items !== undefined) ActionTypeRegistry._checkSchema(schema.items, `${path}.items`);
+        if (typeof schema.additionalProperties === 'object') ActionTypeRegistry._checkSchema(schema.additionalProperties, `${path}.additionalProperties`);
+    }
+
+    static _checkGraphFeed({ edges = [], performance = {} }, name) {
+        for (const edge of edges) {
+            if (!ActionTypeRegistry.EDGE_TYPES.includes(edge.type)) throw new Error(`${name}: edge type must be one of ${ActionTypeRegistry.EDGE_TYPES.join(', ')}`);
+            if (typeof edge.to !== 'string' || !edge.to) throw new Error(`${name}: edge 'to' must name the detail field holding the target agent(s)`);
+        }
+        for (const [metric, source] of Object.entries(performance)) {
+            if (!ActionTypeRegistry.GRAPH_METRICS.includes(metric)) throw new Error(`${name}: graph metric must be one of ${ActionTypeRegistry.GRAPH_METRICS.join(', ')}`);
+            if (typeof source !== 'string' && !Number.isFinite(source)) throw new Error(`${name}: graph metric ${metric} must be a detail field or a number`);
+        }
+    }
+
+    static _checkReputationFeed({ success, quality, cooperationScore, economic }, name) {
+        if (success !== undefined && typeof success !== 'boolean') throw new Error(`${name}: reputation.success must be a boolean`);
+        if (economic !== undefined && typeof economic !== 'boolean') {
+            const fields = economic && typeof economic === 'object' ? Object.entries(economic) : [];
+            if (fields.length === 0 || fields.some(([key, field]) => !['pnl', 'revenue', 'expense'].includes(key) || typeof field !== 'string')) {
+                throw new Error(`${name}: reputation.economic must be true or map pnl, revenue and expense to detail fields`);
+            }
+        }
+        for (const [key, value] of Object.entries({ quality, cooperationScore })) {
+            if (value !== undefined && !(typeof value === 'number' && value >= 0 && value <= 1)) throw new Error(`${name}: reputation.${key} must be between 0 and 1`);
+        }
+    }
+}
+
+export default ActionTypeRegistry;
@@ -106,16 +106,87 @@ class AdaptiveGovernanceEngine {
                     singleTransactionLimit: 0
                 },
                 validationStrictness: "MANDATORY_HUMAN_IN_THE_LOOP"
+            },
+            SUSPENDED: {
+                label: "Suspended",
+                delegation: {
+                    maxSubAgents: 0,
+                    scope: "NONE",
+                    canDelegateToLowerTrust: false,
+                    autoApprovalThreshold: 1.0
+                },
+                permissions: [],
+                budget: {
+                    ceiling: 0,
+                    dailyLimit: 0,
+                    currency: "USD",
+                    singleTransactionLimit: 0
+                },
+                validationStrictness: "MANDATORY_HUMAN_IN_THE_LOOP"
             }
         }
     };
 
     /**
-     * Computes the governance snapshot based on a trust score.
-     * 
-     * @param {number} trustScore - The composite trust score (0.0 to 1.0)
-     * @returns {Object} A complete governance profile
+     * Authority levels from least to most privileged. Used to apply ceilings.
      */
+    static LEVEL_ORDER = [
+        "SUSPENDED",
+        "PROBATIONARY",
+        "RESTRICTED",
+        "STANDARD_OPERATIONAL",
+        "HIGH_TRUST",
+        "ELITE_AUTHORITY"
+    ];
+
+    /**
+     * Returns the less privileged of `level` and `ceiling` (unknown or missing ceilings are ignored).
+     */
+    static capLevel(level, ceiling = null) {
+        if (!ceiling || !this.LEVEL_ORDER.includes(ceiling)) return level;
+        return this.LEVEL_ORDER.indexOf(ceiling) < this.LEVEL_ORDER.indexOf(level) ? ceiling : level;
+    }
+
+    /**
+     * Returns CONFIG with per-tenant overrides applied. Thresholds are replaced
+     * individually; a level override is merged into the default level, with
+     * `delegation` and `budget` merged field by field and `permissions` replaced.
+     *
+     * @param {Object} [overrides] - { THRESHOLDS, LEVELS } partial configuration
+     * @returns {Object} Effective configuration
+     */
+    static resolveConfig(overrides = null) {
+        if (!overrides) return this.CONFIG;
+
+        const levels = {};
+        for (const [name, defaults] of Object.entries(this.CONFIG.LEVELS)) {
+            const override = (overrides.LEVELS && overrides.LEVELS[name]) || {};
+            levels[name] = {
+                ...defaults,
+                ...override,
+                delegation: { ...defaults.delegation, ...(override.delegation || {}) },
+                budget: { ...defaults.budget, ...(override.budget || {}) }
+            };
+        }
+
+        return {
+            THRESHOLDS: { ...this.CONFIG.THRESHOLDS, ...(overrides.THRESHOLDS || {}) },
+            LEVELS: levels
+        };
+    }
+
+    /**
+     * Lifecycle states that cap the trust-derived level.
+     * SUSPENDED, RETIRED and REVOKED identities get no authority at all;
+     * PROBATION caps the agent at the probationary level regardless of score.
+     */
+    static LIFECYCLE_OVERRIDES = {
+        SUSPENDED: "SUSPENDED",
+        RETIRED: "SUSPENDED",
+        REVOKED: "SUSPENDED",
+        PROBATION: "PROBATIONARY"
+    };
+
     /**
      * Attach an `AgentActivityLedger` instance for recording governance events.
      * @param {AgentActivityLedger} ledger
@@ -129,17 +200,21 @@ class AdaptiveGovernanceEngine {
 
     /**
      * Helper to record an action when an agent context is provided.
-     * agentContext: { identity, privateKey }
+     * agentContext: { identity, privateKey | signer, ledger? } - any Signer (in-process,
+     * keystore or remote helper) can replace the raw key; a context ledger (e.g. the agent's
+     * tenant ledger) takes precedence over the attached one.
      */
     static _maybeRecord(agentContext, actionType, details = {}) {
-        if (!this._ledger || !agentContext) return null;
-        const { identity, privateKey } = agentContext;
-        if (!identity || !privateKey) return null;
+        if (!agentContext) return null;
+        const { identity, privateKey, signer } = agentContext;
+        const ledger = agentContext.ledger || this._ledger;
+        if (!ledger || !identity || (!privateKey && !signer)) return null;
         try {
-            return this._ledger.addEntry({
+            return ledger.addEntry({
                 agentId: identity.id,
                 publicKey: identity.publicKey,
                 privateKey,
+                signer,
                 actionType,
                 details
             });
@@ -150,28 +225,58 @@ class AdaptiveGovernanceEngine {
         }
     }
 
-    static getGovernanceProfile(trustScore, agentContext = null) {
+    /**
+     * Resolves constraints for a call: explicit values win, otherwise they are read
+     * from the identity in the agent context.
+     */
+    static _resolveConstraints(agentContext, constraints = {}) {
+        const identity = agentContext && agentContext.identity;
+        return {
+            lifecycleState: constraints.lifecycleState || (identity && identity.lifecycleState) || null,
+            authorityCeiling: constraints.authorityCeiling || (identity && identity.authorityCeiling) || null,
+            governanceConfig: constraints.governanceConfig || (identity && identity.governanceConfig) || null
+        };
+    }
+
+    /**
+     * Computes the governance snapshot based on a trust score.
+     *
+     * @param {number} trustScore - The composite trust score (0.0 to 1.0)
+     * @param {Object} [agentContext] - { identity, privateKey | signer } for ledger recording
+     * @param {Object} [constraints] - { lifecycleState, authorityCeiling } limits that cap the trust-derived level,
+     *                                  and { governanceConfig } tenant overrides of thresholds and levels
+     * @returns {Object} A complete governance profile
+     */
+    static getGovernanceProfile(trustScore, agentContext = null, constraints = {}) {
+        const { lifecycleState, authorityCeiling, governanceConfig } = this._resolveConstraints(agentContext, constraints);
+        const effective = this.resolveConfig(governanceConfig);
         let level;
 
-        if (trustScore >= this.CONFIG.THRESHOLDS.ELITE) {
+        if (trustScore >= effective.THRESHOLDS.ELITE) {
             level = "ELITE_AUTHORITY";
-        } else if (trustScore >= this.CONFIG.THRESHOLDS.HIGH) {
+        } else if (trustScore >= effective.THRESHOLDS.HIGH) {
             level = "HIGH_TRUST";
-        } else if (trustScore >= this.CONFIG.THRESHOLDS.STANDARD) {
+        } else if (trustScore >= effective.THRESHOLDS.STANDARD) {
             level = "STANDARD_OPERATIONAL";
-        } else if (trustScore >= this.CONFIG.THRESHOLDS.RESTRICTED) {
+        } else if (trustScore >= effective.THRESHOLDS.RESTRICTED) {
             level = "RESTRICTED";
         } else {
             level = "PROBATIONARY";
         }
 
-        const config = JSON.parse(JSON.stringify(this.CONFIG.LEVELS[level]));
+        // Sub-agents never exceed their parent's authority; lifecycle restrictions apply on top
+        level = this.capLevel(level, authorityCeiling);
+        level = this.capLevel(level, this.LIFECYCLE_OVERRIDES[lifecycleState]);
+
+        const config = JSON.parse(JSON.stringify(effective.LEVELS[level]));
 
         const profile = {
             level: level,
             ...config,
             appliedAt: new Date().toISOString(),
-            trustScoreSnapshot: trustScore
+            trustScoreSnapshot: trustScore,
+            lifecycleState: lifecycleState || "ACTIVE",
+            authorityCeiling: authorityCeiling
         };
 
         // Record that a governance profile was generated/applied for this agent
@@ -185,10 +290,12 @@ class AdaptiveGovernanceEngine {
      * 
      * @param {number} trustScore 
      * @param {string} permission 
+     * @param {Object} [agentContext]
+     * @param {Object} [constraints] - { lifecycleState, authorityCeiling, governanceConfig }
      * @returns {boolean}
      */
-    static isActionPermitted(trustScore, permission, agentContext = null) {
-        const profile = this.getGovernanceProfile(trustScore, agentContext);
+    static isActionPermitted(trustScore, permission, agentContext = null, constraints = {}) {
+        const profile = this.getGovernanceProfile(trustScore, agentContext, constraints);
         const allowed = profile.permissions.includes(permission);
         this._maybeRecord(agentContext, 'PERMISSION_CHECK', { permission, allowed, profileLevel: profile.level });
         return allowed;
@@ -199,10 +306,12 @@ class AdaptiveGovernanceEngine {
      * 
      * @param {number} trustScore 
      * @param {number} amount 
+     * @param {Object} [agentContext]
+     * @param {Object} [constraints] - { lifecycleState, authorityCeiling, governanceConfig }
      * @returns {Object} { allowed: boolean, reason: string }
      */
-    static validateBudgetRequest(trustScore, amount, agentContext = null) {
-        const profile = this.getGovernanceProfile(trustScore, agentContext);
+    static validateBudgetRequest(trustScore, amount, agentContext = null, constraints = {}) {
+        const profile = this.getGovernanceProfile(trustScore, agentContext, constraints);
 
         if (amount > profile.budget.singleTransactionLimit) {
             const result = {
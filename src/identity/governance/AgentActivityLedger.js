@@ -1,5 +1,17 @@
 import crypto from 'node:crypto';
 import fs from 'node:fs';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import InProcessSigner from '../signing/InProcessSigner.js';
+import ActionTypeRegistry from './ActionTypeRegistry.js';
+import LedgerCosignatures from './LedgerCosignatures.js';
+import LedgerDisclosureStore from './LedgerDisclosureStore.js';
+import LedgerSegmentStore from './LedgerSegmentStore.js';
+import LedgerSnapshot from './LedgerSnapshot.js';
+import LedgerIndex from './LedgerIndex.js';
+import LedgerMerkleTree from './LedgerMerkleTree.js';
+import LedgerWitness from './LedgerWitness.js';
+import createLedgerMigrator from '../migrations/ledgerMigrations.js';
+import { CURRENT_LEDGER_FORMAT_VERSION } from '../models/LedgerFormatVersion.js';
 
 /**
  * AgentActivityLedger
@@ -7,13 +19,113 @@ import fs from 'node:fs';
  * An immutable, tamper-resistant ledger of agent actions. Each entry is
  * cryptographically chained (prevHash) and signed by the agent's private key.
  * The ledger supports verification of the full chain and individual signatures.
+ * Each entry records its signature algorithm, so RSA-PSS, Ed25519 and ECDSA
+ * signers can share one chain.
+ *
+ * A ledger can belong to a tenant namespace. Tenant ledgers stamp (and hash)
+ * the tenant id into every entry and refuse references to agents outside the
+ * tenant's registry; links to other tenants must go through an explicit
+ * CROSS_TENANT_COLLABORATION entry (see TenantDirectory).
+ *
+ * A ledger opened with `AgentActivityLedger.open` is backed by an append-only
+ * LedgerSegmentStore: every added entry is appended to disk as it is added.
+ * `saveToFile` / `loadFromFile` keep reading and writing the single-document
+ * JSON format.
+ *
+ * Every `checkpointInterval` entries the ledger records a Merkle checkpoint
+ * (tree size and root over the entry hashes, see LedgerMerkleTree). The root
+ * comes from a Merkle frontier addEntry extends, so checkpointing does not
+ * rehash the ledger. Inclusion
+ * proofs let an auditor check one entry against a checkpoint, and consistency
+ * proofs show that a later checkpoint extends an earlier one, without the
+ * rest of the ledger.
+ *
+ * With witnesses configured (see LedgerWitness), every checkpoint is
+ * co-signed by witness identities from the registry before it is recorded,
+ * and `verifyWitnessed` rejects a ledger whose history conflicts with a
+ * checkpoint the witnesses signed.
+ *
+ * `query` and `aggregate` answer audit questions (time range, action type,
+ * counterparty, delegation target, predicates on details) from a LedgerIndex
+ * that addEntry extends with every entry.
+ *
+ * Every action type has a definition in an ActionTypeRegistry: the built-in
+ * types plus custom ones added with `registerActionType`. addEntry rejects
+ * details that do not match the type's schema; the type's feeds decide what
+ * an entry contributes to the TrustGraph and to replayed reputation.
+ *
+ * `onEntry` listeners see every entry as it is added; LedgerEventStream
+ * publishes them as typed events.
+ *
+ * An entry can require co-signatures from the parties it names (see
+ * LedgerCosignatures): it is recorded with a hashed co-signature request,
+ * each party appends a COSIGNATURE entry with `cosign`, and the entry stays
+ * pending until all have signed or the request expires. Types listed in
+ * `cosignedTypes` request co-signatures automatically; the list is empty by
+ * default, so entries recorded before co-signing existed, and by callers that
+ * never asked for it, keep their trust-graph edges. verifyChain checks every
+ * co-signature against the entry it signs.
+ *
+ * Private detail fields (addEntry's `privateFields`, or per type in the
+ * ledger's `privateFields`) are recorded as salted commitments; their plain
+ * values go to a LedgerDisclosureStore. `disclose` proves single fields to a
+ * third party, and `redact` deletes plain values without affecting
+ * verifyChain. Only public details feed the index, the trust graph and
+ * reputation, so replays give the same result before and after a redaction.
+ *
+ * A compacted ledger (see LedgerArchive) starts at a signed LedgerSnapshot:
+ * `entries` holds only the live entries, which continue from the snapshot's
+ * head hash at index `archivedSize()`, and Merkle roots are computed from the
+ * snapshot's frontier. verifyChain starts at the snapshot when its signing
+ * key is in `snapshotKeys`.
  */
 class AgentActivityLedger {
-    constructor(registry = null) {
+    /**
+     * @param {AgentIdentityRegistry} [registry] - Validates identities/signatures
+     * @param {Object} [options]
+     * @param {string} [options.tenantId] - Tenant namespace (defaults to the registry's tenant)
+     * @param {number} [options.checkpointInterval] - Entries between automatic Merkle checkpoints (0 disables, default 1000)
+     * @param {LedgerWitness[]} [options.witnesses] - Witnesses that co-sign every checkpoint (see setWitnesses)
+     * @param {number} [options.witnessQuorum] - Cosignatures a checkpoint needs (default: all witnesses)
+     * @param {string[]} [options.snapshotKeys] - Public keys trusted to sign compaction snapshots
+     * @param {ActionTypeRegistry|Object} [options.actionTypes] - Registry, or name -> definition of custom action types
+     * @param {string[]} [options.cosignedTypes] - Action types whose entries require co-signatures from their named parties
+     *                                              (default none; see LedgerCosignatures.TRUST_BUILDING_TYPES)
+     * @param {number} [options.cosignTtlMs] - Time the parties have to co-sign (default LedgerCosignatures.DEFAULT_TTL_MS)
+     * @param {Object} [options.privateFields] - Action type -> detail fields recorded as commitments
+     * @param {LedgerDisclosureStore} [options.disclosures] - Keeps the plain values of private fields (default: in memory)
+     */
+    constructor(registry = null, options = {}) {
         this.entries = [];
+        this.checkpoints = [];
+        this.snapshot = null; // LedgerSnapshot the live entries continue from, once compacted
+        this.snapshotKeys = options.snapshotKeys || [];
+        this.index = new LedgerIndex(); // query indexes, extended by addEntry
+        this.actionTypes = ActionTypeRegistry.from(options.actionTypes);
+        this.cosignedTypes = options.cosignedTypes || [];
+        this.cosignTtlMs = options.cosignTtlMs || LedgerCosignatures.DEFAULT_TTL_MS;
+        this.cosignatures = { entries: null, byTarget: new Map() }; // valid COSIGNATURE entries by target index, see _cosignatures
+        this.merkle = { entries: this.entries, snapshot: null, frontier: [], checkpoints: new Map() }; // Merkle frontiers, see _merkle
+        this.privateFields = options.privateFields || {};
+        this.disclosures = options.disclosures || new LedgerDisclosureStore();
+        this.checkpointInterval = options.checkpointInterval !== undefined ? options.checkpointInterval : AgentActivityLedger.DEFAULT_CHECKPOINT_INTERVAL;
+        this.store = null; // LedgerSegmentStore when opened with AgentActivityLedger.open
         this.registry = registry; // optional AgentIdentityRegistry to validate identities/signatures
+        this.tenantId = options.tenantId || (registry && registry.tenantId) || null;
+        if (registry && registry.tenantId && registry.tenantId !== this.tenantId) {
+            throw new Error(`Ledger tenant '${this.tenantId}' does not match registry tenant '${registry.tenantId}'`);
+        }
+        this.witnesses = [];
+        this.witnessQuorum = 0;
+        this.listeners = new Set(); // called with every added entry (see onEntry)
+        if (options.witnesses) this.setWitnesses(options.witnesses, { quorum: options.witnessQuorum });
     }
 
+    static DEFAULT_CHECKPOINT_INTERVAL = 1000;
+
+    /**
+     * Built-in action types (see ActionTypeRegistry.BUILT_IN for their definitions).
+     */
     static ACTION_TYPES = {
         DELEGATION: 'DELEGATION',
         NEGOTIATION: 'NEGOTIATION',
@@ -23,7 +135,10 @@ class AgentActivityLedger {
         COOPERATIVE_COLLABORATION: 'COOPERATIVE_COLLABORATION',
         GOVERNANCE_PROFILE_APPLIED: 'GOVERNANCE_PROFILE_APPLIED',
         PERMISSION_CHECK: 'PERMISSION_CHECK',
-        BUDGET_REQUEST: 'BUDGET_REQUEST'
+        BUDGET_REQUEST: 'BUDGET_REQUEST',
+        LIFECYCLE_TRANSITION: 'LIFECYCLE_TRANSITION',
+        CROSS_TENANT_COLLABORATION: 'CROSS_TENANT_COLLABORATION',
+        COSIGNATURE: 'COSIGNATURE'
     };
 
     /**
@@ -39,6 +154,11 @@ class AgentActivityLedger {
             details: entry.details,
             prevHash: entry.prevHash || null
         };
+        // Only tenant entries carry the field, so entries of untenanted ledgers hash as before
+        if (entry.tenantId) copy.tenantId = entry.tenantId;
+        // Likewise only entries that request co-signatures carry the request, and only entries with private fields commitments
+        if (entry.cosign) copy.cosign = entry.cosign;
+        if (entry.commitments) copy.commitments = entry.commitments;
         return JSON.stringify(copy);
     }
 
@@ -55,33 +175,69 @@ class AgentActivityLedger {
      * @param {string} params.agentId - Persistent agent identifier
      * @param {string} params.publicKey - Agent public key (PEM)
      * @param {string} params.privateKey - Agent private key (PEM) used for signing
-     * @param {string} params.actionType - One of AgentActivityLedger.ACTION_TYPES
-     * @param {Object} params.details - Structured details about the action
+     * @param {Signer} [params.signer] - In-process, keystore or remote signer used instead of a raw privateKey (supplies publicKey if omitted)
+     * @param {string} params.actionType - A built-in (AgentActivityLedger.ACTION_TYPES) or registered action type
+     * @param {Object} params.details - Structured details about the action, valid against the type's schema
+     * @param {true|Object} [params.cosign] - Require co-signatures: true for the named parties, or { parties, expiresAt, ttlMs }
+     *                                        (default: requested for `cosignedTypes`, false opts out)
+     * @param {string[]} [params.privateFields] - Detail fields recorded as commitments (default: the ledger's privateFields for the type)
      */
-    addEntry({ agentId, publicKey, privateKey, actionType, details = {}, signature = null, originSystem = null }) {
+    addEntry({ agentId, publicKey, privateKey, signer = null, actionType, details = {}, signature = null, originSystem = null, cosign = null, privateFields = null }) {
         if (!agentId || !actionType) {
             throw new Error('agentId and actionType are required');
         }
 
-        if (!Object.values(AgentActivityLedger.ACTION_TYPES).includes(actionType)) {
-            throw new Error(`Invalid actionType: ${actionType}. Must be one of ${Object.values(AgentActivityLedger.ACTION_TYPES).join(', ')}`);
+        if (!this.actionTypes.has(actionType)) {
+            throw new Error(`Invalid actionType: ${actionType}. Must be one of ${this.actionTypes.names().join(', ')}`);
         }
+        const { valid, errors } = this.actionTypes.validate(actionType, details);
+        if (!valid) {
+            throw new Error(`Invalid details for ${actionType}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        }
+
+        if (this.tenantId) this._checkTenantReferences(actionType, details);
 
-        const index = this.entries.length;
+        const index = this.size();
         const timestamp = new Date().toISOString();
-        const prevHash = index === 0 ? null : this.entries[index - 1].hash;
+        const prevHash = this._hashAt(index - 1);
+
+        if (actionType === AgentActivityLedger.ACTION_TYPES.COSIGNATURE) this._checkCosignature({ index, agentId, timestamp, details });
+        if (cosign === null && this.cosignedTypes.includes(actionType)) cosign = true;
+        const cosignRequest = cosign ? LedgerCosignatures.request(cosign, { actionTypes: this.actionTypes, actionType, details, agentId, timestamp, ttlMs: this.cosignTtlMs }) : null;
+
+        const hidden = privateFields || this.privateFields[actionType] || [];
+        if (hidden.length > 0 && actionType === AgentActivityLedger.ACTION_TYPES.COSIGNATURE) throw new Error('COSIGNATURE details cannot be private');
+        const sealed = LedgerDisclosureStore.seal(details, hidden);
+
+        if (signer) {
+            // Keep the caller's encoding of the key (the registry compares it verbatim) but require the same key
+            if (publicKey && !SignatureSuite.sameKey(publicKey, signer.publicKey)) throw new Error('publicKey does not match the signer');
+            publicKey = publicKey || signer.publicKey;
+        }
+
+        const algorithm = SignatureSuite.detectAlgorithm(publicKey || privateKey);
+        if (!algorithm) {
+            throw new Error('Unable to determine signature algorithm from the provided key');
+        }
+        if (privateKey && publicKey && SignatureSuite.detectAlgorithm(privateKey) !== algorithm) {
+            throw new Error('publicKey and privateKey use different signature algorithms');
+        }
 
         const entry = {
             index,
             timestamp,
             agentId,
             actionType,
-            details,
+            details: sealed.details,
             prevHash,
             hash: null,
             signature: null,
-            publicKey
+            publicKey,
+            algorithm
         };
+        if (this.tenantId) entry.tenantId = this.tenantId;
+        if (cosignRequest) entry.cosign = cosignRequest;
+        if (Object.keys(sealed.commitments).length > 0) entry.commitments = sealed.commitments;
 
         const serialized = AgentActivityLedger._serializeEntryForHash(entry);
         const entryHash = AgentActivityLedger._hash(serialized);
@@ -95,26 +251,18 @@ class AgentActivityLedger {
                 if (!res.valid) throw new Error(`Signature validation failed: ${res.reason}`);
             } else {
                 // Local verification without registry
-                const verified = crypto.verify(
-                    'sha256',
-                    Buffer.from(entryHash),
-                    {
-                        key: publicKey,
-                        padding: crypto.constants.RSA_PKCS1_PSS_PADDING
-                    },
-                    Buffer.from(signature, 'hex')
-                );
+                const verified = SignatureSuite.verify(entryHash, signature, publicKey, algorithm);
                 if (!verified) throw new Error('Invalid signature provided');
             }
             entry.signature = signature;
         } else {
-            // No signature provided: if privateKey is present, sign locally.
-            if (!privateKey) {
-                throw new Error('Either signature or privateKey must be provided to add an entry');
+            // No signature provided: sign with the signer or the private key.
+            if (!privateKey && !signer) {
+                throw new Error('Either signature, signer or privateKey must be provided to add an entry');
             }
 
-            const sig = crypto.sign('sha256', Buffer.from(entryHash), { key: privateKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING });
-            const sigHex = sig.toString('hex');
+            // A raw private key is wrapped so every entry is signed through the Signer contract
+            const sigHex = (signer || new InProcessSigner(privateKey)).sign(entryHash);
 
             // If registry is available, ensure identity exists and validate the signed action
             if (this.registry) {
@@ -137,39 +285,640 @@ class AgentActivityLedger {
         }
 
         // Freeze the entry to prevent in-memory mutation
+        if (entry.cosign) Object.freeze(entry.cosign.parties);
+        if (entry.commitments) Object.freeze(entry.commitments);
         Object.freeze(entry);
 
+        // Persist before the entry becomes visible, so memory never runs ahead of disk. Openings
+        // follow the entry: a failed append must not leave them behind for the next entry at this index
+        if (this.store) this.store.append(entry);
+        if (entry.commitments) this.disclosures.put(index, sealed.openings);
+
         // Append to chain by creating a new entries array (ledger instance is immutable-like)
         const newEntries = this.entries.concat([entry]);
+        // Entries replaced wholesale since the last query are re-indexed lazily instead
+        if (this.index.covers(this.entries)) this.index.add(entry);
+        if (this.cosignatures.entries === this.entries) {
+            this.cosignatures.entries = newEntries;
+            if (actionType === AgentActivityLedger.ACTION_TYPES.COSIGNATURE) this._addCosignature(entry);
+        }
+        if (this.merkle.entries === this.entries) {
+            this.merkle.entries = newEntries;
+            this.merkle.frontier = LedgerMerkleTree.extend(this.merkle.frontier, entry.hash);
+        }
         // Replace internal entries reference (note: constructor froze `this`, but entries array is mutable reference)
         // We deliberately keep a mutable replacement to preserve API simplicity while entries themselves are frozen.
         this.entries = newEntries;
 
+        if (this.checkpointInterval && this.size() % this.checkpointInterval === 0) {
+            try {
+                this.createCheckpoint();
+            } catch (err) {
+                // The entry is recorded; the next checkpoint covers it once enough witnesses sign again
+                console.error(`[AgentActivityLedger] ${err.message}`);
+            }
+        }
+
+        for (const listener of this.listeners) {
+            try {
+                listener(entry);
+            } catch (err) {
+                // A failing listener must not undo or block the append
+                console.error(`[AgentActivityLedger] Entry listener failed: ${err.message}`);
+            }
+        }
+
         return entry;
     }
 
+    /**
+     * Call `listener(entry)` after every entry this ledger adds, once it is persisted.
+     *
+     * @param {Function} listener
+     * @returns {Function} Removes the listener
+     */
+    onEntry(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Register a custom action type for this ledger (see ActionTypeRegistry).
+     *
+     * @param {string} name
+     * @param {Object} definition - { description, schema, trustGraph, reputation }
+     * @returns {Object} The stored definition
+     */
+    registerActionType(name, definition) {
+        return this.actionTypes.register(name, definition);
+    }
+
+    /**
+     * Entries moved to the archive by compaction; the live entries start at this index.
+     */
+    archivedSize() {
+        return this.snapshot ? this.snapshot.treeSize : 0;
+    }
+
+    /**
+     * Number of entries ever added, archived ones included.
+     */
+    size() {
+        return this.archivedSize() + this.entries.length;
+    }
+
+    /**
+     * Hash of the entry at a ledger index: live entries, the snapshot head, or null before genesis.
+     */
+    _hashAt(index) {
+        const base = this.archivedSize();
+        if (index < 0) return null;
+        if (index >= base) return this.entries[index - base].hash;
+        if (index === base - 1) return this.snapshot.headHash;
+        throw new Error(`Entry ${index} is archived`);
+    }
+
+    /**
+     * Configure the witnesses that co-sign checkpoints from now on. With a registry,
+     * every witness must be a registered identity.
+     *
+     * @param {LedgerWitness[]} witnesses - Objects with `witnessId`, `cosign` and `latest` (an empty list disables witnessing)
+     * @param {Object} [options]
+     * @param {number} [options.quorum] - Cosignatures a checkpoint needs (default: all witnesses)
+     */
+    setWitnesses(witnesses, { quorum } = {}) {
+        const list = witnesses || [];
+        const required = quorum === undefined || quorum === null ? list.length : quorum;
+        if (list.length > 0 && (!Number.isInteger(required) || required < 1 || required > list.length)) {
+            throw new Error(`Witness quorum must be between 1 and ${list.length}`);
+        }
+        for (const witness of list) {
+            if (!witness || !witness.witnessId || typeof witness.cosign !== 'function' || typeof witness.latest !== 'function') {
+                throw new Error('Witnesses must provide witnessId, cosign and latest');
+            }
+            if (this.registry && !this.registry.getRaw(witness.witnessId)) {
+                throw new Error(`Witness '${witness.witnessId}' is not a registered identity`);
+            }
+        }
+        if (new Set(list.map(w => w.witnessId)).size !== list.length) throw new Error('Duplicate witness identity');
+
+        this.witnesses = list.slice();
+        this.witnessQuorum = list.length > 0 ? required : 0;
+    }
+
+    /**
+     * Record a Merkle checkpoint of the current ledger (persisted with a store-backed ledger).
+     * Returns the latest checkpoint when no entry was added since. With witnesses configured
+     * the checkpoint carries their cosignatures, and it is not recorded without a quorum.
+     *
+     * @returns {Object} { treeSize, rootHash, lastHash, timestamp, cosignatures? }
+     */
+    createCheckpoint() {
+        const size = this.size();
+        if (size === 0) throw new Error('Cannot checkpoint an empty ledger');
+        const latest = this.checkpoints[this.checkpoints.length - 1];
+        if (latest && latest.treeSize === size) return latest;
+
+        const merkle = this._merkle();
+        const checkpoint = {
+            treeSize: size,
+            rootHash: LedgerMerkleTree.frontierRoot(merkle.frontier),
+            lastHash: this._hashAt(size - 1),
+            timestamp: new Date().toISOString()
+        };
+        if (this.witnesses.length > 0) checkpoint.cosignatures = this._collectCosignatures(checkpoint);
+        Object.freeze(checkpoint);
+        if (this.store) this.store.appendCheckpoint(checkpoint);
+        this.checkpoints = this.checkpoints.concat([checkpoint]);
+        merkle.checkpoints.set(size, merkle.frontier);
+        return checkpoint;
+    }
+
+    /**
+     * Frontier of the whole tree, extended by addEntry, and of every checkpoint tree since
+     * the snapshot. Rebuilt in one pass when the entries or the snapshot were replaced.
+     */
+    _merkle() {
+        if (this.merkle.entries !== this.entries || this.merkle.snapshot !== this.snapshot) {
+            const base = this.archivedSize();
+            const sizes = this.checkpoints.map(c => c.treeSize).filter(size => size >= base);
+            const { frontiers } = LedgerMerkleTree._fold(this._entryHashes(), [...sizes, this.size()], LedgerSnapshot.prefix(this.snapshot));
+            this.merkle = {
+                entries: this.entries,
+                snapshot: this.snapshot,
+                frontier: frontiers.get(this.size()),
+                checkpoints: new Map(sizes.map(size => [size, frontiers.get(size)]))
+            };
+        }
+        return this.merkle;
+    }
+
+    /**
+     * Consistency proof from an earlier checkpoint. Its frontier stands in for the entries it
+     * covers, so only the entries added since are hashed.
+     */
+    _checkpointConsistency(fromSize, toSize) {
+        const frontier = this._merkle().checkpoints.get(fromSize);
+        if (!frontier) return LedgerMerkleTree.consistencyProof(this._entryHashes(), fromSize, toSize, LedgerSnapshot.prefix(this.snapshot));
+        const since = this.entries.slice(fromSize - this.archivedSize()).map(e => e.hash);
+        return LedgerMerkleTree.consistencyProof(since, fromSize, toSize, { size: fromSize, frontier });
+    }
+
+    /**
+     * Ask every witness to co-sign, proving consistency with the last checkpoint each one signed.
+     */
+    _collectCosignatures(checkpoint) {
+        const cosignatures = [];
+        const refusals = [];
+        for (const witness of this.witnesses) {
+            try {
+                const previous = witness.latest(this.tenantId);
+                const consistencyProof = previous && previous.treeSize < checkpoint.treeSize
+                    ? this._checkpointConsistency(previous.treeSize, checkpoint.treeSize)
+                    : null;
+                cosignatures.push(witness.cosign(checkpoint, { tenantId: this.tenantId, consistencyProof }));
+            } catch (err) {
+                refusals.push(`${witness.witnessId}: ${err.message}`);
+            }
+        }
+        if (cosignatures.length < this.witnessQuorum) {
+            throw new Error(`Checkpoint at ${checkpoint.treeSize} entries has ${cosignatures.length} of ${this.witnessQuorum} required witness signatures (${refusals.join('; ')})`);
+        }
+        return cosignatures;
+    }
+
+    getCheckpoints() {
+        return this.checkpoints.slice();
+    }
+
+    _entryHashes() {
+        return this.entries.map(e => e.hash);
+    }
+
+    /**
+     * Audit path proving the entry at `index` is in the tree of the first `treeSize` entries.
+     * By default the proof is for the latest checkpoint that contains the entry, or for the
+     * whole ledger if no checkpoint does yet. Archived entries need the archive (LedgerArchive).
+     *
+     * @param {number} index
+     * @param {Object} [options]
+     * @param {number} [options.treeSize]
+     * @returns {Object} { index, treeSize, entryHash, path, rootHash }
+     */
+    getInclusionProof(index, { treeSize = null } = {}) {
+        const latest = this.checkpoints[this.checkpoints.length - 1];
+        const size = treeSize || (latest && latest.treeSize > index ? latest.treeSize : this.size());
+        const hashes = this._entryHashes();
+        const prefix = LedgerSnapshot.prefix(this.snapshot);
+        const path = LedgerMerkleTree.inclusionProof(hashes, index, size, prefix);
+        return {
+            index,
+            treeSize: size,
+            entryHash: this._hashAt(index),
+            path,
+            rootHash: LedgerMerkleTree.root(hashes, size, prefix)
+        };
+    }
+
+    /**
+     * Check that an entry is in a ledger, given only the entry, its proof and a trusted root.
+     * The entry's own hash and signature are verified too.
+     *
+     * @param {Object} entry - The ledger entry
+     * @param {Object} proof - From getInclusionProof
+     * @param {Object|string} root - Trusted checkpoint ({ treeSize, rootHash }) or root hash
+     * @returns {Object} { valid, reason }
+     */
+    static verifyInclusionProof(entry, proof, root) {
+        const rootHash = typeof root === 'string' ? root : root && root.rootHash;
+        if (!entry || !proof || !rootHash) return { valid: false, reason: 'MALFORMED_PROOF' };
+        if (typeof root === 'object' && root.treeSize !== proof.treeSize) return { valid: false, reason: 'TREE_SIZE_MISMATCH' };
+        if (proof.index !== entry.index) return { valid: false, reason: 'INDEX_MISMATCH' };
+
+        const check = AgentActivityLedger.verifyEntrySignature(entry);
+        if (!check.valid) return { valid: false, reason: check.reason || 'INVALID_SIGNATURE' };
+
+        const included = LedgerMerkleTree.verifyInclusion(LedgerMerkleTree.leafHash(entry.hash), proof.index, proof.treeSize, proof.path, rootHash);
+        return included ? { valid: true } : { valid: false, reason: 'ROOT_MISMATCH' };
+    }
+
+    /**
+     * Proof that the tree of the first `toSize` entries extends the tree of the first `fromSize`.
+     *
+     * @param {number} fromSize
+     * @param {number} [toSize] - Defaults to the whole ledger
+     * @returns {Object} { fromSize, toSize, fromRoot, toRoot, path }
+     */
+    getConsistencyProof(fromSize, toSize = this.size()) {
+        const hashes = this._entryHashes();
+        const prefix = LedgerSnapshot.prefix(this.snapshot);
+        const path = LedgerMerkleTree.consistencyProof(hashes, fromSize, toSize, prefix);
+        const roots = LedgerMerkleTree.rootsAt(hashes, [fromSize, toSize], prefix);
+        return {
+            fromSize,
+            toSize,
+            fromRoot: roots.get(fromSize),
+            toRoot: roots.get(toSize),
+            path
+        };
+    }
+
+    /**
+     * Check that checkpoint `to` extends checkpoint `from`: no entry covered by `from`
+     * was changed, removed or reordered.
+     *
+     * @param {Object} from - Earlier checkpoint { treeSize, rootHash }
+     * @param {Object} to - Later checkpoint { treeSize, rootHash }
+     * @param {Object} proof - From getConsistencyProof
+     * @returns {Object} { valid, reason }
+     */
+    static verifyConsistencyProof(from, to, proof) {
+        if (!from || !to || !proof) return { valid: false, reason: 'MALFORMED_PROOF' };
+        if (proof.fromSize !== from.treeSize || proof.toSize !== to.treeSize) return { valid: false, reason: 'TREE_SIZE_MISMATCH' };
+        const consistent = LedgerMerkleTree.verifyConsistency(from.treeSize, to.treeSize, from.rootHash, to.rootHash, proof.path);
+        return consistent ? { valid: true } : { valid: false, reason: 'INCONSISTENT_CHECKPOINTS' };
+    }
+
+    /**
+     * Recompute every recorded checkpoint from the entries (one pass over the ledger).
+     * Checkpoints inside the archive are checked by LedgerArchive.verify.
+     *
+     * @returns {Object} { valid, reason?, treeSize? }
+     */
+    verifyCheckpoints() {
+        const base = this.archivedSize();
+        const roots = LedgerMerkleTree.rootsAt(this._entryHashes(), this.checkpoints.map(c => c.treeSize), LedgerSnapshot.prefix(this.snapshot));
+        for (const checkpoint of this.checkpoints) {
+            if (checkpoint.treeSize < base) continue;
+            if (checkpoint.treeSize > this.size()) return { valid: false, treeSize: checkpoint.treeSize, reason: 'CHECKPOINT_BEYOND_LEDGER' };
+            if (roots.get(checkpoint.treeSize) !== checkpoint.rootHash || this._hashAt(checkpoint.treeSize - 1) !== checkpoint.lastHash) {
+                return { valid: false, treeSize: checkpoint.treeSize, reason: 'CHECKPOINT_MISMATCH' };
+            }
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Verification mode for witnessed ledgers: the chain must verify, every witnessed
+     * checkpoint must carry a quorum of valid cosignatures, and the ledger must contain
+     * the exact history each witnessed checkpoint covers. Witnessed checkpoints are the
+     * ones recorded in the ledger plus `checkpoints` obtained independently, such as each
+     * witness's `latest()`; cosignatures of the same checkpoint from several sources are
+     * combined. A ledger rewritten or truncated after a witness signed is rejected even
+     * when it was re-signed with the agents' keys. Checkpoints inside the archive of a
+     * compacted ledger are only counted (`archived`): witnesses proved them consistent
+     * with the later checkpoints they signed, which are checked against the live ledger.
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.witnessIds] - Trusted witness identities (default: the configured witnesses)
+     * @param {number} [options.quorum] - Cosignatures required (default: the configured quorum, or all witnessIds)
+     * @param {Object[]} [options.checkpoints] - Previously witnessed checkpoints
+     * @param {AgentIdentityRegistry} [options.registry] - Source of witness keys (default: the ledger's registry)
+     * @returns {Object} { valid, reason?, treeSize?, witnessedSize, archived }
+     */
+    verifyWitnessed({ witnessIds = null, quorum = null, checkpoints = [], registry = null } = {}) {
+        const trustedIds = witnessIds || this.witnesses.map(w => w.witnessId);
+        const required = quorum || (witnessIds ? trustedIds.length : this.witnessQuorum);
+        const keys = registry || this.registry;
+        if (trustedIds.length === 0) throw new Error('No witnesses to verify against');
+        if (!keys) throw new Error('Verifying witness cosignatures requires a registry');
+
+        const chain = this.verifyChain();
+        if (!chain.valid) return { ...chain, witnessedSize: 0, archived: 0 };
+
+        const byStatement = new Map();
+        for (const checkpoint of this.checkpoints.filter(c => c.cosignatures).concat(checkpoints)) {
+            const statement = LedgerWitness.checkpointMessage(checkpoint, this.tenantId);
+            const known = byStatement.get(statement);
+            const cosignatures = (known ? known.cosignatures : []).concat(checkpoint.cosignatures || []);
+            byStatement.set(statement, { ...(known || checkpoint), cosignatures });
+        }
+        const witnessed = Array.from(byStatement.values());
+
+        for (const checkpoint of witnessed) {
+            const signedBy = new Set();
+            for (const cosignature of checkpoint.cosignatures) {
+                if (!trustedIds.includes(cosignature.witnessId)) continue;
+                const check = LedgerWitness.verifyCosignature(checkpoint, cosignature, keys, this.tenantId);
+                if (!check.valid) return { valid: false, treeSize: checkpoint.treeSize, reason: check.reason, witnessedSize: 0, archived: 0 };
+                signedBy.add(cosignature.witnessId);
+            }
+            if (signedBy.size < required) return { valid: false, treeSize: checkpoint.treeSize, reason: 'INSUFFICIENT_WITNESSES', witnessedSize: 0, archived: 0 };
+        }
+
+        const base = this.archivedSize();
+        const roots = LedgerMerkleTree.rootsAt(this._entryHashes(), witnessed.map(c => c.treeSize), LedgerSnapshot.prefix(this.snapshot));
+        let witnessedSize = 0;
+        let archived = 0;
+        for (const checkpoint of witnessed) {
+            if (checkpoint.treeSize > this.size()) {
+                return { valid: false, treeSize: checkpoint.treeSize, reason: 'WITNESSED_CHECKPOINT_BEYOND_LEDGER', witnessedSize: 0, archived: 0 };
+            }
+            if (checkpoint.treeSize < base) {
+                archived++;
+                continue;
+            }
+            if (roots.get(checkpoint.treeSize) !== checkpoint.rootHash || this._hashAt(checkpoint.treeSize - 1) !== checkpoint.lastHash) {
+                return { valid: false, treeSize: checkpoint.treeSize, reason: 'WITNESSED_HISTORY_CONFLICT', witnessedSize: 0, archived: 0 };
+            }
+            witnessedSize = Math.max(witnessedSize, checkpoint.treeSize);
+        }
+        return { valid: true, witnessedSize, archived };
+    }
+
+    /**
+     * Agents referenced by an entry's details (delegation target, counterparty, partners).
+     */
+    static referencedAgents(details = {}) {
+        const partners = Array.isArray(details.partners) ? details.partners : (details.partners ? [details.partners] : []);
+        return [details.delegatedTo, details.counterparty, ...partners].filter(Boolean);
+    }
+
+    /**
+     * Keep a tenant ledger inside its namespace: referenced agents must be registered in the
+     * tenant's registry, and cross-tenant entries must name a partner in a different tenant.
+     */
+    _checkTenantReferences(actionType, details) {
+        if (actionType === AgentActivityLedger.ACTION_TYPES.CROSS_TENANT_COLLABORATION) {
+            if (!details.partnerTenantId || !details.partnerId) {
+                throw new Error('CROSS_TENANT_COLLABORATION requires partnerTenantId and partnerId');
+            }
+            if (details.partnerTenantId === this.tenantId) {
+                throw new Error('CROSS_TENANT_COLLABORATION partner must belong to a different tenant');
+            }
+            return;
+        }
+
+        if (!this.registry) return;
+        for (const referencedId of AgentActivityLedger.referencedAgents(details)) {
+            if (!this.registry.getRaw(referencedId)) {
+                throw new Error(`Agent '${referencedId}' is not registered in tenant '${this.tenantId}'. Use a cross-tenant collaboration to link agents across tenants.`);
+            }
+        }
+    }
+
     getEntries() {
         return this.entries.slice();
     }
 
     /**
-     * Verify the signature of a single entry.
+     * Index over the current entries, rebuilt if the entries were replaced (e.g. by a loader).
+     */
+    _indexed() {
+        if (!this.index.covers(this.entries)) this.index.rebuild(this.entries);
+        return this.index;
+    }
+
+    /**
+     * An agent's entries in ledger order, from the agent index.
+     */
+    getEntriesByAgent(agentId) {
+        const index = this._indexed();
+        return index.entriesOf(agentId).map(i => index.entries[i - index.offset]);
+    }
+
+    /**
+     * Filter and paginate entries. See LedgerIndex.query for the filters.
+     *
+     * @returns {Object} { items, total, nextCursor }
+     */
+    query(query = {}) {
+        return this._indexed().query(query);
+    }
+
+    /**
+     * Count and sum matching entries, optionally grouped. See LedgerIndex.aggregate.
+     *
+     * @returns {Object} { count, sum, groups? }
+     */
+    aggregate(query = {}) {
+        return this._indexed().aggregate(query);
+    }
+
+    /**
+     * The live entry at a ledger index.
+     */
+    _entryAt(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size()) throw new Error(`No entry at index ${index}`);
+        if (index < this.archivedSize()) throw new Error(`Entry ${index} is archived`);
+        return this.entries[index - this.archivedSize()];
+    }
+
+    /**
+     * Valid co-signatures by the index of the entry they sign (agentId -> COSIGNATURE entry),
+     * rebuilt if the entries were replaced.
+     */
+    _cosignatures() {
+        if (this.cosignatures.entries !== this.entries) {
+            this.cosignatures = { entries: this.entries, byTarget: new Map() };
+            const base = this.archivedSize();
+            for (const entry of this.entries) {
+                if (entry.actionType !== AgentActivityLedger.ACTION_TYPES.COSIGNATURE) continue;
+                const target = this.entries[entry.details.entryIndex - base];
+                const signatures = this.cosignatures.byTarget.get(entry.details.entryIndex);
+                if (!LedgerCosignatures.check(entry, target || null) && !(signatures && signatures.has(entry.agentId))) this._addCosignature(entry);
+            }
+        }
+        return this.cosignatures.byTarget;
+    }
+
+    _addCosignature(entry) {
+        const { byTarget } = this.cosignatures;
+        if (!byTarget.has(entry.details.entryIndex)) byTarget.set(entry.details.entryIndex, new Map());
+        byTarget.get(entry.details.entryIndex).set(entry.agentId, entry);
+    }
+
+    /**
+     * A COSIGNATURE entry must sign a live entry that named its agent, before the request expired, once.
+     */
+    _checkCosignature({ index, agentId, timestamp, details }) {
+        const target = this._entryAt(details.entryIndex);
+        const reason = LedgerCosignatures.check({ index, agentId, timestamp, details }, target);
+        if (reason) throw new Error(`Co-signature of entry ${details.entryIndex} rejected: ${reason}`);
+        const signatures = this._cosignatures().get(details.entryIndex);
+        if (signatures && signatures.has(agentId)) throw new Error(`Co-signature of entry ${details.entryIndex} rejected: COSIGNATURE_DUPLICATE`);
+    }
+
+    /**
+     * Co-sign an entry that names the agent as a party, by appending the agent's COSIGNATURE entry.
+     *
+     * @param {Object} params
+     * @param {number} params.index - Index of the entry to co-sign
+     * @param {string} params.agentId - The co-signing party
+     * @param {string} params.publicKey - Party public key (PEM)
+     * @param {string} [params.privateKey] - Party private key (PEM)
+     * @param {Signer} [params.signer] - Used instead of a raw privateKey
+     * @param {string} [params.originSystem]
+     * @returns {Object} The COSIGNATURE entry
+     */
+    cosign({ index, agentId, publicKey, privateKey, signer = null, originSystem = null }) {
+        const target = this._entryAt(index);
+        return this.addEntry({
+            agentId, publicKey, privateKey, signer, originSystem,
+            actionType: AgentActivityLedger.ACTION_TYPES.COSIGNATURE,
+            details: { entryIndex: index, entryHash: target.hash }
+        });
+    }
+
+    /**
+     * Co-signature status of an entry (see LedgerCosignatures.status), or null if it requested none.
+     *
+     * @param {number} index
+     * @param {Date} [now]
+     * @returns {Object|null} { index, status, parties, signed, missing, expiresAt, completedAt }
+     */
+    getCosignatureStatus(index, now = new Date()) {
+        const entry = this._entryAt(index);
+        return entry.cosign ? LedgerCosignatures.status(entry, this._cosignatures().get(index), now) : null;
+    }
+
+    /**
+     * Entries still waiting for co-signatures, optionally only those missing an agent's.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.agentId] - Only entries this agent has yet to co-sign
+     * @param {Date} [options.now]
+     * @returns {Object[]} Statuses, in ledger order
+     */
+    pendingCosignatures({ agentId = null, now = new Date() } = {}) {
+        return this.entries
+            .filter(entry => entry.cosign)
+            .map(entry => LedgerCosignatures.status(entry, this._cosignatures().get(entry.index), now))
+            .filter(status => status.status === LedgerCosignatures.STATUS.PENDING && (!agentId || status.missing.includes(agentId)));
+    }
+
+    /**
+     * An entry's details with the private fields whose plain values are still held.
+     *
+     * @param {number} index
+     * @returns {Object}
+     */
+    revealDetails(index) {
+        const entry = this._entryAt(index);
+        const openings = this.disclosures.get(index);
+        const revealed = { ...entry.details };
+        Object.keys(openings).filter(field => LedgerDisclosureStore.verify(entry, field, openings[field])).forEach(field => { revealed[field] = openings[field].value; });
+        return revealed;
+    }
+
+    /**
+     * Disclose private fields of an entry with a proof: the entry, the fields' openings
+     * and an inclusion proof, checked with verifyDisclosure.
+     *
+     * @param {number} index
+     * @param {string[]} fields
+     * @param {Object} [options] - { treeSize } for the inclusion proof (see getInclusionProof)
+     * @returns {Object} { entry, fields: { field: { value, salt } }, inclusionProof }
+     */
+    disclose(index, fields, options = {}) {
+        const entry = this._entryAt(index);
+        const openings = this.disclosures.get(index);
+        const disclosed = {};
+        for (const field of fields) {
+            if (!entry.commitments || !(field in entry.commitments)) throw new Error(`Entry ${index} has no private field '${field}'`);
+            if (!openings[field]) throw new Error(`Field '${field}' of entry ${index} was redacted`);
+            disclosed[field] = openings[field];
+        }
+        return { entry, fields: disclosed, inclusionProof: this.getInclusionProof(index, options) };
+    }
+
+    /**
+     * Check a disclosure: the entry's hash and signature, every disclosed value against
+     * its commitment and, given a trusted root, the entry's inclusion.
+     *
+     * @param {Object} disclosure - From disclose
+     * @param {string|Object} [root] - Trusted root hash or checkpoint { treeSize, rootHash }
+     * @returns {Object} { valid, reason?, field?, fields?: { field: value } }
+     */
+    static verifyDisclosure(disclosure, root = null) {
+        const { entry = null, fields = {}, inclusionProof = null } = disclosure || {};
+        if (!entry || Object.keys(fields).length === 0) return { valid: false, reason: 'MALFORMED_DISCLOSURE' };
+        const check = root ? AgentActivityLedger.verifyInclusionProof(entry, inclusionProof, root) : AgentActivityLedger.verifyEntrySignature(entry);
+        if (!check.valid) return check;
+        for (const [field, opening] of Object.entries(fields)) {
+            if (!LedgerDisclosureStore.verify(entry, field, opening)) return { valid: false, reason: 'COMMITMENT_MISMATCH', field };
+        }
+        return { valid: true, fields: Object.fromEntries(Object.entries(fields).map(([field, opening]) => [field, opening.value])) };
+    }
+
+    /**
+     * Delete the plain values of private fields. Their commitments stay in the entry,
+     * so the chain keeps verifying; the values can no longer be disclosed.
+     *
+     * @param {number} index
+     * @param {string[]} [fields] - Default: every private field of the entry
+     * @returns {string[]} The fields redacted
+     */
+    redact(index, fields = null) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.size()) throw new Error(`No entry at index ${index}`);
+        return this.disclosures.delete(index, fields);
+    }
+
+    /**
+     * Verify the signature of a single entry, using the entry's own algorithm.
      */
     static verifyEntrySignature(entry) {
         try {
             const serialized = AgentActivityLedger._serializeEntryForHash(entry);
             const expectedHash = AgentActivityLedger._hash(serialized);
             if (expectedHash !== entry.hash) return { valid: false, reason: 'HASH_MISMATCH' };
+            return AgentActivityLedger.verifyHashSignature(entry);
+        } catch (err) {
+            return { valid: false, reason: err.message };
+        }
+    }
 
-            const verified = crypto.verify(
-                'sha256',
-                Buffer.from(entry.hash),
-                {
-                    key: entry.publicKey,
-                    padding: crypto.constants.RSA_PKCS1_PSS_PADDING
-                },
-                Buffer.from(entry.signature, 'hex')
-            );
+    /**
+     * Verify the signature over the entry's recorded hash only. A valid signature over
+     * a hash that no longer matches the content means the content changed after signing.
+     */
+    static verifyHashSignature(entry) {
+        try {
+            // Entries written before algorithms were recorded fall back to detection from the key
+            const detected = SignatureSuite.detectAlgorithm(entry.publicKey);
+            if (entry.algorithm && entry.algorithm !== detected) return { valid: false, reason: 'ALGORITHM_MISMATCH' };
+
+            const verified = SignatureSuite.verify(entry.hash, entry.signature, entry.publicKey, detected);
 
             return { valid: !!verified };
         } catch (err) {
@@ -178,39 +927,74 @@ class AgentActivityLedger {
     }
 
     /**
-     * Verify the entire chain: hashes link up and signatures validate.
+     * Check one entry in place: its hash, its link to the previous hash, its signature,
+     * its tenant and (with a registry) the agent's key at the time.
+     *
+     * @returns {string|null} Failure reason
      */
-    verifyChain() {
-        if (!this.entries || this.entries.length === 0) return { valid: true, reason: 'EMPTY' };
+    _verifyEntry(e, prevHash) {
+        // Verify hash of entry
+        const serialized = AgentActivityLedger._serializeEntryForHash(e);
+        const expectedHash = AgentActivityLedger._hash(serialized);
+        if (expectedHash !== e.hash) return 'HASH_MISMATCH';
 
-        for (let i = 0; i < this.entries.length; i++) {
-            const e = this.entries[i];
+        // Verify prevHash linkage
+        if (e.prevHash !== prevHash) return prevHash === null ? 'GENESIS_PREVHASH_NOT_NULL' : 'CHAIN_LINK_BROKEN';
 
-            // Verify hash of entry
-            const serialized = AgentActivityLedger._serializeEntryForHash(e);
-            const expectedHash = AgentActivityLedger._hash(serialized);
-            if (expectedHash !== e.hash) return { valid: false, index: i, reason: 'HASH_MISMATCH' };
+        // Verify signature
+        const sig = AgentActivityLedger.verifyEntrySignature(e);
+        if (!sig.valid) return sig.reason || 'INVALID_SIGNATURE';
 
-            // Verify prevHash linkage
-            if (i === 0) {
-                if (e.prevHash !== null) return { valid: false, index: i, reason: 'GENESIS_PREVHASH_NOT_NULL' };
-            } else {
-                if (e.prevHash !== this.entries[i - 1].hash) return { valid: false, index: i, reason: 'CHAIN_LINK_BROKEN' };
+        if (this.tenantId && e.tenantId !== this.tenantId) return 'TENANT_MISMATCH';
+
+        // With a registry, the signing key must have been valid for the agent when the entry was written.
+        // Entries signed before a key rotation therefore keep verifying with the retired key.
+        if (this.registry) {
+            const identity = this.registry.getIdentityById(e.agentId);
+            if (identity && identity.getPublicKeyAt(e.timestamp) !== e.publicKey) return 'KEY_NOT_VALID_AT_TIMESTAMP';
+        }
+        return null;
+    }
+
+    /**
+     * Verify the entire chain: hashes link up, signatures validate and every
+     * co-signature signs an entry that named its agent, before the request expired.
+     * A compacted ledger is verified from its snapshot, which must be signed by a
+     * trusted key; LedgerArchive.verify also checks the archived entries.
+     */
+    verifyChain() {
+        const base = this.archivedSize();
+        if (this.snapshot) {
+            const trusted = LedgerSnapshot.verify(this.snapshot, this.snapshotKeys);
+            if (!trusted.valid) return trusted;
+            if (LedgerMerkleTree.root([], base, LedgerSnapshot.prefix(this.snapshot)) !== this.snapshot.rootHash) {
+                return { valid: false, reason: 'SNAPSHOT_FRONTIER_MISMATCH' };
             }
+        } else if (!this.entries || this.entries.length === 0) {
+            return { valid: true, reason: 'EMPTY' };
+        }
 
-            // Verify signature
-            const sig = AgentActivityLedger.verifyEntrySignature(e);
-            if (!sig.valid) return { valid: false, index: i, reason: sig.reason || 'INVALID_SIGNATURE' };
+        const cosignatures = LedgerCosignatures.verifier(base);
+        for (let i = 0; i < this.entries.length; i++) {
+            const e = this.entries[i];
+            const reason = this._verifyEntry(e, this._hashAt(base + i - 1)) || cosignatures(e);
+            if (reason) return { valid: false, index: base + i, reason };
         }
 
-        return { valid: true };
+        // Recorded checkpoints must still match, so a truncated or rewritten history is caught
+        return this.verifyCheckpoints();
     }
 
     toJSON() {
-        return {
+        const payload = {
+            formatVersion: CURRENT_LEDGER_FORMAT_VERSION,
             createdAt: new Date().toISOString(),
-            entries: this.entries
+            entries: this.entries,
+            checkpoints: this.checkpoints
         };
+        if (this.snapshot) payload.snapshot = this.snapshot;
+        if (this.tenantId) payload.tenantId = this.tenantId;
+        return payload;
     }
 
     saveToFile(path) {
@@ -219,13 +1003,133 @@ class AgentActivityLedger {
         return path;
     }
 
-    static loadFromFile(path, registry = null) {
+    /**
+     * Load a ledger: a segment directory (streamed, see LedgerSegmentStore) or a
+     * JSON ledger file. Older formats are upgraded in memory; use
+     * createLedgerMigrator().migrateFile to rewrite a JSON file on disk with a backup.
+     * The loaded ledger is not attached to the store; use `open` to keep appending.
+     *
+     * @param {string} path
+     * @param {AgentIdentityRegistry} [registry]
+     * @param {Object} [options]
+     * @param {string[]} [options.snapshotKeys] - See the constructor
+     * @param {ActionTypeRegistry|Object} [options.actionTypes] - See the constructor
+     */
+    static loadFromFile(path, registry = null, { snapshotKeys, actionTypes } = {}) {
+        if (fs.statSync(path).isDirectory()) {
+            const store = new LedgerSegmentStore(path);
+            // An empty directory takes the registry's tenant (or the snapshot's); otherwise the segment headers decide
+            return AgentActivityLedger._fromSegments(store, registry, store.segments().length > 0 || store.readSnapshot() ? null : (registry && registry.tenantId) || null, { snapshotKeys, actionTypes });
+        }
+
         const raw = fs.readFileSync(path, { encoding: 'utf8' });
-        const parsed = JSON.parse(raw);
-        const ledger = new AgentActivityLedger(registry);
+        const parsed = AgentActivityLedger._upgrade(JSON.parse(raw), path);
+        AgentActivityLedger._checkTenant(parsed.tenantId || null, registry, path);
+        const ledger = new AgentActivityLedger(registry, { tenantId: parsed.tenantId || null, snapshotKeys, actionTypes });
         ledger.entries = (parsed.entries || []).map(e => Object.freeze(e));
+        ledger.checkpoints = (parsed.checkpoints || []).map(c => Object.freeze(c));
+        ledger.snapshot = parsed.snapshot || null;
+        return ledger;
+    }
+
+    /**
+     * Open (or create) an append-only ledger in a segment directory. A torn final
+     * write is repaired, and new entries are appended as they are added.
+     *
+     * @param {string} dirPath - Segment directory
+     * @param {AgentIdentityRegistry} [registry]
+     * @param {Object} [options] - LedgerSegmentStore options ({ fsync, maxSegmentBytes }) and:
+     * @param {string} [options.importFrom] - JSON ledger file copied into a new, empty store
+     * @param {number} [options.checkpointInterval] - See the constructor
+     * @param {LedgerWitness[]} [options.witnesses] - See the constructor
+     * @param {number} [options.witnessQuorum] - See the constructor
+     * @param {string[]} [options.snapshotKeys] - See the constructor
+     * @param {ActionTypeRegistry|Object} [options.actionTypes] - See the constructor
+     * @param {string[]} [options.cosignedTypes] - See the constructor
+     * @param {number} [options.cosignTtlMs] - See the constructor
+     * @param {Object} [options.privateFields] - See the constructor
+     * @param {LedgerDisclosureStore} [options.disclosures] - See the constructor (default: `<dirPath>-private.ndjson`)
+     * @returns {AgentActivityLedger} with `recovery` ({ segment, truncatedBytes } when a torn write was repaired)
+     */
+    static open(dirPath, registry = null, { importFrom = null, checkpointInterval, witnesses, witnessQuorum, snapshotKeys, actionTypes, cosignedTypes, cosignTtlMs, privateFields, disclosures, ...storeOptions } = {}) {
+        const store = new LedgerSegmentStore(dirPath, storeOptions);
+        const { tenantId, recovery } = store.open({ tenantId: (registry && registry.tenantId) || null });
+        const ledger = AgentActivityLedger._fromSegments(store, registry, tenantId, {
+            checkpointInterval, witnesses, witnessQuorum, snapshotKeys, actionTypes, cosignedTypes, cosignTtlMs, privateFields,
+            disclosures: disclosures || new LedgerDisclosureStore({ path: `${dirPath}-private.ndjson`, fsync: storeOptions.fsync })
+        });
+        ledger.recovery = recovery;
+
+        if (ledger.size() === 0 && importFrom && fs.existsSync(importFrom)) {
+            const legacy = AgentActivityLedger.loadFromFile(importFrom, registry);
+            if ((legacy.tenantId || null) !== (tenantId || null)) {
+                throw new Error(`Ledger at ${importFrom} belongs to tenant '${legacy.tenantId}', not '${tenantId}'`);
+            }
+            legacy.entries.forEach(entry => store.append(entry));
+            legacy.checkpoints.forEach(checkpoint => store.appendCheckpoint(checkpoint));
+            store.sync();
+            ledger.entries = legacy.entries;
+            ledger.checkpoints = legacy.checkpoints;
+            ledger.importedFrom = importFrom;
+        }
+
+        ledger.store = store;
         return ledger;
     }
+
+    static _fromSegments(store, registry, tenantId, options = {}) {
+        const snapshot = store.readSnapshot();
+        const base = snapshot ? snapshot.treeSize : 0;
+        if (tenantId === null && snapshot) tenantId = snapshot.tenantId || null;
+        const entries = [];
+        let formatVersion = CURRENT_LEDGER_FORMAT_VERSION;
+        store.forEachEntry((entry, header) => {
+            // Segments a compaction archived but did not get to remove yet
+            if (entry.index < base) return;
+            if (entry.index !== base + entries.length) {
+                throw new Error(`Ledger segment ${header.segment} in ${store.dirPath} is out of sequence at entry ${entry.index}`);
+            }
+            if (tenantId === null) tenantId = header.tenantId || null;
+            formatVersion = Math.min(formatVersion, header.formatVersion || 1);
+            entries.push(entry);
+        });
+
+        const parsed = AgentActivityLedger._upgrade({ formatVersion, entries }, store.dirPath);
+        AgentActivityLedger._checkTenant(tenantId, registry, store.dirPath);
+        const ledger = new AgentActivityLedger(registry, { ...options, tenantId });
+        ledger.entries = parsed.entries.map(e => Object.freeze(e));
+        ledger.checkpoints = store.readCheckpoints().map(c => Object.freeze(c));
+        ledger.snapshot = snapshot;
+        return ledger;
+    }
+
+    static _upgrade(parsed, path) {
+        if ((parsed.formatVersion || 1) >= CURRENT_LEDGER_FORMAT_VERSION) return parsed;
+        const migrated = createLedgerMigrator().apply(parsed);
+        if (!migrated.valid) {
+            const { id, reason } = migrated.errors[0];
+            throw new Error(`Ledger at ${path} cannot be upgraded to format v${CURRENT_LEDGER_FORMAT_VERSION}: entry ${id}: ${reason}`);
+        }
+        return migrated.document;
+    }
+
+    static _checkTenant(tenantId, registry, path) {
+        const registryTenant = (registry && registry.tenantId) || null;
+        if (registry && tenantId !== registryTenant) {
+            throw new Error(`Ledger at ${path} belongs to tenant '${tenantId}', not '${registryTenant}'`);
+        }
+    }
+
+    /**
+     * Flush appended entries to disk (store-backed ledgers only).
+     */
+    sync() {
+        if (this.store) this.store.sync();
+    }
+
+    close() {
+        if (this.store) this.store.close();
+    }
 }
 
 export default AgentActivityLedger;
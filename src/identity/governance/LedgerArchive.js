@@ -0,0 +1,282 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { canonicalize } from '../crypto/canonicalize.js';
+import Signer from '../signing/Signer.js';
+import LedgerReplayEngine from '../reputation/LedgerReplayEngine.js';
+import TrustGraph from '../reputation/TrustGraph.js';
+import AgentActivityLedger from './AgentActivityLedger.js';
+import LedgerCosignatures from './LedgerCosignatures.js';
+import LedgerMerkleTree from './LedgerMerkleTree.js';
+import LedgerSegmentStore from './LedgerSegmentStore.js';
+import LedgerSnapshot from './LedgerSnapshot.js';
+
+/**
+ * LedgerArchive
+ *
+ * Moves closed segments of a store-backed ledger to cold storage. `compact`
+ * copies the segments into an archive directory, records what they add up
+ * to in a signed LedgerSnapshot (Merkle frontier, head hash, replayed agent
+ * performance and the TrustGraph state) and drops them from the live
+ * ledger, which then continues from the snapshot's head hash. Verifying,
+ * replaying and building the trust graph only touch the live entries from
+ * then on.
+ *
+ * `verify` goes further back when asked: it checks the archived segment
+ * files against their recorded digests, re-verifies every archived entry and
+ * recomputes the snapshot from them. `loadWithArchive` stitches archive and
+ * live entries back into a complete ledger.
+ *
+ * An entry is archived together with its co-signatures: compaction stops
+ * while an archived entry still awaits co-signatures, or was completed by one
+ * that would stay live, so the snapshot's trust graph follows from the
+ * archived entries alone.
+ *
+ * The archive directory keeps every snapshot it was compacted into
+ * (snapshot-<treeSize>.json); each links the one before it.
+ */
+class LedgerArchive {
+    /**
+     * Archive directory used when none is given: `<ledger dir>-archive`.
+     */
+    static defaultDir(ledger) {
+        return `${ledger.store.dirPath}-archive`;
+    }
+
+    /**
+     * Archive the closed segments of a ledger opened with AgentActivityLedger.open.
+     *
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} params
+     * @param {Signer} params.signer - Signs the snapshot; its key must be in the snapshotKeys of whoever reopens the ledger
+     * @param {string} [params.archiveDir] - Cold storage directory (default: defaultDir)
+     * @param {boolean} [params.rotate] - Close the current segment first so it is archived too (default false)
+     * @returns {Object} { snapshot, archived, archiveDir }
+     */
+    static compact(ledger, { signer, archiveDir = null, rotate = false } = {}) {
+        if (!ledger.store) throw new Error('Only a ledger opened with AgentActivityLedger.open can be compacted');
+        if (!Signer.isSigner(signer)) throw new Error('Compacting a ledger requires a signer for the snapshot');
+        const store = ledger.store;
+        const dir = path.resolve(archiveDir || LedgerArchive.defaultDir(ledger));
+        const previous = ledger.snapshot;
+        const base = ledger.archivedSize();
+
+        const check = ledger.verifyChain();
+        if (!check.valid) throw new Error(`Ledger cannot be compacted: ${check.reason}${check.index !== undefined ? ` at entry ${check.index}` : ''}`);
+
+        // Segments an interrupted compaction already archived
+        const done = new Set(previous ? previous.archive.segments.map(s => s.number) : []);
+        store.segments().filter(s => done.has(s.number)).forEach(s => store.removeSegment(s.number));
+
+        if (rotate) store.rotate();
+        const closed = store.closedSegments();
+        if (closed.length === 0) throw new Error('No closed segments to archive (pass rotate: true to archive the current one)');
+        const firstIndexes = store.segments().map(s => store._readHeader(s.path).firstIndex).concat([ledger.size()]);
+        const treeSize = firstIndexes[closed.length];
+        const archived = ledger.entries.slice(0, treeSize - base);
+        for (const entry of archived.filter(e => e.cosign)) {
+            const { status, completedAt } = ledger.getCosignatureStatus(entry.index);
+            if (status === LedgerCosignatures.STATUS.PENDING || (completedAt !== null && completedAt >= treeSize)) {
+                throw new Error(`Entry ${entry.index} cannot be archived before all of its co-signatures (${status}); compact once they are recorded in closed segments`);
+            }
+        }
+
+        // State of the archived entries, continued from the previous snapshot
+        const genesis = previous ? { ...previous.state.genesis } : {};
+        const agents = previous ? structuredClone(previous.state.agents) : {};
+        const graph = new TrustGraph({ tenantId: ledger.tenantId, actionTypes: ledger.actionTypes });
+        if (previous) graph.loadState(previous.state.trustGraph);
+        for (const entry of archived) {
+            const raw = ledger.registry && !(entry.agentId in genesis) && ledger.registry.getRaw(entry.agentId);
+            if (raw) genesis[entry.agentId] = raw.metadata.creationTimestamp;
+            LedgerReplayEngine.replayEntry(agents, entry, genesis, ledger.actionTypes);
+        }
+        graph.buildFromLedger(archived);
+
+        const hashes = archived.map(e => e.hash);
+        const prefix = LedgerSnapshot.prefix(previous);
+
+        fs.mkdirSync(dir, { recursive: true });
+        const segments = closed.map((segment, i) => {
+            const file = path.basename(segment.path);
+            const target = path.join(dir, file);
+            fs.copyFileSync(segment.path, target);
+            LedgerArchive._fsync(target);
+            return {
+                number: segment.number,
+                file,
+                firstIndex: firstIndexes[i],
+                lastIndex: firstIndexes[i + 1] - 1,
+                bytes: fs.statSync(target).size,
+                sha256: LedgerArchive._digestFile(target)
+            };
+        });
+
+        const snapshot = LedgerSnapshot.sign({
+            tenantId: ledger.tenantId,
+            treeSize,
+            headHash: archived[archived.length - 1].hash,
+            rootHash: LedgerMerkleTree.root(hashes, treeSize, prefix),
+            frontier: LedgerMerkleTree.frontier(hashes, treeSize, prefix),
+            archive: { location: dir, segments: (previous ? previous.archive.segments : []).concat(segments) },
+            previous: previous ? { treeSize: previous.treeSize, digest: previous.digest } : null,
+            state: { genesis, agents, trustGraph: graph.exportState() },
+            createdAt: new Date().toISOString()
+        }, signer);
+
+        const history = path.join(dir, `snapshot-${treeSize}.json`);
+        fs.writeFileSync(history, JSON.stringify(snapshot, null, 2), 'utf8');
+        LedgerArchive._fsync(history);
+        // The live store switches over here; removing the segments afterwards can be redone
+        store.writeSnapshot(snapshot);
+        closed.forEach(segment => store.removeSegment(segment.number));
+
+        ledger.entries = ledger.entries.slice(treeSize - base);
+        ledger.snapshot = snapshot;
+        if (!ledger.snapshotKeys.includes(signer.publicKey)) ledger.snapshotKeys = ledger.snapshotKeys.concat([signer.publicKey]);
+        return { snapshot, archived: archived.length, archiveDir: dir };
+    }
+
+    /**
+     * Verify a compacted ledger including its archive: the live chain from the
+     * snapshot, the archived segment files, every archived entry, checkpoints
+     * below the snapshot, and the snapshot's root, frontier and state. Never throws.
+     *
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} [options]
+     * @param {string} [options.archiveDir] - Where the archive is now (default: the snapshot's location)
+     * @returns {Object} { valid, reason?, index?, segment?, treeSize?, archived }
+     */
+    static verify(ledger, { archiveDir = null } = {}) {
+        const chain = ledger.verifyChain();
+        if (!chain.valid || !ledger.snapshot) return { ...chain, archived: 0 };
+        const snapshot = ledger.snapshot;
+
+        try {
+            const hashes = [];
+            const agents = {};
+            const cosignatures = LedgerCosignatures.verifier();
+            const graph = new TrustGraph({ tenantId: ledger.tenantId, actionTypes: ledger.actionTypes });
+            let failure = null;
+            const missing = LedgerArchive._forEachArchived(snapshot, archiveDir, entry => {
+                const index = hashes.length;
+                const reason = entry.index !== index ? 'ARCHIVE_OUT_OF_SEQUENCE' : ledger._verifyEntry(entry, index > 0 ? hashes[index - 1] : null) || cosignatures(entry);
+                if (reason) {
+                    failure = { valid: false, index, reason };
+                    return false;
+                }
+                hashes.push(entry.hash);
+                LedgerReplayEngine.replayEntry(agents, entry, snapshot.state.genesis, ledger.actionTypes);
+                graph.buildFromLedger([entry]);
+            });
+            if (missing) return { ...missing, archived: hashes.length };
+            if (failure) return { ...failure, archived: hashes.length };
+            if (hashes.length !== snapshot.treeSize) return { valid: false, reason: 'ARCHIVE_INCOMPLETE', archived: hashes.length };
+            if (hashes[hashes.length - 1] !== snapshot.headHash) return { valid: false, reason: 'SNAPSHOT_HEAD_MISMATCH', archived: hashes.length };
+
+            const archivedCheckpoints = ledger.getCheckpoints().filter(c => c.treeSize <= snapshot.treeSize);
+            const roots = LedgerMerkleTree.rootsAt(hashes, archivedCheckpoints.map(c => c.treeSize).concat([snapshot.treeSize]));
+            for (const checkpoint of archivedCheckpoints) {
+                if (roots.get(checkpoint.treeSize) !== checkpoint.rootHash || hashes[checkpoint.treeSize - 1] !== checkpoint.lastHash) {
+                    return { valid: false, reason: 'CHECKPOINT_MISMATCH', treeSize: checkpoint.treeSize, archived: hashes.length };
+                }
+            }
+            const frontier = LedgerMerkleTree.frontier(hashes, snapshot.treeSize);
+            if (roots.get(snapshot.treeSize) !== snapshot.rootHash || canonicalize(frontier) !== canonicalize(snapshot.frontier)) {
+                return { valid: false, reason: 'SNAPSHOT_ROOT_MISMATCH', archived: hashes.length };
+            }
+            const state = { agents, trustGraph: graph.exportState() };
+            if (canonicalize(state) !== canonicalize({ agents: snapshot.state.agents, trustGraph: snapshot.state.trustGraph })) {
+                return { valid: false, reason: 'SNAPSHOT_STATE_MISMATCH', archived: hashes.length };
+            }
+            return { valid: true, archived: hashes.length };
+        } catch (err) {
+            return { valid: false, reason: err.message, archived: 0 };
+        }
+    }
+
+    /**
+     * A complete, in-memory ledger of archived and live entries (no snapshot), e.g. to
+     * regenerate a registry. The archived segments must match their recorded digests.
+     *
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} [options]
+     * @param {string} [options.archiveDir] - Where the archive is now (default: the snapshot's location)
+     * @returns {AgentActivityLedger}
+     */
+    static loadWithArchive(ledger, { archiveDir = null } = {}) {
+        const full = new AgentActivityLedger(ledger.registry, {
+            tenantId: ledger.tenantId,
+            checkpointInterval: ledger.checkpointInterval,
+            actionTypes: ledger.actionTypes,
+            cosignedTypes: ledger.cosignedTypes,
+            privateFields: ledger.privateFields,
+            disclosures: ledger.disclosures
+        });
+        full.checkpoints = ledger.getCheckpoints();
+        if (!ledger.snapshot) {
+            full.entries = ledger.getEntries();
+            return full;
+        }
+
+        const archived = [];
+        const missing = LedgerArchive._forEachArchived(ledger.snapshot, archiveDir, entry => { archived.push(Object.freeze(entry)); });
+        if (missing) throw new Error(`Archive of ${ledger.snapshot.treeSize} entries is unusable: ${missing.reason} (segment ${missing.segment})`);
+        full.entries = archived.concat(ledger.getEntries());
+        return full;
+    }
+
+    /**
+     * Stream the archived entries of a snapshot as `fn(entry)` after checking each
+     * segment file's digest. Returning false from `fn` stops the scan.
+     *
+     * @returns {Object|null} { valid: false, reason, segment } for a missing or modified segment
+     */
+    static _forEachArchived(snapshot, archiveDir, fn) {
+        const dir = archiveDir || snapshot.archive.location;
+        for (const segment of snapshot.archive.segments) {
+            const file = path.join(dir, segment.file);
+            if (!fs.existsSync(file)) return { valid: false, reason: 'ARCHIVE_SEGMENT_MISSING', segment: segment.number };
+            if (LedgerArchive._digestFile(file) !== segment.sha256) return { valid: false, reason: 'ARCHIVE_SEGMENT_MODIFIED', segment: segment.number };
+
+            let header = true;
+            let stopped = false;
+            LedgerSegmentStore._forEachLine(file, line => {
+                if (header) {
+                    header = false;
+                    return;
+                }
+                if (fn(JSON.parse(line)) === false) {
+                    stopped = true;
+                    return false;
+                }
+            });
+            if (stopped) return null;
+        }
+        return null;
+    }
+
+    static _digestFile(file) {
+        const hash = crypto.createHash('sha256');
+        const fd = fs.openSync(file, 'r');
+        const chunk = Buffer.alloc(LedgerSegmentStore.READ_CHUNK_BYTES);
+        try {
+            let read;
+            while ((read = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) hash.update(chunk.subarray(0, read));
+        } finally {
+            fs.closeSync(fd);
+        }
+        return hash.digest('hex');
+    }
+
+    static _fsync(file) {
+        const fd = fs.openSync(file, 'r');
+        try {
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+export default LedgerArchive;
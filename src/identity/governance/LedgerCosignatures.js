@@ -0,0 +1,139 @@
+/**
+ * LedgerCosignatures
+ *
+ * Entries that every named party must sign. The recording agent adds the
+ * entry with a co-signature request, which is part of the hashed entry:
+ *
+ *   cosign: { parties: [agentId, ...], expiresAt }
+ *
+ * Each party then appends a COSIGNATURE entry signed with its own key, whose
+ * details name the entry ({ entryIndex, entryHash }). The ledger stays
+ * append-only; the request's status follows from the COSIGNATURE entries:
+ * PENDING until every party has signed, COMPLETE once all have, EXPIRED when
+ * `expiresAt` passed first. Signatures after `expiresAt` are rejected.
+ *
+ * By default the parties are the entry's named parties: the agents its action
+ * type's trust-graph edges point to (delegatedTo, counterparty, partners, ...),
+ * without the recorder.
+ */
+class LedgerCosignatures {
+    static ACTION_TYPE = 'COSIGNATURE';
+    static DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+    static STATUS = { PENDING: 'PENDING', COMPLETE: 'COMPLETE', EXPIRED: 'EXPIRED' };
+    // Types whose trust-graph edges vouch for another agent, to pass as a ledger's cosignedTypes
+    static TRUST_BUILDING_TYPES = ['NEGOTIATION', 'DELEGATION', 'COOPERATIVE_COLLABORATION'];
+
+    /**
+     * The agents an action names: targets of its type's trust-graph edges, without the recorder.
+     *
+     * @param {ActionTypeRegistry} actionTypes
+     * @param {string} actionType
+     * @param {Object} details
+     * @param {string} agentId - The recording agent
+     * @returns {string[]}
+     */
+    static namedParties(actionTypes, actionType, details = {}, agentId = null) {
+        const definition = actionTypes.get(actionType);
+        const edges = (definition && definition.trustGraph && definition.trustGraph.edges) || [];
+        const parties = edges.flatMap(edge => [].concat(details[edge.to] || []));
+        return Array.from(new Set(parties)).filter(party => party !== agentId);
+    }
+
+    /**
+     * The co-signature request to record with a new entry.
+     *
+     * @param {true|Object} option - true, or { parties, expiresAt, ttlMs }
+     * @param {Object} context - { actionTypes, actionType, details, agentId, timestamp, ttlMs }
+     * @returns {Object|null} { parties, expiresAt }, or null when the action names no other party
+     */
+    static request(option, { actionTypes, actionType, details, agentId, timestamp, ttlMs = LedgerCosignatures.DEFAULT_TTL_MS }) {
+        const { parties = null, expiresAt = null, ttlMs: entryTtlMs = ttlMs } = option === true ? {} : option;
+        if (actionType === LedgerCosignatures.ACTION_TYPE) throw new Error('A co-signature cannot itself request co-signatures');
+        const required = parties || LedgerCosignatures.namedParties(actionTypes, actionType, details, agentId);
+        if (!Array.isArray(required) || required.some(party => typeof party !== 'string' || !party)) {
+            throw new Error('cosign.parties must be a list of agent ids');
+        }
+        if (required.includes(agentId)) throw new Error('The recording agent cannot be its own co-signer');
+        if (required.length === 0) {
+            if (parties) throw new Error('cosign.parties must name at least one agent');
+            return null;
+        }
+        const deadline = expiresAt ? new Date(expiresAt) : new Date(new Date(timestamp).getTime() + entryTtlMs);
+        if (isNaN(deadline.getTime()) || deadline.toISOString() <= timestamp) throw new Error('cosign.expiresAt must be a time after the entry');
+        return { parties: Array.from(new Set(required)), expiresAt: deadline.toISOString() };
+    }
+
+    /**
+     * Whether a recorded request is well formed.
+     */
+    static isWellFormed(cosign, entry) {
+        return !!cosign && entry.actionType !== LedgerCosignatures.ACTION_TYPE
+            && Array.isArray(cosign.parties) && cosign.parties.length > 0 && new Set(cosign.parties).size === cosign.parties.length
+            && cosign.parties.every(party => typeof party === 'string' && party && party !== entry.agentId)
+            && typeof cosign.expiresAt === 'string' && !isNaN(new Date(cosign.expiresAt).getTime()) && cosign.expiresAt > entry.timestamp;
+    }
+
+    /**
+     * Checks requests and co-signatures entry by entry, in ledger order. It keeps
+     * only the requests it has seen, so it can follow a streamed ledger.
+     *
+     * @param {number} [from] - First index streamed; co-signatures of earlier entries are skipped
+     * @returns {Function} (entry) => failure reason or null
+     */
+    static verifier(from = 0) {
+        const requests = new Map(); // index -> { index, hash, cosign }
+        const signed = new Map(); // index -> Set of co-signers
+        return entry => {
+            if (entry.cosign !== undefined) {
+                if (!LedgerCosignatures.isWellFormed(entry.cosign, entry)) return 'COSIGN_REQUEST_INVALID';
+                requests.set(entry.index, { index: entry.index, hash: entry.hash, cosign: entry.cosign });
+            }
+            if (entry.actionType !== LedgerCosignatures.ACTION_TYPE) return null;
+            const { entryIndex } = entry.details || {};
+            if (entryIndex < from) return null;
+            const reason = LedgerCosignatures.check(entry, requests.get(entryIndex) || null);
+            if (reason) return reason;
+            const parties = signed.get(entryIndex) || new Set();
+            if (parties.has(entry.agentId)) return 'COSIGNATURE_DUPLICATE';
+            signed.set(entryIndex, parties.add(entry.agentId));
+            return null;
+        };
+    }
+
+    /**
+     * Check a COSIGNATURE entry against the entry it signs.
+     *
+     * @param {Object} cosignature - { index, agentId, timestamp, details: { entryIndex, entryHash } }
+     * @param {Object|null} target - The entry at details.entryIndex, if known
+     * @returns {string|null} Failure reason
+     */
+    static check(cosignature, target) {
+        const { entryIndex, entryHash } = cosignature.details || {};
+        if (!target || target.index !== entryIndex || entryIndex >= cosignature.index) return 'COSIGNATURE_TARGET_UNKNOWN';
+        if (target.hash !== entryHash) return 'COSIGNATURE_TARGET_MISMATCH';
+        if (!target.cosign) return 'COSIGNATURE_NOT_REQUESTED';
+        if (!target.cosign.parties.includes(cosignature.agentId)) return 'COSIGNER_NOT_A_PARTY';
+        if (cosignature.timestamp > target.cosign.expiresAt) return 'COSIGNATURE_EXPIRED';
+        return null;
+    }
+
+    /**
+     * Status of an entry's request, given its valid co-signatures.
+     *
+     * @param {Object} entry - Entry with a cosign request
+     * @param {Map} [signatures] - agentId -> COSIGNATURE entry
+     * @param {Date} [now]
+     * @returns {Object} { index, status, parties, signed, missing, expiresAt, completedAt }
+     */
+    static status(entry, signatures = new Map(), now = new Date()) {
+        const { parties, expiresAt } = entry.cosign;
+        const signed = parties.filter(party => signatures.has(party));
+        const missing = parties.filter(party => !signatures.has(party));
+        let status = LedgerCosignatures.STATUS.COMPLETE;
+        if (missing.length > 0) status = now.toISOString() > expiresAt ? LedgerCosignatures.STATUS.EXPIRED : LedgerCosignatures.STATUS.PENDING;
+        const completedAt = missing.length === 0 ? Math.max(...signed.map(party => signatures.get(party).index)) : null;
+        return { index: entry.index, status, parties, signed, missing, expiresAt, completedAt };
+    }
+}
+
+export default LedgerCosignatures;
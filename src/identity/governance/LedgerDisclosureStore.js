@@ -0,0 +1,166 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import { canonicalize } from '../crypto/canonicalize.js';
+import LedgerSegmentStore from './LedgerSegmentStore.js';
+
+/**
+ * LedgerDisclosureStore
+ *
+ * Plain values of the private detail fields of ledger entries. A private
+ * field is not written into the entry's details; the entry carries a salted
+ * commitment to it instead, which is hashed and signed with the rest:
+ *
+ *   commitments: { price: sha256(canonical { field, salt, value }) }
+ *
+ * The value and its salt (the field's opening) are kept here, by entry
+ * index. Disclosing a field hands out its opening, and anyone holding the
+ * entry can recompute the commitment. Redacting deletes the opening: the
+ * entry, its hash and the chain stay as they were, and the random salt keeps
+ * the value from being guessed from its commitment.
+ *
+ * `path` keeps the openings in an append log, owner-readable only, with
+ * one { index, openings } line per recorded entry, so adding an entry
+ * appends a line instead of rewriting the file. A redaction compacts the log
+ * (write, sync, rename) so the removed values do not linger in it. Without a
+ * path the store lives in memory.
+ */
+class LedgerDisclosureStore {
+    static SALT_BYTES = 32;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.path] - NDJSON log persisting the openings
+     * @param {string} [options.fsync] - 'never' leaves syncing to the OS; any other LedgerSegmentStore mode syncs every write
+     */
+    constructor({ path = null, fsync = 'always' } = {}) {
+        this.path = path;
+        this.fsync = fsync;
+        this._load();
+    }
+
+    /**
+     * Replay the log. A torn final append is truncated first, so the next put
+     * starts on a line of its own.
+     */
+    _load() {
+        this.entries = new Map(); // index -> { field: { value, salt } }
+        if (!this.path || !fs.existsSync(this.path)) return;
+        const { size, goodEnd } = LedgerSegmentStore._completeLength(this.path);
+        if (goodEnd < size) {
+            fs.truncateSync(this.path, goodEnd);
+            console.error(`[LedgerDisclosureStore] Recovered torn write: truncated ${size - goodEnd} bytes from ${this.path}.`);
+        }
+        LedgerSegmentStore._forEachLine(this.path, line => {
+            const { index, openings } = JSON.parse(line);
+            this.entries.set(index, { ...(this.entries.get(index) || {}), ...openings });
+        });
+    }
+
+    _write(file, flags, text) {
+        const fd = fs.openSync(file, flags, 0o600);
+        try {
+            fs.writeSync(fd, text);
+            if (this.fsync !== 'never') fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    static _line(index, openings) {
+        return `${JSON.stringify({ index, openings })}\n`;
+    }
+
+    /**
+     * Rewrite the log with only the openings still held.
+     */
+    _compact() {
+        if (!this.path) return;
+        const tmp = `${this.path}.tmp`;
+        const lines = Array.from(this.entries, ([index, openings]) => LedgerDisclosureStore._line(index, openings));
+        this._write(tmp, 'w', lines.join(''));
+        fs.renameSync(tmp, this.path);
+    }
+
+    /**
+     * Commitment to one field value.
+     *
+     * @param {string} field
+     * @param {*} value
+     * @param {string} salt - Hex
+     * @returns {string} sha256 hex
+     */
+    static commit(field, value, salt) {
+        return crypto.createHash('sha256').update(canonicalize({ field, salt, value })).digest('hex');
+    }
+
+    /**
+     * Split details into the public ones, commitments to the private fields and their openings.
+     * Private fields absent from the details are skipped.
+     *
+     * @param {Object} details
+     * @param {string[]} fields - Private field names
+     * @returns {Object} { details, commitments, openings: { field: { value, salt } } }
+     */
+    static seal(details, fields) {
+        const open = { ...details };
+        const commitments = {};
+        const openings = {};
+        for (const field of fields.filter(f => f in details)) {
+            const salt = crypto.randomBytes(LedgerDisclosureStore.SALT_BYTES).toString('hex');
+            openings[field] = { value: details[field], salt };
+            commitments[field] = LedgerDisclosureStore.commit(field, details[field], salt);
+            delete open[field];
+        }
+        return { details: open, commitments, openings };
+    }
+
+    /**
+     * Whether an opening matches the entry's commitment to the field.
+     */
+    static verify(entry, field, opening) {
+        const commitment = entry.commitments && entry.commitments[field];
+        return !!commitment && !!opening && typeof opening.salt === 'string'
+            && LedgerDisclosureStore.commit(field, opening.value, opening.salt) === commitment;
+    }
+
+    /**
+     * Record the openings of an entry's private fields.
+     *
+     * @param {number} index
+     * @param {Object} openings - field -> { value, salt }
+     */
+    put(index, openings) {
+        if (this.path) this._write(this.path, 'a', LedgerDisclosureStore._line(index, openings));
+        this.entries.set(index, { ...(this.entries.get(index) || {}), ...openings });
+    }
+
+    /**
+     * Openings still held for an entry.
+     *
+     * @param {number} index
+     * @returns {Object} field -> { value, salt }
+     */
+    get(index) {
+        return { ...(this.entries.get(index) || {}) };
+    }
+
+    /**
+     * Delete openings for good.
+     *
+     * @param {number} index
+     * @param {string[]} [fields] - Default: every field of the entry
+     * @returns {string[]} The fields removed
+     */
+    delete(index, fields = null) {
+        const held = { ...(this.entries.get(index) || {}) };
+        const removed = (fields || Object.keys(held)).filter(field => field in held);
+        if (removed.length === 0) return removed;
+        removed.forEach(field => { delete held[field]; });
+        if (Object.keys(held).length === 0) this.entries.delete(index);
+        else this.entries.set(index, held);
+        this._compact();
+        return removed;
+    }
+}
+
+export default LedgerDisclosureStore;
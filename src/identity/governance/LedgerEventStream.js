@@ -0,0 +1,265 @@
+import http from 'node:http';
+
+/**
+ * LedgerEventStream
+ *
+ * Publishes a ledger as typed events, to in-process subscribers and over a
+ * local HTTP server-sent-events endpoint. Every added entry is a
+ * `ledger.entry` event; entries recorded by the governance components also
+ * produce a governance event:
+ *
+ *   governance.profile_changed  GOVERNANCE_PROFILE_APPLIED at a level other than the agent's previous one
+ *   validation.rejected         POLICY_VIOLATION, or a denied BUDGET_REQUEST or PERMISSION_CHECK
+ *   identity.revoked            LIFECYCLE_TRANSITION to REVOKED
+ *
+ * Each event carries the ledger index of its entry. A subscriber that keeps
+ * the last index it handled resumes after a restart with `fromIndex: last + 1`:
+ * it first receives the events of the entries it missed, then live ones. Over
+ * SSE the index is the event id, so a reconnecting EventSource resumes through
+ * Last-Event-ID.
+ *
+ * Governance events only exist for what reaches the ledger: attach it to
+ * AdaptiveGovernanceEngine and PreExecutionValidator (or pass it in the agent
+ * context), and to the registry for lifecycle transitions. A revocation no
+ * ledger recorded can be handed to `publishRevocation`; it reaches live
+ * subscribers only, with a null index, since there is no entry to resume from.
+ */
+class LedgerEventStream {
+    static EVENT_TYPES = {
+        ENTRY: 'ledger.entry',
+        PROFILE_CHANGED: 'governance.profile_changed',
+        VALIDATION_REJECTED: 'validation.rejected',
+        IDENTITY_REVOKED: 'identity.revoked'
+    };
+
+    static DEFAULT_HEARTBEAT_MS = 15000;
+
+    /**
+     * @param {AgentActivityLedger} ledger
+     */
+    constructor(ledger) {
+        this.ledger = ledger;
+        this.subscribers = new Set();
+        this.levels = new Map(); // agentId -> level of its last governance profile, for profile_changed
+        for (const entry of ledger.entries) LedgerEventStream._eventsFor(entry, this.levels);
+        this._removeListener = ledger.onEntry(entry => this._publish(entry));
+        this.server = null;
+        this.responses = new Set();
+        this.url = null;
+    }
+
+    /**
+     * The events an entry produces. `levels` tracks each agent's governance level
+     * across calls; a compacted ledger starts from the live entries, so an agent's
+     * first profile after the snapshot counts as a change.
+     */
+    static _eventsFor(entry, levels) {
+        const { EVENT_TYPES } = LedgerEventStream;
+        const { index, timestamp, agentId, actionType, details = {} } = entry;
+        const event = (type, data) => ({ type, index, timestamp, agentId, data });
+        const events = [event(EVENT_TYPES.ENTRY, entry)];
+
+        switch (actionType) {
+            case 'GOVERNANCE_PROFILE_APPLIED': {
+                const level = details.profile ? details.profile.level : null;
+                const previousLevel = levels.has(agentId) ? levels.get(agentId) : null;
+                levels.set(agentId, level);
+                if (level !== previousLevel) events.push(event(EVENT_TYPES.PROFILE_CHANGED, { level, previousLevel, profile: details.profile }));
+                break;
+            }
+            case 'POLICY_VIOLATION':
+                events.push(event(EVENT_TYPES.VALIDATION_REJECTED, { actionType, action: details.action, reason: details.reason, severity: details.severity }));
+                break;
+            case 'BUDGET_REQUEST':
+                if (details.result && details.result.allowed === false) {
+                    events.push(event(EVENT_TYPES.VALIDATION_REJECTED, { actionType, amount: details.amount, reason: details.result.reason }));
+                }
+                break;
+            case 'PERMISSION_CHECK':
+                if (details.allowed === false) {
+                    events.push(event(EVENT_TYPES.VALIDATION_REJECTED, { actionType, permission: details.permission, reason: `Permission ${details.permission} not granted at level ${details.profileLevel}` }));
+                }
+                break;
+            case 'LIFECYCLE_TRANSITION':
+                if (details.to === 'REVOKED') events.push(event(EVENT_TYPES.IDENTITY_REVOKED, LedgerEventStream._revocation(details)));
+                break;
+        }
+        return events;
+    }
+
+    /**
+     * Data of an identity.revoked event, from a LIFECYCLE_TRANSITION entry's details or a registry transition.
+     */
+    static _revocation({ subjectId, from, reason, actor, cascadedFrom = null }) {
+        return { subjectId, from, reason, actor, cascadedFrom };
+    }
+
+    /**
+     * Checks subscription options and fills in the defaults.
+     */
+    _options({ fromIndex = null, types = null, agentId = null } = {}) {
+        if (fromIndex !== null) {
+            if (!Number.isInteger(fromIndex) || fromIndex < 0) throw new Error('fromIndex must be a non-negative integer');
+            const archived = this.ledger.archivedSize();
+            if (fromIndex < archived) throw new Error(`Entries before ${archived} are archived; resume from index ${archived} or later`);
+        }
+        const known = Object.values(LedgerEventStream.EVENT_TYPES);
+        const unknown = (types || []).filter(type => !known.includes(type));
+        if (unknown.length > 0) throw new Error(`Unknown event type: ${unknown.join(', ')}. Must be one of ${known.join(', ')}`);
+        return { fromIndex, types: types ? new Set(types) : null, agentId };
+    }
+
+    /**
+     * Events of the entries from `fromIndex` on, in ledger order.
+     *
+     * @param {number} [fromIndex]
+     * @returns {Object[]} { type, index, timestamp, agentId, data }
+     */
+    history(fromIndex = this.ledger.archivedSize()) {
+        this._options({ fromIndex });
+        const levels = new Map();
+        const events = [];
+        for (const entry of this.ledger.entries) {
+            const produced = LedgerEventStream._eventsFor(entry, levels);
+            if (entry.index >= fromIndex) events.push(...produced);
+        }
+        return events;
+    }
+
+    /**
+     * Receive events as entries are added.
+     *
+     * @param {Function} handler - Called with each event { type, index, timestamp, agentId, data }
+     * @param {Object} [options]
+     * @param {number} [options.fromIndex] - Deliver the events of entries from this index first (default: live only)
+     * @param {string[]} [options.types] - Only these EVENT_TYPES
+     * @param {string} [options.agentId] - Only events of this agent's entries, or of its revocation
+     * @returns {Function} Ends the subscription
+     */
+    subscribe(handler, options = {}) {
+        const subscriber = { handler, ...this._options(options) };
+        if (subscriber.fromIndex !== null) {
+            for (const event of this.history(subscriber.fromIndex)) this._deliver(subscriber, event);
+        }
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    _deliver({ handler, types, agentId }, event) {
+        if (types && !types.has(event.type)) return;
+        if (agentId && event.agentId !== agentId && event.data.subjectId !== agentId) return;
+        try {
+            handler(event);
+        } catch (err) {
+            // One failing consumer must not starve the others
+            console.error(`[LedgerEventStream] Subscriber failed on entry ${event.index}: ${err.message}`);
+        }
+    }
+
+    _publish(entry) {
+        const events = LedgerEventStream._eventsFor(entry, this.levels);
+        for (const subscriber of Array.from(this.subscribers)) {
+            events.forEach(event => this._deliver(subscriber, event));
+        }
+    }
+
+    /**
+     * Publish a revocation that was not recorded in the ledger to live subscribers.
+     *
+     * @param {Object} transition - Registry transition { subjectId, from, to, timestamp, reason, actor, cascadedFrom }
+     */
+    publishRevocation(transition) {
+        const event = { type: LedgerEventStream.EVENT_TYPES.IDENTITY_REVOKED, index: null, timestamp: transition.timestamp, agentId: null, data: LedgerEventStream._revocation(transition) };
+        for (const subscriber of Array.from(this.subscribers)) this._deliver(subscriber, event);
+    }
+
+    /**
+     * Serves `GET <path>?from=<index>&types=<a,b>&agentId=<id>` as server-sent events.
+     * A Last-Event-ID header takes precedence over `from`.
+     */
+    _serve(request, response, { path, heartbeatMs }) {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== path) return response.writeHead(404).end();
+        if (request.method !== 'GET') return response.writeHead(405, { Allow: 'GET' }).end();
+
+        let options;
+        try {
+            const lastEventId = request.headers['last-event-id'];
+            const from = lastEventId ? Number(lastEventId) + 1 : url.searchParams.get('from');
+            const types = url.searchParams.get('types');
+            options = {
+                fromIndex: from === null ? null : Number(from),
+                types: types ? types.split(',') : null,
+                agentId: url.searchParams.get('agentId')
+            };
+            // Reject bad parameters before the stream starts
+            this._options(options);
+        } catch (err) {
+            return response.writeHead(400, { 'Content-Type': 'text/plain' }).end(err.message);
+        }
+
+        response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+        response.write(': connected\n\n');
+        const unsubscribe = this.subscribe(event => {
+            // Events without an index keep the client's Last-Event-ID as it was
+            const id = event.index === null ? '' : `id: ${event.index}\n`;
+            response.write(`${id}event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }, options);
+        const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), heartbeatMs);
+        heartbeat.unref();
+
+        this.responses.add(response);
+        response.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            this.responses.delete(response);
+        });
+    }
+
+    /**
+     * Start the server-sent-events endpoint.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.port] - Default: any free port
+     * @param {string} [options.host] - Default: 127.0.0.1 (local only)
+     * @param {string} [options.path] - Default: /events
+     * @param {number} [options.heartbeatMs] - Comment lines that keep idle connections open
+     * @returns {Promise<LedgerEventStream>} Resolves once listening; `url` is set
+     */
+    listen({ port = 0, host = '127.0.0.1', path = '/events', heartbeatMs = LedgerEventStream.DEFAULT_HEARTBEAT_MS } = {}) {
+        if (this.server) return Promise.reject(new Error(`Event stream already listening on ${this.url}`));
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((request, response) => this._serve(request, response, { path, heartbeatMs }));
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                this.server = server;
+                this.url = `http://${host}:${server.address().port}${path}`;
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Stop the endpoint, ending open streams. In-process subscriptions continue.
+     */
+    close() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.responses.forEach(response => response.end());
+            this.server.close(() => resolve());
+            this.server.closeIdleConnections();
+            this.server = null;
+            this.url = null;
+        });
+    }
+
+    /**
+     * Stop following the ledger and drop every subscription (close the endpoint first).
+     */
+    detach() {
+        this._removeListener();
+        this.subscribers.clear();
+    }
+}
+
+export default LedgerEventStream;
@@ -0,0 +1,217 @@
+import AgentActivityLedger from './AgentActivityLedger.js';
+import LedgerMerkleTree from './LedgerMerkleTree.js';
+import LedgerSnapshot from './LedgerSnapshot.js';
+
+/**
+ * LedgerForensics
+ *
+ * Full tamper analysis of a ledger. `verifyChain` stops at the first failure;
+ * `analyze` checks every entry and reports each finding:
+ *
+ * - hash mismatches: the content no longer hashes to the recorded hash
+ * - broken links: prevHash differs from the recorded hash of the entry before
+ *   (an entry removed, inserted or re-hashed), and indexes out of sequence
+ * - bad signatures: the signature does not verify over the recorded hash. A
+ *   hash mismatch with a valid signature means the content was edited after
+ *   signing; a bad signature means the hash itself was rewritten
+ * - with a registry, keys that were not the agent's key at the entry's time
+ *   (entries re-signed with another key)
+ *
+ * Checkpoints (the ledger's own plus trusted ones, e.g. witness-cosigned) show
+ * whether the recorded hashes are the ones attested at the time. A trusted
+ * copy of the ledger, such as a backup or a witness's copy, gives a field-level
+ * diff of every altered entry and lists entries missing from the ledger.
+ *
+ * Corrupted entries are the ones whose own content or signature is not
+ * authentic; a broken link alone does not make an entry corrupted. Agents
+ * whose entries are corrupted are listed, and the ones whose reputation
+ * was computed from a corrupted entry (its action type feeds reputation, before
+ * or after the edit) are listed in `reputationAffected`.
+ */
+class LedgerForensics {
+    /**
+     * @param {AgentActivityLedger} ledger - The ledger to examine (e.g. loadFromFile of a suspect copy)
+     * @param {Object} [options]
+     * @param {AgentActivityLedger|Object[]|string} [options.trusted] - Trusted copy: ledger, entries or ledger path; it must verify
+     * @param {Object[]} [options.checkpoints] - Trusted checkpoints { treeSize, rootHash } in addition to the ledger's own
+     * @param {AgentIdentityRegistry} [options.registry] - Check each signing key against the agent's key history
+     * @returns {Object} { valid, size, archived, hashMismatches, brokenLinks, badSignatures, keyMismatches,
+     *                    tenantMismatches, checkpoints, diffs: [{ index, fields: [{ path, trusted, recorded }] }],
+     *                    missingEntries, corruptedEntries, agents: { id: { entries, reputation } }, reputationAffected }
+     */
+    static analyze(ledger, { trusted = null, checkpoints = [], registry = null } = {}) {
+        const base = ledger.archivedSize();
+        const entries = ledger.entries;
+        const computed = entries.map(e => this._computeHash(e));
+        const report = {
+            valid: true,
+            size: ledger.size(),
+            archived: base,
+            hashMismatches: [],
+            brokenLinks: [],
+            badSignatures: [],
+            keyMismatches: [],
+            tenantMismatches: [],
+            checkpoints: this._checkpoints(ledger, computed, checkpoints),
+            diffs: [],
+            missingEntries: [],
+            corruptedEntries: [],
+            agents: {},
+            reputationAffected: []
+        };
+        const attested = Math.max(base, ...report.checkpoints.filter(c => c.hashesAttested).map(c => c.treeSize));
+        const corrupted = new Set();
+
+        entries.forEach((e, i) => {
+            const index = base + i;
+            if (computed[i] !== e.hash) {
+                report.hashMismatches.push({ index, agentId: e.agentId, recordedHash: e.hash, computedHash: computed[i], hashAttested: index < attested });
+                corrupted.add(i);
+            }
+            const expectedPrev = i === 0 ? (base > 0 ? ledger.snapshot.headHash : null) : entries[i - 1].hash;
+            if (e.index !== index || (e.prevHash || null) !== expectedPrev) {
+                // The entry itself may be intact: a broken link points at what happened before it
+                report.brokenLinks.push({ index, recordedIndex: e.index, prevHash: e.prevHash || null, expectedPrevHash: expectedPrev });
+            }
+            const signature = AgentActivityLedger.verifyHashSignature(e);
+            if (!signature.valid) {
+                report.badSignatures.push({ index, agentId: e.agentId, reason: signature.reason || 'INVALID_SIGNATURE' });
+                corrupted.add(i);
+            }
+            if (registry) {
+                const identity = registry.getIdentityById(e.agentId);
+                if (identity && identity.getPublicKeyAt(e.timestamp) !== e.publicKey) {
+                    report.keyMismatches.push({ index, agentId: e.agentId, reason: 'KEY_NOT_VALID_AT_TIMESTAMP' });
+                    corrupted.add(i);
+                }
+            }
+            if (ledger.tenantId && e.tenantId !== ledger.tenantId) {
+                report.tenantMismatches.push({ index, tenantId: e.tenantId || null });
+                corrupted.add(i);
+            }
+        });
+
+        const original = trusted ? this._trustedEntries(trusted, ledger) : null;
+        if (original) {
+            for (const copy of original) {
+                const i = copy.index - base;
+                if (i < 0) continue;
+                if (i >= entries.length) {
+                    report.missingEntries.push(copy.index);
+                    continue;
+                }
+                const fields = this.diff(copy, entries[i]);
+                if (fields.length > 0) {
+                    report.diffs.push({ index: copy.index, fields });
+                    corrupted.add(i);
+                }
+            }
+        }
+
+        report.corruptedEntries = Array.from(corrupted).sort((a, b) => a - b).map(i => base + i);
+        for (const i of corrupted) {
+            const copy = original ? original.find(o => o.index === base + i) : null;
+            for (const version of [entries[i], copy]) {
+                if (!version || !version.agentId) continue;
+                const agent = report.agents[version.agentId] || (report.agents[version.agentId] = { entries: [], reputation: false });
+                if (!agent.entries.includes(base + i)) agent.entries.push(base + i);
+                if (ledger.actionTypes.has(version.actionType) && ledger.actionTypes.feedsReputation(version.actionType)) agent.reputation = true;
+            }
+        }
+        Object.values(report.agents).forEach(agent => agent.entries.sort((a, b) => a - b));
+        report.reputationAffected = Object.keys(report.agents).filter(id => report.agents[id].reputation);
+
+        report.valid = report.corruptedEntries.length === 0 && report.brokenLinks.length === 0 && report.missingEntries.length === 0
+            && report.checkpoints.every(c => c.status === 'INTACT');
+        return report;
+    }
+
+    static _computeHash(entry) {
+        try {
+            return AgentActivityLedger._hash(AgentActivityLedger._serializeEntryForHash(entry));
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Compare each checkpoint with the tree over the recorded hashes and over the
+     * recomputed ones. INTACT: both match. CONTENT_ALTERED: the recorded hashes are the
+     * attested ones but some content no longer hashes to them. HASHES_REWRITTEN: the
+     * recorded hashes differ from the attested ones. TRUNCATED: the ledger is shorter.
+     */
+    static _checkpoints(ledger, computed, supplied) {
+        const base = ledger.archivedSize();
+        const prefix = LedgerSnapshot.prefix(ledger.snapshot);
+        const all = [
+            ...ledger.checkpoints.map(c => ({ treeSize: c.treeSize, rootHash: c.rootHash, source: 'ledger' })),
+            ...supplied.map(c => ({ treeSize: c.treeSize, rootHash: c.rootHash, source: 'trusted' }))
+        ].filter(c => c.treeSize > base);
+        const sizes = all.map(c => c.treeSize).filter(size => size <= ledger.size());
+        const recordedRoots = LedgerMerkleTree.rootsAt(ledger.entries.map(e => e.hash), sizes, prefix);
+        const computedRoots = computed.includes(null) ? new Map() : LedgerMerkleTree.rootsAt(computed, sizes, prefix);
+
+        return all.map(c => {
+            if (c.treeSize > ledger.size()) return { ...c, status: 'TRUNCATED', hashesAttested: false };
+            const hashesAttested = recordedRoots.get(c.treeSize) === c.rootHash;
+            const status = !hashesAttested ? 'HASHES_REWRITTEN'
+                : computedRoots.get(c.treeSize) === c.rootHash ? 'INTACT' : 'CONTENT_ALTERED';
+            return { ...c, status, hashesAttested };
+        });
+    }
+
+    /**
+     * Entries of the trusted copy, which must verify on its own.
+     */
+    static _trustedEntries(trusted, ledger) {
+        let copy = trusted;
+        if (typeof trusted === 'string') copy = AgentActivityLedger.loadFromFile(trusted, null, { snapshotKeys: ledger.snapshotKeys });
+        if (Array.isArray(trusted)) {
+            copy = new AgentActivityLedger(null, { tenantId: ledger.tenantId, snapshotKeys: ledger.snapshotKeys });
+            copy.entries = trusted;
+            copy.snapshot = ledger.snapshot;
+        }
+        const check = copy.verifyChain();
+        if (!check.valid) throw new Error(`Trusted copy does not verify: ${check.reason}${check.index !== undefined ? ` at entry ${check.index}` : ''}`);
+        return copy.entries;
+    }
+
+    /**
+     * Field-level differences between two values, with paths like `details.partners[1]`.
+     *
+     * @returns {Object[]} [{ path, trusted, recorded }]
+     */
+    static diff(trusted, recorded, path = '') {
+        const isObject = value => value !== null && typeof value === 'object';
+        if (isObject(trusted) && isObject(recorded) && Array.isArray(trusted) === Array.isArray(recorded)) {
+            const keys = Array.isArray(trusted)
+                ? Array.from({ length: Math.max(trusted.length, recorded.length) }, (_, i) => i)
+                : Array.from(new Set([...Object.keys(trusted), ...Object.keys(recorded)]));
+            return keys.flatMap(key => this.diff(trusted[key], recorded[key], Array.isArray(trusted) ? `${path}[${key}]` : (path ? `${path}.${key}` : key)));
+        }
+        if (trusted === recorded) return [];
+        return [{ path, trusted, recorded }];
+    }
+
+    /**
+     * Human-readable summary of a report.
+     *
+     * @param {Object} report - From analyze
+     * @returns {string}
+     */
+    static format(report) {
+        const lines = [`Ledger forensics: ${report.valid ? 'no tampering found' : 'TAMPERED'} (${report.size} entries${report.archived ? `, ${report.archived} archived` : ''})`];
+        report.hashMismatches.forEach(m => lines.push(`  entry ${m.index}: content does not match its hash${m.hashAttested ? ' (hash attested by a checkpoint: edited after signing)' : ''}`));
+        report.brokenLinks.forEach(l => lines.push(`  entry ${l.index}: chain link broken${l.recordedIndex !== l.index ? ` (recorded index ${l.recordedIndex})` : ''}`));
+        report.badSignatures.forEach(s => lines.push(`  entry ${s.index}: bad signature (${s.reason})`));
+        report.keyMismatches.forEach(k => lines.push(`  entry ${k.index}: signed with a key ${k.agentId} did not hold at the time`));
+        report.tenantMismatches.forEach(t => lines.push(`  entry ${t.index}: tenant ${t.tenantId} does not match the ledger`));
+        report.checkpoints.filter(c => c.status !== 'INTACT').forEach(c => lines.push(`  checkpoint ${c.treeSize} (${c.source}): ${c.status}`));
+        report.diffs.forEach(d => d.fields.forEach(f => lines.push(`  entry ${d.index} ${f.path}: ${JSON.stringify(f.trusted)} -> ${JSON.stringify(f.recorded)}`)));
+        if (report.missingEntries.length > 0) lines.push(`  missing entries: ${report.missingEntries.join(', ')}`);
+        if (report.reputationAffected.length > 0) lines.push(`  reputation computed from corrupted entries: ${report.reputationAffected.join(', ')}`);
+        return lines.join('\n');
+    }
+}
+
+export default LedgerForensics;
@@ -0,0 +1,346 @@
+/**
+ * LedgerIndex
+ *
+ * In-memory indexes over ledger entries, kept up to date entry by entry as
+ * the ledger grows: postings (ascending ledger indexes) per agent, action
+ * type, counterparty (details.counterparty, details.partners and
+ * details.partnerId) and delegation target (details.delegatedTo), a
+ * timestamp index, and per-field indexes over the top-level scalar values of
+ * `details` (equality for every value, sorted order for numbers). Queries
+ * intersect the postings of their most selective filters instead of scanning
+ * the ledger.
+ *
+ * Detail predicates take a value (equality) or an object of operators:
+ *
+ *   { pnl: { gt: 1000 }, severity: 'HIGH', outcome: { in: ['SUCCESS', 'PARTIAL'] }, note: { exists: true } }
+ *
+ * eq, in, gt, gte, lt and lte on top-level fields are served by the indexes;
+ * ne, exists and dotted paths into nested details are checked per candidate.
+ *
+ * The index covers the entries the ledger holds in memory; for a compacted
+ * ledger those are the live entries after the snapshot (`offset`).
+ */
+class LedgerIndex {
+    static OPERATORS = ['eq', 'ne', 'in', 'gt', 'gte', 'lt', 'lte', 'exists'];
+    static DEFAULT_LIMIT = 100;
+    static MAX_LIMIT = 1000;
+
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.entries = [];               // indexed entries, by ledger index - offset
+        this.offset = 0;                 // ledger index of entries[0]
+        this.byAgent = new Map();        // agentId -> [index]
+        this.byActionType = new Map();   // actionType -> [index]
+        this.byCounterparty = new Map(); // agentId -> [index]
+        this.byDelegate = new Map();     // agentId -> [index]
+        this.byTime = [];                // [{ time, index }] sorted by time
+        this.detailValues = new Map();   // field -> Map(value -> [index])
+        this.detailNumbers = new Map();  // field -> [{ value, index }], sorted by value unless the field is in unsortedNumbers
+        this.unsortedNumbers = new Set(); // fields appended out of order since their last sort
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    /**
+     * True when the index holds exactly these entries (same length and head).
+     */
+    covers(entries) {
+        const last = entries[entries.length - 1];
+        return entries.length === this.entries.length && (!last || this.entries[last.index - this.offset] === last);
+    }
+
+    rebuild(entries) {
+        this.clear();
+        entries.forEach(entry => this.add(entry));
+    }
+
+    static _post(map, key, index) {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(index);
+    }
+
+    /**
+     * Position at which `value` would be inserted after every element whose key is <= value.
+     */
+    static _upperBound(list, value, key) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (key(list[mid]) <= value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    static _lowerBound(list, value, key) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (key(list[mid]) < value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Index the next entry of the ledger.
+     *
+     * @param {Object} entry - Entry following the last indexed one
+     */
+    add(entry) {
+        if (this.entries.length === 0) this.offset = entry.index;
+        if (entry.index !== this.offset + this.entries.length) throw new Error(`Ledger index expected entry ${this.offset + this.entries.length}, got ${entry.index}`);
+        const { index } = entry;
+        const details = entry.details || {};
+        this.entries.push(entry);
+
+        LedgerIndex._post(this.byAgent, entry.agentId, index);
+        LedgerIndex._post(this.byActionType, entry.actionType, index);
+        LedgerIndex.counterparties(details).forEach(id => LedgerIndex._post(this.byCounterparty, id, index));
+        if (details.delegatedTo) LedgerIndex._post(this.byDelegate, details.delegatedTo, index);
+
+        // Timestamps almost always arrive in order; a skewed clock lands in place
+        const time = new Date(entry.timestamp).getTime();
+        const at = LedgerIndex._upperBound(this.byTime, time, item => item.time);
+        this.byTime.splice(at, 0, { time, index });
+
+        for (const [field, value] of Object.entries(details)) {
+            if (value === null || !['string', 'number', 'boolean'].includes(typeof value)) continue;
+            if (!this.detailValues.has(field)) this.detailValues.set(field, new Map());
+            LedgerIndex._post(this.detailValues.get(field), value, index);
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                if (!this.detailNumbers.has(field)) this.detailNumbers.set(field, []);
+                // Appended as they come and sorted on the next range query, so a rebuild stays O(n log n)
+                const numbers = this.detailNumbers.get(field);
+                if (numbers.length > 0 && numbers[numbers.length - 1].value > value) this.unsortedNumbers.add(field);
+                numbers.push({ value, index });
+            }
+        }
+    }
+
+    /**
+     * Agents an entry names as counterparties.
+     */
+    static counterparties(details = {}) {
+        const partners = Array.isArray(details.partners) ? details.partners : (details.partners ? [details.partners] : []);
+        return Array.from(new Set([details.counterparty, ...partners, details.partnerId].filter(Boolean)));
+    }
+
+    /**
+     * Ledger indexes of an agent's entries, in ledger order.
+     */
+    entriesOf(agentId) {
+        return (this.byAgent.get(agentId) || []).slice();
+    }
+
+    /**
+     * Value at a path such as 'agentId' or 'details.pnl'.
+     */
+    static valueAt(entry, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), entry);
+    }
+
+    static _predicate(condition) {
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) return { eq: condition };
+        const unknown = Object.keys(condition).filter(op => !LedgerIndex.OPERATORS.includes(op));
+        if (unknown.length > 0) throw new Error(`Unsupported detail operator '${unknown[0]}'. Use one of ${LedgerIndex.OPERATORS.join(', ')}`);
+        if (condition.in !== undefined && !Array.isArray(condition.in)) throw new Error('The in operator takes an array');
+        return condition;
+    }
+
+    static _matches(value, predicate) {
+        if (predicate.exists !== undefined && (value !== undefined) !== !!predicate.exists) return false;
+        if (predicate.eq !== undefined && value !== predicate.eq) return false;
+        if (predicate.ne !== undefined && value === predicate.ne) return false;
+        if (predicate.in !== undefined && !predicate.in.includes(value)) return false;
+        const ranged = ['gt', 'gte', 'lt', 'lte'].some(op => predicate[op] !== undefined);
+        if (ranged && (typeof value !== 'number' || !Number.isFinite(value))) return false;
+        if (predicate.gt !== undefined && !(value > predicate.gt)) return false;
+        if (predicate.gte !== undefined && !(value >= predicate.gte)) return false;
+        if (predicate.lt !== undefined && !(value < predicate.lt)) return false;
+        if (predicate.lte !== undefined && !(value <= predicate.lte)) return false;
+        return true;
+    }
+
+    /**
+     * Numeric values of a field sorted by value (ties in ledger order), sorting them first if needed.
+     */
+    _sortedNumbers(field) {
+        const numbers = this.detailNumbers.get(field) || [];
+        if (this.unsortedNumbers.delete(field)) numbers.sort((a, b) => a.value - b.value || a.index - b.index);
+        return numbers;
+    }
+
+    /**
+     * Postings a top-level detail predicate can be answered from, or null when it needs a per-entry check.
+     */
+    _detailPostings(field, predicate) {
+        if (field.includes('.')) return null;
+        const values = this.detailValues.get(field) || new Map();
+        if (predicate.eq !== undefined) return values.get(predicate.eq) || [];
+        if (predicate.in !== undefined) return [].concat(...predicate.in.map(value => values.get(value) || []));
+
+        const ranged = ['gt', 'gte', 'lt', 'lte'].filter(op => predicate[op] !== undefined);
+        if (ranged.length === 0) return null;
+        const numbers = this._sortedNumbers(field);
+        const key = item => item.value;
+        let start = 0;
+        let end = numbers.length;
+        if (predicate.gt !== undefined) start = Math.max(start, LedgerIndex._upperBound(numbers, predicate.gt, key));
+        if (predicate.gte !== undefined) start = Math.max(start, LedgerIndex._lowerBound(numbers, predicate.gte, key));
+        if (predicate.lt !== undefined) end = Math.min(end, LedgerIndex._lowerBound(numbers, predicate.lt, key));
+        if (predicate.lte !== undefined) end = Math.min(end, LedgerIndex._upperBound(numbers, predicate.lte, key));
+        return numbers.slice(start, Math.max(start, end)).map(item => item.index);
+    }
+
+    /**
+     * Ledger indexes (ascending) of the entries matching every filter.
+     *
+     * @param {Object} [filters] - See query
+     * @returns {number[]}
+     */
+    match({ agentId, actionType, counterparty, delegatedTo, from, to, details } = {}) {
+        const postings = [];
+        const lookup = (map, values) => [].concat(...[].concat(values).map(value => map.get(value) || []));
+        if (agentId !== undefined) postings.push(lookup(this.byAgent, agentId));
+        if (actionType !== undefined) postings.push(lookup(this.byActionType, actionType));
+        if (counterparty !== undefined) postings.push(lookup(this.byCounterparty, counterparty));
+        if (delegatedTo !== undefined) postings.push(lookup(this.byDelegate, delegatedTo));
+
+        if (from !== undefined || to !== undefined) {
+            const key = item => item.time;
+            const start = from !== undefined ? LedgerIndex._lowerBound(this.byTime, LedgerIndex._time(from, 'from'), key) : 0;
+            const end = to !== undefined ? LedgerIndex._lowerBound(this.byTime, LedgerIndex._time(to, 'to'), key) : this.byTime.length;
+            postings.push(this.byTime.slice(start, Math.max(start, end)).map(item => item.index));
+        }
+
+        const checks = [];
+        for (const [field, condition] of Object.entries(details || {})) {
+            const predicate = LedgerIndex._predicate(condition);
+            const indexed = this._detailPostings(field, predicate);
+            if (indexed) postings.push(indexed);
+            checks.push(entry => LedgerIndex._matches(LedgerIndex.valueAt(entry.details || {}, field), predicate));
+        }
+
+        let candidates;
+        if (postings.length === 0) {
+            candidates = this.entries.map(entry => entry.index);
+        } else {
+            // Intersect starting from the most selective posting list
+            postings.sort((a, b) => a.length - b.length);
+            const [smallest, ...rest] = postings;
+            const sets = rest.map(list => new Set(list));
+            candidates = Array.from(new Set(smallest)).filter(index => sets.every(set => set.has(index))).sort((a, b) => a - b);
+        }
+        return checks.length === 0 ? candidates : candidates.filter(index => checks.every(check => check(this.entries[index - this.offset])));
+    }
+
+    static _time(value, name) {
+        const time = new Date(value).getTime();
+        if (isNaN(time)) throw new Error(`Invalid ${name} time '${value}'`);
+        return time;
+    }
+
+    /**
+     * Filter and paginate entries in ledger order.
+     *
+     * @param {Object} [query]
+     * @param {string|string[]} [query.agentId]
+     * @param {string|string[]} [query.actionType]
+     * @param {string|string[]} [query.counterparty]
+     * @param {string|string[]} [query.delegatedTo]
+     * @param {string} [query.from] - ISO date (inclusive)
+     * @param {string} [query.to] - ISO date (exclusive)
+     * @param {Object} [query.details] - { field: value | { eq, ne, in, gt, gte, lt, lte, exists } }
+     * @param {string} [query.order] - 'asc' (oldest first) or 'desc'
+     * @param {number} [query.limit]
+     * @param {string} [query.cursor] - `nextCursor` from the previous page
+     * @returns {Object} { items, total, nextCursor }
+     */
+    query(query = {}) {
+        const { order = 'asc', limit = LedgerIndex.DEFAULT_LIMIT, cursor = null } = query;
+        if (order !== 'asc' && order !== 'desc') throw new Error(`Unsupported order '${order}'`);
+        if (!Number.isInteger(limit) || limit < 1 || limit > LedgerIndex.MAX_LIMIT) throw new Error(`limit must be between 1 and ${LedgerIndex.MAX_LIMIT}`);
+
+        const matches = this.match(query);
+        if (order === 'desc') matches.reverse();
+
+        // Keyset pagination on the ledger index: entries appended between pages do not shift the window
+        let start = 0;
+        if (cursor) {
+            const position = LedgerIndex.decodeCursor(cursor);
+            if (position.order !== order) throw new Error('Cursor does not match the query order');
+            start = matches.findIndex(index => (order === 'asc' ? index > position.index : index < position.index));
+            if (start === -1) start = matches.length;
+        }
+
+        const page = matches.slice(start, start + limit);
+        const nextCursor = page.length > 0 && start + limit < matches.length
+            ? LedgerIndex.encodeCursor({ order, index: page[page.length - 1] })
+            : null;
+        return { items: page.map(index => this.entries[index - this.offset]), total: matches.length, nextCursor };
+    }
+
+    /**
+     * Count and sum the matching entries, overall and per group.
+     *
+     * @param {Object} [query] - Filters as in query, plus:
+     * @param {string} [query.groupBy] - Path to group on, e.g. 'agentId' or 'details.severity'
+     * @param {string|string[]} [query.sum] - Numeric paths to total, e.g. 'details.pnl'
+     * @returns {Object} { count, sum: { path: total }, groups: [{ key, count, sum }] } (groups only with groupBy)
+     */
+    aggregate(query = {}) {
+        const { groupBy = null } = query;
+        const sums = [].concat(query.sum || []);
+        const bucket = key => ({ key, count: 0, sum: Object.fromEntries(sums.map(path => [path, 0])) });
+        const total = bucket(null);
+        const groups = new Map();
+
+        for (const index of this.match(query)) {
+            const entry = this.entries[index - this.offset];
+            const targets = [total];
+            if (groupBy) {
+                const value = LedgerIndex.valueAt(entry, groupBy);
+                const key = value === undefined ? null : value;
+                if (!groups.has(key)) groups.set(key, bucket(key));
+                targets.push(groups.get(key));
+            }
+            for (const target of targets) {
+                target.count++;
+                for (const path of sums) {
+                    const value = LedgerIndex.valueAt(entry, path);
+                    if (typeof value === 'number' && Number.isFinite(value)) target.sum[path] += value;
+                }
+            }
+        }
+
+        const result = { count: total.count, sum: total.sum };
+        if (groupBy) {
+            result.groups = Array.from(groups.values()).sort((a, b) => (String(a.key) < String(b.key) ? -1 : (String(a.key) > String(b.key) ? 1 : 0)));
+        }
+        return result;
+    }
+
+    static encodeCursor(position) {
+        return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+    }
+
+    static decodeCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!position || !Number.isInteger(position.index)) throw new Error('missing index');
+            return position;
+        } catch (err) {
+            throw new Error('Invalid cursor');
+        }
+    }
+}
+
+export default LedgerIndex;
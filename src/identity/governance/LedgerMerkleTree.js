@@ -0,0 +1,297 @@
+import crypto from 'node:crypto';
+
+/**
+ * LedgerMerkleTree
+ *
+ * Merkle tree over ledger entry hashes, following the construction of
+ * Certificate Transparency (RFC 9162, section 2.1): leaves are
+ * SHA-256(0x00 || entryHash) and interior nodes SHA-256(0x01 || left || right),
+ * so a leaf can never be passed off as a node. A tree of n entries is split
+ * at the largest power of two below n, which makes every earlier tree a
+ * prefix of every later one.
+ *
+ * Inclusion proofs show that one entry is in a tree of a given size;
+ * consistency proofs show that a tree extends an earlier one unchanged.
+ * Both are a logarithmic number of hashes. All hashes are hex strings.
+ *
+ * A compacted ledger no longer holds its archived entry hashes. It keeps the
+ * frontier of the archived tree instead: the roots of the perfect subtrees
+ * that make up its size ({ size, frontier: [{ hash, size }] }). Passed as
+ * `prefix`, it stands in for the first `prefix.size` leaves, and `entryHashes`
+ * then start at leaf `prefix.size`. Roots of larger trees, and proofs that
+ * only need nodes at or after the prefix boundary, work as before.
+ */
+class LedgerMerkleTree {
+    static _sha256(...buffers) {
+        const hash = crypto.createHash('sha256');
+        buffers.forEach(b => hash.update(b));
+        return hash.digest('hex');
+    }
+
+    static leafHash(entryHash) {
+        return this._sha256(Buffer.from([0x00]), Buffer.from(entryHash, 'hex'));
+    }
+
+    static nodeHash(left, right) {
+        return this._sha256(Buffer.from([0x01]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+    }
+
+    /**
+     * Largest power of two strictly below n (n > 1).
+     */
+    static _split(n) {
+        let k = 1;
+        while (k * 2 < n) k *= 2;
+        return k;
+    }
+
+    /**
+     * Root of the tree over leaves[start, end).
+     */
+    static _subtreeRoot(leaves, start, end) {
+        const n = end - start;
+        if (n === 0) return this._sha256(Buffer.alloc(0));
+        if (n === 1) return leaves[start];
+        const k = this._split(n);
+        return this.nodeHash(this._subtreeRoot(leaves, start, start + k), this._subtreeRoot(leaves, start + k, end));
+    }
+
+    /**
+     * @param {string[]} entryHashes - Entry hashes in ledger order
+     * @param {number} [size] - Tree size (default: all entries)
+     * @param {Object} [prefix] - Frontier standing in for archived leaves
+     * @returns {string} Root hash
+     */
+    static root(entryHashes, size = null, prefix = null) {
+        const base = prefix ? prefix.size : 0;
+        const treeSize = size === null ? base + entryHashes.length : size;
+        if (treeSize > base + entryHashes.length) throw new Error(`No tree of ${treeSize} over ${base + entryHashes.length} entries`);
+        if (treeSize < base) throw new Error(`The tree of ${treeSize} entries is archived`);
+        return this.rootsAt(entryHashes, [treeSize], prefix).get(treeSize);
+    }
+
+    /**
+     * Roots of several tree sizes in one pass over the entries. Sizes below the prefix are skipped.
+     *
+     * @param {string[]} entryHashes
+     * @param {number[]} sizes
+     * @param {Object} [prefix]
+     * @returns {Map<number, string>} size -> root
+     */
+    static rootsAt(entryHashes, sizes, prefix = null) {
+        return this._fold(entryHashes, sizes, prefix).roots;
+    }
+
+    /**
+     * Frontier of the tree of the first `size` entries, to compact them away.
+     *
+     * @returns {Object[]} [{ hash, size }], largest subtree first
+     */
+    static frontier(entryHashes, size, prefix = null) {
+        const frontier = this._fold(entryHashes, [size], prefix).frontiers.get(size);
+        if (!frontier) throw new Error(`No tree of ${size} entries to take a frontier of`);
+        return frontier;
+    }
+
+    /**
+     * Frontier after appending one entry, so a growing ledger can keep its root current
+     * without rehashing earlier entries. The given frontier is left unchanged.
+     *
+     * @param {Object[]} frontier - [{ hash, size }], largest subtree first
+     * @param {string} entryHash
+     * @returns {Object[]} The extended frontier
+     */
+    static extend(frontier, entryHash) {
+        const stack = frontier.slice();
+        this._push(stack, this.leafHash(entryHash));
+        return stack;
+    }
+
+    /**
+     * Root of the tree a frontier describes.
+     */
+    static frontierRoot(frontier) {
+        let root = frontier.length > 0 ? frontier[frontier.length - 1].hash : this._sha256(Buffer.alloc(0));
+        for (let j = frontier.length - 2; j >= 0; j--) root = this.nodeHash(frontier[j].hash, root);
+        return root;
+    }
+
+    /**
+     * Push a leaf onto a stack of perfect subtrees, merging equal sizes from the right.
+     */
+    static _push(stack, leaf) {
+        stack.push({ hash: leaf, size: 1 });
+        while (stack.length > 1 && stack[stack.length - 1].size === stack[stack.length - 2].size) {
+            const right = stack.pop();
+            const left = stack.pop();
+            stack.push({ hash: this.nodeHash(left.hash, right.hash), size: left.size * 2 });
+        }
+    }
+
+    /**
+     * Keep a stack of perfect subtrees (the binary decomposition of the size) while
+     * adding leaves, and fold it from the right whenever a wanted size is reached.
+     */
+    static _fold(entryHashes, sizes, prefix) {
+        const base = prefix ? prefix.size : 0;
+        const wanted = new Set(sizes);
+        const roots = new Map();
+        const frontiers = new Map();
+        const stack = prefix ? prefix.frontier.map(node => ({ ...node })) : [];
+        const record = size => {
+            roots.set(size, this.frontierRoot(stack));
+            frontiers.set(size, stack.map(node => ({ ...node })));
+        };
+
+        if (wanted.has(base)) record(base);
+        const largest = Math.min(sizes.reduce((max, size) => Math.max(max, size), base), base + entryHashes.length);
+        for (let i = base; i < largest; i++) {
+            this._push(stack, this.leafHash(entryHashes[i - base]));
+            if (wanted.has(i + 1)) record(i + 1);
+        }
+        return { roots, frontiers };
+    }
+
+    /**
+     * Root of any subtree [start, end) by absolute leaf position. Subtrees before the
+     * prefix boundary come from its frontier; one that cuts through a frontier node
+     * needs archived leaves and throws.
+     */
+    static _subtrees(entryHashes, prefix) {
+        const base = prefix ? prefix.size : 0;
+        const known = new Map();
+        let offset = 0;
+        for (const node of prefix ? prefix.frontier : []) {
+            known.set(`${offset}:${offset + node.size}`, node.hash);
+            offset += node.size;
+        }
+        const leaves = entryHashes.map(h => this.leafHash(h));
+        const subtree = (start, end) => {
+            if (start >= base) return this._subtreeRoot(leaves, start - base, end - base);
+            const hash = known.get(`${start}:${end}`);
+            if (hash) return hash;
+            if (end - start === 1) throw new Error(`Entry ${start} is archived; the proof needs the archive`);
+            const k = this._split(end - start);
+            return this.nodeHash(subtree(start, start + k), subtree(start + k, end));
+        };
+        return subtree;
+    }
+
+    /**
+     * Audit path for the entry at `index` in the tree of the first `size` entries.
+     *
+     * @returns {string[]}
+     */
+    static inclusionProof(entryHashes, index, size = null, prefix = null) {
+        const base = prefix ? prefix.size : 0;
+        const treeSize = size === null ? base + entryHashes.length : size;
+        if (!Number.isInteger(index) || index < 0 || index >= treeSize || treeSize > base + entryHashes.length) {
+            throw new Error(`No entry ${index} in a tree of ${treeSize}`);
+        }
+        if (index < base) throw new Error(`Entry ${index} is archived; the proof needs the archive`);
+        const subtree = this._subtrees(entryHashes.slice(0, treeSize - base), prefix);
+        const path = (m, start, end) => {
+            const n = end - start;
+            if (n === 1) return [];
+            const k = this._split(n);
+            return m < start + k
+                ? [...path(m, start, start + k), subtree(start + k, end)]
+                : [...path(m, start + k, end), subtree(start, start + k)];
+        };
+        return path(index, 0, treeSize);
+    }
+
+    /**
+     * Check an audit path (RFC 9162, 2.1.3.2).
+     *
+     * @param {string} leaf - leafHash of the entry
+     * @param {number} index
+     * @param {number} size - Tree size the proof was made for
+     * @param {string[]} proof
+     * @param {string} root - Expected root of that tree
+     * @returns {boolean}
+     */
+    static verifyInclusion(leaf, index, size, proof, root) {
+        if (!Number.isInteger(index) || !Number.isInteger(size) || index < 0 || index >= size || !Array.isArray(proof)) return false;
+        let fn = index;
+        let sn = size - 1;
+        let r = leaf;
+        for (const p of proof) {
+            if (sn === 0) return false;
+            if (fn % 2 === 1 || fn === sn) {
+                r = this.nodeHash(p, r);
+                while (fn % 2 === 0 && fn !== 0) {
+                    fn = Math.floor(fn / 2);
+                    sn = Math.floor(sn / 2);
+                }
+            } else {
+                r = this.nodeHash(r, p);
+            }
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+        }
+        return sn === 0 && r === root;
+    }
+
+    /**
+     * Proof that the tree of the first `toSize` entries extends the tree of the first `fromSize`.
+     *
+     * @returns {string[]}
+     */
+    static consistencyProof(entryHashes, fromSize, toSize = null, prefix = null) {
+        const base = prefix ? prefix.size : 0;
+        const treeSize = toSize === null ? base + entryHashes.length : toSize;
+        if (!Number.isInteger(fromSize) || !Number.isInteger(treeSize) || fromSize < 1 || fromSize > treeSize || treeSize > base + entryHashes.length) {
+            throw new Error(`Cannot prove consistency from ${fromSize} to ${treeSize} entries`);
+        }
+        const subtree = this._subtrees(entryHashes.slice(0, Math.max(0, treeSize - base)), prefix);
+        const subproof = (m, start, end, complete) => {
+            const n = end - start;
+            if (m === n) return complete ? [] : [subtree(start, end)];
+            const k = this._split(n);
+            return m <= k
+                ? [...subproof(m, start, start + k, complete), subtree(start + k, end)]
+                : [...subproof(m - k, start + k, end, false), subtree(start, start + k)];
+        };
+        return subproof(fromSize, 0, treeSize, true);
+    }
+
+    /**
+     * Check a consistency proof between two roots (RFC 9162, 2.1.4.2).
+     *
+     * @returns {boolean}
+     */
+    static verifyConsistency(fromSize, toSize, fromRoot, toRoot, proof) {
+        if (!Number.isInteger(fromSize) || !Number.isInteger(toSize) || fromSize < 1 || fromSize > toSize || !Array.isArray(proof)) return false;
+        if (fromSize === toSize) return proof.length === 0 && fromRoot === toRoot;
+        if (proof.length === 0) return false;
+
+        const path = (fromSize & (fromSize - 1)) === 0 ? [fromRoot, ...proof] : proof;
+        let fn = fromSize - 1;
+        let sn = toSize - 1;
+        while (fn % 2 === 1) {
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+        }
+        let fr = path[0];
+        let sr = path[0];
+        for (const c of path.slice(1)) {
+            if (sn === 0) return false;
+            if (fn % 2 === 1 || fn === sn) {
+                fr = this.nodeHash(c, fr);
+                sr = this.nodeHash(c, sr);
+                while (fn % 2 === 0 && fn !== 0) {
+                    fn = Math.floor(fn / 2);
+                    sn = Math.floor(sn / 2);
+                }
+            } else {
+                sr = this.nodeHash(sr, c);
+            }
+            fn = Math.floor(fn / 2);
+            sn = Math.floor(sn / 2);
+        }
+        return sn === 0 && fr === fromRoot && sr === toRoot;
+    }
+}
+
+export default LedgerMerkleTree;
@@ -0,0 +1,377 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { CURRENT_LEDGER_FORMAT_VERSION } from '../models/LedgerFormatVersion.js';
+
+/**
+ * LedgerSegmentStore
+ *
+ * Append-only persistence for AgentActivityLedger. The ledger lives in a
+ * directory of NDJSON segments (segment-000001.ndjson, ...). Each segment
+ * starts with a header line and then holds one entry per line:
+ *
+ *   {"type":"AgentActivityLedgerSegment","formatVersion":2,"tenantId":null,"segment":1,"firstIndex":0,"prevHash":null,"createdAt":"..."}
+ *   {"index":0,"timestamp":"...","agentId":"...", ...}
+ *
+ * Appending writes one line, so recording an action costs the same however
+ * long the ledger is. When a segment reaches `maxSegmentBytes` the next entry
+ * starts a new one. `open` repairs a torn final write (a crash in the middle
+ * of an append) by truncating the last segment after its last complete line.
+ * Segments are read in fixed-size chunks, never as one string.
+ *
+ * Merkle checkpoints of the ledger are appended to checkpoints.ndjson in the
+ * same directory. Once older segments have been archived (see LedgerArchive),
+ * snapshot.json records the signed snapshot the remaining segments continue from.
+ */
+class LedgerSegmentStore {
+    static HEADER_TYPE = 'AgentActivityLedgerSegment';
+    static FSYNC_MODES = ['always', 'rotate', 'never'];
+    static DEFAULTS = {
+        fsync: 'always',                  // 'always': after every append, 'rotate': when a segment is closed, 'never': leave it to the OS
+        maxSegmentBytes: 64 * 1024 * 1024 // a segment at or above this size is closed before the next append
+    };
+    static READ_CHUNK_BYTES = 1024 * 1024;
+    static CHECKPOINT_FILE = 'checkpoints.ndjson';
+    static SNAPSHOT_FILE = 'snapshot.json';
+
+    /**
+     * @param {string} dirPath - Segment directory
+     * @param {Object} [options]
+     * @param {string} [options.fsync] - One of FSYNC_MODES (default 'always')
+     * @param {number} [options.maxSegmentBytes] - Rotation threshold (default 64 MiB)
+     */
+    constructor(dirPath, options = {}) {
+        const { fsync, maxSegmentBytes } = { ...LedgerSegmentStore.DEFAULTS, ...options };
+        if (!LedgerSegmentStore.FSYNC_MODES.includes(fsync)) {
+            throw new Error(`Invalid fsync mode '${fsync}'. Must be one of ${LedgerSegmentStore.FSYNC_MODES.join(', ')}`);
+        }
+        if (!Number.isInteger(maxSegmentBytes) || maxSegmentBytes <= 0) throw new Error('maxSegmentBytes must be a positive integer');
+
+        this.dirPath = dirPath;
+        this.fsync = fsync;
+        this.maxSegmentBytes = maxSegmentBytes;
+        this.tenantId = null;
+        this.recovery = null;
+        this.fd = null;
+        this.segment = 0; // number of the segment appends go to
+        this.size = 0;
+        this.rotatePending = false;
+    }
+
+    static segmentName(number) {
+        return `segment-${String(number).padStart(6, '0')}.ndjson`;
+    }
+
+    /**
+     * Segments in order.
+     *
+     * @returns {Object[]} [{ number, path }]
+     */
+    segments() {
+        if (!fs.existsSync(this.dirPath)) return [];
+        return fs.readdirSync(this.dirPath)
+            .map(name => /^segment-(\d{6})\.ndjson$/.exec(name))
+            .filter(Boolean)
+            .map(match => ({ number: parseInt(match[1], 10), path: path.join(this.dirPath, match[0]) }))
+            .sort((a, b) => a.number - b.number);
+    }
+
+    /**
+     * Prepare the store for appending: create the directory, repair a torn final
+     * write and position at the end of the last segment.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.tenantId] - Tenant stamped into the headers of a new store
+     * @returns {Object} { tenantId, recovery: { segment, truncatedBytes } | null }
+     */
+    open({ tenantId = null } = {}) {
+        fs.mkdirSync(this.dirPath, { recursive: true });
+        this.tenantId = tenantId;
+
+        const checkpoints = path.join(this.dirPath, LedgerSegmentStore.CHECKPOINT_FILE);
+        if (fs.existsSync(checkpoints)) {
+            const { size, goodEnd } = LedgerSegmentStore._completeLength(checkpoints);
+            if (goodEnd < size) fs.truncateSync(checkpoints, goodEnd);
+        }
+
+        let segments = this.segments();
+        const last = segments[segments.length - 1];
+        if (last) {
+            this.recovery = this._recover(last);
+            if (this.recovery && this.recovery.removed) segments = segments.slice(0, -1);
+        }
+        const snapshot = this.readSnapshot();
+        if (segments.length > 0) {
+            this.tenantId = this._readHeader(segments[0].path).tenantId || null;
+            const current = segments[segments.length - 1];
+            this.segment = current.number;
+            this.size = fs.statSync(current.path).size;
+        } else if (this.recovery && this.recovery.removed) {
+            // Reuse the number of a segment whose header never made it to disk
+            this.segment = this.recovery.segment - 1;
+        }
+        if (segments.length === 0 && snapshot) {
+            // Every segment was archived: carry on numbering after the archived ones
+            this.tenantId = snapshot.tenantId || null;
+            this.segment = Math.max(this.segment, ...snapshot.archive.segments.map(s => s.number));
+            this.rotatePending = true;
+        }
+        return { tenantId: this.tenantId, recovery: this.recovery };
+    }
+
+    /**
+     * Drop the incomplete tail of the last segment: bytes after the last newline and
+     * any final lines that do not parse. A segment left without a header is removed.
+     */
+    _recover({ number, path: file }) {
+        const { size, goodEnd } = LedgerSegmentStore._completeLength(file);
+        if (goodEnd === size) return null;
+
+        if (goodEnd === 0) {
+            fs.unlinkSync(file);
+            console.error(`[LedgerSegmentStore] Removed segment ${number}: its header was never completely written.`);
+            return { segment: number, truncatedBytes: size, removed: true };
+        }
+        fs.truncateSync(file, goodEnd);
+        console.error(`[LedgerSegmentStore] Recovered torn write: truncated ${size - goodEnd} bytes from segment ${number}.`);
+        return { segment: number, truncatedBytes: size - goodEnd, removed: false };
+    }
+
+    /**
+     * Size of a file and the length of its prefix that ends in a complete line. A final
+     * complete line that does not parse (a write torn inside the page cache) is dropped too.
+     */
+    static _completeLength(file) {
+        const size = fs.statSync(file).size;
+        let last = null; // last complete line
+        let beforeLast = 0; // end of the line before it
+        LedgerSegmentStore._forEachLine(file, (line, start, end, complete) => {
+            if (!complete) return;
+            beforeLast = last ? last.end : 0;
+            last = { line, end };
+        });
+
+        if (!last) return { size, goodEnd: 0 };
+        return { size, goodEnd: LedgerSegmentStore._parses(last.line) ? last.end : beforeLast };
+    }
+
+    static _parses(line) {
+        try {
+            JSON.parse(line);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _readHeader(file) {
+        let header = null;
+        LedgerSegmentStore._forEachLine(file, line => {
+            header = JSON.parse(line);
+            return false;
+        });
+        if (!header || header.type !== LedgerSegmentStore.HEADER_TYPE) throw new Error(`${file} is not a ledger segment`);
+        return header;
+    }
+
+    /**
+     * Call `fn(line, start, end, complete)` for every line of a file, reading it in
+     * chunks. `end` is the offset just past the newline; the final line of a file
+     * that does not end in a newline is reported with complete === false.
+     * Returning false from `fn` stops the scan.
+     */
+    static _forEachLine(file, fn) {
+        const fd = fs.openSync(file, 'r');
+        const chunk = Buffer.alloc(LedgerSegmentStore.READ_CHUNK_BYTES);
+        let pending = Buffer.alloc(0);
+        let offset = 0; // file offset of pending[0]
+        try {
+            let read;
+            while ((read = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+                pending = Buffer.concat([pending, chunk.subarray(0, read)]);
+                let newline;
+                while ((newline = pending.indexOf(0x0a)) !== -1) {
+                    const line = pending.subarray(0, newline).toString('utf8');
+                    if (fn(line, offset, offset + newline + 1, true) === false) return;
+                    offset += newline + 1;
+                    pending = pending.subarray(newline + 1);
+                }
+            }
+            if (pending.length > 0) fn(pending.toString('utf8'), offset, offset + pending.length, false);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Stream every entry in order as `fn(entry, header)`. An incomplete final line
+     * (a torn write not yet repaired by `open`) is skipped; any other unreadable
+     * line is corruption and throws.
+     *
+     * @returns {Object} { segments, tornBytes }
+     */
+    forEachEntry(fn) {
+        const segments = this.segments();
+        let tornBytes = 0;
+        segments.forEach(({ path: file }, i) => {
+            const lastSegment = i === segments.length - 1;
+            let header = null;
+            LedgerSegmentStore._forEachLine(file, (line, start, end, complete) => {
+                if (!complete && lastSegment) {
+                    tornBytes = end - start;
+                    return;
+                }
+                let value;
+                try {
+                    value = JSON.parse(line);
+                } catch (e) {
+                    throw new Error(`Corrupt ledger segment ${file} at byte ${start}: ${e.message}`);
+                }
+                if (!header) {
+                    if (value.type !== LedgerSegmentStore.HEADER_TYPE) throw new Error(`${file} is not a ledger segment`);
+                    header = value;
+                    return;
+                }
+                fn(value, header);
+            });
+        });
+        return { segments: segments.length, tornBytes };
+    }
+
+    /**
+     * Append one entry as a line, starting a new segment first when the current one is full.
+     *
+     * @param {Object} entry - Ledger entry (hashed and signed)
+     */
+    append(entry) {
+        if (this.fd === null || this.size >= this.maxSegmentBytes || this.rotatePending) this._startSegment(entry);
+        this._write(`${JSON.stringify(entry)}\n`);
+        if (this.fsync === 'always') fs.fsyncSync(this.fd);
+    }
+
+    _startSegment(entry) {
+        const full = this.size >= this.maxSegmentBytes || this.rotatePending;
+        this.rotatePending = false;
+        if (this.fd !== null) {
+            if (this.fsync !== 'never') fs.fsyncSync(this.fd);
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+        if (this.segment === 0 || full) {
+            this.segment++;
+            const header = {
+                type: LedgerSegmentStore.HEADER_TYPE,
+                formatVersion: CURRENT_LEDGER_FORMAT_VERSION,
+                tenantId: this.tenantId,
+                segment: this.segment,
+                firstIndex: entry.index,
+                prevHash: entry.prevHash,
+                createdAt: new Date().toISOString()
+            };
+            this.fd = fs.openSync(path.join(this.dirPath, LedgerSegmentStore.segmentName(this.segment)), 'a');
+            this.size = 0;
+            this._write(`${JSON.stringify(header)}\n`);
+        } else {
+            // Continue the last segment found by open()
+            this.fd = fs.openSync(path.join(this.dirPath, LedgerSegmentStore.segmentName(this.segment)), 'a');
+        }
+    }
+
+    _write(text) {
+        const buffer = Buffer.from(text, 'utf8');
+        let written = 0;
+        while (written < buffer.length) written += fs.writeSync(this.fd, buffer, written, buffer.length - written);
+        this.size += buffer.length;
+    }
+
+    /**
+     * Append a Merkle checkpoint. Checkpoints are rare, so they are synced in every mode but 'never'.
+     *
+     * @param {Object} checkpoint
+     */
+    appendCheckpoint(checkpoint) {
+        const fd = fs.openSync(path.join(this.dirPath, LedgerSegmentStore.CHECKPOINT_FILE), 'a');
+        try {
+            fs.writeSync(fd, `${JSON.stringify(checkpoint)}\n`);
+            if (this.fsync !== 'never') fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Checkpoints in the order they were made (an incomplete final line is skipped).
+     *
+     * @returns {Object[]}
+     */
+    readCheckpoints() {
+        const file = path.join(this.dirPath, LedgerSegmentStore.CHECKPOINT_FILE);
+        const checkpoints = [];
+        if (!fs.existsSync(file)) return checkpoints;
+        LedgerSegmentStore._forEachLine(file, (line, start, end, complete) => {
+            if (complete) checkpoints.push(JSON.parse(line));
+        });
+        return checkpoints;
+    }
+
+    /**
+     * Close the current segment; the next append starts a new one.
+     */
+    rotate() {
+        if (this.segment === 0) return;
+        this.close();
+        this.rotatePending = true;
+    }
+
+    /**
+     * Segments no longer appended to: all but the current one, or all of them after `rotate`.
+     *
+     * @returns {Object[]} [{ number, path }]
+     */
+    closedSegments() {
+        return this.segments().filter(s => s.number < this.segment || (this.rotatePending && s.number === this.segment));
+    }
+
+    removeSegment(number) {
+        fs.rmSync(path.join(this.dirPath, LedgerSegmentStore.segmentName(number)), { force: true });
+    }
+
+    /**
+     * @returns {Object|null} The snapshot the segments continue from
+     */
+    readSnapshot() {
+        const file = path.join(this.dirPath, LedgerSegmentStore.SNAPSHOT_FILE);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    /**
+     * Replace snapshot.json atomically (write, sync, rename).
+     */
+    writeSnapshot(snapshot) {
+        const file = path.join(this.dirPath, LedgerSegmentStore.SNAPSHOT_FILE);
+        const tmp = `${file}.tmp`;
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(snapshot, null, 2));
+            if (this.fsync !== 'never') fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, file);
+    }
+
+    /**
+     * Flush appended entries to disk (whatever the fsync mode).
+     */
+    sync() {
+        if (this.fd !== null) fs.fsyncSync(this.fd);
+    }
+
+    close() {
+        if (this.fd === null) return;
+        if (this.fsync !== 'never') fs.fsyncSync(this.fd);
+        fs.closeSync(this.fd);
+        this.fd = null;
+    }
+}
+
+export default LedgerSegmentStore;
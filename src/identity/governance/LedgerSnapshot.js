@@ -0,0 +1,80 @@
+import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { canonicalize } from '../crypto/canonicalize.js';
+
+/**
+ * LedgerSnapshot
+ *
+ * Signed record of a ledger prefix that was moved to cold storage (see
+ * LedgerArchive). It pins the archived history by its size, head hash,
+ * Merkle root and frontier, lists the archived segment files with their
+ * digests, and carries the state derived from those entries:
+ *
+ *   { type, version, tenantId, treeSize, headHash, rootHash, frontier,
+ *     archive: { location, segments: [{ number, file, firstIndex, lastIndex, bytes, sha256 }] },
+ *     previous: { treeSize, digest } | null,
+ *     state: { genesis, agents, trustGraph }, createdAt, digest,
+ *     proof: { publicKey, algorithm, signature } }
+ *
+ * The live ledger continues from `headHash` at index `treeSize`. Whoever
+ * trusts the signing key can start verification at the snapshot instead of
+ * at the genesis entry.
+ */
+class LedgerSnapshot {
+    static TYPE = 'AgentActivityLedgerSnapshot';
+    static VERSION = 1;
+
+    static digest(body) {
+        return crypto.createHash('sha256').update(canonicalize(body)).digest('hex');
+    }
+
+    static _body(snapshot) {
+        const { digest, proof, ...body } = snapshot;
+        return body;
+    }
+
+    /**
+     * Sign a snapshot body.
+     *
+     * @param {Object} body - Everything but digest and proof
+     * @param {Signer} signer - Key of the operator compacting the ledger
+     * @returns {Object} snapshot
+     */
+    static sign(body, signer) {
+        const content = { type: LedgerSnapshot.TYPE, version: LedgerSnapshot.VERSION, ...body };
+        const digest = LedgerSnapshot.digest(content);
+        return {
+            ...content,
+            digest,
+            proof: { publicKey: signer.publicKey, algorithm: signer.algorithm, signature: signer.sign(digest) }
+        };
+    }
+
+    /**
+     * Check a snapshot's digest and signature against trusted keys. Never throws.
+     *
+     * @param {Object} snapshot
+     * @param {string[]} trustedKeys - PEM public keys allowed to sign snapshots
+     * @returns {Object} { valid, reason }
+     */
+    static verify(snapshot, trustedKeys = []) {
+        try {
+            if (!snapshot || snapshot.type !== LedgerSnapshot.TYPE || !snapshot.proof) return { valid: false, reason: 'MALFORMED_SNAPSHOT' };
+            if (!trustedKeys.some(key => SignatureSuite.sameKey(key, snapshot.proof.publicKey))) return { valid: false, reason: 'UNTRUSTED_SNAPSHOT' };
+            if (LedgerSnapshot.digest(LedgerSnapshot._body(snapshot)) !== snapshot.digest) return { valid: false, reason: 'SNAPSHOT_DIGEST_MISMATCH' };
+            const verified = SignatureSuite.verify(snapshot.digest, snapshot.proof.signature, snapshot.proof.publicKey);
+            return verified ? { valid: true } : { valid: false, reason: 'INVALID_SNAPSHOT_SIGNATURE' };
+        } catch (err) {
+            return { valid: false, reason: err.message };
+        }
+    }
+
+    /**
+     * Merkle prefix ({ size, frontier }) standing in for the archived entries.
+     */
+    static prefix(snapshot) {
+        return snapshot ? { size: snapshot.treeSize, frontier: snapshot.frontier } : null;
+    }
+}
+
+export default LedgerSnapshot;
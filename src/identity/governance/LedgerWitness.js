@@ -0,0 +1,165 @@
+import fs from 'node:fs';
+import { canonicalize } from '../crypto/canonicalize.js';
+import Signer from '../signing/Signer.js';
+import LedgerMerkleTree from './LedgerMerkleTree.js';
+
+/**
+ * LedgerWitness
+ *
+ * Co-signs ledger checkpoints on behalf of a witness identity registered in
+ * the registry. A witness remembers the last checkpoint it signed for each
+ * ledger (one ledger per tenant) and only signs a new one when a consistency
+ * proof shows that it extends that checkpoint. An operator that rewrites
+ * history, even one holding every agent key, can therefore no longer obtain
+ * witness signatures for it, and the checkpoints the witnesses already signed
+ * keep contradicting the rewritten ledger.
+ *
+ * This is a local stand-in for an independent witness service: it runs in
+ * this process, its key can live anywhere a Signer reaches (a RemoteSigner
+ * keeps it in a SignerHelper process), and `statePath` keeps what it has
+ * witnessed across restarts.
+ */
+class LedgerWitness {
+    static STATEMENT_TYPE = 'AgentActivityLedgerCheckpoint';
+
+    /**
+     * @param {Object} params
+     * @param {string} params.witnessId - Registry identity of the witness
+     * @param {Signer} params.signer - Signs with the witness identity's current key
+     * @param {string} [params.statePath] - File persisting the latest witnessed checkpoint per ledger
+     */
+    constructor({ witnessId, signer, statePath = null }) {
+        if (!witnessId) throw new Error('LedgerWitness requires a witnessId');
+        if (!Signer.isSigner(signer)) throw new Error('LedgerWitness requires a signer');
+
+        this.witnessId = witnessId;
+        this.signer = signer;
+        this.statePath = statePath;
+        this._loadState();
+    }
+
+    _loadState() {
+        this.state = { witnessId: this.witnessId, ledgers: {} };
+        if (this.statePath && fs.existsSync(this.statePath)) {
+            this.state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            if (this.state.witnessId !== this.witnessId) {
+                throw new Error(`Witness state at ${this.statePath} belongs to '${this.state.witnessId}', not '${this.witnessId}'`);
+            }
+        }
+    }
+
+    _saveState() {
+        if (!this.statePath) return;
+        fs.writeFileSync(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+    }
+
+    static _ledgerKey(tenantId) {
+        return tenantId || 'default';
+    }
+
+    /**
+     * The statement a witness signs: the checkpoint together with the ledger it belongs to and
+     * the signing time, which selects the witness key on verification. Without `signedAt` it
+     * identifies the checkpoint.
+     *
+     * @param {Object} checkpoint - { treeSize, rootHash, lastHash, timestamp }
+     * @param {string} [tenantId]
+     * @param {string} [signedAt] - ISO time of the cosignature
+     * @returns {string}
+     */
+    static checkpointMessage(checkpoint, tenantId = null, signedAt = null) {
+        const statement = {
+            type: LedgerWitness.STATEMENT_TYPE,
+            tenantId: tenantId || null,
+            treeSize: checkpoint.treeSize,
+            rootHash: checkpoint.rootHash,
+            lastHash: checkpoint.lastHash,
+            timestamp: checkpoint.timestamp
+        };
+        if (signedAt) statement.signedAt = signedAt;
+        return canonicalize(statement);
+    }
+
+    /**
+     * Latest checkpoint this witness signed for a ledger, with its cosignature,
+     * in the form AgentActivityLedger.verifyWitnessed accepts as a trusted checkpoint.
+     *
+     * @param {string} [tenantId]
+     * @returns {Object|null}
+     */
+    latest(tenantId = null) {
+        return this.state.ledgers[LedgerWitness._ledgerKey(tenantId)] || null;
+    }
+
+    /**
+     * Co-sign a checkpoint. The first checkpoint of a ledger is taken on trust; every
+     * later one must come with a consistency proof from the latest witnessed checkpoint.
+     *
+     * @param {Object} checkpoint - { treeSize, rootHash, lastHash, timestamp }
+     * @param {Object} [options]
+     * @param {string} [options.tenantId] - Ledger the checkpoint belongs to
+     * @param {string[]} [options.consistencyProof] - Path from the latest witnessed tree size to checkpoint.treeSize
+     * @returns {Object} cosignature { witnessId, publicKey, algorithm, signedAt, signature }
+     */
+    cosign(checkpoint, { tenantId = null, consistencyProof = null } = {}) {
+        const { treeSize, rootHash, lastHash } = checkpoint || {};
+        if (!Number.isInteger(treeSize) || treeSize < 1 || !rootHash || !lastHash) throw new Error('Malformed checkpoint');
+
+        const previous = this.latest(tenantId);
+        if (previous) {
+            if (treeSize < previous.treeSize) {
+                throw new Error(`Witness ${this.witnessId} already signed ${previous.treeSize} entries; refusing a rollback to ${treeSize}`);
+            }
+            const consistent = treeSize === previous.treeSize
+                ? rootHash === previous.rootHash && lastHash === previous.lastHash
+                : LedgerMerkleTree.verifyConsistency(previous.treeSize, treeSize, previous.rootHash, rootHash, consistencyProof || []);
+            if (!consistent) {
+                throw new Error(`Checkpoint at ${treeSize} entries conflicts with the checkpoint witness ${this.witnessId} signed at ${previous.treeSize}`);
+            }
+        }
+
+        const signedAt = new Date().toISOString();
+        const cosignature = {
+            witnessId: this.witnessId,
+            publicKey: this.signer.publicKey,
+            algorithm: this.signer.algorithm,
+            signedAt,
+            signature: this.signer.sign(LedgerWitness.checkpointMessage(checkpoint, tenantId, signedAt))
+        };
+        this.state.ledgers[LedgerWitness._ledgerKey(tenantId)] = {
+            treeSize,
+            rootHash,
+            lastHash,
+            timestamp: checkpoint.timestamp,
+            cosignatures: [cosignature]
+        };
+        this._saveState();
+        return cosignature;
+    }
+
+    /**
+     * Check one cosignature against the witness identity's key at signing time. The signing
+     * time is part of the signed statement and cannot precede the checkpoint.
+     *
+     * @param {Object} checkpoint
+     * @param {Object} cosignature
+     * @param {AgentIdentityRegistry} registry
+     * @param {string} [tenantId]
+     * @returns {Object} { valid, reason }
+     */
+    static verifyCosignature(checkpoint, cosignature, registry, tenantId = null) {
+        try {
+            const identity = registry.getIdentityById(cosignature.witnessId);
+            if (!identity) return { valid: false, reason: 'UNKNOWN_WITNESS' };
+            const signedAt = new Date(cosignature.signedAt);
+            if (isNaN(signedAt.getTime()) || signedAt < new Date(checkpoint.timestamp)) return { valid: false, reason: 'SIGNED_BEFORE_CHECKPOINT' };
+            if (identity.getPublicKeyAt(cosignature.signedAt) !== cosignature.publicKey) return { valid: false, reason: 'KEY_NOT_VALID_AT_TIMESTAMP' };
+            const verified = identity.verifySignature(LedgerWitness.checkpointMessage(checkpoint, tenantId, cosignature.signedAt), cosignature.signature, cosignature.signedAt);
+            return verified ? { valid: true } : { valid: false, reason: 'INVALID_COSIGNATURE' };
+        } catch (err) {
+            return { valid: false, reason: err.message };
+        }
+    }
+}
+
+export default LedgerWitness;
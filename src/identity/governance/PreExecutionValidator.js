@@ -1,4 +1,5 @@
 import AgentActivityLedger from './AgentActivityLedger.js';
+import IdentityLifecycle from '../models/IdentityLifecycle.js';
 
 /**
  * PreExecutionValidator
@@ -20,15 +21,19 @@ class PreExecutionValidator {
     }
 
     /**
-     * Helper to record an action.
+     * Helper to record an action. A ledger in the agent context (e.g. the agent's
+     * tenant ledger) takes precedence over the attached one.
      */
     static _record(agentContext, actionType, details) {
-        if (!this._ledger || !agentContext) return;
+        if (!agentContext) return;
+        const ledger = agentContext.ledger || this._ledger;
+        if (!ledger) return;
         try {
-            this._ledger.addEntry({
+            ledger.addEntry({
                 agentId: agentContext.identity.id,
                 publicKey: agentContext.identity.publicKey,
                 privateKey: agentContext.privateKey,
+                signer: agentContext.signer,
                 actionType,
                 details
             });
@@ -86,7 +91,7 @@ class PreExecutionValidator {
      * @param {PersistentAgentIdentity} agent - The agent proposing the action
      * @param {Object} proposal - The proposal details
      * @param {string} [context] - Optional reputation context (e.g., 'financial', 'compliance')
-     * @param {Object} [agentContext] - { identity, privateKey } for ledger recording
+     * @param {Object} [agentContext] - { identity, privateKey | signer } for ledger recording
      * @returns {Object} { allowed: boolean, validationResults: Object, reason: string }
      */
     static validate(agent, proposal, context = null, agentContext = null) {
@@ -96,6 +101,7 @@ class PreExecutionValidator {
         const config = this.STRICTNESS_LEVELS[strictness] || this.STRICTNESS_LEVELS.STANDARD;
 
         const results = {
+            lifecycleCheck: this._validateLifecycle(agent),
             riskCheck: this._validateRisk(proposal, config),
             economicCheck: this._validateEconomics(proposal, config, profile),
             policyCheck: this._validatePolicies(proposal, config),
@@ -137,6 +143,17 @@ class PreExecutionValidator {
         return validationOutcome;
     }
 
+    /**
+     * Lifecycle validation: suspended, retired and revoked identities may not execute anything.
+     */
+    static _validateLifecycle(agent) {
+        const state = agent.lifecycleState || IdentityLifecycle.STATES.ACTIVE;
+        if (IdentityLifecycle.isBlocked(state)) {
+            return { passed: false, reason: `Identity is ${state} and may not execute actions.` };
+        }
+        return { passed: true };
+    }
+
     /**
      * Risk-based validation
      */
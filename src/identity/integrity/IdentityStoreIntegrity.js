@@ -0,0 +1,115 @@
+import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { canonicalize } from '../crypto/canonicalize.js';
+
+/**
+ * IdentityStoreIntegrity
+ *
+ * Seal for the identity store file. Every save records a digest of each
+ * identity record and of the non-identity sections (meta, replay-protection
+ * state), folds them into a root hash chained to the previous seal, and signs
+ * the root with the registry key:
+ *
+ *   integrity: { version, publicKey, algorithm, sequence, prevRoot, sealedAt,
+ *                records: { id: digest }, sections: { meta, state }, root, signature }
+ *
+ * Editing any record, the seal itself, or swapping in a seal made with
+ * another key is detected by `verify`, which reports which identities were
+ * altered, added or removed since the last legitimate save.
+ */
+class IdentityStoreIntegrity {
+    static VERSION = 1;
+
+    static _digest(value) {
+        return crypto.createHash('sha256').update(canonicalize(value === undefined ? null : value)).digest('hex');
+    }
+
+    static _digests(store) {
+        const records = {};
+        for (const [id, record] of Object.entries(store.identities || {})) records[id] = this._digest(record);
+        return {
+            records,
+            sections: {
+                meta: this._digest(store.meta),
+                state: this._digest({
+                    lastActionTimestamps: store.lastActionTimestamps || {},
+                    pendingChallenges: store.pendingChallenges || {},
+                    seenNonces: store.seenNonces || []
+                })
+            }
+        };
+    }
+
+    static _root({ sequence, prevRoot, sealedAt, records, sections }) {
+        return this._digest({ sequence, prevRoot, sealedAt, records, sections });
+    }
+
+    /**
+     * Build the seal for the store's current content.
+     *
+     * @param {Object} store - Identity store document
+     * @param {Signer} signer - Registry key
+     * @returns {Object} integrity block
+     */
+    static seal(store, signer) {
+        const previous = store.integrity || null;
+        const { records, sections } = this._digests(store);
+        const body = {
+            sequence: previous ? previous.sequence + 1 : 1,
+            prevRoot: previous ? previous.root : null,
+            sealedAt: new Date().toISOString(),
+            records,
+            sections
+        };
+        const root = this._root(body);
+        return {
+            version: IdentityStoreIntegrity.VERSION,
+            publicKey: signer.publicKey,
+            algorithm: signer.algorithm,
+            ...body,
+            root,
+            signature: signer.sign(root)
+        };
+    }
+
+    /**
+     * Check a store against its seal. Never throws.
+     *
+     * @param {Object} store
+     * @param {string} publicKey - Trusted registry key (PEM)
+     * @returns {Object} { valid, reason, sequence, sealedAt, altered: [id], added: [id], removed: [id], sections: [name] }
+     */
+    static verify(store, publicKey) {
+        const report = { valid: false, reason: null, sequence: null, sealedAt: null, altered: [], added: [], removed: [], sections: [] };
+        const seal = store.integrity;
+
+        try {
+            if (!seal) {
+                // A store that never held an identity has nothing to protect yet
+                const empty = Object.keys(store.identities || {}).length === 0;
+                return { ...report, valid: empty, reason: empty ? null : 'UNSEALED_STORE', added: Object.keys(store.identities || {}) };
+            }
+            report.sequence = seal.sequence;
+            report.sealedAt = seal.sealedAt;
+
+            if (!SignatureSuite.sameKey(seal.publicKey, publicKey)) return { ...report, reason: 'UNTRUSTED_KEY' };
+            if (this._root(seal) !== seal.root) return { ...report, reason: 'ROOT_MISMATCH' };
+            if (!SignatureSuite.verify(seal.root, seal.signature, publicKey)) return { ...report, reason: 'BAD_SIGNATURE' };
+
+            const current = this._digests(store);
+            for (const [id, digest] of Object.entries(current.records)) {
+                if (!(id in seal.records)) report.added.push(id);
+                else if (seal.records[id] !== digest) report.altered.push(id);
+            }
+            report.removed = Object.keys(seal.records).filter(id => !(id in current.records));
+            report.sections = Object.keys(current.sections).filter(name => seal.sections[name] !== current.sections[name]);
+
+            const clean = report.altered.length + report.added.length + report.removed.length + report.sections.length === 0;
+            return { ...report, valid: clean, reason: clean ? null : 'STORE_MODIFIED' };
+        } catch (err) {
+            return { ...report, reason: err.message };
+        }
+    }
+}
+
+export default IdentityStoreIntegrity;
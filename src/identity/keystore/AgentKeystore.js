@@ -0,0 +1,202 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import KeystoreSigner from './KeystoreSigner.js';
+
+/**
+ * AgentKeystore
+ *
+ * Local file of agent private keys, each encrypted under its own passphrase:
+ * the passphrase is stretched with scrypt (random salt per key) and the PKCS#8
+ * key is sealed with AES-256-GCM, with the agent id and public key bound in as
+ * additional authenticated data. `unlock` decrypts a key for a session and
+ * returns a KeystoreSigner handle, so callers never hold the raw PEM.
+ */
+class AgentKeystore {
+    static FORMAT_VERSION = 1;
+
+    static DEFAULT_SCRYPT = { N: 1 << 15, r: 8, p: 1 };
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.path] - Keystore file (default ./agent_keystore.json)
+     * @param {Object} [options.scrypt] - { N, r, p } cost parameters for newly stored keys
+     * @param {number} [options.sessionTtlMs] - Default unlock session length (null = until locked)
+     */
+    constructor(options = {}) {
+        this.path = options.path || path.resolve(process.cwd(), 'agent_keystore.json');
+        this.scrypt = { ...AgentKeystore.DEFAULT_SCRYPT, ...(options.scrypt || {}) };
+        this.sessionTtlMs = options.sessionTtlMs === undefined ? null : options.sessionTtlMs;
+        this._signers = new Set(); // handles issued by unlock, for lockAll
+        this._load();
+    }
+
+    _load() {
+        this.store = { version: AgentKeystore.FORMAT_VERSION, keys: {} };
+        if (fs.existsSync(this.path)) {
+            this.store = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        }
+    }
+
+    _save() {
+        // Owner-only permissions: the file is encrypted, but there is no reason to share it
+        fs.writeFileSync(this.path, JSON.stringify(this.store, null, 2), { encoding: 'utf8', mode: 0o600 });
+    }
+
+    has(agentId) {
+        return !!this.store.keys[agentId];
+    }
+
+    /**
+     * Public description of stored keys (never includes key material).
+     */
+    list() {
+        return Object.values(this.store.keys).map(({ agentId, publicKey, algorithm, createdAt }) => ({ agentId, publicKey, algorithm, createdAt }));
+    }
+
+    static _deriveKey(passphrase, salt, { N, r, p }) {
+        // scrypt needs 128 * N * r bytes; raise maxmem so high-cost parameters do not fail
+        return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+    }
+
+    static _aad(agentId, publicKey) {
+        return Buffer.from(`${agentId}\n${publicKey}`, 'utf8');
+    }
+
+    _seal(agentId, publicKey, privateKeyObject, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const key = AgentKeystore._deriveKey(passphrase, salt, this.scrypt);
+
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(AgentKeystore._aad(agentId, publicKey));
+        const plaintext = privateKeyObject.export({ type: 'pkcs8', format: 'der' });
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return {
+            kdf: { name: 'scrypt', ...this.scrypt, salt: salt.toString('base64') },
+            cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+            ciphertext: ciphertext.toString('base64')
+        };
+    }
+
+    _open(record, passphrase) {
+        const { N, r, p, salt } = record.kdf;
+        const key = AgentKeystore._deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.cipher.iv, 'base64'));
+            decipher.setAAD(AgentKeystore._aad(record.agentId, record.publicKey));
+            decipher.setAuthTag(Buffer.from(record.cipher.tag, 'base64'));
+            const der = Buffer.concat([decipher.update(Buffer.from(record.ciphertext, 'base64')), decipher.final()]);
+            return crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+        } catch (err) {
+            // GCM authentication covers both a wrong passphrase and a tampered record
+            throw new Error(`Unable to unlock key for '${record.agentId}': wrong passphrase or corrupted keystore entry`);
+        }
+    }
+
+    /**
+     * Encrypt and store an existing private key.
+     *
+     * @param {string} agentId
+     * @param {string|crypto.KeyObject} privateKey - PEM or KeyObject
+     * @param {string} passphrase
+     * @param {Object} [options]
+     * @param {boolean} [options.overwrite] - Replace an existing entry
+     * @returns {Object} { agentId, publicKey, algorithm, createdAt }
+     */
+    importKey(agentId, privateKey, passphrase, { overwrite = false } = {}) {
+        if (!agentId || !privateKey) throw new Error('agentId and privateKey are required');
+        if (!passphrase || typeof passphrase !== 'string') throw new Error('A passphrase is required');
+        if (this.has(agentId) && !overwrite) throw new Error(`Keystore already holds a key for '${agentId}'`);
+
+        const privateKeyObject = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+        const publicKey = crypto.createPublicKey(privateKeyObject).export({ type: 'spki', format: 'pem' });
+        const algorithm = SignatureSuite.detectAlgorithm(publicKey);
+        if (!algorithm) throw new Error('Unsupported key type');
+
+        this.store.keys[agentId] = {
+            agentId,
+            publicKey,
+            algorithm,
+            ...this._seal(agentId, publicKey, privateKeyObject, passphrase),
+            createdAt: new Date().toISOString()
+        };
+        this._save();
+        return this.list().find(k => k.agentId === agentId);
+    }
+
+    /**
+     * Generate a new key pair directly into the keystore.
+     *
+     * @param {string} agentId
+     * @param {string} passphrase
+     * @param {Object} [options]
+     * @param {string} [options.type] - 'ed25519' (default), 'ec' or 'rsa'
+     * @param {Object} [options.keyOptions] - Passed to crypto.generateKeyPairSync (e.g. { namedCurve })
+     * @returns {Object} { agentId, publicKey, algorithm, createdAt }
+     */
+    generateKey(agentId, passphrase, { type = 'ed25519', keyOptions = {} } = {}) {
+        const defaults = type === 'rsa' ? { modulusLength: 2048 } : (type === 'ec' ? { namedCurve: 'prime256v1' } : {});
+        const { privateKey } = crypto.generateKeyPairSync(type, { ...defaults, ...keyOptions });
+        return this.importKey(agentId, privateKey, passphrase);
+    }
+
+    /**
+     * Decrypt a key for a session.
+     *
+     * @param {string} agentId
+     * @param {string} passphrase
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs] - Session length (defaults to the keystore's sessionTtlMs)
+     * @returns {KeystoreSigner}
+     */
+    unlock(agentId, passphrase, { ttlMs = this.sessionTtlMs } = {}) {
+        const record = this.store.keys[agentId];
+        if (!record) throw new Error(`No key stored for '${agentId}'`);
+
+        const signer = new KeystoreSigner({
+            agentId,
+            publicKey: record.publicKey,
+            privateKey: this._open(record, passphrase),
+            expiresAt: ttlMs ? Date.now() + ttlMs : null
+        });
+        this._signers.add(signer);
+        return signer;
+    }
+
+    /**
+     * Re-encrypt a stored key under a new passphrase.
+     */
+    changePassphrase(agentId, oldPassphrase, newPassphrase) {
+        const record = this.store.keys[agentId];
+        if (!record) throw new Error(`No key stored for '${agentId}'`);
+        if (!newPassphrase || typeof newPassphrase !== 'string') throw new Error('A passphrase is required');
+
+        const privateKeyObject = this._open(record, oldPassphrase);
+        this.store.keys[agentId] = {
+            ...record,
+            ...this._seal(agentId, record.publicKey, privateKeyObject, newPassphrase)
+        };
+        this._save();
+        return true;
+    }
+
+    remove(agentId) {
+        if (!this.has(agentId)) return false;
+        delete this.store.keys[agentId];
+        this._save();
+        return true;
+    }
+
+    /**
+     * Lock every handle this keystore has issued.
+     */
+    lockAll() {
+        this._signers.forEach(signer => signer.lock());
+        this._signers.clear();
+    }
+}
+
+export default AgentKeystore;
@@ -0,0 +1,68 @@
+import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import Signer from '../signing/Signer.js';
+
+/**
+ * KeystoreSigner
+ *
+ * Opaque handle to a private key unlocked from an AgentKeystore. It can sign
+ * but never reveals the key: the key is held in a private field as a
+ * KeyObject, and the handle serializes to its public description only.
+ * A handle stops signing once its session expires or it is locked.
+ *
+ * The ledger, governance engine and pre-execution validator accept a signer
+ * anywhere they accept a raw `privateKey`.
+ */
+class KeystoreSigner extends Signer {
+    #privateKey;
+
+    /**
+     * @param {Object} params
+     * @param {string} params.agentId
+     * @param {string} params.publicKey - PEM
+     * @param {crypto.KeyObject} params.privateKey
+     * @param {number|null} params.expiresAt - Epoch ms after which the session ends (null = until locked)
+     */
+    constructor({ agentId, publicKey, privateKey, expiresAt = null }) {
+        if (!(privateKey instanceof crypto.KeyObject) || privateKey.type !== 'private') {
+            throw new Error('KeystoreSigner requires a private KeyObject');
+        }
+        super({ publicKey, keyId: agentId });
+        this.#privateKey = privateKey;
+        this.agentId = agentId;
+        this.expiresAt = expiresAt;
+        Object.freeze(this);
+    }
+
+    get locked() {
+        return !this.#privateKey || (this.expiresAt !== null && Date.now() >= this.expiresAt);
+    }
+
+    /**
+     * Sign a message with the unlocked key.
+     *
+     * @param {string|Buffer} message
+     * @returns {string} hex signature
+     */
+    sign(message) {
+        if (this.locked) throw new Error(`Signer for '${this.agentId}' is locked`);
+        return SignatureSuite.sign(message, this.#privateKey, this.algorithm);
+    }
+
+    /**
+     * End the session. The handle can no longer sign.
+     */
+    lock() {
+        this.#privateKey = null;
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), agentId: this.agentId, locked: this.locked };
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `KeystoreSigner(${this.agentId}${this.locked ? ', locked' : ''})`;
+    }
+}
+
+export default KeystoreSigner;
@@ -0,0 +1,252 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * MigrationRunner
+ *
+ * Declarative, versioned migrations for a JSON document stored on disk (the
+ * identity store, the ledger file). Each migration is declared as
+ *
+ *   { version, description, up(doc), down(doc) }
+ *
+ * where `up` upgrades a document from `version - 1` to `version` and `down`
+ * reverses it. The runner plans the ordered steps between two versions,
+ * validates every record after each step, reports what changed and, when
+ * writing, keeps a timestamped backup of the previous file next to it.
+ *
+ * A runner is configured per document kind:
+ *   - getVersion(doc) / setVersion(doc, version)
+ *   - records(doc) -> [[id, record], ...] (the unit of validation and change reporting)
+ *   - validateRecord(record, version) -> { valid, reason }
+ *   - seal(document, replaced) -> document to write over `replaced`, for
+ *     documents that carry a signature over their content (may throw to refuse)
+ */
+class MigrationRunner {
+    /**
+     * @param {Object} params
+     * @param {string} params.kind - Document kind, used in messages and backup names
+     * @param {number} params.currentVersion - Version this code reads and writes
+     * @param {Object[]} params.migrations - Declared migrations
+     * @param {Function} params.getVersion
+     * @param {Function} params.setVersion
+     * @param {Function} params.records
+     * @param {Function} [params.validateRecord]
+     * @param {Function} [params.seal]
+     */
+    constructor({ kind, currentVersion, migrations, getVersion, setVersion, records, validateRecord = () => ({ valid: true }), seal = document => document }) {
+        this.kind = kind;
+        this.currentVersion = currentVersion;
+        this.getVersion = getVersion;
+        this.setVersion = setVersion;
+        this.records = records;
+        this.validateRecord = validateRecord;
+        this.seal = seal;
+
+        this.migrations = new Map();
+        for (const migration of migrations) {
+            if (!Number.isInteger(migration.version) || migration.version < 2) {
+                throw new Error(`${kind} migration has an invalid version: ${migration.version}`);
+            }
+            if (typeof migration.up !== 'function') throw new Error(`${kind} migration v${migration.version} has no up step`);
+            if (this.migrations.has(migration.version)) throw new Error(`Duplicate ${kind} migration for v${migration.version}`);
+            this.migrations.set(migration.version, migration);
+        }
+    }
+
+    /**
+     * Ordered steps needed to take a document from one version to another.
+     *
+     * @returns {Object[]} [{ version, direction: 'up'|'down', description }]
+     */
+    plan(fromVersion, toVersion = this.currentVersion) {
+        if (toVersion > this.currentVersion) {
+            throw new Error(`Cannot migrate ${this.kind} to v${toVersion}: this build supports up to v${this.currentVersion}`);
+        }
+        if (toVersion < 1) throw new Error(`Cannot migrate ${this.kind} below v1`);
+
+        const steps = [];
+        for (let v = fromVersion + 1; v <= toVersion; v++) {
+            const migration = this.migrations.get(v);
+            if (!migration) throw new Error(`No ${this.kind} migration declared for v${v}`);
+            steps.push({ version: v, direction: 'up', description: migration.description || '' });
+        }
+        for (let v = fromVersion; v > toVersion; v--) {
+            const migration = this.migrations.get(v);
+            if (!migration || typeof migration.down !== 'function') {
+                throw new Error(`${this.kind} migration v${v} cannot be rolled back (no down step)`);
+            }
+            steps.push({ version: v, direction: 'down', description: migration.description || '' });
+        }
+        return steps;
+    }
+
+    /**
+     * Migrate a document in memory. The input is not modified.
+     *
+     * @param {Object} document
+     * @param {Object} [options]
+     * @param {number} [options.targetVersion] - Defaults to the current version
+     * @returns {Object} { document, fromVersion, toVersion, steps, changes, errors, valid }
+     */
+    apply(document, { targetVersion = this.currentVersion } = {}) {
+        const fromVersion = this.getVersion(document);
+        const steps = this.plan(fromVersion, targetVersion);
+        const before = structuredClone(document);
+        let working = structuredClone(document);
+        const errors = [];
+
+        for (const step of steps) {
+            const migration = this.migrations.get(step.version);
+            const resultVersion = step.direction === 'up' ? step.version : step.version - 1;
+            // Steps may mutate in place or return a replacement document
+            working = migration[step.direction](working) || working;
+            this.setVersion(working, resultVersion);
+
+            for (const [id, record] of this.records(working)) {
+                const check = this.validateRecord(record, resultVersion);
+                if (!check.valid) errors.push({ id, version: resultVersion, reason: check.reason });
+            }
+            if (errors.length > 0) break;
+        }
+
+        return {
+            document: working,
+            fromVersion,
+            toVersion: targetVersion,
+            steps,
+            changes: this.diff(before, working),
+            errors,
+            valid: errors.length === 0
+        };
+    }
+
+    /**
+     * Per-record change summary between two documents.
+     *
+     * @returns {Object} { added: [id], removed: [id], modified: [{ id, fields }] }
+     */
+    diff(before, after) {
+        const beforeRecords = new Map(this.records(before));
+        const afterRecords = new Map(this.records(after));
+        const changes = { added: [], removed: [], modified: [] };
+
+        for (const [id, record] of afterRecords) {
+            if (!beforeRecords.has(id)) {
+                changes.added.push(id);
+                continue;
+            }
+            const previous = beforeRecords.get(id);
+            const fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(record)]))
+                .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(record[field]));
+            if (fields.length > 0) changes.modified.push({ id, fields });
+        }
+        for (const id of beforeRecords.keys()) {
+            if (!afterRecords.has(id)) changes.removed.push(id);
+        }
+        return changes;
+    }
+
+    /**
+     * Migrate a file on disk. Nothing is written when the migration fails validation.
+     *
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.targetVersion] - Defaults to the current version (lower versions roll back)
+     * @param {boolean} [options.dryRun] - Report what would change without writing
+     * @param {boolean} [options.backup] - Keep a timestamped copy of the previous file (default true)
+     * @returns {Object} Report: { kind, path, fromVersion, toVersion, steps, changes, errors, valid, dryRun, backupPath }
+     */
+    migrateFile(filePath, { targetVersion = this.currentVersion, dryRun = false, backup = true } = {}) {
+        const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const result = this.apply(document, { targetVersion });
+        const report = { kind: this.kind, path: filePath, ...result, dryRun, backupPath: null };
+        delete report.document;
+
+        if (dryRun || result.steps.length === 0) return report;
+        if (!result.valid) {
+            const detail = result.errors.slice(0, 5).map(e => `${e.id} (v${e.version}): ${e.reason}`).join('; ');
+            throw new Error(`${this.kind} migration to v${targetVersion} failed validation for ${result.errors.length} record(s): ${detail}`);
+        }
+
+        const sealed = this.seal(result.document, document);
+        if (backup) report.backupPath = this.backup(filePath, result.fromVersion);
+        this._write(filePath, sealed);
+        return report;
+    }
+
+    /**
+     * Roll a file back, either by running down steps or by restoring a backup.
+     * Without options the file is taken back one version.
+     *
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.targetVersion] - Version to roll back to
+     * @param {string} [options.backupPath] - Restore this backup instead of running down steps
+     * @param {boolean} [options.dryRun]
+     * @returns {Object} Report (see migrateFile); restoring a backup reports { restoredFrom }
+     */
+    rollback(filePath, { targetVersion = null, backupPath = null, dryRun = false } = {}) {
+        if (backupPath) {
+            const restored = JSON.parse(fs.readFileSync(backupPath, 'utf8'));
+            const current = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const report = {
+                kind: this.kind,
+                path: filePath,
+                fromVersion: this.getVersion(current),
+                toVersion: this.getVersion(restored),
+                restoredFrom: backupPath,
+                changes: this.diff(current, restored),
+                dryRun,
+                backupPath: null
+            };
+            if (dryRun) return report;
+            const sealed = this.seal(restored, current);
+            // The state being replaced is backed up too, so a restore can itself be undone
+            report.backupPath = this.backup(filePath, report.fromVersion);
+            this._write(filePath, sealed);
+            return report;
+        }
+
+        const currentVersion = this.getVersion(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        const target = targetVersion === null ? currentVersion - 1 : targetVersion;
+        if (target >= currentVersion) {
+            throw new Error(`${this.kind} at ${filePath} is at v${currentVersion}; rollback target must be lower (got v${target})`);
+        }
+        return this.migrateFile(filePath, { targetVersion: target, dryRun });
+    }
+
+    /**
+     * Copy a file to `<file>.v<version>-<timestamp>.bak`.
+     *
+     * @returns {string} Backup path
+     */
+    backup(filePath, version) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let backupPath = `${filePath}.v${version}-${stamp}.bak`;
+        // Two backups within the same millisecond must not overwrite each other
+        for (let n = 1; fs.existsSync(backupPath); n++) backupPath = `${filePath}.v${version}-${stamp}-${n}.bak`;
+        fs.copyFileSync(filePath, backupPath);
+        return backupPath;
+    }
+
+    /**
+     * Backups of a file, newest first.
+     */
+    listBackups(filePath) {
+        const dir = path.dirname(filePath);
+        const prefix = `${path.basename(filePath)}.v`;
+        return fs.readdirSync(dir)
+            .filter(name => name.startsWith(prefix) && name.endsWith('.bak'))
+            .map(name => path.join(dir, name))
+            .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs || b.localeCompare(a));
+    }
+
+    _write(filePath, document) {
+        // Write a sibling file and rename, so a crash never leaves a half-migrated store
+        const tmp = `${filePath}.migrating`;
+        fs.writeFileSync(tmp, JSON.stringify(document, null, 2), 'utf8');
+        fs.renameSync(tmp, filePath);
+    }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,97 @@
+import MigrationRunner from './MigrationRunner.js';
+import IdentityStoreIntegrity from '../integrity/IdentityStoreIntegrity.js';
+import { CURRENT_IDENTITY_SCHEMA_VERSION } from '../models/IdentitySchemaVersion.js';
+
+/**
+ * Declared migrations of the identity store (agent_identities.json).
+ * `meta.schemaVersion` is the store version; v1 stores predate it.
+ */
+export const IDENTITY_STORE_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Stamp schemaVersion on every identity record',
+        up(store) {
+            Object.values(store.identities || {}).forEach(identity => {
+                if (!identity.schemaVersion) identity.schemaVersion = 2;
+            });
+        },
+        down(store) {
+            Object.values(store.identities || {}).forEach(identity => {
+                delete identity.schemaVersion;
+            });
+        }
+    }
+];
+
+/**
+ * Structural check of one stored identity at a given store version.
+ *
+ * @returns {Object} { valid, reason }
+ */
+export function validateIdentityRecord(record, version) {
+    if (!record || typeof record !== 'object') return { valid: false, reason: 'record is not an object' };
+    for (const field of ['id', 'publicKey', 'originSystem']) {
+        if (typeof record[field] !== 'string' || record[field].length === 0) return { valid: false, reason: `missing ${field}` };
+    }
+    if (record.metadata !== undefined && (typeof record.metadata !== 'object' || record.metadata === null)) {
+        return { valid: false, reason: 'metadata is not an object' };
+    }
+    if (version >= 2 && record.schemaVersion !== undefined && !(Number.isInteger(record.schemaVersion) && record.schemaVersion <= version)) {
+        return { valid: false, reason: `schemaVersion ${record.schemaVersion} is not valid in a v${version} store` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Reseal a store written over a sealed one (see IdentityStoreIntegrity), chaining
+ * the new seal to the replaced store's. The replaced store must verify under the
+ * signer's key first, so a migration never reseals tampered data. Without a
+ * signer a sealed store is refused: rewriting it would leave a seal the
+ * registry no longer accepts.
+ *
+ * @param {Object} store - Document about to be written
+ * @param {Object} replaced - Document on disk
+ * @param {Signer} [signer] - Registry key
+ * @returns {Object}
+ */
+export function resealIdentityStore(store, replaced, signer = null) {
+    if (!replaced.integrity) return store;
+    if (!signer) throw new Error('The identity store is sealed: pass the registry signer to migrate it and reseal it');
+    const report = IdentityStoreIntegrity.verify(replaced, signer.publicKey);
+    if (!report.valid) throw new Error(`The identity store failed its integrity check (${report.reason}); refusing to reseal it`);
+    const chained = { ...store, integrity: replaced.integrity };
+    return { ...chained, integrity: IdentityStoreIntegrity.seal(chained, signer) };
+}
+
+/**
+ * Build the identity store migrator.
+ *
+ * @param {Object} [overrides] - schemaVersion -> migration function (up only) or { up, down, description }.
+ *                               Overrides replace the declared migration for that version.
+ * @param {Object} [options]
+ * @param {Signer} [options.signer] - Registry key; required to rewrite a sealed store, which is resealed with it
+ * @returns {MigrationRunner}
+ */
+export default function createIdentityStoreMigrator(overrides = {}, { signer = null } = {}) {
+    const migrations = new Map(IDENTITY_STORE_MIGRATIONS.map(m => [m.version, m]));
+    for (const [key, custom] of Object.entries(overrides)) {
+        const version = Number(key);
+        migrations.set(version, typeof custom === 'function'
+            ? { version, description: 'Custom migration', up: custom }
+            : { ...custom, version });
+    }
+
+    return new MigrationRunner({
+        kind: 'identity store',
+        currentVersion: CURRENT_IDENTITY_SCHEMA_VERSION,
+        migrations: Array.from(migrations.values()),
+        getVersion: store => (store.meta && store.meta.schemaVersion) || 1,
+        setVersion: (store, version) => {
+            store.meta = store.meta || {};
+            store.meta.schemaVersion = version;
+        },
+        records: store => Object.entries(store.identities || {}),
+        validateRecord: validateIdentityRecord,
+        seal: (store, replaced) => resealIdentityStore(store, replaced, signer)
+    });
+}
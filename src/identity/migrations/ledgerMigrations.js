@@ -0,0 +1,62 @@
+import MigrationRunner from './MigrationRunner.js';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { CURRENT_LEDGER_FORMAT_VERSION } from '../models/LedgerFormatVersion.js';
+
+/**
+ * Declared migrations of the ledger file format (agent_ledger.json).
+ * `formatVersion` is the file version; v1 files predate it.
+ *
+ * Migrations must never touch hashed entry fields (see
+ * AgentActivityLedger._serializeEntryForHash), or the chain stops verifying.
+ */
+export const LEDGER_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Record formatVersion and backfill per-entry signature algorithms',
+        up(ledger) {
+            (ledger.entries || []).forEach(entry => {
+                if (!entry.algorithm) entry.algorithm = SignatureSuite.detectAlgorithm(entry.publicKey);
+            });
+        },
+        // v1 readers already accept entries with an algorithm; only the version marker goes
+        down() {}
+    }
+];
+
+/**
+ * Structural check of one ledger entry at a given file version.
+ *
+ * @returns {Object} { valid, reason }
+ */
+export function validateLedgerEntry(entry, version) {
+    if (!entry || typeof entry !== 'object') return { valid: false, reason: 'entry is not an object' };
+    if (!Number.isInteger(entry.index) || entry.index < 0) return { valid: false, reason: 'invalid index' };
+    for (const field of ['timestamp', 'agentId', 'actionType', 'hash', 'signature', 'publicKey']) {
+        if (typeof entry[field] !== 'string' || entry[field].length === 0) return { valid: false, reason: `missing ${field}` };
+    }
+    if (entry.index > 0 && typeof entry.prevHash !== 'string') return { valid: false, reason: 'missing prevHash' };
+    if (version >= 2 && entry.algorithm !== SignatureSuite.detectAlgorithm(entry.publicKey)) {
+        return { valid: false, reason: `algorithm ${entry.algorithm} does not match the entry key` };
+    }
+    return { valid: true };
+}
+
+/**
+ * Build the ledger file migrator.
+ *
+ * @returns {MigrationRunner}
+ */
+export default function createLedgerMigrator() {
+    return new MigrationRunner({
+        kind: 'ledger',
+        currentVersion: CURRENT_LEDGER_FORMAT_VERSION,
+        migrations: LEDGER_MIGRATIONS,
+        getVersion: ledger => ledger.formatVersion || 1,
+        setVersion: (ledger, version) => {
+            if (version === 1) delete ledger.formatVersion;
+            else ledger.formatVersion = version;
+        },
+        records: ledger => (ledger.entries || []).map((entry, i) => [String(i), entry]),
+        validateRecord: validateLedgerEntry
+    });
+}
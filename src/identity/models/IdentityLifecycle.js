@@ -0,0 +1,64 @@
+/**
+ * IdentityLifecycle
+ *
+ * The states a registered identity can be in, and the transitions operators
+ * may perform between them. REVOKED is terminal; RETIRED can only be revoked.
+ * SUSPENDED and PROBATION may carry an expiry, after which the identity
+ * returns to ACTIVE on its own.
+ */
+class IdentityLifecycle {
+    static STATES = Object.freeze({
+        ACTIVE: 'ACTIVE',
+        SUSPENDED: 'SUSPENDED',
+        PROBATION: 'PROBATION',
+        RETIRED: 'RETIRED',
+        REVOKED: 'REVOKED'
+    });
+
+    static TRANSITIONS = Object.freeze({
+        ACTIVE: ['SUSPENDED', 'PROBATION', 'RETIRED', 'REVOKED'],
+        SUSPENDED: ['ACTIVE', 'PROBATION', 'RETIRED', 'REVOKED'],
+        PROBATION: ['ACTIVE', 'SUSPENDED', 'RETIRED', 'REVOKED'],
+        RETIRED: ['REVOKED'],
+        REVOKED: []
+    });
+
+    /**
+     * States that may be given an expiry (and revert to ACTIVE when it passes).
+     */
+    static EXPIRING_STATES = Object.freeze(['SUSPENDED', 'PROBATION']);
+
+    /**
+     * States in which an identity may not act at all.
+     */
+    static BLOCKED_STATES = Object.freeze(['SUSPENDED', 'RETIRED', 'REVOKED']);
+
+    static isValidState(state) {
+        return Object.values(this.STATES).includes(state);
+    }
+
+    static canTransition(from, to) {
+        return (this.TRANSITIONS[from] || []).includes(to);
+    }
+
+    static isBlocked(state) {
+        return this.BLOCKED_STATES.includes(state);
+    }
+
+    /**
+     * Derives the lifecycle of a stored record, including records that predate lifecycle tracking.
+     */
+    static fromRecord(record) {
+        if (record.lifecycle) return record.lifecycle;
+        return {
+            state: record.revoked ? this.STATES.REVOKED : this.STATES.ACTIVE,
+            since: record.revoked ? (record.revocationTimestamp || null) : (record.createdAt || null),
+            reason: record.revoked ? (record.revocationReason || null) : null,
+            actor: null,
+            expiresAt: null,
+            history: []
+        };
+    }
+}
+
+export default IdentityLifecycle;
@@ -0,0 +1,6 @@
+export const CURRENT_LEDGER_FORMAT_VERSION = 2;
+
+export const LEDGER_FORMAT_VERSIONS = Object.freeze({
+  V1: 1,
+  V2: 2
+});
@@ -1,4 +1,5 @@
 import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
 import TrustScoringEngine from '../reputation/TrustScoringEngine.js';
 import ReputationEvolutionEngine from '../reputation/ReputationEvolutionEngine.js';
 import AdaptiveGovernanceEngine from '../governance/AdaptiveGovernanceEngine.js';
@@ -19,8 +20,14 @@ class PersistentAgentIdentity {
      * @param {string} [config.id] - Override ID (only for loading existing identities).
      * @param {Object} [config.metadata] - Optional existing metadata for reconstruction.
      * @param {Object} [config.performance] - Optional performance metrics for reconstruction.
+     * @param {Array} [config.keyHistory] - Optional key history ({ publicKey, validFrom, validUntil }) for reconstruction.
+     * @param {string} [config.lifecycleState] - Registry lifecycle state (see IdentityLifecycle), defaults to ACTIVE.
+     * @param {Object} [config.lineage] - Parent/child relationships ({ parentId, depth, children, ... }) for spawned sub-agents.
+     * @param {string} [config.authorityCeiling] - Highest governance level this identity may hold (a sub-agent is capped at its parent's).
+     * @param {string} [config.tenantId] - Tenant namespace the identity belongs to (null for the global pool).
+     * @param {Object} [config.governanceConfig] - Tenant governance overrides (see AdaptiveGovernanceEngine.resolveConfig).
      */
-    constructor({ publicKey, originSystem, id = null, metadata = null, performance = null }) {
+    constructor({ publicKey, originSystem, id = null, metadata = null, performance = null, keyHistory = null, lifecycleState = 'ACTIVE', lineage = null, authorityCeiling = null, tenantId = null, governanceConfig = null }) {
         if (!publicKey) {
             throw new Error("Cryptographic public key is mandatory for PersistentAgentIdentity.");
         }
@@ -33,6 +40,14 @@ class PersistentAgentIdentity {
 
         this.publicKey = publicKey;
         this.originSystem = originSystem;
+        this.lifecycleState = lifecycleState;
+        this.lineage = lineage;
+        this.authorityCeiling = authorityCeiling;
+        this.tenantId = tenantId;
+        this.governanceConfig = governanceConfig;
+
+        // Signature algorithm, detected from the key (RSA-PSS, Ed25519 or ECDSA)
+        this.algorithm = SignatureSuite.detectAlgorithm(publicKey);
 
         // Immutable Metadata
         if (metadata) {
@@ -53,6 +68,17 @@ class PersistentAgentIdentity {
             };
         }
 
+        // Key history: every key this identity has held, with its validity window.
+        // The last entry (validUntil === null) is the current key.
+        this.keyHistory = keyHistory || [
+            {
+                publicKey,
+                algorithm: this.algorithm,
+                validFrom: this.metadata.creationTimestamp,
+                validUntil: null
+            }
+        ];
+
         // Economic and Performance Metrics (First-class attributes)
         if (performance) {
             this.performance = performance;
@@ -62,26 +88,7 @@ class PersistentAgentIdentity {
                 this.performance.trustScore = this.performance.trustProfile.composite;
             }
         } else {
-            this.performance = {
-                pnl: {
-                    totalRevenue: 0,
-                    totalExpenses: 0,
-                    netProfit: 0
-                },
-                budgetEfficiency: 1.0,
-                roi: 0.0,
-                cooperationScore: 1.0,
-                reliability: 1.0,
-                uptime: 1.0,
-                consistency: 1.0,
-                policyViolations: 0,
-                complianceHistory: 1.0,
-                riskExposure: 0.05,
-                taskSuccessRate: 1.0,
-                taskComplexityScore: 0.0,
-                trustProfile: null, // To be calculated
-                lastUpdated: this.metadata.creationTimestamp
-            };
+            this.performance = PersistentAgentIdentity.initialPerformance(this.metadata.creationTimestamp);
             // Initial calculation
             this.performance.trustProfile = TrustScoringEngine.calculateScore(this.performance);
             this.performance.trustScore = this.performance.trustProfile.composite;
@@ -92,6 +99,37 @@ class PersistentAgentIdentity {
         Object.freeze(this.metadata.versionHistory);
         Object.freeze(this.performance);
         Object.freeze(this.performance.pnl);
+        this.keyHistory.forEach(k => Object.freeze(k));
+        Object.freeze(this.keyHistory);
+    }
+
+    /**
+     * Performance block of a newly created identity (trust profile not yet calculated).
+     *
+     * @param {string} timestamp - Creation time, used as lastUpdated
+     * @returns {Object}
+     */
+    static initialPerformance(timestamp) {
+        return {
+            pnl: {
+                totalRevenue: 0,
+                totalExpenses: 0,
+                netProfit: 0
+            },
+            budgetEfficiency: 1.0,
+            roi: 0.0,
+            cooperationScore: 1.0,
+            reliability: 1.0,
+            uptime: 1.0,
+            consistency: 1.0,
+            policyViolations: 0,
+            complianceHistory: 1.0,
+            riskExposure: 0.05,
+            taskSuccessRate: 1.0,
+            taskComplexityScore: 0.0,
+            trustProfile: null, // To be calculated
+            lastUpdated: timestamp
+        };
     }
 
     /**
@@ -178,20 +216,24 @@ class PersistentAgentIdentity {
      * @param {string} [context] - Optional reputation context (e.g., 'financial', 'compliance')
      */
     getAuthorityLevel(context = null) {
-        const score = this.getTrustScore(context);
-        return AdaptiveGovernanceEngine.getGovernanceProfile(score).level;
+        return this.getGovernanceProfile(context).level;
     }
 
     /**
      * Returns the full governance profile (limits, permissions, context)
-     * based on current trust score.
+     * based on current trust score and the tenant's governance configuration,
+     * constrained by the lifecycle state and authority ceiling.
      * 
      * @param {string} [context] - Optional reputation context (e.g., 'financial', 'compliance')
      * @returns {Object}
      */
     getGovernanceProfile(context = null) {
         const score = this.getTrustScore(context);
-        const profile = AdaptiveGovernanceEngine.getGovernanceProfile(score);
+        const profile = AdaptiveGovernanceEngine.getGovernanceProfile(score, null, {
+            lifecycleState: this.lifecycleState,
+            authorityCeiling: this.authorityCeiling,
+            governanceConfig: this.governanceConfig
+        });
 
         if (context) {
             profile.reputationContext = context;
@@ -200,6 +242,75 @@ class PersistentAgentIdentity {
         return profile;
     }
 
+    /**
+     * Returns the public key that was valid for this identity at the given time.
+     * Key windows are contiguous, so the first key not yet retired at `timestamp`
+     * is the one in force (the genesis key also covers anything before creation).
+     *
+     * @param {string|number|Date} [timestamp] - Defaults to the current key.
+     * @returns {string|null}
+     */
+    getPublicKeyAt(timestamp = null) {
+        if (timestamp === null || timestamp === undefined) return this.publicKey;
+
+        const t = new Date(timestamp).getTime();
+        if (isNaN(t)) return null;
+
+        const key = this.keyHistory.find(k => k.validUntil === null || t < new Date(k.validUntil).getTime());
+        return key ? key.publicKey : null;
+    }
+
+    /**
+     * Replaces the active key and returns a NEW instance. The DID is preserved,
+     * the outgoing key is closed off in `keyHistory`, and the rotation is logged
+     * in `versionHistory`. Authorization of the rotation is the registry's job.
+     *
+     * @param {string} newPublicKey
+     * @param {string} [rotatedAt] - ISO timestamp of the rotation
+     * @returns {PersistentAgentIdentity}
+     */
+    rotateKey(newPublicKey, rotatedAt = new Date().toISOString()) {
+        if (!newPublicKey) {
+            throw new Error("A new public key is required for key rotation.");
+        }
+        if (this.keyHistory.some(k => k.publicKey === newPublicKey)) {
+            throw new Error("New public key has already been used by this identity.");
+        }
+
+        const keyHistory = [
+            ...this.keyHistory.map(k => k.validUntil === null ? { ...k, validUntil: rotatedAt } : { ...k }),
+            { publicKey: newPublicKey, algorithm: SignatureSuite.detectAlgorithm(newPublicKey), validFrom: rotatedAt, validUntil: null }
+        ];
+
+        const rotated = this.upgrade(
+            "KEY_ROTATED",
+            `Key rotated: ${this._generateKeyFingerprint(this.publicKey)} -> ${this._generateKeyFingerprint(newPublicKey)}`
+        );
+
+        return rotated._with({ publicKey: newPublicKey, keyHistory });
+    }
+
+    /**
+     * Returns a NEW instance with the given fields replaced and everything else carried over.
+     * @private
+     */
+    _with(overrides) {
+        return new PersistentAgentIdentity({
+            id: this.id,
+            publicKey: this.publicKey,
+            originSystem: this.originSystem,
+            metadata: this.metadata,
+            performance: this.performance,
+            keyHistory: this.keyHistory,
+            lifecycleState: this.lifecycleState,
+            lineage: this.lineage,
+            authorityCeiling: this.authorityCeiling,
+            tenantId: this.tenantId,
+            governanceConfig: this.governanceConfig,
+            ...overrides
+        });
+    }
+
     /**
      * Logs a version change and returns a NEW instance.
      */
@@ -215,10 +326,7 @@ class PersistentAgentIdentity {
             }
         ];
 
-        return new PersistentAgentIdentity({
-            id: this.id,
-            publicKey: this.publicKey,
-            originSystem: this.originSystem,
+        return this._with({
             metadata: {
                 ...this.metadata,
                 identityVersion: nextVersion,
@@ -242,8 +350,13 @@ class PersistentAgentIdentity {
             id: this.id,
             publicKey: this.publicKey,
             originSystem: this.originSystem,
+            algorithm: this.algorithm,
             metadata: this.metadata,
             performance: this.performance,
+            keyHistory: this.keyHistory,
+            lifecycleState: this.lifecycleState,
+            lineage: this.lineage,
+            tenantId: this.tenantId,
             authority: this.getAuthorityLevel(),
             governance: this.getGovernanceProfile()
         };
@@ -251,22 +364,14 @@ class PersistentAgentIdentity {
 
     /**
      * Cryptographically verify if a message was signed by this identity's public key.
+     * When `at` is given, the key that was valid at that time is used instead of the current one.
+     * The algorithm is taken from the key, so RSA-PSS, Ed25519 and ECDSA identities all verify here.
      */
-    verifySignature(message, signature) {
-        try {
-            return crypto.verify(
-                "sha256",
-                Buffer.from(message),
-                {
-                    key: this.publicKey,
-                    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
-                },
-                Buffer.from(signature, 'hex')
-            );
-        } catch (error) {
-            console.error("Signature verification failed:", error.message);
-            return false;
-        }
+    verifySignature(message, signature, at = null) {
+        const key = this.getPublicKeyAt(at);
+        if (!key) return false;
+
+        return SignatureSuite.verify(message, signature, key);
     }
 }
 
@@ -0,0 +1,181 @@
+import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import { canonicalize } from '../crypto/canonicalize.js';
+import Signer from '../signing/Signer.js';
+import AgentActivityLedger from '../governance/AgentActivityLedger.js';
+import PersistentAgentIdentity from '../models/PersistentAgentIdentity.js';
+
+/**
+ * IdentityBundle
+ *
+ * Portable, signed package of one agent's identity for moving it between
+ * deployments (e.g. staging to production). A bundle carries the registry
+ * record (version history, key history, performance, lifecycle) and
+ * optionally the agent's slice of the source ledger.
+ *
+ * The bundle content is canonicalized and signed twice: by the source
+ * registry, which vouches for the record, and by the agent's current key,
+ * which shows the agent consents to the move. `verify` checks both
+ * signatures, that the DID is derived from the identity's genesis key, that
+ * the key history is consistent and that every ledger entry in the slice is
+ * intact and correctly linked.
+ */
+class IdentityBundle {
+    static TYPE = 'AgentIdentityBundle';
+    static VERSION = 1;
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.record - Registry record (see AgentIdentityRegistry.getRaw)
+     * @param {Signer} params.registrySigner - Key of the source registry
+     * @param {Signer} params.agentSigner - The agent's current key
+     * @param {Object[]} [params.ledgerEntries] - The agent's entries from the source ledger
+     * @param {Object} [params.ledgerHead] - { length, hash } of the source ledger at export
+     * @param {string} [params.tenantId] - Source tenant
+     * @returns {Object} Signed bundle
+     */
+    static create({ record, registrySigner, agentSigner, ledgerEntries = null, ledgerHead = null, tenantId = null }) {
+        if (!Signer.isSigner(registrySigner) || !Signer.isSigner(agentSigner)) {
+            throw new Error('Bundles must be signed by a registry signer and an agent signer');
+        }
+        if (!SignatureSuite.sameKey(agentSigner.publicKey, record.publicKey)) {
+            throw new Error(`Agent signer does not hold the current key of '${record.id}'`);
+        }
+
+        const identity = structuredClone(record);
+        // Tenancy is a property of the hosting registry, not of the agent
+        delete identity.tenantId;
+
+        const content = {
+            type: IdentityBundle.TYPE,
+            version: IdentityBundle.VERSION,
+            exportedAt: new Date().toISOString(),
+            source: {
+                registryId: IdentityBundle.registryId(registrySigner.publicKey),
+                publicKey: registrySigner.publicKey,
+                algorithm: registrySigner.algorithm,
+                tenantId
+            },
+            identity,
+            ledger: ledgerEntries ? { head: ledgerHead, entries: ledgerEntries } : null
+        };
+
+        const signed = canonicalize(content);
+        return {
+            ...content,
+            proofs: {
+                registry: { algorithm: registrySigner.algorithm, signature: registrySigner.sign(signed) },
+                agent: { publicKey: agentSigner.publicKey, algorithm: agentSigner.algorithm, signature: agentSigner.sign(signed) }
+            }
+        };
+    }
+
+    /**
+     * Registry identifier derived from its public key, as for credential issuers.
+     */
+    static registryId(publicKey) {
+        return `did:agent:${crypto.createHash('sha256').update(publicKey).digest('hex')}`;
+    }
+
+    /**
+     * SHA-256 of the signed content, used to reference an imported bundle.
+     */
+    static digest(bundle) {
+        const { proofs, ...content } = bundle;
+        return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+    }
+
+    /**
+     * Verify a bundle. Never throws.
+     *
+     * @param {Object} bundle
+     * @param {Object} [options]
+     * @param {string[]} [options.trustedRegistries] - Accepted source registry public keys
+     * @param {boolean} [options.trustAnySource] - Accept any source registry; without it an empty list accepts none
+     * @returns {Object} { valid, reason, index? }
+     */
+    static verify(bundle, { trustedRegistries = [], trustAnySource = false } = {}) {
+        try {
+            if (!bundle || bundle.type !== IdentityBundle.TYPE || bundle.version !== IdentityBundle.VERSION) {
+                return { valid: false, reason: 'UNSUPPORTED_BUNDLE' };
+            }
+            const { proofs, ...content } = bundle;
+            const { source, identity } = content;
+            if (!proofs || !proofs.registry || !proofs.agent || !source || !identity) return { valid: false, reason: 'MALFORMED_BUNDLE' };
+
+            // 1. Signatures
+            const signed = canonicalize(content);
+            if (!SignatureSuite.verify(signed, proofs.registry.signature, source.publicKey)) {
+                return { valid: false, reason: 'BAD_REGISTRY_SIGNATURE' };
+            }
+            if (!SignatureSuite.sameKey(proofs.agent.publicKey, identity.publicKey)) return { valid: false, reason: 'AGENT_KEY_MISMATCH' };
+            if (!SignatureSuite.verify(signed, proofs.agent.signature, identity.publicKey)) {
+                return { valid: false, reason: 'BAD_AGENT_SIGNATURE' };
+            }
+            if (source.registryId !== IdentityBundle.registryId(source.publicKey)) return { valid: false, reason: 'REGISTRY_ID_MISMATCH' };
+            if (!trustAnySource && !trustedRegistries.some(key => SignatureSuite.sameKey(key, source.publicKey))) {
+                return { valid: false, reason: 'UNTRUSTED_SOURCE' };
+            }
+
+            // 2. DID derivation and key history
+            const keyHistory = identity.keyHistory || [];
+            if (keyHistory.length === 0) return { valid: false, reason: 'KEY_HISTORY_INVALID' };
+            const expectedId = `did:agent:${crypto.createHash('sha256').update(keyHistory[0].publicKey).digest('hex')}`;
+            if (identity.id !== expectedId) return { valid: false, reason: 'DID_MISMATCH' };
+            const current = keyHistory[keyHistory.length - 1];
+            if (current.publicKey !== identity.publicKey || current.validUntil !== null) return { valid: false, reason: 'KEY_HISTORY_INVALID' };
+            for (let i = 1; i < keyHistory.length; i++) {
+                if (keyHistory[i - 1].validUntil !== keyHistory[i].validFrom) return { valid: false, reason: 'KEY_HISTORY_INVALID' };
+            }
+
+            // 3. Ledger slice
+            return content.ledger ? IdentityBundle._verifyLedgerSlice(identity, content.ledger) : { valid: true };
+        } catch (err) {
+            return { valid: false, reason: err.message };
+        }
+    }
+
+    /**
+     * Every entry must be the agent's, hash and signature must verify with the key valid
+     * at its timestamp, indexes must increase, and adjacent entries must be linked.
+     */
+    static _verifyLedgerSlice(identity, { head, entries }) {
+        const agent = new PersistentAgentIdentity({
+            id: identity.id,
+            publicKey: identity.publicKey,
+            originSystem: identity.originSystem,
+            metadata: identity.metadata,
+            performance: identity.performance,
+            keyHistory: identity.keyHistory
+        });
+
+        let previous = null;
+        for (const entry of entries) {
+            if (entry.agentId !== identity.id) return { valid: false, index: entry.index, reason: 'FOREIGN_LEDGER_ENTRY' };
+
+            const check = AgentActivityLedger.verifyEntrySignature(entry);
+            if (!check.valid) return { valid: false, index: entry.index, reason: check.reason || 'LEDGER_SIGNATURE_INVALID' };
+            if (agent.getPublicKeyAt(entry.timestamp) !== entry.publicKey) {
+                return { valid: false, index: entry.index, reason: 'KEY_NOT_VALID_AT_TIMESTAMP' };
+            }
+
+            if (previous) {
+                if (entry.index <= previous.index) return { valid: false, index: entry.index, reason: 'LEDGER_ORDER_INVALID' };
+                if (entry.index === previous.index + 1 && entry.prevHash !== previous.hash) {
+                    return { valid: false, index: entry.index, reason: 'LEDGER_CHAIN_BROKEN' };
+                }
+            }
+            previous = entry;
+        }
+
+        if (head && previous) {
+            if (previous.index >= head.length) return { valid: false, index: previous.index, reason: 'LEDGER_HEAD_MISMATCH' };
+            if (previous.index === head.length - 1 && previous.hash !== head.hash) {
+                return { valid: false, index: previous.index, reason: 'LEDGER_HEAD_MISMATCH' };
+            }
+        }
+        return { valid: true };
+    }
+}
+
+export default IdentityBundle;
@@ -0,0 +1,317 @@
+import AgentIdentityRegistry from '../AgentIdentityRegistry.js';
+import ActionTypeRegistry from '../governance/ActionTypeRegistry.js';
+import AgentActivityLedger from '../governance/AgentActivityLedger.js';
+import PersistentAgentIdentity from '../models/PersistentAgentIdentity.js';
+import ReputationEvolutionEngine from './ReputationEvolutionEngine.js';
+import TrustScoringEngine from './TrustScoringEngine.js';
+
+/**
+ * LedgerReplayEngine
+ *
+ * Rebuilds agent performance from the signed activity ledger instead of
+ * trusting caller-supplied metrics. Replay starts from the performance block
+ * of a new identity and folds the agent's entries whose action type has a
+ * `reputation` feed (ECONOMIC_OUTCOME, POLICY_VIOLATION and
+ * COOPERATIVE_COLLABORATION among the built-in types, see ActionTypeRegistry)
+ * in ledger order. Time only enters
+ * through entry timestamps, so the same ledger always yields the same
+ * performance.
+ *
+ * `diff` compares replayed performance with a registry's stored records and
+ * `regenerateRegistry` rebuilds a registry from the ledger alone.
+ */
+class LedgerReplayEngine {
+    /**
+     * Built-in ledger actions that change an agent's performance. Custom types opt in
+     * with a `reputation` feed.
+     */
+    static REPLAYED_ACTIONS = Object.keys(ActionTypeRegistry.BUILT_IN).filter(name => ActionTypeRegistry.BUILT_IN[name].reputation);
+
+    static _builtIn = new ActionTypeRegistry();
+
+    /**
+     * Performance fields compared by `diff` (trust profile timestamps and metadata are not).
+     */
+    static COMPARED_FIELDS = [
+        'pnl.totalRevenue', 'pnl.totalExpenses', 'pnl.netProfit', 'roi', 'budgetEfficiency',
+        'cooperationScore', 'reliability', 'uptime', 'consistency', 'policyViolations',
+        'complianceHistory', 'riskExposure', 'taskSuccessRate', 'taskComplexityScore', 'trustScore'
+    ];
+
+    /**
+     * Map a ledger entry to the action shape ReputationEvolutionEngine consumes.
+     * The type's reputation feed supplies what the details leave out.
+     *
+     * @param {Object} entry - Ledger entry with a replayed action type
+     * @param {Object} [feed] - Reputation feed (default: the built-in type's)
+     * @returns {Object} { type, details: { success, quality, pnl, cooperationScore } }
+     */
+    static toReputationAction({ actionType, details = {} }, feed = null) {
+        const defaults = feed || (ActionTypeRegistry.BUILT_IN[actionType] && ActionTypeRegistry.BUILT_IN[actionType].reputation) || {};
+        const pnl = typeof defaults.economic === 'object' ? this._economicFields(details, defaults.economic).pnl : details.pnl;
+        return {
+            type: actionType,
+            details: {
+                success: defaults.success !== undefined ? defaults.success : (details.outcome === 'SUCCESS' || pnl > 0),
+                quality: details.quality || (defaults.quality !== undefined ? defaults.quality : 0.8),
+                pnl: pnl || 0,
+                cooperationScore: details.cooperationScore || (defaults.cooperationScore !== undefined ? defaults.cooperationScore : 0.5)
+            }
+        };
+    }
+
+    /**
+     * The pnl, revenue and expense of details whose type maps them to other fields.
+     */
+    static _economicFields(details, fields) {
+        return { pnl: details[fields.pnl], revenue: details[fields.revenue], expense: details[fields.expense] };
+    }
+
+    /**
+     * Revenue and expense of an ECONOMIC_OUTCOME. Entries may carry any two of
+     * revenue, expense and pnl (profit is accepted for pnl); a bare pnl counts
+     * as revenue when positive and as expense when negative.
+     */
+    static _economicOutcome(details = {}) {
+        const num = value => (typeof value === 'number' && isFinite(value) ? value : undefined);
+        let revenue = num(details.revenue);
+        let expense = num(details.expense !== undefined ? details.expense : details.expenses);
+        const pnl = num(details.pnl !== undefined ? details.pnl : details.profit);
+
+        if (pnl !== undefined) {
+            if (revenue === undefined && expense === undefined) {
+                revenue = Math.max(pnl, 0);
+                expense = Math.max(-pnl, 0);
+            } else if (expense === undefined) {
+                expense = revenue - pnl;
+            } else if (revenue === undefined) {
+                revenue = expense + pnl;
+            }
+        }
+        return { revenue: revenue || 0, expense: expense || 0 };
+    }
+
+    /**
+     * Fold one ledger entry into a performance block. Inactivity decay is measured
+     * from `lastUpdated` to the entry's timestamp rather than to the current time.
+     *
+     * @param {Object} performance - Current performance block
+     * @param {Object} entry - Ledger entry
+     * @param {ActionTypeRegistry} [actionTypes] - Where the entry's reputation feed is defined (default: built-in types)
+     * @returns {Object} A new performance block with a recalculated trust profile
+     */
+    static applyEntry(performance, entry, actionTypes = this._builtIn) {
+        const config = ReputationEvolutionEngine.CONFIG;
+        const at = new Date(entry.timestamp);
+        let next = { ...performance, pnl: { ...performance.pnl } };
+
+        const msSinceUpdate = next.lastUpdated ? at - new Date(next.lastUpdated) : 0;
+        if (msSinceUpdate > config.DECAY_GRACE_PERIOD_HOURS * 3600000) {
+            next = ReputationEvolutionEngine._applyTemporalDecay(next, msSinceUpdate / (1000 * 60 * 60 * 24));
+        }
+
+        const definition = actionTypes.get(entry.actionType);
+        const feed = definition && definition.reputation;
+        if (feed) {
+            next = ReputationEvolutionEngine._processActivityImpact(next, [this.toReputationAction(entry, feed)]);
+
+            if (feed.economic) {
+                const { revenue, expense } = this._economicOutcome(feed.economic === true ? entry.details : this._economicFields(entry.details || {}, feed.economic));
+                const pnl = {
+                    totalRevenue: next.pnl.totalRevenue + revenue,
+                    totalExpenses: next.pnl.totalExpenses + expense
+                };
+                pnl.netProfit = pnl.totalRevenue - pnl.totalExpenses;
+                next.pnl = pnl;
+                if (pnl.totalExpenses > 0) next.roi = parseFloat(((pnl.netProfit / pnl.totalExpenses) * 100).toFixed(2));
+            }
+            if (feed.violation) {
+                next.policyViolations = (next.policyViolations || 0) + 1;
+            }
+        }
+
+        next.lastUpdated = entry.timestamp;
+        return this._score(next);
+    }
+
+    /**
+     * Attach a trust profile stamped with the performance's own time, so replays compare equal.
+     */
+    static _score(performance) {
+        const trustProfile = { ...TrustScoringEngine.calculateScore(performance), timestamp: performance.lastUpdated };
+        return { ...performance, trustProfile, trustScore: trustProfile.composite };
+    }
+
+    /**
+     * Entries of a ledger after checking hashes, links and signatures. The check does not
+     * consult the ledger's registry, whose records are what a replay is meant to audit.
+     */
+    static _verifiedEntries(ledger) {
+        const standalone = new AgentActivityLedger(null, { tenantId: ledger.tenantId, snapshotKeys: ledger.snapshotKeys });
+        standalone.entries = ledger.getEntries();
+        standalone.checkpoints = ledger.getCheckpoints();
+        standalone.snapshot = ledger.snapshot;
+        const check = standalone.verifyChain();
+        if (!check.valid) throw new Error(`Ledger cannot be replayed: ${check.reason}${check.index !== undefined ? ` at entry ${check.index}` : ''}`);
+        return standalone.entries;
+    }
+
+    /**
+     * Fold one entry into replayed agents (agentId -> { performance, entries, replayed, lastIndex }).
+     *
+     * @param {Object} agents - Updated in place
+     * @param {Object} entry
+     * @param {Object} [genesis] - agentId -> creation timestamp
+     * @param {ActionTypeRegistry} [actionTypes] - Reputation feeds (default: built-in types)
+     * @returns {Object} agents
+     */
+    static replayEntry(agents, entry, genesis = {}, actionTypes = this._builtIn) {
+        if (!agents[entry.agentId]) {
+            const createdAt = genesis[entry.agentId] || entry.timestamp;
+            agents[entry.agentId] = { performance: this._score(PersistentAgentIdentity.initialPerformance(createdAt)), entries: 0, replayed: 0, lastIndex: null };
+        }
+        const agent = agents[entry.agentId];
+        agent.entries++;
+        agent.lastIndex = entry.index;
+        if (actionTypes.feedsReputation(entry.actionType)) {
+            agent.performance = this.applyEntry(agent.performance, entry, actionTypes);
+            agent.replayed++;
+        }
+        return agents;
+    }
+
+    /**
+     * Replay a verified ledger into per-agent performance. A compacted ledger is
+     * replayed from the agents recorded in its (trusted) snapshot.
+     *
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} [options]
+     * @param {Object} [options.genesis] - agentId -> creation timestamp (defaults to the agent's first entry)
+     * @returns {Object} agentId -> { performance, entries, replayed, lastIndex }
+     */
+    static replay(ledger, { genesis = {} } = {}) {
+        const entries = this._verifiedEntries(ledger);
+        const agents = ledger.snapshot ? structuredClone(ledger.snapshot.state.agents) : {};
+        for (const entry of entries) this.replayEntry(agents, entry, genesis, ledger.actionTypes || this._builtIn);
+        return agents;
+    }
+
+    /**
+     * Compare every identity in a registry with its replayed performance.
+     * Identities without replayed entries are compared with a new identity's
+     * performance, so metrics set directly by callers show up as divergence.
+     *
+     * @param {AgentIdentityRegistry} registry
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} [options]
+     * @param {number} [options.tolerance] - Largest difference treated as equal (default 1e-4)
+     * @returns {Object} { valid, reason, divergent: [id], unregistered: [id], agents: { id: { valid, divergences: [{ field, stored, replayed }] } } }
+     */
+    static diff(registry, ledger, { tolerance = 1e-4 } = {}) {
+        const genesis = {};
+        for (const id of registry.listIdentityIds()) genesis[id] = registry.getRaw(id).metadata.creationTimestamp;
+        const replayed = this.replay(ledger, { genesis });
+
+        const read = (performance, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), performance);
+        const agents = {};
+        const divergent = [];
+        for (const id of registry.listIdentityIds()) {
+            const stored = registry.getRaw(id).performance;
+            const expected = replayed[id]
+                ? replayed[id].performance
+                : this._score(PersistentAgentIdentity.initialPerformance(genesis[id]));
+
+            const divergences = [];
+            for (const field of this.COMPARED_FIELDS) {
+                const storedValue = read(stored, field);
+                const replayedValue = read(expected, field);
+                const equal = typeof storedValue === 'number' && typeof replayedValue === 'number'
+                    ? Math.abs(storedValue - replayedValue) <= tolerance
+                    : storedValue === replayedValue;
+                if (!equal) divergences.push({ field, stored: storedValue, replayed: replayedValue });
+            }
+            agents[id] = { valid: divergences.length === 0, divergences };
+            if (divergences.length > 0) divergent.push(id);
+        }
+
+        const unregistered = Object.keys(replayed).filter(id => !registry.getRaw(id));
+        const valid = divergent.length === 0;
+        return { valid, reason: valid ? null : 'PERFORMANCE_DIVERGENCE', divergent, unregistered, agents };
+    }
+
+    /**
+     * Rebuild a registry from a ledger alone. Every agent that signed an entry is
+     * registered with its replayed performance; keys are taken from the entries
+     * (a key change between entries becomes a rotation at the first entry signed
+     * with the new key) and LIFECYCLE_TRANSITION entries are re-applied. Lineage,
+     * service endpoints and governance settings are not in the ledger and are not
+     * restored.
+     *
+     * @param {AgentActivityLedger} ledger
+     * @param {Object} options - AgentIdentityRegistry options; storePath must not exist yet
+     * @param {string} [options.originSystem] - Origin recorded on regenerated identities (default 'ledger-replay')
+     * @returns {Object} { registry, report: { identities, rotated: [id], transitions, skipped: [{ index, reason }] } }
+     */
+    static regenerateRegistry(ledger, { originSystem = 'ledger-replay', ...registryOptions } = {}) {
+        if (!registryOptions.storePath) throw new Error('regenerateRegistry requires a storePath for the new registry');
+        if (ledger.snapshot) throw new Error('Ledger is compacted; regenerate from LedgerArchive.loadWithArchive(ledger)');
+        const registry = new AgentIdentityRegistry({ tenantId: ledger.tenantId, ...registryOptions });
+        if (registry.listIdentityIds().length > 0) throw new Error(`Refusing to regenerate into non-empty store ${registryOptions.storePath}`);
+
+        const entries = this._verifiedEntries(ledger);
+        const replayed = this.replay(ledger);
+
+        // Keys in order of first use, each valid from its first entry
+        const keys = {};
+        for (const entry of entries) {
+            const history = keys[entry.agentId] || (keys[entry.agentId] = []);
+            if (history.length === 0 || history[history.length - 1].publicKey !== entry.publicKey) {
+                history.push({ publicKey: entry.publicKey, algorithm: entry.algorithm, validFrom: entry.timestamp, validUntil: null });
+            }
+        }
+
+        const report = { identities: 0, rotated: [], transitions: 0, skipped: [] };
+        for (const [agentId, history] of Object.entries(keys)) {
+            const createdAt = history[0].validFrom;
+            history.forEach((key, i) => { if (i > 0) history[i - 1].validUntil = key.validFrom; });
+            const current = history[history.length - 1];
+
+            registry.registerIdentity({
+                publicKey: current.publicKey,
+                originSystem,
+                id: agentId,
+                metadata: {
+                    creationTimestamp: createdAt,
+                    identityVersion: '1.0.0',
+                    versionHistory: [{ version: '1.0.0', timestamp: createdAt, action: 'IDENTITY_INITIALIZED', details: 'Identity regenerated from ledger' }]
+                },
+                performance: replayed[agentId].performance
+            });
+            if (history.length > 1) {
+                registry.migrateIdentity(agentId, raw => ({ ...raw, keyHistory: history }), 'KEY_HISTORY_REPLAYED');
+                report.rotated.push(agentId);
+            }
+            report.identities++;
+        }
+
+        for (const entry of entries.filter(e => e.actionType === 'LIFECYCLE_TRANSITION')) {
+            const { subjectId, to, reason = null, actor = null, expiresAt = null } = entry.details;
+            if (!registry.getRaw(subjectId)) {
+                report.skipped.push({ index: entry.index, reason: `Subject '${subjectId}' never signed an entry` });
+                continue;
+            }
+            // Expiry reversions recorded by the source registry also happen here on their own
+            if (registry.getLifecycleState(subjectId) === to) continue;
+            try {
+                registry.transitionState(subjectId, to, { reason, actor, expiresAt, cascade: false });
+                report.transitions++;
+            } catch (err) {
+                report.skipped.push({ index: entry.index, reason: err.message });
+            }
+        }
+
+        return { registry, report };
+    }
+}
+
+export default LedgerReplayEngine;
@@ -26,6 +26,14 @@ class ReputationEvolutionEngine {
         CONSISTENCY_THRESHOLD: 0.85      // Quality level considered "consistent"
     };
 
+    /**
+     * Active-effort metrics that fade without fresh evidence (historical counts and P&L do not).
+     */
+    static DECAYABLE_METRICS = [
+        'reliability', 'cooperationScore', 'consistency',
+        'taskSuccessRate', 'complianceHistory'
+    ];
+
     /**
      * Evolves the agent's performance metrics based on time and activity.
      * 
@@ -67,12 +75,7 @@ class ReputationEvolutionEngine {
         const decayFactor = Math.pow(1 - this.CONFIG.DECAY_RATE_DAILY, days);
         const next = { ...performance };
 
-        const decayableMetrics = [
-            'reliability', 'cooperationScore', 'consistency',
-            'taskSuccessRate', 'complianceHistory'
-        ];
-
-        decayableMetrics.forEach(metric => {
+        this.DECAYABLE_METRICS.forEach(metric => {
             if (next[metric] !== undefined) {
                 const decayedValue = next[metric] * decayFactor;
                 next[metric] = parseFloat(Math.max(this.CONFIG.MIN_METRIC_FLOOR, decayedValue).toFixed(4));
@@ -87,6 +90,35 @@ class ReputationEvolutionEngine {
         return next;
     }
 
+    /**
+     * Discounts reputation earned elsewhere (e.g. an identity imported from another
+     * deployment). The decayable metrics are scaled down and risk exposure rises,
+     * so part of the standing has to be re-earned locally.
+     *
+     * @param {Object} performance
+     * @param {number} fraction - 0 keeps everything, 1 drops the metrics to the floor
+     * @returns {Object} A new performance object (trust profile not recalculated)
+     */
+    static discount(performance, fraction) {
+        if (typeof fraction !== 'number' || fraction < 0 || fraction > 1) {
+            throw new Error('Reputation discount must be a number between 0 and 1');
+        }
+        const next = { ...performance };
+
+        this.DECAYABLE_METRICS.forEach(metric => {
+            if (next[metric] !== undefined) {
+                next[metric] = parseFloat(Math.max(this.CONFIG.MIN_METRIC_FLOOR, next[metric] * (1 - fraction)).toFixed(4));
+            }
+        });
+
+        if (next.riskExposure !== undefined) {
+            // Raise towards the same 0.4 ceiling as inactivity, never lowering an already higher exposure
+            next.riskExposure = parseFloat(Math.max(next.riskExposure, Math.min(0.4, next.riskExposure + (0.1 * fraction))).toFixed(4));
+        }
+
+        return next;
+    }
+
     /**
      * Merges current state with recent performance data using weighted recency logic.
      * @private
@@ -1,12 +1,38 @@
+import ActionTypeRegistry from '../governance/ActionTypeRegistry.js';
+import LedgerCosignatures from '../governance/LedgerCosignatures.js';
+
 /**
  * TrustGraph
  * 
  * Maps influence relationships between agents based on activity ledger data.
  * Tracks delegation chains, collaboration frequency, and performance outcomes.
  * Provides analysis for central nodes, high-impact contributors, and systemic risk.
+ *
+ * Each action type's `trustGraph` feed (see ActionTypeRegistry) declares the
+ * edges and node metrics its entries contribute.
+ *
+ * A graph built for a tenant only contains that tenant's agents plus the foreign
+ * partners of explicit cross-tenant collaborations, which are marked `external`.
+ *
+ * The graph a ledger's archived entries add up to is kept in its compaction
+ * snapshot (exportState); building from a compacted ledger starts from it.
+ *
+ * An entry that requested co-signatures (see LedgerCosignatures) adds its
+ * edges only once every named party has co-signed it, at the position of the
+ * last co-signature; until then only its performance counts. Entries without
+ * a request, such as those written before co-signing existed, add their edges
+ * as they come.
  */
 class TrustGraph {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.tenantId] - Tenant the graph is built for
+     * @param {ActionTypeRegistry|Object} [options.actionTypes] - Feeds for entry lists (a ledger brings its own)
+     */
+    constructor(options = {}) {
+        this.tenantId = options.tenantId || null;
+        this.actionTypes = ActionTypeRegistry.from(options.actionTypes);
+        this.awaitingCosignatures = new Map(); // entry index -> { entry, feed, signed }, edges not added yet
         this.nodes = new Map(); // id -> agent data
         this.edges = []; // array of { source, target, type, weight, metadata }
         this.collaborationMatrix = new Map(); // (id1, id2) -> count
@@ -20,68 +46,77 @@ class TrustGraph {
     buildFromLedger(ledgerData, agentIdentities = new Map()) {
         const entries = Array.isArray(ledgerData) ? ledgerData : (ledgerData.entries || []);
 
+        // A compacted ledger starts from the graph of its archived entries
+        if (!Array.isArray(ledgerData) && ledgerData.snapshot && this.nodes.size === 0) {
+            this.loadState(ledgerData.snapshot.state.trustGraph);
+            agentIdentities.forEach((identity, id) => { if (this.nodes.has(id)) this._ensureNode(id, identity); });
+        }
+
+        const actionTypes = (!Array.isArray(ledgerData) && ledgerData.actionTypes) || this.actionTypes;
         for (const entry of entries) {
             const agentId = entry.agentId;
-            const actionType = entry.actionType;
             const details = entry.details || {};
 
             // Ensure node exists
             this._ensureNode(agentId, agentIdentities.get(agentId));
 
-            switch (actionType) {
-                case 'DELEGATION':
-                    if (details.delegatedTo) {
-                        this._ensureNode(details.delegatedTo, agentIdentities.get(details.delegatedTo));
-                        this.addEdge(agentId, details.delegatedTo, 'DELEGATION', 1, {
-                            scope: details.scope,
-                            timestamp: entry.timestamp
-                        });
-                    }
-                    break;
-
-                case 'NEGOTIATION':
-                    if (details.counterparty) {
-                        this._ensureNode(details.counterparty, agentIdentities.get(details.counterparty));
-                        this.addEdge(agentId, details.counterparty, 'COLLABORATION', 1, {
-                            type: 'NEGOTIATION',
-                            timestamp: entry.timestamp
-                        });
-                        this._incrementCollaboration(agentId, details.counterparty);
-                    }
-                    break;
-
-                case 'COOPERATIVE_COLLABORATION':
-                    const partners = Array.isArray(details.partners) ? details.partners : (details.partners ? [details.partners] : []);
-                    partners.forEach(partnerId => {
-                        this._ensureNode(partnerId, agentIdentities.get(partnerId));
-                        this.addEdge(agentId, partnerId, 'COLLABORATION', 1, {
-                            type: 'COOPERATION',
-                            outcome: details.outcome,
-                            timestamp: entry.timestamp
-                        });
-                        this._incrementCollaboration(agentId, partnerId);
-                    });
-                    break;
-
-                case 'ECONOMIC_OUTCOME':
-                    const node = this.nodes.get(agentId);
-                    node.performance.revenue += details.revenue || 0;
-                    node.performance.pnl += details.pnl || 0;
-                    node.performance.count++;
-                    break;
-
-                case 'POLICY_VIOLATION':
-                    const vNode = this.nodes.get(agentId);
-                    vNode.performance.violations++;
-                    break;
+            if (entry.actionType === LedgerCosignatures.ACTION_TYPE) {
+                this._applyCosignature(entry, agentIdentities);
+                continue;
             }
+
+            // What an entry adds to the graph is declared by its action type
+            const definition = actionTypes.get(entry.actionType);
+            const feed = definition && definition.trustGraph;
+            if (!feed) continue;
+
+            if (entry.cosign) this.awaitingCosignatures.set(entry.index, { entry, feed, signed: new Set() });
+            else this._addEdges(entry, feed, agentIdentities);
+
+            const node = this.nodes.get(agentId);
+            for (const [metric, source] of Object.entries(feed.performance || {})) {
+                node.performance[metric] += typeof source === 'number' ? source : (details[source] || 0);
+            }
+        }
+    }
+
+    _addEdges(entry, feed, agentIdentities) {
+        const details = entry.details || {};
+        for (const edge of feed.edges || []) {
+            const value = details[edge.to];
+            const targets = Array.isArray(value) ? value : (value ? [value] : []);
+            targets.forEach(targetId => {
+                if (edge.tenantField) this._ensureNode(targetId, null, details[edge.tenantField]);
+                else this._ensureNode(targetId, agentIdentities.get(targetId));
+
+                const metadata = edge.label ? { type: edge.label } : {};
+                (edge.metadata || []).forEach(field => { metadata[field] = details[field]; });
+                metadata.timestamp = entry.timestamp;
+                this.addEdge(entry.agentId, targetId, edge.type, 1, metadata);
+                if (edge.collaboration) this._incrementCollaboration(entry.agentId, targetId);
+            });
         }
     }
 
-    _ensureNode(id, identity = null) {
+    /**
+     * Count a co-signature; the last one a request needs adds the entry's edges.
+     */
+    _applyCosignature(cosignature, agentIdentities) {
+        const awaiting = this.awaitingCosignatures.get((cosignature.details || {}).entryIndex);
+        if (!awaiting || LedgerCosignatures.check(cosignature, awaiting.entry)) return;
+        awaiting.signed.add(cosignature.agentId);
+        if (awaiting.entry.cosign.parties.every(party => awaiting.signed.has(party))) {
+            this.awaitingCosignatures.delete(awaiting.entry.index);
+            this._addEdges(awaiting.entry, awaiting.feed, agentIdentities);
+        }
+    }
+
+    _ensureNode(id, identity = null, tenantId = this.tenantId) {
         if (!this.nodes.has(id)) {
             this.nodes.set(id, {
                 id,
+                tenantId,
+                external: tenantId !== this.tenantId,
                 trustScore: identity ? identity.getTrustScore() : 0.5,
                 trustProfile: identity ? identity.performance.trustProfile : null,
                 performance: {
@@ -254,11 +289,35 @@ class TrustGraph {
         return chains;
     }
 
+    /**
+     * Ledger-derived state (nodes without trust scores, edges, collaboration counts),
+     * as recorded in compaction snapshots. Entries still awaiting co-signatures are
+     * not part of it; compaction does not archive pending ones.
+     */
+    exportState() {
+        return {
+            nodes: Array.from(this.nodes.values()).map(({ trustScore, trustProfile, ...node }) => structuredClone(node)),
+            edges: structuredClone(this.edges),
+            collaborations: Object.fromEntries(this.collaborationMatrix)
+        };
+    }
+
+    /**
+     * Replace the graph with exported state. Trust scores start at the default until
+     * identities are applied.
+     */
+    loadState(state) {
+        this.nodes = new Map(state.nodes.map(node => [node.id, { ...structuredClone(node), trustScore: 0.5, trustProfile: null }]));
+        this.edges = structuredClone(state.edges);
+        this.collaborationMatrix = new Map(Object.entries(state.collaborations));
+    }
+
     /**
      * Returns the full graph structure.
      */
     toJSON() {
         return {
+            tenantId: this.tenantId,
             nodes: Array.from(this.nodes.values()),
             edges: this.edges,
             summary: {
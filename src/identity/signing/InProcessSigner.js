@@ -0,0 +1,35 @@
+import crypto from 'node:crypto';
+import SignatureSuite from '../crypto/SignatureSuite.js';
+import Signer from './Signer.js';
+
+/**
+ * InProcessSigner
+ *
+ * Signs with a private key held in this process. This is what a raw
+ * `privateKey` passed to the ledger or governance engines is wrapped in.
+ * The key is kept as a KeyObject in a private field and is never serialized.
+ */
+class InProcessSigner extends Signer {
+    #privateKey;
+
+    /**
+     * @param {string|crypto.KeyObject} privateKey - PEM or KeyObject
+     * @param {Object} [options]
+     * @param {string} [options.keyId]
+     */
+    constructor(privateKey, { keyId = null } = {}) {
+        const keyObject = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+        super({ publicKey: crypto.createPublicKey(keyObject).export({ type: 'spki', format: 'pem' }), keyId });
+        this.#privateKey = keyObject;
+    }
+
+    sign(message) {
+        return SignatureSuite.sign(message, this.#privateKey, this.algorithm);
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `InProcessSigner(${this.keyId || this.algorithm})`;
+    }
+}
+
+export default InProcessSigner;
@@ -0,0 +1,111 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Worker, MessageChannel, receiveMessageOnPort } from 'node:worker_threads';
+import Signer from './Signer.js';
+
+const WORKER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'remoteSignerWorker.js');
+
+/**
+ * Blocking request/response channel to a SignerHelper socket.
+ *
+ * `Signer.sign` is synchronous because the ledger hashes, signs and appends in
+ * one step. The socket I/O therefore runs on a worker thread; the caller posts
+ * a request and parks on a shared flag with Atomics.wait until the worker has
+ * put the response on the port.
+ */
+class SyncSocketChannel {
+    constructor(socketPath, timeoutMs) {
+        const { port1, port2 } = new MessageChannel();
+        this.port = port1;
+        this.timeoutMs = timeoutMs;
+        this.nextId = 1;
+        this.worker = new Worker(WORKER, { workerData: { socketPath, port: port2 }, transferList: [port2] });
+        this.worker.unref();
+    }
+
+    request(payload) {
+        if (!this.worker) throw new Error('Remote signer is closed');
+
+        const id = this.nextId++;
+        const flag = new Int32Array(new SharedArrayBuffer(4));
+        this.port.postMessage({ id, flag, payload });
+
+        if (Atomics.wait(flag, 0, 0, this.timeoutMs) === 'timed-out') {
+            throw new Error(`Signer helper did not answer within ${this.timeoutMs}ms`);
+        }
+
+        // Drain replies to earlier requests that timed out before they arrived
+        let reply;
+        do {
+            reply = receiveMessageOnPort(this.port);
+        } while (reply && reply.message.id !== id);
+
+        if (!reply) throw new Error('Signer helper reply was lost');
+        if (reply.message.error) throw new Error(`Signer helper: ${reply.message.error}`);
+        return reply.message;
+    }
+
+    close() {
+        if (!this.worker) return;
+        this.port.close();
+        this.worker.terminate();
+        this.worker = null;
+    }
+}
+
+/**
+ * RemoteSigner
+ *
+ * Signs through a SignerHelper running in another process. The private key
+ * never enters this process; only the hash to sign and the signature cross
+ * the socket.
+ */
+class RemoteSigner extends Signer {
+    #channel;
+
+    /**
+     * @param {Object} params
+     * @param {string} params.socketPath - SignerHelper socket
+     * @param {string} params.keyId - Key held by the helper (usually the agent id)
+     * @param {number} [params.timeoutMs] - Per-request timeout
+     */
+    constructor({ socketPath, keyId, timeoutMs = 5000 }) {
+        if (!keyId) throw new Error('RemoteSigner requires a keyId');
+        const channel = new SyncSocketChannel(socketPath, timeoutMs);
+        let publicKey;
+        try {
+            publicKey = channel.request({ op: 'publicKey', keyId }).publicKey;
+        } catch (err) {
+            channel.close();
+            throw err;
+        }
+        super({ publicKey, keyId });
+        this.socketPath = socketPath;
+        this.#channel = channel;
+    }
+
+    /**
+     * Connect to a helper and fetch the public key for `keyId`.
+     */
+    static connect(params) {
+        return new RemoteSigner(params);
+    }
+
+    sign(message) {
+        const payload = Buffer.isBuffer(message) ? message : Buffer.from(String(message), 'utf8');
+        return this.#channel.request({ op: 'sign', keyId: this.keyId, message: payload.toString('base64') }).signature;
+    }
+
+    /**
+     * Release the connection to the helper.
+     */
+    close() {
+        this.#channel.close();
+    }
+
+    [Symbol.for('nodejs.util.inspect.custom')]() {
+        return `RemoteSigner(${this.keyId} @ ${this.socketPath})`;
+    }
+}
+
+export default RemoteSigner;
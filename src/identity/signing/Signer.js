@@ -0,0 +1,48 @@
+import SignatureSuite from '../crypto/SignatureSuite.js';
+
+/**
+ * Signer
+ *
+ * Abstraction over "something that can sign for an agent". The ledger and the
+ * governance engines only ever call `signer.sign(hash)`, so the private key can
+ * live in this process (InProcessSigner), in an unlocked keystore session
+ * (KeystoreSigner) or in a separate helper process (RemoteSigner).
+ *
+ * Implementations set `publicKey` and `algorithm` and implement `sign`, which
+ * must be synchronous and return a hex signature.
+ */
+class Signer {
+    /**
+     * @param {Object} params
+     * @param {string} params.publicKey - PEM public key matching the signing key
+     * @param {string} [params.keyId] - Identifier of the key at its holder
+     */
+    constructor({ publicKey, keyId = null }) {
+        if (!publicKey) throw new Error('A signer requires the public key it signs for');
+        this.publicKey = publicKey;
+        this.keyId = keyId;
+        this.algorithm = SignatureSuite.detectAlgorithm(publicKey);
+        if (!this.algorithm) throw new Error('Unsupported signer key type');
+    }
+
+    /**
+     * @param {string|Buffer} message
+     * @returns {string} hex signature
+     */
+    sign(message) {
+        throw new Error(`${this.constructor.name} does not implement sign()`);
+    }
+
+    /**
+     * True for any object honouring the Signer contract (including ones not derived from this class).
+     */
+    static isSigner(value) {
+        return !!value && typeof value === 'object' && typeof value.sign === 'function' && typeof value.publicKey === 'string';
+    }
+
+    toJSON() {
+        return { type: this.constructor.name, keyId: this.keyId, publicKey: this.publicKey, algorithm: this.algorithm };
+    }
+}
+
+export default Signer;
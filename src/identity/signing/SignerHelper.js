@@ -0,0 +1,180 @@
+import fs from 'node:fs';
+import net from 'node:net';
+import path from 'node:path';
+import { fork } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import InProcessSigner from './InProcessSigner.js';
+import Signer from './Signer.js';
+
+const HELPER_PROCESS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'signerHelperProcess.js');
+
+/**
+ * SignerHelper
+ *
+ * Local signing service that holds agent keys the way an HSM would: keys are
+ * loaded once into the helper and never leave it. Clients (RemoteSigner)
+ * connect over a Unix socket and exchange newline-delimited JSON:
+ *
+ *   { id, op: 'publicKey', keyId }            -> { id, publicKey, algorithm }
+ *   { id, op: 'sign', keyId, message(base64) } -> { id, signature }
+ *   { id, op: 'list' }                          -> { id, keyIds }
+ *
+ * Errors come back as { id, error }. Use `SignerHelper.spawn` to run the helper
+ * as a child process that unlocks its keys from an AgentKeystore.
+ */
+class SignerHelper {
+    #signers = new Map(); // keyId -> Signer
+
+    /**
+     * @param {Object} params
+     * @param {string} params.socketPath - Unix socket to listen on
+     */
+    constructor({ socketPath }) {
+        if (!socketPath) throw new Error('SignerHelper requires a socketPath');
+        this.socketPath = socketPath;
+        this.server = null;
+    }
+
+    /**
+     * Hold a key in the helper.
+     *
+     * @param {string} keyId
+     * @param {string|crypto.KeyObject|Signer} key - Private key, or a signer such as an unlocked KeystoreSigner
+     */
+    addKey(keyId, key) {
+        this.#signers.set(keyId, Signer.isSigner(key) ? key : new InProcessSigner(key, { keyId }));
+    }
+
+    /**
+     * Unlock keys from a keystore into the helper.
+     *
+     * @param {AgentKeystore} keystore
+     * @param {string} passphrase
+     * @param {string[]} [keyIds] - Defaults to every key in the keystore
+     */
+    loadFromKeystore(keystore, passphrase, keyIds = null) {
+        const ids = keyIds || keystore.list().map(k => k.agentId);
+        ids.forEach(keyId => this.addKey(keyId, keystore.unlock(keyId, passphrase, { ttlMs: null })));
+    }
+
+    keyIds() {
+        return Array.from(this.#signers.keys());
+    }
+
+    _handle(request) {
+        const { id, op, keyId } = request;
+        if (op === 'list') return { id, keyIds: this.keyIds() };
+
+        const signer = this.#signers.get(keyId);
+        if (!signer) return { id, error: `Unknown key '${keyId}'` };
+
+        switch (op) {
+            case 'publicKey':
+                return { id, publicKey: signer.publicKey, algorithm: signer.algorithm };
+            case 'sign':
+                return { id, signature: signer.sign(Buffer.from(request.message || '', 'base64')) };
+            default:
+                return { id, error: `Unknown operation '${op}'` };
+        }
+    }
+
+    _serve(connection) {
+        let buffer = '';
+        connection.setEncoding('utf8');
+        connection.on('data', chunk => {
+            buffer += chunk;
+            let newline;
+            while ((newline = buffer.indexOf('\n')) >= 0) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 1);
+                let response;
+                try {
+                    response = this._handle(JSON.parse(line));
+                } catch (err) {
+                    response = { id: null, error: err.message };
+                }
+                connection.write(JSON.stringify(response) + '\n');
+            }
+        });
+        connection.on('error', () => connection.destroy());
+    }
+
+    /**
+     * Start listening. The socket file is restricted to the current user.
+     */
+    listen() {
+        // A socket file left by a crashed helper would make listen fail with EADDRINUSE
+        if (fs.existsSync(this.socketPath)) fs.unlinkSync(this.socketPath);
+
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer(connection => this._serve(connection));
+            this.server.once('error', reject);
+            this.server.listen(this.socketPath, () => {
+                fs.chmodSync(this.socketPath, 0o600);
+                resolve(this);
+            });
+        });
+    }
+
+    close() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Run a helper in a child process. The child unlocks the keys itself; only the
+     * keystore path and passphrase cross the IPC channel, never key material.
+     * The child exits when stopped or when this process goes away.
+     *
+     * @param {Object} params
+     * @param {string} params.socketPath
+     * @param {string} params.keystorePath - AgentKeystore file
+     * @param {string} params.passphrase
+     * @param {string[]} [params.keyIds]
+     * @param {number} [params.timeoutMs] - Startup timeout
+     * @returns {Promise<Object>} { socketPath, pid, keyIds, stop() }
+     */
+    static spawn({ socketPath, keystorePath, passphrase, keyIds = null, timeoutMs = 10000 }) {
+        return new Promise((resolve, reject) => {
+            const child = fork(HELPER_PROCESS, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+            let settled = false;
+            const finish = (err, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                err ? reject(err) : resolve(value);
+            };
+            const timer = setTimeout(() => {
+                child.kill();
+                finish(new Error('Signer helper did not start in time'));
+            }, timeoutMs);
+
+            child.once('exit', code => finish(new Error(`Signer helper exited during startup (code ${code})`)));
+            child.once('message', message => {
+                if (message.error) return finish(new Error(`Signer helper failed to start: ${message.error}`));
+
+                // Do not keep this process alive just for the helper
+                child.unref();
+                if (child.channel) child.channel.unref();
+                finish(null, {
+                    socketPath,
+                    pid: child.pid,
+                    keyIds: message.keyIds,
+                    stop: () => new Promise(done => {
+                        if (child.exitCode !== null) return done();
+                        child.ref();
+                        child.once('exit', () => done());
+                        child.disconnect();
+                    })
+                });
+            });
+
+            child.send({ socketPath, keystorePath, passphrase, keyIds });
+        });
+    }
+}
+
+export default SignerHelper;
@@ -0,0 +1,52 @@
+import net from 'node:net';
+import { workerData } from 'node:worker_threads';
+
+/**
+ * Worker thread behind RemoteSigner: owns the socket to the SignerHelper,
+ * forwards requests from the port and wakes the blocked caller through the
+ * request's shared flag once the response is on the port.
+ */
+const { socketPath, port } = workerData;
+const pending = new Map(); // request id -> Int32Array flag
+let socket = null;
+let buffer = '';
+
+function settle(response) {
+    const flag = pending.get(response.id);
+    if (!flag) return;
+    pending.delete(response.id);
+    port.postMessage(response);
+    Atomics.store(flag, 0, 1);
+    Atomics.notify(flag, 0);
+}
+
+function failAll(error) {
+    for (const id of Array.from(pending.keys())) settle({ id, error });
+}
+
+function connect() {
+    buffer = '';
+    socket = net.createConnection(socketPath);
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) >= 0) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            settle(JSON.parse(line));
+        }
+    });
+    socket.on('error', err => failAll(err.message));
+    // Reconnect lazily on the next request if the helper restarts
+    socket.on('close', () => {
+        socket = null;
+        failAll('connection to signer helper closed');
+    });
+}
+
+port.on('message', ({ id, flag, payload }) => {
+    if (!socket) connect();
+    pending.set(id, flag);
+    socket.write(JSON.stringify({ id, ...payload }) + '\n');
+});
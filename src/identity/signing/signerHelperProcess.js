@@ -0,0 +1,20 @@
+import AgentKeystore from '../keystore/AgentKeystore.js';
+import SignerHelper from './SignerHelper.js';
+
+/**
+ * Child-process entry point for SignerHelper.spawn. Receives its configuration
+ * over the IPC channel, unlocks the keys, serves the Unix socket and exits
+ * when the parent disconnects.
+ */
+process.once('message', async ({ socketPath, keystorePath, passphrase, keyIds }) => {
+    try {
+        const helper = new SignerHelper({ socketPath });
+        helper.loadFromKeystore(new AgentKeystore({ path: keystorePath }), passphrase, keyIds);
+        await helper.listen();
+
+        process.once('disconnect', () => helper.close().then(() => process.exit(0)));
+        process.send({ ready: true, keyIds: helper.keyIds() });
+    } catch (err) {
+        process.send({ error: err.message }, () => process.exit(1));
+    }
+});
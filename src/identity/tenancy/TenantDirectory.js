@@ -0,0 +1,216 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from '../AgentIdentityRegistry.js';
+import AgentActivityLedger from '../governance/AgentActivityLedger.js';
+import IdentityLifecycle from '../models/IdentityLifecycle.js';
+import TrustGraph from '../reputation/TrustGraph.js';
+
+/**
+ * TenantDirectory
+ *
+ * Hosts several organisations on one deployment. Each tenant gets its own
+ * directory (`<basePath>/tenants/<tenantId>/`) holding its identity store,
+ * ledger and governance configuration, and its own trust graph.
+ *
+ * Tenants are isolated: a tenant ledger rejects references to agents it does
+ * not know. Links across tenants are created only through
+ * recordCrossTenantCollaboration, which requires a named approver, is signed
+ * by both agents into both tenants' ledgers, and is logged in the directory index.
+ */
+class TenantDirectory {
+    static TENANT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.basePath] - Root directory for tenant storage
+     * @param {Object} [options.integrity] - Store integrity settings applied to every tenant registry (see AgentIdentityRegistry)
+     * @param {Object} [options.ledgerStorage] - Segment store settings for tenant ledgers ({ fsync, maxSegmentBytes }, see LedgerSegmentStore)
+     */
+    constructor(options = {}) {
+        this.basePath = options.basePath || process.cwd();
+        this.integrity = options.integrity || null;
+        this.ledgerStorage = options.ledgerStorage || {};
+        this.indexPath = path.resolve(this.basePath, 'tenants.json');
+        this.tenantsPath = path.resolve(this.basePath, 'tenants');
+        this._open = new Map(); // tenantId -> opened tenant (registry, ledger, ...)
+        this._loadIndex();
+    }
+
+    _loadIndex() {
+        this.index = { tenants: {}, collaborations: [] };
+        if (fs.existsSync(this.indexPath)) {
+            this.index = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        }
+    }
+
+    _saveIndex() {
+        fs.mkdirSync(this.basePath, { recursive: true });
+        fs.writeFileSync(this.indexPath, JSON.stringify(this.index, null, 2), 'utf8');
+    }
+
+    hasTenant(tenantId) {
+        return !!this.index.tenants[tenantId];
+    }
+
+    listTenants() {
+        return Object.values(this.index.tenants);
+    }
+
+    /**
+     * Create a tenant namespace with its own storage and governance configuration.
+     *
+     * @param {string} tenantId - Letters, digits, '-' and '_' (used as a directory name)
+     * @param {Object} [options]
+     * @param {string} [options.displayName]
+     * @param {Object} [options.governanceConfig] - Overrides of AdaptiveGovernanceEngine.CONFIG for this tenant
+     * @returns {Object} The opened tenant (see getTenant)
+     */
+    createTenant(tenantId, { displayName = null, governanceConfig = null } = {}) {
+        if (!TenantDirectory.TENANT_ID_PATTERN.test(tenantId || '')) {
+            throw new Error(`Invalid tenant id '${tenantId}'`);
+        }
+        if (this.hasTenant(tenantId)) throw new Error(`Tenant '${tenantId}' already exists`);
+
+        fs.mkdirSync(path.resolve(this.tenantsPath, tenantId), { recursive: true });
+        this.index.tenants[tenantId] = { tenantId, displayName: displayName || tenantId, createdAt: new Date().toISOString() };
+        this._saveIndex();
+
+        return this._openTenant(tenantId, governanceConfig);
+    }
+
+    /**
+     * Open a tenant. The handle is cached, so every caller shares one registry and ledger per tenant.
+     *
+     * @param {string} tenantId
+     * @returns {Object} { tenantId, displayName, registry, ledger, ledgerPath, saveLedger() }
+     */
+    getTenant(tenantId) {
+        if (!this.hasTenant(tenantId)) throw new Error(`Tenant '${tenantId}' not found`);
+        return this._open.get(tenantId) || this._openTenant(tenantId);
+    }
+
+    _openTenant(tenantId, governanceConfig = null) {
+        const tenantPath = path.resolve(this.tenantsPath, tenantId);
+        const registry = new AgentIdentityRegistry({
+            storePath: path.resolve(tenantPath, 'agent_identities.json'),
+            tenantId,
+            governanceConfig,
+            integrity: this.integrity
+        });
+
+        // Append-only segments; a tenant ledger from before segments (agent_ledger.json) is imported once
+        const ledgerPath = path.resolve(tenantPath, 'agent_ledger');
+        const ledger = AgentActivityLedger.open(ledgerPath, registry, { ...this.ledgerStorage, importFrom: `${ledgerPath}.json` });
+
+        const tenant = {
+            ...this.index.tenants[tenantId],
+            path: tenantPath,
+            registry,
+            ledger,
+            ledgerPath,
+            saveLedger: () => ledger.sync()
+        };
+        this._open.set(tenantId, tenant);
+        return tenant;
+    }
+
+    getGovernanceConfig(tenantId) {
+        return this.getTenant(tenantId).registry.getGovernanceConfig();
+    }
+
+    setGovernanceConfig(tenantId, governanceConfig) {
+        return this.getTenant(tenantId).registry.setGovernanceConfig(governanceConfig);
+    }
+
+    /**
+     * Build the trust graph of one tenant from its own ledger and identities.
+     *
+     * @param {string} tenantId
+     * @returns {TrustGraph}
+     */
+    buildTrustGraph(tenantId) {
+        const { registry, ledger } = this.getTenant(tenantId);
+        const identityMap = new Map();
+        registry.listIdentityIds().forEach(id => {
+            const identity = registry.getIdentityById(id);
+            if (identity) identityMap.set(id, identity);
+        });
+
+        const graph = new TrustGraph({ tenantId });
+        graph.buildFromLedger(ledger, identityMap);
+        return graph;
+    }
+
+    /**
+     * Record an approved collaboration between agents of two tenants. Each agent signs a
+     * CROSS_TENANT_COLLABORATION entry into its own tenant's ledger (the partner's entry
+     * references the initiator's entry hash), and the pair is logged in the directory index.
+     *
+     * @param {Object} params
+     * @param {Object} params.source - { tenantId, agentId, privateKey | signer } initiating agent
+     * @param {Object} params.target - { tenantId, agentId, privateKey | signer } partner agent
+     * @param {string} params.approvedBy - Who authorized the link
+     * @param {string} [params.reason]
+     * @param {string} [params.outcome] - e.g. 'SUCCESS'
+     * @returns {Object} The audit record
+     */
+    recordCrossTenantCollaboration({ source, target, approvedBy, reason = null, outcome = null }) {
+        if (!source || !target) throw new Error('source and target are required');
+        if (!approvedBy) throw new Error('Cross-tenant collaborations require an approver');
+        if (source.tenantId === target.tenantId) throw new Error('Source and target belong to the same tenant');
+
+        // Validate both sides before writing anything, so a collaboration is never half-recorded
+        const sides = [source, target].map(side => {
+            const tenant = this.getTenant(side.tenantId);
+            const identity = tenant.registry.getIdentityById(side.agentId);
+            if (!identity) throw new Error(`Agent '${side.agentId}' is not registered in tenant '${side.tenantId}'`);
+            if (IdentityLifecycle.isBlocked(identity.lifecycleState)) {
+                throw new Error(`Agent '${side.agentId}' is ${identity.lifecycleState.toLowerCase()}`);
+            }
+            if (!side.privateKey && !side.signer) throw new Error(`Agent '${side.agentId}' must sign the collaboration`);
+            return { ...side, tenant, identity };
+        });
+
+        const collaborationId = `urn:uuid:${crypto.randomUUID()}`;
+        const [from, to] = sides;
+        const record = (side, partner, role, extra = {}) => {
+            const entry = side.tenant.ledger.addEntry({
+                agentId: side.agentId,
+                publicKey: side.identity.publicKey,
+                privateKey: side.privateKey,
+                signer: side.signer,
+                actionType: AgentActivityLedger.ACTION_TYPES.CROSS_TENANT_COLLABORATION,
+                details: { collaborationId, role, partnerTenantId: partner.tenantId, partnerId: partner.agentId, approvedBy, reason, outcome, ...extra }
+            });
+            side.tenant.saveLedger();
+            return entry;
+        };
+
+        const sourceEntry = record(from, to, 'INITIATOR');
+        const targetEntry = record(to, from, 'PARTNER', { partnerEntryHash: sourceEntry.hash });
+
+        const audit = {
+            collaborationId,
+            timestamp: new Date().toISOString(),
+            approvedBy,
+            reason,
+            outcome,
+            source: { tenantId: from.tenantId, agentId: from.agentId, entryHash: sourceEntry.hash },
+            target: { tenantId: to.tenantId, agentId: to.agentId, entryHash: targetEntry.hash }
+        };
+        this.index.collaborations.push(audit);
+        this._saveIndex();
+        return audit;
+    }
+
+    /**
+     * Audited cross-tenant collaborations, optionally only those involving `tenantId`.
+     */
+    getCrossTenantCollaborations(tenantId = null) {
+        if (!tenantId) return this.index.collaborations.slice();
+        return this.index.collaborations.filter(c => c.source.tenantId === tenantId || c.target.tenantId === tenantId);
+    }
+}
+
+export default TenantDirectory;
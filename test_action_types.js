@@ -0,0 +1,149 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import ActionTypeRegistry from './src/identity/governance/ActionTypeRegistry.js';
+import LedgerReplayEngine from './src/identity/reputation/LedgerReplayEngine.js';
+import TrustGraph from './src/identity/reputation/TrustGraph.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const DATA_PURCHASE = {
+    description: 'Dataset bought from another agent',
+    schema: {
+        type: 'object',
+        required: ['seller', 'price', 'dataset'],
+        additionalProperties: false,
+        properties: {
+            seller: { type: 'string', minLength: 1 },
+            price: { type: 'number', minimum: 0 },
+            margin: { type: 'number' },
+            license: { enum: ['RESEARCH', 'COMMERCIAL'] },
+            dataset: {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: 'string', pattern: '^ds-[0-9]+$' }, rows: { type: 'integer', minimum: 1 } }
+            },
+            tags: { type: 'array', maxItems: 3, items: { type: 'string' } }
+        }
+    },
+    trustGraph: {
+        edges: [{ type: 'COLLABORATION', to: 'seller', label: 'DATA_PURCHASE', metadata: ['license'], collaboration: true }],
+        performance: { pnl: 'margin', count: 1 }
+    },
+    reputation: { economic: { pnl: 'margin' }, quality: 0.9 }
+};
+
+async function runTest() {
+    console.log('--- Action Type Registry Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'action-types-'));
+    const [buyer, seller] = [0, 1].map(() => crypto.generateKeyPairSync('ed25519', pemEncoding));
+    const add = (ledger, actionType, details, keys = buyer) => ledger.addEntry({ agentId: keys === buyer ? 'buyer' : 'seller', publicKey: keys.publicKey, privateKey: keys.privateKey, actionType, details });
+
+    // 1. Built-in types validate their details, with the path of every problem
+    const ledger = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never' });
+    const missing = expectThrow(() => add(ledger, 'DELEGATION', { scope: 'read' }), 'DELEGATION without delegatedTo accepted');
+    if (!missing.message.includes('details.delegatedTo is required')) fail('Missing field not reported by path', missing.message);
+    const pnl = expectThrow(() => add(ledger, 'ECONOMIC_OUTCOME', { pnl: '100' }), 'String pnl accepted');
+    if (!pnl.message.includes('details.pnl expected number, got string')) fail('Type error not reported by path', pnl.message);
+    if (!expectThrow(() => add(ledger, 'ECONOMIC_OUTCOME', { pnl: NaN }), 'NaN pnl accepted').message.includes('got non-finite number')) fail('NaN not rejected as a number');
+    const partners = expectThrow(() => add(ledger, 'COOPERATIVE_COLLABORATION', { partners: ['seller', 7], quality: 3 }), 'Bad partners accepted');
+    if (!partners.message.includes('details.partners[1] expected string, got number') || !partners.message.includes('details.quality must be <= 1')) fail('Not every error reported', partners.message);
+    if (ledger.size() !== 0 || ledger.store.segments().length !== 0) fail('Rejected entries reached the ledger');
+    add(ledger, 'DELEGATION', { delegatedTo: 'seller', scope: 'read' });
+    console.log('[PASS] Built-in types reject bad details with precise paths:', missing.message);
+
+    // 2. Custom types: registration rules and schema validation
+    expectThrow(() => ledger.registerActionType('DELEGATION', { schema: { type: 'object' } }), 'Built-in type redefined');
+    expectThrow(() => ledger.registerActionType('data-purchase', DATA_PURCHASE), 'Lower-case name accepted');
+    expectThrow(() => ledger.registerActionType('DATA_PURCHASE', { schema: { type: 'object', properties: { x: { oneOf: [] } } } }), 'Unsupported keyword accepted');
+    expectThrow(() => ledger.registerActionType('DATA_PURCHASE', { ...DATA_PURCHASE, trustGraph: { edges: [{ type: 'FRIENDSHIP', to: 'seller' }] } }), 'Unknown edge type accepted');
+    expectThrow(() => add(ledger, 'DATA_PURCHASE', { seller: 'seller', price: 5, dataset: { id: 'ds-1' } }), 'Unregistered type accepted');
+    ledger.registerActionType('DATA_PURCHASE', DATA_PURCHASE);
+    ledger.registerActionType('DATA_PURCHASE', DATA_PURCHASE);
+    expectThrow(() => ledger.registerActionType('DATA_PURCHASE', { ...DATA_PURCHASE, reputation: null }), 'Conflicting redefinition accepted');
+
+    const bad = expectThrow(() => add(ledger, 'DATA_PURCHASE', { seller: 'seller', price: -1, license: 'FREE', dataset: { id: 'dataset-1', rows: 2.5 }, tags: ['a', 'b', 'c', 'd'], note: 'x' }), 'Invalid custom entry accepted');
+    const expected = ['details.price must be >= 0', 'details.license must be one of', 'details.dataset.id must match', 'details.dataset.rows expected integer, got number', 'details.tags must have at most 3 items', 'details.note is not allowed'];
+    const unreported = expected.filter(text => !bad.message.includes(text));
+    if (unreported.length > 0) fail('Custom schema errors not reported', { unreported, message: bad.message });
+    const registry = new ActionTypeRegistry({ DATA_PURCHASE });
+    if (registry.validate('DATA_PURCHASE', { seller: 'seller', price: 5, dataset: {} }).errors.map(e => e.path).join() !== 'details.dataset.id') fail('Nested required field path wrong');
+    console.log('[PASS] Custom types registered with JSON-Schema details; violations listed by path');
+
+    // 3. Declared feeds drive the trust graph and replayed reputation
+    for (const margin of [40, -10]) {
+        await new Promise(r => setTimeout(r, 2));
+        add(ledger, 'DATA_PURCHASE', { seller: 'seller', price: 100, margin, license: 'RESEARCH', dataset: { id: 'ds-7', rows: 10 } });
+    }
+    const graph = new TrustGraph();
+    graph.buildFromLedger(ledger);
+    const edges = graph.edges.filter(e => e.metadata.type === 'DATA_PURCHASE');
+    const buyerNode = graph.nodes.get('buyer');
+    if (edges.length !== 2 || edges[0].target !== 'seller' || edges[0].metadata.license !== 'RESEARCH' || graph.collaborationMatrix.get('buyer<->seller') !== 2) fail('Custom edges not in the graph', edges);
+    if (buyerNode.performance.pnl !== 30 || buyerNode.performance.count !== 2) fail('Custom node metrics wrong', buyerNode.performance);
+    if (graph.edges.filter(e => e.type === 'DELEGATION').length !== 1) fail('Built-in feed changed');
+
+    const replayed = LedgerReplayEngine.replay(ledger).buyer;
+    if (replayed.replayed !== 2 || replayed.performance.pnl.netProfit !== 30) fail('Custom type not replayed into reputation', replayed);
+    const plain = new AgentActivityLedger(null, { actionTypes: { AUDIT_NOTE: { schema: { type: 'object', required: ['text'] } } } });
+    add(plain, 'AUDIT_NOTE', { text: 'checked' });
+    const silent = new TrustGraph();
+    silent.buildFromLedger(plain);
+    if (LedgerReplayEngine.replay(plain).buyer.replayed !== 0 || silent.edges.length !== 0) fail('Type without feeds changed reputation or the graph');
+    console.log('[PASS] Trust graph edges, node metrics and reputation follow the declared feeds');
+
+    // 4. Definitions are not persisted: history still verifies, new entries need the type again
+    ledger.close();
+    const reopened = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never' });
+    if (!reopened.verifyChain().valid || reopened.size() !== 3) fail('Entries of custom types do not verify after reopening', reopened.verifyChain());
+    expectThrow(() => add(reopened, 'DATA_PURCHASE', { seller: 'seller', price: 1, dataset: { id: 'ds-1' } }), 'Unregistered type accepted after reopening');
+    reopened.close();
+    const configured = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never', actionTypes: { DATA_PURCHASE } });
+    add(configured, 'DATA_PURCHASE', { seller: 'seller', price: 1, margin: 5, dataset: { id: 'ds-1' } });
+    if (LedgerReplayEngine.replay(configured).buyer.replayed !== 3) fail('Configured type not replayed');
+    configured.close();
+    console.log('[PASS] History verifies without definitions; reopening with actionTypes restores them');
+
+    // 5. API
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { fsync: 'never' } });
+    const agent = api.registerAgent({ publicKey: buyer.publicKey, originSystem: 'desk' });
+    api.registerAgent({ publicKey: seller.publicKey, originSystem: 'desk', id: 'seller' });
+    api.registerActionType('DATA_PURCHASE', DATA_PURCHASE);
+    const before = api.registry.getIdentityById(agent.id).performance.pnl.netProfit;
+    await new Promise(r => setTimeout(r, 2));
+    api.recordAction({ agentId: agent.id, publicKey: buyer.publicKey, privateKey: buyer.privateKey, actionType: 'DATA_PURCHASE', details: { seller: 'seller', price: 10, margin: 25, dataset: { id: 'ds-2' } } });
+    if (api.registry.getIdentityById(agent.id).performance.pnl.netProfit !== before + 25) fail('recordAction did not apply the reputation feed');
+    if (!api.verifyReputation().valid) fail('Stored reputation diverges from the replay', api.verifyReputation());
+    if (!api.getTrustGraph().edges.some(e => e.metadata.type === 'DATA_PURCHASE')) fail('API trust graph misses custom edges');
+    api.ledger.close();
+    console.log('[PASS] API registers types, records them and keeps reputation replayable');
+
+    console.log('\n--- ALL ACTION TYPE CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
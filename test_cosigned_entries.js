@@ -0,0 +1,168 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerArchive from './src/identity/governance/LedgerArchive.js';
+import LedgerCosignatures from './src/identity/governance/LedgerCosignatures.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+import TrustGraph from './src/identity/reputation/TrustGraph.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+function edgesOf(ledger) {
+    const graph = new TrustGraph();
+    graph.buildFromLedger(ledger);
+    return graph.edges.map(e => `${e.source}->${e.target}`).sort().join();
+}
+
+/**
+ * Appends a correctly chained and signed entry to a saved ledger document, as a forger holding `keys` could.
+ */
+function forgeEntry(entries, agentId, keys, actionType, details) {
+    const last = entries[entries.length - 1];
+    const entry = {
+        index: last.index + 1,
+        timestamp: new Date().toISOString(),
+        agentId,
+        actionType,
+        details,
+        prevHash: last.hash,
+        publicKey: keys.publicKey,
+        algorithm: SignatureSuite.detectAlgorithm(keys.publicKey)
+    };
+    entry.hash = AgentActivityLedger._hash(AgentActivityLedger._serializeEntryForHash(entry));
+    entry.signature = SignatureSuite.sign(entry.hash, keys.privateKey);
+    entries.push(entry);
+}
+
+async function runTest() {
+    console.log('--- Co-signed Entries Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cosigned-entries-'));
+    const keys = Object.fromEntries(['broker', 'trader', 'desk', 'analyst', 'attacker'].map(id => [id, crypto.generateKeyPairSync('ed25519', pemEncoding)]));
+    const as = id => ({ agentId: id, publicKey: keys[id].publicKey, privateKey: keys[id].privateKey });
+    const cosignedTypes = LedgerCosignatures.TRUST_BUILDING_TYPES;
+
+    // 1. Entries naming other parties stay pending until every party signs
+    const ledger = new AgentActivityLedger(null, { cosignedTypes });
+    const negotiation = ledger.addEntry({ ...as('broker'), actionType: 'NEGOTIATION', details: { counterparty: 'trader', outcome: 'SUCCESS' } });
+    const collaboration = ledger.addEntry({ ...as('broker'), actionType: 'COOPERATIVE_COLLABORATION', details: { partners: ['desk', 'analyst'], outcome: 'SUCCESS' } });
+    const outcome = ledger.addEntry({ ...as('broker'), actionType: 'ECONOMIC_OUTCOME', details: { pnl: 10 } });
+    if (negotiation.cosign.parties.join() !== 'trader' || collaboration.cosign.parties.join() !== 'desk,analyst' || outcome.cosign) fail('Co-signature requests wrong', [negotiation.cosign, collaboration.cosign, outcome.cosign]);
+    if (ledger.getCosignatureStatus(negotiation.index).status !== 'PENDING' || edgesOf(ledger) !== '') fail('Unsigned entries already in the trust graph', edgesOf(ledger));
+
+    ledger.cosign({ index: negotiation.index, ...as('trader') });
+    ledger.cosign({ index: collaboration.index, ...as('desk') });
+    const status = ledger.getCosignatureStatus(collaboration.index);
+    if (status.status !== 'PENDING' || status.signed.join() !== 'desk' || status.missing.join() !== 'analyst') fail('Partial co-signature status wrong', status);
+    if (ledger.pendingCosignatures({ agentId: 'analyst' }).map(s => s.index).join() !== String(collaboration.index) || ledger.pendingCosignatures({ agentId: 'trader' }).length !== 0) fail('Pending list wrong', ledger.pendingCosignatures());
+    if (edgesOf(ledger) !== 'broker->trader') fail('Only the fully signed entry should add edges', edgesOf(ledger));
+    ledger.cosign({ index: collaboration.index, ...as('analyst') });
+    if (ledger.getCosignatureStatus(collaboration.index).status !== 'COMPLETE' || edgesOf(ledger) !== 'broker->analyst,broker->desk,broker->trader') fail('Completed entry missing from the trust graph', edgesOf(ledger));
+
+    let e = expectThrow(() => ledger.cosign({ index: negotiation.index, ...as('attacker') }), 'Non-party co-signature accepted');
+    if (!e.message.includes('COSIGNER_NOT_A_PARTY')) fail('Wrong rejection for a non-party', e.message);
+    e = expectThrow(() => ledger.cosign({ index: negotiation.index, ...as('trader') }), 'Duplicate co-signature accepted');
+    if (!e.message.includes('COSIGNATURE_DUPLICATE')) fail('Wrong rejection for a duplicate', e.message);
+    e = expectThrow(() => ledger.cosign({ index: outcome.index, ...as('trader') }), 'Co-signature of an entry without a request accepted');
+    if (!e.message.includes('COSIGNATURE_NOT_REQUESTED')) fail('Wrong rejection for an unrequested co-signature', e.message);
+    expectThrow(() => ledger.addEntry({ ...as('trader'), actionType: 'COSIGNATURE', details: { entryIndex: negotiation.index, entryHash: outcome.hash } }), 'Co-signature of another hash accepted');
+    const optedOut = ledger.addEntry({ ...as('broker'), actionType: 'DELEGATION', details: { delegatedTo: 'desk' }, cosign: false });
+    if (optedOut.cosign || !edgesOf(ledger).includes('broker->desk,broker->desk')) fail('Entry without a co-signature request held back', edgesOf(ledger));
+    if (!ledger.verifyChain().valid) fail('Co-signed ledger does not verify', ledger.verifyChain());
+    console.log('[PASS] Entries stay pending until every named party co-signs; only complete ones add trust edges');
+
+    // 2. Missing signatures expire
+    const expiring = ledger.addEntry({ ...as('broker'), actionType: 'DELEGATION', details: { delegatedTo: 'trader' }, cosign: { ttlMs: 30 } });
+    await new Promise(r => setTimeout(r, 60));
+    if (ledger.getCosignatureStatus(expiring.index).status !== 'EXPIRED' || ledger.pendingCosignatures().length !== 0) fail('Request did not expire', ledger.getCosignatureStatus(expiring.index));
+    e = expectThrow(() => ledger.cosign({ index: expiring.index, ...as('trader') }), 'Late co-signature accepted');
+    if (!e.message.includes('COSIGNATURE_EXPIRED')) fail('Wrong rejection for a late co-signature', e.message);
+    expectThrow(() => ledger.addEntry({ ...as('broker'), actionType: 'NEGOTIATION', details: { counterparty: 'trader' }, cosign: { parties: ['broker'] } }), 'Recorder accepted as its own co-signer');
+    console.log('[PASS] Requests expire and late co-signatures are rejected');
+
+    // 3. verifyChain checks every co-signature, including forged ones appended to a copy
+    const forged = (name, edit) => {
+        const file = path.join(dir, `${name}.json`);
+        ledger.saveToFile(file);
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        edit(parsed.entries);
+        fs.writeFileSync(file, JSON.stringify(parsed, null, 2));
+        return AgentActivityLedger.loadFromFile(file).verifyChain();
+    };
+    const notParty = forged('not_party', entries => forgeEntry(entries, 'attacker', keys.attacker, 'COSIGNATURE', { entryIndex: negotiation.index, entryHash: negotiation.hash }));
+    const late = forged('late', entries => forgeEntry(entries, 'trader', keys.trader, 'COSIGNATURE', { entryIndex: expiring.index, entryHash: expiring.hash }));
+    const wrongHash = forged('wrong_hash', entries => forgeEntry(entries, 'desk', keys.desk, 'COSIGNATURE', { entryIndex: expiring.index, entryHash: negotiation.hash }));
+    const results = [notParty, late, wrongHash].map(r => `${r.valid}:${r.reason}`).join();
+    if (results !== 'false:COSIGNER_NOT_A_PARTY,false:COSIGNATURE_EXPIRED,false:COSIGNATURE_TARGET_MISMATCH' || notParty.index !== ledger.size()) fail('Forged co-signatures verified', results);
+    const stripped = forged('stripped', entries => { delete entries[negotiation.index].cosign; });
+    if (stripped.valid || stripped.index !== negotiation.index) fail('Removing a co-signature request went unnoticed', stripped);
+    console.log('[PASS] verifyChain rejects forged, late and mismatched co-signatures:', results);
+
+    // 4. Compaction never separates an entry from its co-signatures
+    const stored = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never', cosignedTypes });
+    const delegation = stored.addEntry({ ...as('broker'), actionType: 'DELEGATION', details: { delegatedTo: 'trader' } });
+    stored.addEntry({ ...as('trader'), actionType: 'ECONOMIC_OUTCOME', details: { pnl: 5 } });
+    const signer = new InProcessSigner(keys.broker.privateKey);
+    e = expectThrow(() => LedgerArchive.compact(stored, { signer, rotate: true }), 'Pending entry archived');
+    if (!e.message.includes('PENDING')) fail('Wrong compaction error', e.message);
+    stored.cosign({ index: delegation.index, ...as('trader') });
+    const before = edgesOf(stored);
+    LedgerArchive.compact(stored, { signer, rotate: true });
+    const archiveCheck = LedgerArchive.verify(stored);
+    if (!archiveCheck.valid || edgesOf(stored) !== before || before !== 'broker->trader') fail('Compacted co-signed entry lost or unverified', { archiveCheck, before, after: edgesOf(stored) });
+    expectThrow(() => stored.cosign({ index: delegation.index, ...as('trader') }), 'Archived entry co-signed');
+    stored.close();
+    console.log('[PASS] Compaction waits for co-signatures and keeps the trust graph intact');
+
+    // 5. API
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { fsync: 'never', cosignedTypes } });
+    const [lead, worker] = ['broker', 'trader'].map(id => ({ id: api.registerAgent({ publicKey: keys[id].publicKey, originSystem: 'desk' }).id, keys: keys[id] }));
+    const recorded = api.recordAction({ agentId: lead.id, publicKey: lead.keys.publicKey, privateKey: lead.keys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: worker.id } });
+    if (api.listPendingCosignatures({ agentId: worker.id }).length !== 1 || api.getTrustGraph().edges.length !== 0) fail('API did not hold the delegation for co-signature');
+    await new Promise(r => setTimeout(r, 2));
+    api.cosignAction({ index: recorded.index, agentId: worker.id, publicKey: worker.keys.publicKey, privateKey: worker.keys.privateKey });
+    if (api.getCosignatureStatus(recorded.index).status !== 'COMPLETE' || api.getTrustGraph().edges.length !== 1 || !api.verifyLedger().valid) fail('API co-signature flow wrong', api.getCosignatureStatus(recorded.index));
+    api.ledger.close();
+    console.log('[PASS] API records, co-signs and reports co-signed actions');
+
+    // 6. Co-signing is opt-in: ledgers written before it existed keep their edges, default callers are unchanged
+    const legacyDir = path.join(dir, 'api-legacy');
+    fs.mkdirSync(legacyDir);
+    fs.copyFileSync('agent_ledger.json', path.join(legacyDir, 'agent_ledger.json'));
+    const legacy = new IdentityReputationAPI({ basePath: legacyDir, ledgerStorage: { fsync: 'never' } });
+    if (legacy.ledger.cosignedTypes.length !== 0 || !legacy.verifyLedger().valid || legacy.getTrustGraph().edges.length !== 2) fail('Ledger written before co-signing lost its edges', legacy.getTrustGraph().edges);
+    const [solo, peer] = ['broker', 'trader'].map(id => ({ id: legacy.registerAgent({ publicKey: keys[id].publicKey, originSystem: 'desk' }).id, keys: keys[id] }));
+    const unsigned = legacy.recordAction({ agentId: solo.id, publicKey: solo.keys.publicKey, privateKey: solo.keys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: peer.id } });
+    if (unsigned.cosign || legacy.getTrustGraph().edges.length !== 3) fail('Default recordAction requested co-signatures', unsigned);
+    legacy.ledger.close();
+    console.log('[PASS] Ledgers written before co-signing keep their trust edges; co-signing stays opt-in');
+
+    console.log('\n--- ALL CO-SIGNED ENTRY CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import DidResolver from './src/identity/DidResolver.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- DID Resolver Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_did_registry.json');
+    if (fs.existsSync(registryPath)) fs.unlinkSync(registryPath);
+
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+    const resolver = new DidResolver(registry, {
+        defaultServices: [{ id: '#ledger', type: 'AgentActivityLedger', serviceEndpoint: 'https://ledger.example/agents/{did}' }]
+    });
+
+    const first = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+    const second = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+    const identity = registry.registerIdentity({ publicKey: first.publicKey, originSystem: 'did-test' });
+    registry.setServiceEndpoints(identity.id, [{ id: '#inbox', type: 'AgentMessaging', serviceEndpoint: 'https://inbox.example/a1' }]);
+
+    // 1. Basic resolution
+    const result = resolver.resolve(identity.id);
+    const doc = result.didDocument;
+    if (result.didResolutionMetadata.contentType !== 'application/did+ld+json') fail('Missing content type', result);
+    if (doc.id !== identity.id || doc.verificationMethod.length !== 1) fail('Unexpected document', doc);
+    if (doc.verificationMethod[0].publicKeyJwk.crv !== 'Ed25519') fail('JWK not exported', doc.verificationMethod[0]);
+    if (doc.authentication[0] !== `${identity.id}#key-1`) fail('Authentication reference wrong', doc.authentication);
+    if (doc.service.length !== 2 || !doc.service[0].serviceEndpoint.includes(encodeURIComponent(identity.id))) fail('Services not mapped', doc.service);
+    if (result.didDocumentMetadata.deactivated !== false) fail('Active identity reported as deactivated');
+    console.log('[PASS] did:agent identifier resolves to a DID Document');
+
+    // 2. Rotation and versionTime
+    const before = new Date().toISOString();
+    await new Promise(r => setTimeout(r, 5));
+    const message = AgentIdentityRegistry.keyRotationMessage(identity.id, first.publicKey, second.publicKey);
+    registry.rotateKey(identity.id, second.publicKey, SignatureSuite.sign(message, first.privateKey));
+    if (resolver.resolve(identity.id).didDocument.authentication[0] !== `${identity.id}#key-2`) fail('Rotated key not published');
+    if (resolver.resolve(identity.id, { versionTime: before }).didDocument.authentication[0] !== `${identity.id}#key-1`) fail('versionTime did not select the historical key');
+    console.log('[PASS] Key rotations and versionTime are reflected');
+
+    // 3. Deactivation and errors
+    registry.revokeIdentity(identity.id, 'Decommissioned');
+    if (resolver.resolve(identity.id).didDocumentMetadata.deactivated !== true) fail('Revoked identity not deactivated');
+    if (resolver.resolve('did:agent:unknown').didResolutionMetadata.error !== 'notFound') fail('Unknown DID not reported');
+    if (resolver.resolve('did:web:example.com').didResolutionMetadata.error !== 'methodNotSupported') fail('Foreign method not reported');
+    if (resolver.resolve('not-a-did').didResolutionMetadata.error !== 'invalidDid') fail('Invalid DID not reported');
+    console.log('[PASS] Deactivation and resolution errors reported');
+
+    console.log('\n--- ALL DID RESOLVER CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
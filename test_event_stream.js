@@ -0,0 +1,204 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import AdaptiveGovernanceEngine from './src/identity/governance/AdaptiveGovernanceEngine.js';
+import LedgerEventStream from './src/identity/governance/LedgerEventStream.js';
+import PreExecutionValidator from './src/identity/governance/PreExecutionValidator.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+/**
+ * Opens an SSE stream and resolves with the first `count` events (or the HTTP status if not 200).
+ */
+function readEvents(url, { headers = {}, count = 1, timeoutMs = 5000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        let request = null;
+        const timer = setTimeout(() => {
+            request.destroy();
+            reject(new Error(`Only ${events.length} of ${count} events from ${url}`));
+        }, timeoutMs);
+        const finish = result => {
+            clearTimeout(timer);
+            resolve(result);
+        };
+        request = http.get(url, { headers }, response => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                return finish({ status: response.statusCode, events });
+            }
+            let buffer = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const fields = Object.fromEntries(block.split('\n').filter(l => !l.startsWith(':')).map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+                    if (fields.data) events.push({ id: fields.id, event: fields.event, ...JSON.parse(fields.data) });
+                }
+                if (events.length >= count) {
+                    request.destroy();
+                    finish({ status: 200, events: events.slice(0, count) });
+                }
+            });
+        });
+        request.on('error', err => {
+            if (!request.destroyed || events.length < count) {
+                clearTimeout(timer);
+                reject(err);
+            }
+        });
+    });
+}
+
+async function runTest() {
+    console.log('--- Ledger Event Stream Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-stream-'));
+    const registry = new AgentIdentityRegistry({ storePath: path.join(dir, 'identities.json') });
+    const ledger = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never' });
+    const [authorityKeys, agentKeys] = [0, 1].map(() => crypto.generateKeyPairSync('ed25519', pemEncoding));
+    const authority = registry.registerIdentity({ publicKey: authorityKeys.publicKey, originSystem: 'ops' });
+    const agent = registry.registerIdentity({ publicKey: agentKeys.publicKey, originSystem: 'desk' });
+    registry.attachLedger(ledger, { identity: authority, privateKey: authorityKeys.privateKey });
+    const context = { identity: agent, privateKey: agentKeys.privateKey, ledger };
+    const delegate = to => ledger.addEntry({ agentId: agent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: to } });
+
+    // 1. In-process subscriptions receive typed events as they are recorded
+    const stream = new LedgerEventStream(ledger);
+    const all = [];
+    const revocations = [];
+    stream.subscribe(event => all.push(event));
+    stream.subscribe(event => revocations.push(event), { types: ['identity.revoked'], agentId: agent.id });
+    const broken = stream.subscribe(() => { throw new Error('consumer bug'); }, { types: ['ledger.entry'] });
+
+    delegate('worker-1');
+    broken();
+    AdaptiveGovernanceEngine.getGovernanceProfile(0.95, context);
+    AdaptiveGovernanceEngine.getGovernanceProfile(0.95, context);
+    AdaptiveGovernanceEngine.validateBudgetRequest(0.5, 5000, context);
+    AdaptiveGovernanceEngine.isActionPermitted(0.5, 'ADMIN', context);
+    registry.transitionState(agent.id, 'SUSPENDED', { reason: 'Review', actor: 'ops:alice' });
+    PreExecutionValidator.validate(registry.getIdentityById(agent.id), { type: 'NOOP' }, null, context);
+    registry.revokeIdentity(agent.id, 'Key compromise', 'ops:bob');
+
+    const entries = all.filter(e => e.type === 'ledger.entry');
+    if (entries.length !== ledger.size() || entries.some((e, i) => e.index !== i || e.data.hash !== ledger.entries[i].hash)) fail('Not every entry published in order', entries.map(e => e.index));
+    const typed = all.filter(e => e.type !== 'ledger.entry').map(e => `${e.type}:${e.data.level || e.data.actionType || e.data.subjectId}`);
+    const expected = [
+        'governance.profile_changed:ELITE_AUTHORITY',
+        'governance.profile_changed:STANDARD_OPERATIONAL',
+        'validation.rejected:BUDGET_REQUEST',
+        'validation.rejected:PERMISSION_CHECK',
+        'validation.rejected:POLICY_VIOLATION',
+        `identity.revoked:${agent.id}`
+    ];
+    if (typed.join() !== expected.join()) fail('Typed events wrong', typed);
+    const changed = all.find(e => e.data.level === 'STANDARD_OPERATIONAL');
+    if (changed.data.previousLevel !== 'ELITE_AUTHORITY' || changed.agentId !== agent.id) fail('Profile change lacks the previous level', changed.data);
+    if (revocations.length !== 1 || revocations[0].agentId !== authority.id || revocations[0].data.reason !== 'Key compromise') fail('Filtered subscription wrong', revocations);
+    console.log('[PASS] Entries, profile changes, rejections and revocations published as typed events:', typed.length);
+
+    // 2. A subscriber resumes from the index after the last event it handled, across a restart
+    let lastIndex = null;
+    const stop = stream.subscribe(event => { lastIndex = event.index; });
+    delegate('worker-2');
+    stop();
+    const missedFrom = lastIndex + 1;
+    AdaptiveGovernanceEngine.getGovernanceProfile(0.95, context);
+    delegate('worker-3');
+    ledger.close();
+
+    const reopened = AgentActivityLedger.open(path.join(dir, 'ledger'), null, { fsync: 'never' });
+    const restarted = new LedgerEventStream(reopened);
+    const resumed = [];
+    restarted.subscribe(event => resumed.push(event), { fromIndex: missedFrom });
+    const missed = resumed.map(e => `${e.index}:${e.type}`);
+    if (missed.join() !== [`${missedFrom}:ledger.entry`, `${missedFrom}:governance.profile_changed`, `${missedFrom + 1}:ledger.entry`].join()) fail('Resume did not deliver exactly the missed events', missed);
+    if (resumed[1].data.previousLevel !== 'STANDARD_OPERATIONAL') fail('Profile history lost across the restart', resumed[1].data);
+    reopened.addEntry({ agentId: authority.id, publicKey: authorityKeys.publicKey, privateKey: authorityKeys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: 'worker-4' } });
+    if (resumed.length !== 4 || resumed[3].index !== missedFrom + 2) fail('Live events did not follow the backlog', resumed.map(e => e.index));
+    expectThrow(() => restarted.subscribe(() => {}, { fromIndex: -1 }), 'Negative fromIndex accepted');
+    expectThrow(() => restarted.subscribe(() => {}, { types: ['ledger.deleted'] }), 'Unknown event type accepted');
+    console.log('[PASS] Subscriber resumed from ledger index', missedFrom, 'after a restart');
+
+    // 3. Server-sent events, resumable with Last-Event-ID
+    await restarted.listen({ heartbeatMs: 50 });
+    const revoked = await readEvents(`${restarted.url}?from=0&types=identity.revoked,validation.rejected`, { count: 4 });
+    if (revoked.events.map(e => e.event).join() !== 'validation.rejected,validation.rejected,validation.rejected,identity.revoked' || revoked.events[3].id !== String(revoked.events[3].index)) fail('SSE backlog wrong', revoked.events);
+    const lastSeen = revoked.events[0].index;
+    const after = await readEvents(`${restarted.url}?types=validation.rejected,identity.revoked`, { headers: { 'Last-Event-ID': String(lastSeen) }, count: 3 });
+    if (after.events.some(e => e.index <= lastSeen) || after.events[2].event !== 'identity.revoked') fail('Last-Event-ID resume wrong', after.events);
+
+    const live = readEvents(restarted.url, { count: 1 });
+    await new Promise(r => setTimeout(r, 20));
+    reopened.addEntry({ agentId: authority.id, publicKey: authorityKeys.publicKey, privateKey: authorityKeys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: 'worker-5' } });
+    const pushed = (await live).events[0];
+    if (pushed.event !== 'ledger.entry' || pushed.data.details.delegatedTo !== 'worker-5') fail('Live SSE event missing', pushed);
+    if ((await readEvents(`${restarted.url}?from=abc`)).status !== 400) fail('Bad from accepted over SSE');
+    if ((await readEvents(restarted.url.replace('/events', '/other'))).status !== 404) fail('Unknown path served');
+    await restarted.close();
+    restarted.detach();
+    reopened.close();
+    console.log('[PASS] SSE endpoint streams backlog and live events and resumes from Last-Event-ID');
+
+    // 4. API
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { fsync: 'never' } });
+    const apiAgent = api.registerAgent({ publicKey: agentKeys.publicKey, originSystem: 'desk' });
+    const received = [];
+    api.subscribeEvents(event => received.push(event), { types: ['ledger.entry'] });
+    const url = await api.startEventServer();
+    const streamed = readEvents(url, { count: 1 });
+    await new Promise(r => setTimeout(r, 20));
+    api.recordAction({ agentId: apiAgent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl: 10 } });
+    if ((await streamed).events[0].data.actionType !== 'ECONOMIC_OUTCOME' || received.length !== 1) fail('API events missing', received);
+    await api.stopEventServer();
+    api.recordAction({ agentId: apiAgent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl: 5 } });
+    if (received.length !== 2) fail('Stopping the server ended in-process subscriptions');
+
+    // Revocations reach API subscribers even though no ledger is attached to the API's registry
+    const apiRevocations = [];
+    api.subscribeEvents(event => apiRevocations.push(event), { types: ['identity.revoked'], agentId: apiAgent.id });
+    const revocationUrl = await api.startEventServer();
+    const streamedRevocation = readEvents(`${revocationUrl}?types=identity.revoked`, { count: 1 });
+    await new Promise(r => setTimeout(r, 20));
+    api.registry.revokeIdentity(apiAgent.id, 'Key compromise', 'ops:alice');
+    const [sse] = (await streamedRevocation).events;
+    if (apiRevocations.length !== 1 || apiRevocations[0].data.subjectId !== apiAgent.id || apiRevocations[0].data.reason !== 'Key compromise' || apiRevocations[0].index !== null) fail('API revocation not published', apiRevocations);
+    if (!sse || sse.event !== 'identity.revoked' || sse.id !== undefined || sse.data.actor !== 'ops:alice') fail('API revocation not streamed', sse);
+    await api.stopEventServer();
+    api.ledger.close();
+    console.log('[PASS] API subscribes and serves events, including revocations');
+
+    console.log('\n--- ALL EVENT STREAM CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,170 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+import { canonicalize } from './src/identity/crypto/canonicalize.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+import IdentityBundle from './src/identity/portability/IdentityBundle.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+// Re-sign tampered content with both keys, as a forger holding them would
+function resign(bundle, registrySigner, agentSigner) {
+    const { proofs, ...content } = bundle;
+    const signed = canonicalize(content);
+    return {
+        ...content,
+        proofs: {
+            registry: { algorithm: registrySigner.algorithm, signature: registrySigner.sign(signed) },
+            agent: { publicKey: agentSigner.publicKey, algorithm: agentSigner.algorithm, signature: agentSigner.sign(signed) }
+        }
+    };
+}
+
+async function runTest() {
+    console.log('--- Identity Bundle Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundles-'));
+    const staging = new AgentIdentityRegistry({ storePath: path.join(dir, 'staging.json') });
+    const stagingLedger = new AgentActivityLedger(staging);
+    const stagingSigner = new InProcessSigner(crypto.generateKeyPairSync('ed25519', pemEncoding).privateKey);
+
+    // An agent with a rotated key and activity under both keys, next to another agent
+    const oldKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const agent = staging.registerIdentity({ publicKey: oldKeys.publicKey, originSystem: 'staging' });
+    stagingLedger.addEntry({ agentId: agent.id, publicKey: oldKeys.publicKey, privateKey: oldKeys.privateKey, actionType: 'NEGOTIATION', details: { round: 1 } });
+    const newKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const rotationMessage = AgentIdentityRegistry.keyRotationMessage(agent.id, oldKeys.publicKey, newKeys.publicKey);
+    staging.rotateKey(agent.id, newKeys.publicKey, SignatureSuite.sign(rotationMessage, oldKeys.privateKey));
+    const agentSigner = new InProcessSigner(newKeys.privateKey);
+
+    const otherKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const other = staging.registerIdentity({ publicKey: otherKeys.publicKey, originSystem: 'staging' });
+    stagingLedger.addEntry({ agentId: other.id, publicKey: other.publicKey, privateKey: otherKeys.privateKey, actionType: 'NEGOTIATION', details: {} });
+    stagingLedger.addEntry({ agentId: agent.id, signer: agentSigner, actionType: 'ECONOMIC_OUTCOME', details: { profit: 10 } });
+    await new Promise(r => setTimeout(r, 5)); // entries of one agent need distinct timestamps
+    stagingLedger.addEntry({ agentId: agent.id, signer: agentSigner, actionType: 'DELEGATION', details: { delegatedTo: other.id } });
+
+    // 1. Export: signed by the registry and the agent, with the agent's ledger slice
+    expectThrow(() => staging.exportIdentityBundle(agent.id, { registrySigner: stagingSigner, agentSigner: new InProcessSigner(oldKeys.privateKey) }), 'Exported with a rotated-out agent key');
+    const bundle = staging.exportIdentityBundle(agent.id, { registrySigner: stagingSigner, agentSigner, ledger: stagingLedger });
+    if (bundle.ledger.entries.length !== 3 || bundle.ledger.entries.some(e => e.agentId !== agent.id)) fail('Ledger slice is not the agent\'s entries', bundle.ledger.entries.map(e => e.agentId));
+    if (bundle.identity.keyHistory.length !== 2 || bundle.identity.metadata.versionHistory.length < 2) fail('Bundle is missing history', bundle.identity);
+    if (JSON.stringify(bundle).includes('PRIVATE KEY')) fail('Bundle contains key material');
+    const trusted = { trustedRegistries: [stagingSigner.publicKey] };
+    const verification = IdentityBundle.verify(bundle, trusted);
+    if (!verification.valid) fail('Fresh bundle does not verify', verification);
+    console.log('[PASS] Bundle exported with version history, key history and ledger slice');
+
+    // 2. Tampering and forgery are detected
+    const tamperedScore = structuredClone(bundle);
+    tamperedScore.identity.performance.reliability = 0.2;
+    if (IdentityBundle.verify(tamperedScore, trusted).reason !== 'BAD_REGISTRY_SIGNATURE') fail('Edited performance accepted');
+
+    const untrusted = IdentityBundle.verify(bundle, { trustedRegistries: [otherKeys.publicKey] });
+    if (untrusted.reason !== 'UNTRUSTED_SOURCE') fail('Bundle from an untrusted registry accepted', untrusted);
+    if (IdentityBundle.verify(bundle).reason !== 'UNTRUSTED_SOURCE' || !IdentityBundle.verify(bundle, { trustAnySource: true }).valid) fail('Empty trust list did not reject the source');
+
+    const forgedId = structuredClone(bundle);
+    forgedId.identity.id = 'did:agent:chosen-name';
+    if (IdentityBundle.verify(resign(forgedId, stagingSigner, agentSigner), trusted).reason !== 'DID_MISMATCH') fail('DID not derived from the genesis key accepted');
+
+    const editedEntry = structuredClone(bundle);
+    editedEntry.ledger.entries[1].details.profit = 1000;
+    const editedCheck = IdentityBundle.verify(resign(editedEntry, stagingSigner, agentSigner), trusted);
+    if (editedCheck.valid || editedCheck.reason !== 'HASH_MISMATCH') fail('Edited ledger entry accepted', editedCheck);
+
+    const reordered = structuredClone(bundle);
+    reordered.ledger.entries.reverse();
+    if (IdentityBundle.verify(resign(reordered, stagingSigner, agentSigner), trusted).reason !== 'LEDGER_ORDER_INVALID') fail('Reordered ledger slice accepted');
+
+    const truncated = structuredClone(bundle);
+    truncated.ledger.entries.pop();
+    truncated.ledger.entries[1] = structuredClone(bundle.ledger.entries[2]);
+    truncated.ledger.entries[1].prevHash = bundle.ledger.entries[0].hash;
+    if (IdentityBundle.verify(resign(truncated, stagingSigner, agentSigner), trusted).valid) fail('Relinked ledger entry accepted');
+    console.log('[PASS] Tampered record, untrusted source, forged DID and ledger edits rejected');
+
+    // 3. Import verifies, discounts reputation and records provenance
+    const production = new AgentIdentityRegistry({
+        storePath: path.join(dir, 'production.json'),
+        importPolicy: { reputationDiscount: 0.3, trustedRegistries: [stagingSigner.publicKey] }
+    });
+    expectThrow(() => production.importIdentityBundle(tamperedScore), 'Import accepted a tampered bundle');
+    const result = production.importIdentityBundle(bundle);
+    const imported = result.identity;
+    const source = staging.getIdentityById(agent.id);
+    if (imported.id !== agent.id || imported.publicKey !== newKeys.publicKey || imported.getPublicKeyAt(bundle.ledger.entries[0].timestamp) !== oldKeys.publicKey) {
+        fail('Imported identity lost its keys', imported.toObject());
+    }
+    if (!(imported.getTrustScore() < source.getTrustScore())) fail('Reputation was not discounted', { imported: imported.getTrustScore(), source: source.getTrustScore() });
+    const lastVersion = imported.metadata.versionHistory[imported.metadata.versionHistory.length - 1];
+    if (lastVersion.action !== 'IDENTITY_IMPORTED' || imported.metadata.versionHistory.length !== bundle.identity.metadata.versionHistory.length + 1) fail('Import not logged in version history', lastVersion);
+    const provenance = production.getRaw(agent.id).provenance;
+    if (provenance.registryId !== bundle.source.registryId || provenance.reputationDiscount !== 0.3 || provenance.bundleDigest !== IdentityBundle.digest(bundle)) fail('Provenance not recorded', provenance);
+    if (result.ledgerEntries.length !== 3) fail('Verified ledger slice not returned');
+
+    // The imported agent keeps signing with its key in the new deployment
+    const prodLedger = new AgentActivityLedger(production);
+    prodLedger.addEntry({ agentId: agent.id, signer: agentSigner, actionType: 'NEGOTIATION', details: { deployment: 'production' } });
+    if (!prodLedger.verifyChain().valid) fail('Imported agent cannot sign in production');
+    console.log('[PASS] Import verified the bundle, discounted reputation and recorded provenance');
+
+    // 4. Conflicts and policy overrides
+    expectThrow(() => production.importIdentityBundle(bundle), 'Same identity imported twice');
+    const undiscounted = new AgentIdentityRegistry({ storePath: path.join(dir, 'undiscounted.json'), importPolicy: trusted });
+    const full = undiscounted.importIdentityBundle(bundle, { reputationDiscount: 0 }).identity;
+    if (!(full.getTrustScore() > imported.getTrustScore())) fail('Discount override not applied', full.getTrustScore());
+    const strict = new AgentIdentityRegistry({ storePath: path.join(dir, 'strict.json'), importPolicy: trusted });
+    const badDiscount = expectThrow(() => strict.importIdentityBundle(bundle, { reputationDiscount: 2 }), 'Out-of-range discount accepted');
+    if (!/discount/.test(badDiscount.message) || strict.getRaw(agent.id)) fail('Bad discount not reported cleanly', badDiscount.message);
+    console.log('[PASS] Duplicate imports refused and discount configurable per import');
+
+    // 5. A bundle signed by a self-minted registry key is refused unless sources are explicitly open
+    const mintedSigner = new InProcessSigner(crypto.generateKeyPairSync('ed25519', pemEncoding).privateKey);
+    const minted = staging.exportIdentityBundle(agent.id, { registrySigner: mintedSigner, agentSigner, ledger: stagingLedger });
+    const defaults = new AgentIdentityRegistry({ storePath: path.join(dir, 'defaults.json') });
+    for (const target of [defaults, strict]) {
+        const refused = expectThrow(() => target.importIdentityBundle(minted), 'Self-minted registry accepted');
+        if (!refused.message.includes('UNTRUSTED_SOURCE') || target.getRaw(agent.id)) fail('Self-minted registry not reported as untrusted', refused.message);
+    }
+    const open = new AgentIdentityRegistry({ storePath: path.join(dir, 'open.json'), importPolicy: { trustAnySource: true } });
+    if (open.importIdentityBundle(minted).identity.id !== agent.id) fail('trustAnySource did not accept the bundle');
+    console.log('[PASS] Self-minted registry keys rejected by default; any source only when opted in');
+
+    // 6. A lapsed probation is recorded before export, so the bundle carries the current lifecycle
+    staging.transitionState(other.id, 'PROBATION', { reason: 'Review', actor: 'ops:alice', expiresAt: new Date(Date.now() + 30).toISOString() });
+    await new Promise(r => setTimeout(r, 40));
+    const settled = staging.exportIdentityBundle(other.id, { registrySigner: stagingSigner, agentSigner: new InProcessSigner(otherKeys.privateKey) }).identity.lifecycle;
+    const last = settled.history[settled.history.length - 1];
+    if (settled.state !== 'ACTIVE' || last.to !== 'ACTIVE' || last.reason !== 'PROBATION_EXPIRED' || staging.getRaw(other.id).lifecycle.state !== 'ACTIVE') fail('Bundle exported a lapsed probation', settled);
+    console.log('[PASS] Lapsed probation recorded as ACTIVE before export');
+
+    console.log('\n--- ALL IDENTITY BUNDLE CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
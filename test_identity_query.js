@@ -0,0 +1,108 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function performance(level) {
+    return {
+        pnl: { totalRevenue: 0, totalExpenses: 0, netProfit: 0 },
+        reliability: level, uptime: level, consistency: level, cooperationScore: level, complianceHistory: level,
+        riskExposure: 1 - level, taskSuccessRate: level, budgetEfficiency: level, roi: 0, policyViolations: level < 0.5 ? 3 : 1
+    };
+}
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Identity Query Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_query_registry.json');
+    if (fs.existsSync(registryPath)) fs.unlinkSync(registryPath);
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+
+    // 12 identities: 3 origins, RESTRICTED / STANDARD / default (ELITE) profiles, one per day
+    const agents = [];
+    for (let i = 0; i < 12; i++) {
+        const keys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+        const creationTimestamp = new Date(Date.UTC(2025, 0, i + 1)).toISOString();
+        const identity = registry.registerIdentity({
+            publicKey: keys.publicKey,
+            originSystem: ['alpha', 'beta', 'gamma'][i % 3],
+            metadata: { creationTimestamp, identityVersion: '1.0.0', versionHistory: [] },
+            performance: i % 4 === 0 ? performance(0.3) : (i % 4 === 1 ? performance(0.6) : null)
+        });
+        agents.push({ identity, keys });
+    }
+    const ids = (result) => result.items.map(item => item.id).sort().join();
+    const expected = (predicate) => agents.filter((a, i) => predicate(i)).map(a => a.identity.id).sort().join();
+
+    // 1. Filters
+    if (ids(registry.queryIdentities({ originSystem: 'alpha' })) !== expected(i => i % 3 === 0)) fail('originSystem filter');
+    if (ids(registry.queryIdentities({ authorityLevel: 'RESTRICTED' })) !== expected(i => i % 4 === 0)) fail('authorityLevel filter');
+    if (ids(registry.queryIdentities({ compositeScore: { min: 0.5, max: 0.7 } })) !== expected(i => i % 4 === 1)) fail('compositeScore range');
+    if (ids(registry.queryIdentities({ contextScore: { context: 'collaborative', min: 0.9 } })) !== expected(i => i % 4 > 1)) fail('contextScore range');
+    if (ids(registry.queryIdentities({ createdAfter: '2025-01-05', createdBefore: '2025-01-09' })) !== expected(i => i >= 4 && i < 8)) fail('creation date range');
+    if (ids(registry.queryIdentities({ originSystem: ['beta', 'gamma'], authorityLevel: 'ELITE_AUTHORITY' })) !== expected(i => i % 3 !== 0 && i % 4 > 1)) fail('combined filters');
+    console.log('[PASS] Filters by origin, authority, score ranges and creation date');
+
+    // 2. Index follows lifecycle transitions
+    registry.transitionState(agents[2].identity.id, 'SUSPENDED', { reason: 'Audit', actor: 'ops:alice' });
+    const suspended = registry.queryIdentities({ lifecycleState: 'SUSPENDED' });
+    if (ids(suspended) !== agents[2].identity.id || suspended.items[0].authorityLevel !== 'SUSPENDED') fail('lifecycle index not updated', suspended);
+    console.log('[PASS] Lifecycle filter reflects transitions');
+
+    // 3. Cursor pagination is stable across inserts between pages
+    const seen = [];
+    let page = registry.queryIdentities({ sortBy: 'compositeScore', order: 'desc', limit: 5 });
+    seen.push(...page.items);
+    registry.registerIdentity({ publicKey: crypto.generateKeyPairSync('ed25519', pemEncoding).publicKey, originSystem: 'delta', performance: performance(0.3) });
+    while (page.nextCursor) {
+        page = registry.queryIdentities({ sortBy: 'compositeScore', order: 'desc', limit: 5, cursor: page.nextCursor });
+        seen.push(...page.items);
+    }
+    const scores = seen.map(item => item.compositeScore);
+    if (new Set(seen.map(item => item.id)).size !== seen.length || seen.length !== 13) fail('Pages repeated or skipped identities', seen.length);
+    if (scores.some((score, i) => i > 0 && score > scores[i - 1])) fail('Pages not sorted', scores);
+    try {
+        const cursor = registry.queryIdentities({ sortBy: 'compositeScore', limit: 1 }).nextCursor;
+        registry.queryIdentities({ sortBy: 'createdAt', cursor });
+        fail('Cursor accepted for a different sort order');
+    } catch (e) {
+        console.log('[PASS] Cursor pagination; mismatched cursor rejected:', e.message);
+    }
+
+    // 4. Key index and authority index follow rotations and performance updates
+    const { identity, keys } = agents[5];
+    const next = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const message = AgentIdentityRegistry.keyRotationMessage(identity.id, keys.publicKey, next.publicKey);
+    registry.rotateKey(identity.id, next.publicKey, SignatureSuite.sign(message, keys.privateKey));
+    if (registry.getIdentityByPublicKey(keys.publicKey).id !== identity.id || !registry.hasPublicKey(next.publicKey) || registry.hasPublicKey(keys.publicKey)) {
+        fail('Key index not updated on rotation');
+    }
+
+    registry.migrateIdentity(agents[6].identity.id, raw => ({ ...raw, performance: performance(0.3) }), 'DOWNGRADE');
+    if (!registry.queryIdentities({ authorityLevel: 'RESTRICTED' }).items.some(item => item.id === agents[6].identity.id)) fail('Authority index not updated on migration');
+    console.log('[PASS] Indexes updated on key rotation and performance updates');
+
+    // 5. Indexes are rebuilt on load
+    const reloaded = new AgentIdentityRegistry({ storePath: registryPath });
+    if (reloaded.queryIdentities({ originSystem: 'delta' }).total !== 1) fail('Index not rebuilt on load');
+    console.log('[PASS] Indexes rebuilt from the store on load');
+
+    console.log('\n--- ALL QUERY CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,108 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import util from 'node:util';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import AdaptiveGovernanceEngine from './src/identity/governance/AdaptiveGovernanceEngine.js';
+import PreExecutionValidator from './src/identity/governance/PreExecutionValidator.js';
+import AgentKeystore from './src/identity/keystore/AgentKeystore.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+async function runTest() {
+    console.log('--- Agent Keystore Test ---');
+
+    const keystorePath = path.resolve(process.cwd(), 'test_keystore.json');
+    const registryPath = path.resolve(process.cwd(), 'test_keystore_registry.json');
+    [keystorePath, registryPath].forEach(p => fs.existsSync(p) && fs.unlinkSync(p));
+
+    // Low scrypt cost keeps the test fast; production uses AgentKeystore.DEFAULT_SCRYPT
+    const keystore = new AgentKeystore({ path: keystorePath, scrypt: { N: 1 << 12 } });
+    const agentKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+
+    // 1. Keys are stored encrypted
+    keystore.importKey('agent-1', agentKeys.privateKey, 'correct horse battery staple');
+    const onDisk = fs.readFileSync(keystorePath, 'utf8');
+    const rawDer = crypto.createPrivateKey(agentKeys.privateKey).export({ type: 'pkcs8', format: 'der' }).toString('base64');
+    if (onDisk.includes('PRIVATE KEY') || onDisk.includes(rawDer)) fail('Private key stored in the clear');
+    const stored = JSON.parse(onDisk).keys['agent-1'];
+    if (stored.kdf.name !== 'scrypt' || stored.cipher.name !== 'aes-256-gcm') fail('Unexpected encryption scheme', stored);
+    console.log('[PASS] Private key sealed with scrypt + AES-256-GCM');
+
+    // 2. Wrong passphrases and tampered entries are rejected
+    expectThrow(() => keystore.unlock('agent-1', 'wrong passphrase'), 'Wrong passphrase unlocked the key');
+    const tampered = JSON.parse(onDisk);
+    tampered.keys['agent-1'].publicKey = crypto.generateKeyPairSync('ed25519', pemEncoding).publicKey;
+    fs.writeFileSync(keystorePath, JSON.stringify(tampered));
+    expectThrow(() => new AgentKeystore({ path: keystorePath }).unlock('agent-1', 'correct horse battery staple'), 'Swapped public key accepted');
+    fs.writeFileSync(keystorePath, onDisk);
+    console.log('[PASS] Wrong passphrase and tampered entry rejected');
+
+    // 3. Unlocked handle is opaque
+    const signer = keystore.unlock('agent-1', 'correct horse battery staple');
+    const exposed = JSON.stringify(signer) + util.inspect(signer) + Object.keys(signer).join();
+    if (exposed.includes('PRIVATE KEY') || signer.privateKey !== undefined) fail('Signer exposes the private key', exposed);
+    console.log('[PASS] Signer handle does not expose key material');
+
+    // 4. Ledger, governance engine and validator accept the handle instead of a raw key
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+    const identity = registry.registerIdentity({ publicKey: agentKeys.publicKey, originSystem: 'keystore-test' });
+    const ledger = new AgentActivityLedger(registry);
+
+    ledger.addEntry({ agentId: identity.id, signer, actionType: 'DELEGATION', details: { delegatedTo: 'agent:reader', scope: 'read' } });
+    AdaptiveGovernanceEngine.attachLedger(ledger);
+    AdaptiveGovernanceEngine.isActionPermitted(identity.getTrustScore(), 'READ', { identity, signer });
+    PreExecutionValidator.attachLedger(ledger);
+    PreExecutionValidator.validate(identity, { type: 'NOOP' }, null, { identity, signer });
+
+    const recorded = ledger.getEntries().map(e => e.actionType);
+    if (!recorded.includes('PERMISSION_CHECK') || !recorded.includes('SANDBOX_PROPOSAL')) fail('Engines did not record with the signer', recorded);
+    if (!ledger.verifyChain().valid) fail('Signer-produced chain does not verify', ledger.verifyChain());
+    console.log('[PASS] Ledger and engines sign through the handle:', recorded.join(', '));
+
+    // 5. Locked and expired sessions can no longer sign
+    signer.lock();
+    const locked = expectThrow(() => ledger.addEntry({ agentId: identity.id, signer, actionType: 'DELEGATION', details: { delegatedTo: 'agent:reader' } }), 'Locked signer signed');
+    const shortSession = keystore.unlock('agent-1', 'correct horse battery staple', { ttlMs: 20 });
+    await new Promise(r => setTimeout(r, 30));
+    expectThrow(() => shortSession.sign('late'), 'Expired session signed');
+    console.log('[PASS] Locked and expired handles refuse to sign:', locked.message);
+
+    // 6. Passphrase change and in-keystore key generation
+    keystore.changePassphrase('agent-1', 'correct horse battery staple', 'new passphrase');
+    expectThrow(() => keystore.unlock('agent-1', 'correct horse battery staple'), 'Old passphrase still works');
+    const generated = keystore.generateKey('agent-2', 'pw', { type: 'ec' });
+    const ecSigner = keystore.unlock('agent-2', 'pw');
+    if (generated.algorithm !== 'ECDSA_P256_SHA256' || !crypto.verify('sha256', Buffer.from('hi'), generated.publicKey, Buffer.from(ecSigner.sign('hi'), 'hex'))) {
+        fail('Generated key does not sign', generated);
+    }
+    keystore.lockAll();
+    if (!ecSigner.locked) fail('lockAll left a handle unlocked');
+    console.log('[PASS] Passphrase change, key generation and lockAll');
+
+    console.log('\n--- ALL KEYSTORE CHECKS PASSED ---');
+    [keystorePath, registryPath].forEach(p => fs.unlinkSync(p));
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,180 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import { canonicalize } from './src/identity/crypto/canonicalize.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerArchive from './src/identity/governance/LedgerArchive.js';
+import LedgerSnapshot from './src/identity/governance/LedgerSnapshot.js';
+import LedgerReplayEngine from './src/identity/reputation/LedgerReplayEngine.js';
+import TrustGraph from './src/identity/reputation/TrustGraph.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const newKey = () => crypto.generateKeyPairSync('ed25519', pemEncoding);
+const graphOf = ledger => {
+    const graph = new TrustGraph();
+    graph.buildFromLedger(ledger);
+    return canonicalize({ state: graph.exportState(), central: graph.getCentralNodes() });
+};
+
+async function runTest() {
+    console.log('--- Ledger Archive Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-archive-'));
+    const ledgerDir = path.join(dir, 'ledger');
+    const registry = new AgentIdentityRegistry({ storePath: path.join(dir, 'registry.json') });
+    const agents = ['alpha', 'beta', 'gamma'].map(() => {
+        const keys = newKey();
+        return { keys, id: registry.registerIdentity({ publicKey: keys.publicKey, originSystem: 'desk' }).id };
+    });
+    const genesis = Object.fromEntries(agents.map(a => [a.id, registry.getRaw(a.id).metadata.creationTimestamp]));
+    const operatorKeys = newKey();
+    const signer = new InProcessSigner(operatorKeys.privateKey);
+    const storage = { checkpointInterval: 5, maxSegmentBytes: 4096, fsync: 'never' };
+
+    let round = 0;
+    const add = async (ledger, count) => {
+        for (let i = 0; i < count; i++, round++) {
+            const { keys, id } = agents[round % 3];
+            const other = agents[(round + 1) % 3].id;
+            const [actionType, details] = [
+                ['ECONOMIC_OUTCOME', { pnl: (round * 37) % 200 - 80 }],
+                ['NEGOTIATION', { counterparty: other, round }],
+                ['COOPERATIVE_COLLABORATION', { partners: [other], outcome: round % 2 ? 'SUCCESS' : 'FAILURE' }],
+                ['POLICY_VIOLATION', { policyId: `p${round}` }]
+            ][round % 4];
+            // Entries of one agent need distinct timestamps
+            await new Promise(r => setTimeout(r, 2));
+            ledger.addEntry({ agentId: id, publicKey: keys.publicKey, privateKey: keys.privateKey, actionType, details });
+        }
+    };
+
+    // 1. Closed segments move to the archive behind a signed snapshot of their state
+    const ledger = AgentActivityLedger.open(ledgerDir, registry, storage);
+    await add(ledger, 40);
+    const replayed = canonicalize(LedgerReplayEngine.replay(ledger, { genesis }));
+    const graph = graphOf(ledger);
+    const segmentsBefore = ledger.store.segments().length;
+    if (segmentsBefore < 3) fail('Test needs several segments', segmentsBefore);
+
+    const { snapshot, archived, archiveDir } = LedgerArchive.compact(ledger, { signer });
+    if (archived !== snapshot.treeSize || ledger.archivedSize() !== archived || ledger.size() !== 40 || ledger.entries.length !== 40 - archived) fail('Entries not moved out of the live ledger', { archived, live: ledger.entries.length });
+    if (ledger.store.segments().length !== 1 || snapshot.archive.segments.length !== segmentsBefore - 1) fail('Closed segments not archived', snapshot.archive.segments);
+    if (!snapshot.archive.segments.every(s => fs.existsSync(path.join(archiveDir, s.file))) || !fs.existsSync(path.join(archiveDir, `snapshot-${archived}.json`))) fail('Archive directory incomplete');
+    if (!LedgerSnapshot.verify(snapshot, [operatorKeys.publicKey]).valid || ledger.entries[0].prevHash !== snapshot.headHash) fail('Live ledger does not continue from the snapshot');
+    const check = ledger.verifyChain();
+    if (!check.valid) fail('Compacted ledger does not verify', check);
+    if (canonicalize(LedgerReplayEngine.replay(ledger, { genesis })) !== replayed) fail('Replay from the snapshot differs from a full replay');
+    if (graphOf(ledger) !== graph) fail('Trust graph from the snapshot differs from the full graph');
+    console.log('[PASS] Closed segments archived; snapshot carries agent metrics and graph aggregates');
+
+    // 2. The live ledger keeps growing, proving and querying on top of the snapshot
+    await add(ledger, 12);
+    const last = ledger.getCheckpoints()[ledger.getCheckpoints().length - 1];
+    if (last.treeSize !== 50 || ledger.getEntries()[ledger.entries.length - 1].index !== 51) fail('Checkpoints not continued after compaction', last);
+    const entry = ledger.getEntries()[ledger.entries.length - 5];
+    const proof = ledger.getInclusionProof(entry.index, { treeSize: 50 });
+    if (!AgentActivityLedger.verifyInclusionProof(entry, proof, last)) fail('Inclusion proof of a live entry fails');
+    expectThrow(() => ledger.getInclusionProof(1, { treeSize: 50 }), 'Proof for an archived entry served without the archive');
+    if (!AgentActivityLedger.verifyConsistencyProof(ledger.getCheckpoints()[8], last, ledger.getConsistencyProof(45, 50))) fail('Consistency proof after compaction fails');
+    if (ledger.query({ agentId: agents[0].id }).items.some(e => e.index < archived) || ledger.query({ agentId: agents[0].id }).total !== ledger.entries.filter(e => e.agentId === agents[0].id).length) fail('Query index wrong after compaction');
+    if (!ledger.verifyChain().valid) fail('Chain broken after appending to a compacted ledger');
+    ledger.close();
+
+    const untrusted = AgentActivityLedger.open(ledgerDir, registry, storage);
+    if (untrusted.verifyChain().reason !== 'UNTRUSTED_SNAPSHOT') fail('Snapshot trusted without its key', untrusted.verifyChain());
+    untrusted.close();
+    const reopened = AgentActivityLedger.open(ledgerDir, registry, { ...storage, snapshotKeys: [operatorKeys.publicKey] });
+    if (reopened.size() !== 52 || !reopened.verifyChain().valid) fail('Reopened compacted ledger does not verify', reopened.verifyChain());
+    console.log('[PASS] Live ledger grows, proves and queries on top of a trusted snapshot');
+
+    // 3. A second compaction links the first and archives the rest; the archive verifies from genesis
+    await add(reopened, 3);
+    const before = canonicalize(LedgerReplayEngine.replay(reopened, { genesis }));
+    const beforeGraph = graphOf(reopened);
+    const second = LedgerArchive.compact(reopened, { signer, rotate: true });
+    if (second.snapshot.treeSize !== 55 || reopened.entries.length !== 0 || second.snapshot.previous.digest !== snapshot.digest) fail('Second snapshot wrong', second.snapshot.previous);
+    const archivedSegments = second.snapshot.archive.segments;
+    if (archivedSegments.length < segmentsBefore || !snapshot.archive.segments.every((s, i) => s.sha256 === archivedSegments[i].sha256)) fail('Archived segment list not cumulative');
+    if (canonicalize(LedgerReplayEngine.replay(reopened, { genesis })) !== before || graphOf(reopened) !== beforeGraph) fail('State lost in the second compaction');
+    const full = LedgerArchive.verify(reopened);
+    if (!full.valid || full.archived !== 55) fail('Archive does not verify', full);
+    await add(reopened, 1);
+    if (reopened.store.segments()[0].number !== archivedSegments[archivedSegments.length - 1].number + 1 || !reopened.verifyChain().valid) fail('New segment not started after the archived ones', reopened.store.segments());
+    reopened.close();
+    console.log('[PASS] Snapshots chain, and verification can start at genesis and walk the archive');
+
+    // 4. Tampering with the archive or the snapshot is caught
+    const compacted = AgentActivityLedger.loadFromFile(ledgerDir, registry, { snapshotKeys: [operatorKeys.publicKey] });
+    const segmentFile = path.join(second.archiveDir, second.snapshot.archive.segments[1].file);
+    const original = fs.readFileSync(segmentFile, 'utf8');
+    fs.writeFileSync(segmentFile, original.replace('"NEGOTIATION"', '"NEGOTIATIOM"'));
+    const modified = LedgerArchive.verify(compacted);
+    if (modified.reason !== 'ARCHIVE_SEGMENT_MODIFIED' || modified.segment !== second.snapshot.archive.segments[1].number) fail('Modified segment not detected', modified);
+    fs.rmSync(segmentFile);
+    if (LedgerArchive.verify(compacted).reason !== 'ARCHIVE_SEGMENT_MISSING') fail('Missing segment not detected');
+    expectThrow(() => LedgerArchive.loadWithArchive(compacted), 'Ledger loaded from an incomplete archive');
+    fs.writeFileSync(segmentFile, original);
+
+    const edited = structuredClone(compacted.snapshot);
+    edited.state.agents[agents[0].id].performance.pnl.netProfit += 1000;
+    compacted.snapshot = edited;
+    if (compacted.verifyChain().reason !== 'SNAPSHOT_DIGEST_MISMATCH') fail('Edited snapshot accepted');
+    compacted.snapshot = LedgerSnapshot.sign(LedgerSnapshot._body(edited), new InProcessSigner(newKey().privateKey));
+    if (compacted.verifyChain().reason !== 'UNTRUSTED_SNAPSHOT') fail('Snapshot signed by an unknown key accepted');
+    compacted.snapshot = LedgerSnapshot.sign(LedgerSnapshot._body(edited), signer);
+    if (!compacted.verifyChain().valid) fail('Re-signed snapshot should pass the trusted-key check');
+    if (LedgerArchive.verify(compacted).reason !== 'SNAPSHOT_STATE_MISMATCH') fail('Snapshot state not checked against the archive');
+    compacted.snapshot = second.snapshot;
+    console.log('[PASS] Modified or missing segments, edited and untrusted snapshots rejected');
+
+    // 5. The archive restores a complete ledger, and the API compacts and verifies
+    const restored = LedgerArchive.loadWithArchive(compacted);
+    if (restored.size() !== 56 || restored.snapshot || !restored.verifyChain().valid) fail('Archive and live entries do not form a complete ledger', restored.verifyChain());
+    if (canonicalize(LedgerReplayEngine.replay(restored, { genesis })) !== canonicalize(LedgerReplayEngine.replay(compacted, { genesis }))) fail('Full and snapshot replays differ');
+    expectThrow(() => LedgerReplayEngine.regenerateRegistry(compacted, { storePath: path.join(dir, 'regenerated.json') }), 'Registry regenerated from a compacted ledger');
+    if (LedgerReplayEngine.regenerateRegistry(restored, { storePath: path.join(dir, 'regenerated.json') }).report.identities !== 3) fail('Registry not regenerated from the restored ledger');
+
+    const apiDir = path.join(dir, 'api');
+    const api = new IdentityReputationAPI({ basePath: apiDir, ledgerStorage: { snapshotKeys: [operatorKeys.publicKey] } });
+    const apiKeys = newKey();
+    const apiAgent = api.registerAgent({ publicKey: apiKeys.publicKey, originSystem: 'desk' });
+    for (const pnl of [300, -100, 50]) {
+        await new Promise(r => setTimeout(r, 2));
+        api.recordAction({ agentId: apiAgent.id, publicKey: apiKeys.publicKey, privateKey: apiKeys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl } });
+    }
+    api.compactLedger({ signer, rotate: true });
+    if (!api.verifyLedger().valid || api.verifyLedger({ includeArchive: true }).archived !== 3) fail('API compaction does not verify', api.verifyLedger({ includeArchive: true }));
+    if (!api.verifyReputation().valid) fail('Reputation no longer matches the compacted ledger', api.verifyReputation());
+    api.ledger.close();
+    console.log('[PASS] Complete ledger restored from the archive; API compacts and verifies');
+
+    console.log('\n--- ALL LEDGER ARCHIVE CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,132 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerMerkleTree from './src/identity/governance/LedgerMerkleTree.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+// What an auditor receives travels as JSON, detached from the ledger
+const detach = value => JSON.parse(JSON.stringify(value));
+
+async function runTest() {
+    console.log('--- Ledger Checkpoint Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+    const keys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const fill = (ledger, count, details = round => ({ round })) => {
+        for (let round = 0; round < count; round++) {
+            ledger.addEntry({ agentId: 'agent-1', publicKey: keys.publicKey, privateKey: keys.privateKey, actionType: 'NEGOTIATION', details: details(round) });
+        }
+    };
+
+    // 1. Checkpoints every N entries, and on demand
+    const ledger = new AgentActivityLedger(null, { checkpointInterval: 8 });
+    fill(ledger, 20);
+    if (ledger.getCheckpoints().map(c => c.treeSize).join() !== '8,16') fail('Periodic checkpoints missing', ledger.getCheckpoints());
+    const checkpoint = ledger.createCheckpoint();
+    if (checkpoint.treeSize !== 20 || ledger.createCheckpoint() !== checkpoint) fail('On-demand checkpoint wrong or duplicated');
+    const hashes = ledger.getEntries().map(e => e.hash);
+    if (ledger.getCheckpoints().some(c => c.rootHash !== LedgerMerkleTree.root(hashes, c.treeSize))) fail('Checkpoint roots do not match the entries');
+    if (!ledger.verifyChain().valid) fail('Checkpointed ledger does not verify');
+    console.log('[PASS] Merkle checkpoints recorded periodically and on demand');
+
+    // 2. One entry is checked against a checkpoint without the rest of the ledger
+    const entry = detach(ledger.getEntries()[5]);
+    const proof = detach(ledger.getInclusionProof(5));
+    const trusted = detach(checkpoint);
+    if (proof.treeSize !== 20 || proof.path.length > 5) fail('Proof not logarithmic against the latest checkpoint', proof);
+    if (!AgentActivityLedger.verifyInclusionProof(entry, proof, trusted).valid) fail('Valid inclusion proof rejected');
+    if (!AgentActivityLedger.verifyInclusionProof(entry, proof, trusted.rootHash).valid) fail('Bare root hash not accepted');
+
+    const edited = { ...entry, details: { round: 500 } };
+    if (AgentActivityLedger.verifyInclusionProof(edited, proof, trusted).reason !== 'HASH_MISMATCH') fail('Edited entry accepted');
+    const otherEntry = detach(ledger.getEntries()[6]);
+    if (AgentActivityLedger.verifyInclusionProof(otherEntry, { ...proof, index: 6 }, trusted).valid) fail('Proof reused for another entry');
+    if (AgentActivityLedger.verifyInclusionProof(entry, proof, ledger.getCheckpoints()[1]).reason !== 'TREE_SIZE_MISMATCH') fail('Proof accepted against another checkpoint');
+    const againstOlder = ledger.getInclusionProof(5, { treeSize: 8 });
+    if (!AgentActivityLedger.verifyInclusionProof(entry, againstOlder, ledger.getCheckpoints()[0]).valid) fail('Proof against an older checkpoint rejected');
+    expectThrow(() => ledger.getInclusionProof(19, { treeSize: 16 }), 'Proved an entry outside the tree');
+    console.log('[PASS] Inclusion proofs verify a single entry and reject edits and misuse');
+
+    // 3. Consistency between checkpoints, and a rewritten history that breaks it
+    const [first] = ledger.getCheckpoints();
+    const consistency = detach(ledger.getConsistencyProof(first.treeSize, checkpoint.treeSize));
+    if (!AgentActivityLedger.verifyConsistencyProof(first, checkpoint, consistency).valid) fail('Consistent checkpoints rejected');
+
+    const rewritten = new AgentActivityLedger(null, { checkpointInterval: 0 });
+    fill(rewritten, 20, round => ({ round: round === 3 ? 'rewritten' : round }));
+    const forged = rewritten.createCheckpoint();
+    const forgedProof = rewritten.getConsistencyProof(8, 20);
+    if (AgentActivityLedger.verifyConsistencyProof(first, forged, forgedProof).reason !== 'INCONSISTENT_CHECKPOINTS') fail('Rewritten history passed as an extension');
+    if (AgentActivityLedger.verifyConsistencyProof(first, checkpoint, { ...consistency, toSize: 16 }).valid) fail('Mislabelled consistency proof accepted');
+    console.log('[PASS] Consistency proofs link checkpoints and expose rewritten history');
+
+    // 4. Checkpoints persist with the ledger and catch truncation
+    const storeDir = path.join(dir, 'ledger');
+    const stored = AgentActivityLedger.open(storeDir, null, { checkpointInterval: 4, fsync: 'never' });
+    fill(stored, 10);
+    stored.close();
+    const reopened = AgentActivityLedger.open(storeDir, null, { checkpointInterval: 4 });
+    if (reopened.getCheckpoints().map(c => c.treeSize).join() !== '4,8' || !reopened.verifyChain().valid) fail('Checkpoints not persisted in the segment store', reopened.getCheckpoints());
+    fill(reopened, 2);
+    reopened.close();
+    if (AgentActivityLedger.loadFromFile(storeDir).getCheckpoints().length !== 3) fail('Checkpoint after reopening not persisted');
+
+    const jsonPath = path.join(dir, 'ledger.json');
+    ledger.saveToFile(jsonPath);
+    const fromJson = AgentActivityLedger.loadFromFile(jsonPath);
+    if (fromJson.getCheckpoints().length !== 3 || !fromJson.verifyChain().valid) fail('Checkpoints lost in the JSON format');
+    fromJson.entries = fromJson.entries.slice(0, 12);
+    const truncated = fromJson.verifyChain();
+    if (truncated.valid || truncated.reason !== 'CHECKPOINT_BEYOND_LEDGER') fail('Truncated ledger verified', truncated);
+    console.log('[PASS] Checkpoints persisted in both formats and truncation detected');
+
+    // 5. Checkpoint roots and consistency proofs come from the running frontier, not a rescan
+    const growing = new AgentActivityLedger(null, { checkpointInterval: 3 });
+    let rescans = 0;
+    const entryHashes = growing._entryHashes.bind(growing);
+    growing._entryHashes = () => { rescans++; return entryHashes(); };
+    fill(growing, 1);
+    const sizes = [];
+    for (let size = 2; size <= 40; size++) {
+        fill(growing, 1);
+        if (size % 3 !== 0) sizes.push(growing.createCheckpoint().treeSize);
+    }
+    const grownHashes = entryHashes();
+    if (growing.getCheckpoints().some(c => c.rootHash !== LedgerMerkleTree.root(grownHashes, c.treeSize))) fail('Incremental roots differ from recomputed ones');
+    const checkpointSizes = growing.getCheckpoints().map(c => c.treeSize);
+    for (const fromSize of checkpointSizes) {
+        if (growing._checkpointConsistency(fromSize, 40).join() !== LedgerMerkleTree.consistencyProof(grownHashes, fromSize, 40).join()) fail(`Consistency proof from ${fromSize} differs`);
+    }
+    if (rescans !== 0 || sizes.length !== 26) fail('Checkpoints rescanned the ledger', rescans);
+    growing.entries = growing.entries.slice(0, 30);
+    if (growing.createCheckpoint().rootHash !== LedgerMerkleTree.root(grownHashes, 30) || rescans !== 1) fail('Replaced entries not rebuilt once');
+    console.log('[PASS] Checkpoints extend a running Merkle frontier instead of rehashing the ledger');
+
+    console.log('\n--- ALL LEDGER CHECKPOINT CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,138 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerForensics from './src/identity/governance/LedgerForensics.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+/**
+ * Saves `ledger`, lets `edit` change the parsed document and loads the result.
+ */
+function tamperedCopy(ledger, file, edit) {
+    ledger.saveToFile(file);
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    edit(parsed.entries, parsed);
+    fs.writeFileSync(file, JSON.stringify(parsed, null, 2));
+    return AgentActivityLedger.loadFromFile(file);
+}
+
+async function runTest() {
+    console.log('--- Ledger Forensics Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-forensics-'));
+    const [traderKeys, brokerKeys, attackerKeys] = [0, 1, 2].map(() => crypto.generateKeyPairSync('ed25519', pemEncoding));
+    const ledger = new AgentActivityLedger(null, { checkpointInterval: 4 });
+    const add = (agentId, keys, actionType, details) => ledger.addEntry({ agentId, publicKey: keys.publicKey, privateKey: keys.privateKey, actionType, details });
+    add('trader', traderKeys, 'ECONOMIC_OUTCOME', { pnl: 100 });
+    add('trader', traderKeys, 'ECONOMIC_OUTCOME', { pnl: -40 });
+    add('broker', brokerKeys, 'DELEGATION', { delegatedTo: 'trader', scope: 'orders' });
+    add('broker', brokerKeys, 'NEGOTIATION', { counterpartyId: 'trader', outcome: 'SUCCESS' });
+    add('trader', traderKeys, 'POLICY_VIOLATION', { action: 'LATE_REPORT', severity: 'LOW' });
+    add('broker', brokerKeys, 'DELEGATION', { delegatedTo: 'desk', scope: 'quotes' });
+    add('broker', brokerKeys, 'ECONOMIC_OUTCOME', { pnl: 12 });
+    add('trader', traderKeys, 'ECONOMIC_OUTCOME', { pnl: 7 });
+    const trustedCheckpoints = ledger.getCheckpoints();
+
+    const clean = LedgerForensics.analyze(ledger);
+    if (!clean.valid || clean.corruptedEntries.length !== 0 || clean.checkpoints.some(c => c.status !== 'INTACT')) fail('Untouched ledger reported as tampered', clean);
+    console.log('[PASS] Untouched ledger is clean');
+
+    // 1. Several kinds of tampering in one copy: every one is reported, not just the first
+    const suspect = tamperedCopy(ledger, path.join(dir, 'suspect.json'), entries => {
+        entries[1].details.pnl = 40; // edited after signing
+        entries[5].details.delegatedTo = 'attacker'; // edited and re-hashed
+        entries[5].hash = AgentActivityLedger._hash(AgentActivityLedger._serializeEntryForHash(entries[5]));
+        entries.pop(); // last entry removed
+    });
+    if (suspect.verifyChain().index !== 1) fail('verifyChain no longer stops at the first failure');
+    const report = LedgerForensics.analyze(suspect, { trusted: ledger });
+    if (report.valid) fail('Tampered ledger reported valid');
+    if (report.hashMismatches.map(m => m.index).join() !== '1' || !report.hashMismatches[0].hashAttested) fail('Hash mismatches wrong', report.hashMismatches);
+    if (report.badSignatures.map(s => s.index).join() !== '5') fail('Bad signatures wrong', report.badSignatures);
+    if (report.brokenLinks.map(l => l.index).join() !== '6') fail('Broken links wrong', report.brokenLinks);
+    const statuses = report.checkpoints.map(c => `${c.treeSize}:${c.status}`).join();
+    if (statuses !== '4:CONTENT_ALTERED,8:TRUNCATED') fail('Checkpoint findings wrong', statuses);
+    const pnlDiff = report.diffs.find(d => d.index === 1).fields;
+    if (pnlDiff.length !== 1 || pnlDiff[0].path !== 'details.pnl' || pnlDiff[0].trusted !== -40 || pnlDiff[0].recorded !== 40) fail('Field diff of the edited entry wrong', pnlDiff);
+    const rehashed = report.diffs.find(d => d.index === 5).fields.map(f => f.path).sort().join();
+    if (rehashed !== 'details.delegatedTo,hash') fail('Field diff of the re-hashed entry wrong', rehashed);
+    if (report.missingEntries.join() !== '7') fail('Removed entry not reported', report.missingEntries);
+    if (report.corruptedEntries.join() !== '1,5') fail('Corrupted entries wrong', report.corruptedEntries);
+    if (report.reputationAffected.join() !== 'trader' || report.agents.broker.reputation || report.agents.broker.entries.join() !== '5') fail('Affected agents wrong', report.agents);
+    const text = LedgerForensics.format(report);
+    if (!text.includes('entry 1 details.pnl: -40 -> 40') || !text.includes('reputation computed from corrupted entries: trader')) fail('Formatted report incomplete', text);
+    console.log('[PASS] Every hash mismatch, broken link and bad signature reported with field diffs:\n' + text);
+
+    // 2. Without a trusted copy, trusted checkpoints still tell edited content from rewritten hashes
+    const rewritten = tamperedCopy(ledger, path.join(dir, 'rewritten.json'), (entries, parsed) => {
+        entries[2].details.scope = 'everything';
+        for (let i = 2; i < entries.length; i++) {
+            if (i > 2) entries[i].prevHash = entries[i - 1].hash;
+            entries[i].hash = AgentActivityLedger._hash(AgentActivityLedger._serializeEntryForHash(entries[i]));
+            entries[i].signature = SignatureSuite.sign(entries[i].hash, (entries[i].agentId === 'trader' ? traderKeys : brokerKeys).privateKey);
+        }
+        parsed.checkpoints = []; // the forger drops the checkpoints it cannot reproduce
+    });
+    if (!rewritten.verifyChain().valid) fail('Test forgery should pass verifyChain');
+    const withCheckpoints = LedgerForensics.analyze(rewritten, { checkpoints: trustedCheckpoints });
+    if (withCheckpoints.valid || withCheckpoints.checkpoints.map(c => c.status).join() !== 'HASHES_REWRITTEN,HASHES_REWRITTEN' || withCheckpoints.checkpoints[0].source !== 'trusted') fail('Trusted checkpoints missed a re-signed history', withCheckpoints.checkpoints);
+    expectThrow(() => LedgerForensics.analyze(ledger, { trusted: suspect }), 'Tampered copy accepted as trusted');
+    console.log('[PASS] Trusted checkpoints expose a history re-signed with the agents\' keys');
+
+    // 3. Entries re-signed with another key: caught with the registry's key history
+    const registry = new AgentIdentityRegistry({ storePath: path.join(dir, 'identities.json') });
+    registry.registerIdentity({ publicKey: traderKeys.publicKey, originSystem: 'desk', id: 'trader' });
+    registry.registerIdentity({ publicKey: brokerKeys.publicKey, originSystem: 'desk', id: 'broker' });
+    const resigned = tamperedCopy(ledger, path.join(dir, 'resigned.json'), entries => {
+        entries[6].publicKey = attackerKeys.publicKey;
+        entries[6].signature = SignatureSuite.sign(entries[6].hash, attackerKeys.privateKey);
+    });
+    const keyReport = LedgerForensics.analyze(resigned, { registry });
+    if (keyReport.badSignatures.length !== 0 || keyReport.keyMismatches.map(k => k.index).join() !== '6' || keyReport.corruptedEntries.join() !== '6') fail('Foreign key not reported', keyReport);
+    if (keyReport.reputationAffected.join() !== 'broker') fail('Outcome signed with a foreign key not flagged for reputation', keyReport.reputationAffected);
+    console.log('[PASS] Entries signed with a key the agent did not hold are reported');
+
+    // 4. API: analyze the live ledger or a suspect copy against it
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { fsync: 'never' } });
+    const trader = api.registerAgent({ publicKey: traderKeys.publicKey, originSystem: 'desk' });
+    for (const pnl of [50, 60]) {
+        await new Promise(r => setTimeout(r, 2));
+        api.recordAction({ agentId: trader.id, publicKey: traderKeys.publicKey, privateKey: traderKeys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl } });
+    }
+    if (!api.analyzeLedger().valid) fail('API ledger reported as tampered');
+    const copy = tamperedCopy(api.ledger, path.join(dir, 'api_copy.json'), entries => { entries[0].details.pnl = 5000; });
+    const apiReport = api.analyzeLedger({ ledger: copy, trusted: api.ledger });
+    if (apiReport.reputationAffected.join() !== trader.id || apiReport.diffs[0].fields[0].path !== 'details.pnl') fail('API forensics wrong', apiReport);
+    api.ledger.close();
+    console.log('[PASS] API reports tampering of a ledger copy');
+
+    console.log('\n--- ALL LEDGER FORENSICS CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
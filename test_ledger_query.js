@@ -0,0 +1,143 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerIndex from './src/identity/governance/LedgerIndex.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const indexes = entries => entries.map(e => e.index).join();
+
+async function runTest() {
+    console.log('--- Ledger Query Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-query-'));
+    const agents = ['alpha', 'beta', 'gamma'].map(name => ({ name, keys: crypto.generateKeyPairSync('ed25519', pemEncoding) }));
+    const ledger = new AgentActivityLedger(null, { checkpointInterval: 0 });
+    const severities = ['LOW', 'MEDIUM', 'HIGH'];
+    for (let i = 0; i < 60; i++) {
+        const { name, keys } = agents[i % 3];
+        const other = agents[(i + 1) % 3].name;
+        const kind = i % 4;
+        const [actionType, details] = [
+            ['ECONOMIC_OUTCOME', { pnl: (i * 37) % 200 - 100, counterparty: other, desk: { region: i % 2 ? 'EU' : 'US' } }],
+            ['POLICY_VIOLATION', { policyId: `p${i % 5}`, severity: severities[i % 3] }],
+            ['DELEGATION', { delegatedTo: other, scope: 'trading' }],
+            ['COOPERATIVE_COLLABORATION', { partners: [other, 'delta'], outcome: i % 3 ? 'SUCCESS' : 'FAILURE' }]
+        ][kind];
+        ledger.addEntry({ agentId: name, publicKey: keys.publicKey, privateKey: keys.privateKey, actionType, details });
+        if (i === 29) await new Promise(r => setTimeout(r, 5));
+    }
+    const all = ledger.getEntries();
+    const expect = (query, predicate, label) => {
+        const result = ledger.query({ ...query, limit: 1000 });
+        const expected = all.filter(predicate);
+        if (indexes(result.items) !== indexes(expected) || result.total !== expected.length) fail(`${label} does not match a full scan`, { got: indexes(result.items), expected: indexes(expected) });
+    };
+
+    // 1. Indexes are maintained by addEntry and answer each filter like a scan would
+    if (ledger.index.size !== 60 || ledger.index.entriesOf('alpha').length !== 20) fail('Index not maintained incrementally', ledger.index.size);
+    expect({ agentId: 'beta' }, e => e.agentId === 'beta', 'agentId');
+    expect({ actionType: ['DELEGATION', 'POLICY_VIOLATION'] }, e => ['DELEGATION', 'POLICY_VIOLATION'].includes(e.actionType), 'actionType');
+    expect({ counterparty: 'delta' }, e => (e.details.partners || []).includes('delta'), 'counterparty (partners)');
+    expect({ counterparty: 'gamma', actionType: 'ECONOMIC_OUTCOME' }, e => e.details.counterparty === 'gamma', 'counterparty');
+    expect({ delegatedTo: 'alpha' }, e => e.details.delegatedTo === 'alpha', 'delegatedTo');
+    const from = all[30].timestamp;
+    const to = all[50].timestamp;
+    expect({ from, to }, e => e.timestamp >= from && e.timestamp < to, 'time range');
+    console.log('[PASS] Agent, action type, counterparty, delegation and time filters served from indexes');
+
+    // 2. Predicates on details
+    expect({ details: { pnl: { gt: 50 } } }, e => e.details.pnl > 50, 'pnl > 50');
+    expect({ details: { pnl: { gte: -20, lte: 20 } } }, e => typeof e.details.pnl === 'number' && e.details.pnl >= -20 && e.details.pnl <= 20, 'pnl range');
+    expect({ agentId: 'gamma', details: { severity: 'HIGH' } }, e => e.agentId === 'gamma' && e.details.severity === 'HIGH', 'severity');
+    expect({ details: { severity: { in: ['LOW', 'MEDIUM'] }, policyId: { ne: 'p0' } } }, e => ['LOW', 'MEDIUM'].includes(e.details.severity) && e.details.policyId !== 'p0', 'in / ne');
+    expect({ details: { 'desk.region': 'EU' } }, e => e.details.desk && e.details.desk.region === 'EU', 'nested path');
+    expect({ details: { scope: { exists: true } } }, e => e.details.scope !== undefined, 'exists');
+    expectThrow(() => ledger.query({ details: { pnl: { above: 3 } } }), 'Unknown operator accepted');
+    expectThrow(() => ledger.query({ from: 'yesterday' }), 'Invalid time accepted');
+    console.log('[PASS] Detail predicates (ranges, equality, in, ne, exists, nested paths)');
+
+    // 3. Cursor pagination in both orders, stable while the ledger grows
+    const economic = all.filter(e => e.actionType === 'ECONOMIC_OUTCOME');
+    const first = ledger.query({ actionType: 'ECONOMIC_OUTCOME', limit: 4 });
+    if (first.items.length !== 4 || !first.nextCursor || first.total !== economic.length) fail('First page wrong', first);
+    ledger.addEntry({ agentId: 'alpha', publicKey: agents[0].keys.publicKey, privateKey: agents[0].keys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl: 1 } });
+    let pages = [...first.items];
+    let cursor = first.nextCursor;
+    while (cursor) {
+        const page = ledger.query({ actionType: 'ECONOMIC_OUTCOME', limit: 4, cursor });
+        pages = pages.concat(page.items);
+        cursor = page.nextCursor;
+    }
+    if (indexes(pages) !== indexes(economic.concat([ledger.getEntries()[60]]))) fail('Pages skip or repeat entries', indexes(pages));
+    const newest = ledger.query({ agentId: 'alpha', order: 'desc', limit: 2 });
+    const older = ledger.query({ agentId: 'alpha', order: 'desc', limit: 2, cursor: newest.nextCursor });
+    if (indexes(newest.items) !== '60,57' || indexes(older.items) !== '54,51') fail('Descending pages wrong', [indexes(newest.items), indexes(older.items)]);
+    expectThrow(() => ledger.query({ order: 'asc', cursor: newest.nextCursor }), 'Cursor reused with another order');
+    expectThrow(() => ledger.query({ limit: 0 }), 'Invalid limit accepted');
+    console.log('[PASS] Keyset pagination in both orders');
+
+    // 4. Aggregation
+    const totals = ledger.aggregate({ actionType: 'ECONOMIC_OUTCOME', groupBy: 'agentId', sum: 'details.pnl' });
+    const scanSum = ledger.getEntries().filter(e => e.actionType === 'ECONOMIC_OUTCOME').reduce((sum, e) => sum + e.details.pnl, 0);
+    if (totals.count !== economic.length + 1 || totals.sum['details.pnl'] !== scanSum) fail('Totals wrong', totals);
+    if (totals.groups.map(g => g.key).join() !== 'alpha,beta,gamma' || totals.groups.reduce((sum, g) => sum + g.sum['details.pnl'], 0) !== scanSum) fail('Groups wrong', totals.groups);
+    const bySeverity = ledger.aggregate({ actionType: 'POLICY_VIOLATION', groupBy: 'details.severity' });
+    if (bySeverity.groups.map(g => `${g.key}:${g.count}`).join() !== 'HIGH:5,LOW:5,MEDIUM:5') fail('Group-by on details wrong', bySeverity.groups);
+    console.log('[PASS] Count, sum and group-by aggregation');
+
+    // 5. Out-of-order clocks, reloaded ledgers and the API
+    const skewed = new LedgerIndex();
+    ['2025-01-01T00:00:02Z', '2025-01-01T00:00:01Z', '2025-01-01T00:00:03Z'].forEach((timestamp, index) => skewed.add({ index, timestamp, agentId: 'a', actionType: 'NEGOTIATION', details: {} }));
+    if (indexes(skewed.query({ from: '2025-01-01T00:00:01Z', to: '2025-01-01T00:00:02Z' }).items) !== '1') fail('Skewed timestamp not placed in order');
+    const numbers = new LedgerIndex();
+    const addNumber = (index, score) => numbers.add({ index, timestamp: '2025-01-01T00:00:00Z', agentId: 'a', actionType: 'NEGOTIATION', details: { score } });
+    [5, 1, 9, 1, 7].forEach((score, index) => addNumber(index, score));
+    if (indexes(numbers.query({ details: { score: { gte: 1, lt: 7 } } }).items) !== '0,1,3') fail('Unsorted numbers not sorted for the range query');
+    [3, 10].forEach((score, i) => addNumber(5 + i, score));
+    if (indexes(numbers.query({ details: { score: { gt: 2, lte: 9 } } }).items) !== '0,2,4,5' || numbers.unsortedNumbers.size !== 0) fail('Numbers appended after a range query not found');
+
+    const file = path.join(dir, 'ledger.json');
+    ledger.saveToFile(file);
+    const loaded = AgentActivityLedger.loadFromFile(file);
+    if (loaded.query({ agentId: 'beta' }).total !== 20) fail('Loaded ledger not indexed');
+
+    const api = new IdentityReputationAPI({ basePath: dir });
+    const agent = api.registerAgent({ publicKey: agents[0].keys.publicKey, originSystem: 'desk' });
+    for (const pnl of [500, -200]) {
+        await new Promise(r => setTimeout(r, 2));
+        api.recordAction({ agentId: agent.id, publicKey: agents[0].keys.publicKey, privateKey: agents[0].keys.privateKey, actionType: 'ECONOMIC_OUTCOME', details: { pnl } });
+    }
+    if (api.getActivityHistory(agent.id).length !== 2 || api.queryActivity({ details: { pnl: { gt: 0 } } }).total !== 1) fail('API queries wrong');
+    if (api.aggregateActivity({ agentId: agent.id, sum: 'details.pnl' }).sum['details.pnl'] !== 300) fail('API aggregation wrong');
+    api.ledger.close();
+    console.log('[PASS] Skewed clocks, out-of-order numbers, reloaded ledgers and the API');
+
+    console.log('\n--- ALL LEDGER QUERY CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,145 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerWitness from './src/identity/governance/LedgerWitness.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const newKey = () => crypto.generateKeyPairSync('ed25519', pemEncoding);
+const detach = value => JSON.parse(JSON.stringify(value));
+
+async function runTest() {
+    console.log('--- Ledger Witness Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'witnesses-'));
+    const registry = new AgentIdentityRegistry({ storePath: path.join(dir, 'registry.json') });
+    const agentKeys = newKey();
+    const agent = registry.registerIdentity({ publicKey: agentKeys.publicKey, originSystem: 'desk' });
+    const witnessKeys = [newKey(), newKey()];
+    const witnessIds = witnessKeys.map(keys => registry.registerIdentity({ publicKey: keys.publicKey, originSystem: 'witness' }).id);
+    const statePath = i => path.join(dir, `witness-${i}.json`);
+    const witnessAt = i => new LedgerWitness({ witnessId: witnessIds[i], signer: new InProcessSigner(witnessKeys[i].privateKey), statePath: statePath(i) });
+    const witnesses = [witnessAt(0), witnessAt(1)];
+
+    const add = async (ledger, details) => {
+        // Entries of one agent need distinct timestamps
+        await new Promise(r => setTimeout(r, 2));
+        return ledger.addEntry({ agentId: agent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'NEGOTIATION', details });
+    };
+
+    // 1. Every checkpoint is co-signed by the configured witnesses
+    const ledger = AgentActivityLedger.open(path.join(dir, 'ledger'), registry, { checkpointInterval: 4, witnesses });
+    for (let round = 0; round < 8; round++) await add(ledger, { round });
+    const checkpoints = ledger.getCheckpoints();
+    if (checkpoints.map(c => c.treeSize).join() !== '4,8' || checkpoints.some(c => c.cosignatures.map(s => s.witnessId).join() !== witnessIds.join())) fail('Checkpoints not co-signed by both witnesses', checkpoints);
+    const report = ledger.verifyWitnessed();
+    if (!report.valid || report.witnessedSize !== 8) fail('Witnessed ledger does not verify', report);
+    if (witnesses[0].latest().treeSize !== 8 || witnesses[0].latest().lastHash !== ledger.getEntries()[7].hash) fail('Witness did not remember the head it signed', witnesses[0].latest());
+    expectThrow(() => ledger.setWitnesses([witnesses[0], new LedgerWitness({ witnessId: 'did:agent:unknown', signer: witnesses[0].signer })]), 'Unregistered witness accepted');
+    expectThrow(() => ledger.setWitnesses(witnesses, { quorum: 3 }), 'Unreachable quorum accepted');
+    console.log('[PASS] Checkpoints record length and head hash and carry witness cosignatures');
+
+    // 2. A history rewritten and re-signed with the agent's key conflicts with what the witnesses signed
+    const witnessed = witnesses.map(w => detach(w.latest()));
+    const forged = new AgentActivityLedger(null, { checkpointInterval: 4 });
+    ledger.getEntries().forEach((entry, i) => forged.addEntry({
+        agentId: agent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: entry.actionType,
+        details: i === 2 ? { round: 2, concession: 'none' } : entry.details
+    }));
+    if (!forged.verifyChain().valid) fail('Forged chain should be internally consistent');
+    const conflict = forged.verifyWitnessed({ registry, witnessIds, checkpoints: witnessed });
+    if (conflict.valid || conflict.reason !== 'WITNESSED_HISTORY_CONFLICT' || conflict.treeSize !== 8) fail('Rewritten history not rejected', conflict);
+
+    forged.setWitnesses(witnesses);
+    forged.addEntry({ agentId: agent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'NEGOTIATION', details: { round: 8 } });
+    const refused = expectThrow(() => forged.createCheckpoint(), 'Witnesses co-signed a rewritten history');
+    if (!/0 of 2 required/.test(refused.message) || witnesses[1].latest().treeSize !== 8) fail('Witnesses did not refuse the conflicting checkpoint', refused.message);
+    console.log('[PASS] Rewritten history rejected, and witnesses refuse to co-sign it');
+
+    // 3. Truncation, forged cosignatures and missing quorum are rejected
+    const truncated = new AgentActivityLedger(registry);
+    truncated.entries = ledger.getEntries().slice(0, 6);
+    truncated.checkpoints = ledger.getCheckpoints().slice(0, 1);
+    const rollback = truncated.verifyWitnessed({ witnessIds, checkpoints: witnessed });
+    if (rollback.reason !== 'WITNESSED_CHECKPOINT_BEYOND_LEDGER') fail('Truncated ledger not rejected', rollback);
+
+    const tampered = new AgentActivityLedger(registry);
+    tampered.entries = ledger.getEntries();
+    const [first, second] = ledger.getCheckpoints();
+    const forgedSignature = { ...first.cosignatures[1], signature: first.cosignatures[0].signature };
+    tampered.checkpoints = [{ ...first, cosignatures: [first.cosignatures[0], forgedSignature] }, second];
+    if (tampered.verifyWitnessed({ witnessIds }).reason !== 'INVALID_COSIGNATURE') fail('Forged cosignature accepted');
+    // The signing time picks the witness key, so it is signed too and cannot precede the checkpoint
+    const moved = { ...first.cosignatures[1], signedAt: new Date(Date.parse(first.cosignatures[1].signedAt) + 1000).toISOString() };
+    tampered.checkpoints = [{ ...first, cosignatures: [first.cosignatures[0], moved] }, second];
+    if (tampered.verifyWitnessed({ witnessIds }).reason !== 'INVALID_COSIGNATURE') fail('Cosignature with an altered signing time accepted');
+    const early = new Date(Date.parse(first.timestamp) - 1000).toISOString();
+    const backdated = { ...first.cosignatures[1], signedAt: early, signature: new InProcessSigner(witnessKeys[1].privateKey).sign(LedgerWitness.checkpointMessage(first, null, early)) };
+    tampered.checkpoints = [{ ...first, cosignatures: [first.cosignatures[0], backdated] }, second];
+    if (tampered.verifyWitnessed({ witnessIds }).reason !== 'SIGNED_BEFORE_CHECKPOINT') fail('Cosignature dated before its checkpoint accepted');
+    tampered.checkpoints = [{ ...first, cosignatures: [first.cosignatures[0]] }, second];
+    if (tampered.verifyWitnessed({ witnessIds }).reason !== 'INSUFFICIENT_WITNESSES') fail('Checkpoint below quorum accepted');
+    if (!tampered.verifyWitnessed({ witnessIds, quorum: 1 }).valid) fail('Quorum option ignored');
+    // Cosignatures collected from each witness separately are combined
+    const combined = new AgentActivityLedger(registry);
+    combined.entries = ledger.getEntries();
+    if (!combined.verifyWitnessed({ witnessIds, checkpoints: witnessed }).valid) fail('Cosignatures from separate witnesses not combined');
+    console.log('[PASS] Truncation, forged or backdated cosignatures and missing quorum rejected');
+
+    // 4. Cosignatures and witness state survive a restart
+    ledger.close();
+    const restarted = [witnessAt(0), witnessAt(1)];
+    if (restarted[0].latest().treeSize !== 8) fail('Witness state not persisted');
+    const reopened = AgentActivityLedger.open(path.join(dir, 'ledger'), registry, { checkpointInterval: 4, witnesses: restarted });
+    for (let round = 8; round < 12; round++) await add(reopened, { round });
+    if (reopened.getCheckpoints().length !== 3 || !reopened.verifyWitnessed().valid) fail('Witnessing did not continue after restart', reopened.verifyWitnessed());
+    reopened.close();
+    const reloaded = AgentActivityLedger.loadFromFile(path.join(dir, 'ledger'), registry);
+    if (reloaded.verifyWitnessed({ witnessIds }).witnessedSize !== 12) fail('Cosignatures not persisted with the checkpoints');
+    console.log('[PASS] Cosignatures and witness state persist across restarts');
+
+    // 5. API
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { checkpointInterval: 2 } });
+    const apiAgent = api.registerAgent({ publicKey: agentKeys.publicKey, originSystem: 'desk' });
+    const apiWitnessKeys = newKey();
+    const apiWitness = api.registerAgent({ publicKey: apiWitnessKeys.publicKey, originSystem: 'witness' });
+    api.setLedgerWitnesses([new LedgerWitness({ witnessId: apiWitness.id, signer: new InProcessSigner(apiWitnessKeys.privateKey) })]);
+    for (let round = 0; round < 2; round++) {
+        await new Promise(r => setTimeout(r, 2));
+        api.recordAction({ agentId: apiAgent.id, publicKey: agentKeys.publicKey, privateKey: agentKeys.privateKey, actionType: 'NEGOTIATION', details: { round } });
+    }
+    const apiReport = api.verifyWitnessedLedger();
+    if (!apiReport.valid || apiReport.witnessedSize !== 2) fail('API ledger not witnessed', apiReport);
+    api.ledger.close();
+    console.log('[PASS] API configures witnesses and verifies the witnessed ledger');
+
+    console.log('\n--- ALL LEDGER WITNESS CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -45,4 +45,5 @@ console.log("Migrated Entry Schema Version:", entry.schemaVersion);
 console.log("Migrated Entry Performance:", entry.performance);
 
 fs.unlinkSync(testStorePath);
+if (registry.lastMigrationBackup) fs.unlinkSync(registry.lastMigrationBackup);
 process.exit(0);
@@ -0,0 +1,79 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import NonceService from './src/identity/NonceService.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Nonce Replay Protection Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_nonce_registry.json');
+    if (fs.existsSync(registryPath)) fs.unlinkSync(registryPath);
+
+    const keys = crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+    const registry = new AgentIdentityRegistry({ storePath: registryPath, nonce: { ttlMs: 50, maxSeenNonces: 2 } });
+    const agent = registry.registerIdentity({ publicKey: keys.publicKey, originSystem: 'nonce-test' });
+
+    const respond = (challenge, message, timestamp = new Date().toISOString()) => registry.validateAction({
+        agentId: agent.id,
+        message,
+        signature: SignatureSuite.sign(NonceService.responseMessage(challenge.nonce, message), keys.privateKey),
+        nonce: challenge.nonce,
+        timestamp
+    });
+
+    // 1. Concurrent workers answer out of order with skewed clocks
+    const first = registry.issueChallenge(agent.id);
+    const second = registry.issueChallenge(agent.id);
+    const late = respond(second, 'worker-2', new Date(Date.now() + 30000).toISOString());
+    const early = respond(first, 'worker-1', new Date(Date.now() - 30000).toISOString());
+    if (!late.valid || !early.valid) fail('Concurrent responses rejected', { late, early });
+    console.log('[PASS] Out-of-order responses within the skew window accepted');
+
+    // 2. Replay of a redeemed nonce
+    if (respond(first, 'worker-1').reason !== 'REPLAY_DETECTED') fail('Replay accepted');
+    console.log('[PASS] Redeemed nonce cannot be replayed');
+
+    // 3. Expired challenge, skew, foreign signature
+    const expiring = registry.issueChallenge(agent.id);
+    await new Promise(r => setTimeout(r, 60));
+    if (respond(expiring, 'too-late').reason !== 'NONCE_EXPIRED') fail('Expired nonce accepted');
+    const skewed = registry.issueChallenge(agent.id);
+    if (respond(skewed, 'future', new Date(Date.now() + 10 * 60000).toISOString()).reason !== 'CLOCK_SKEW_EXCEEDED') fail('Excessive skew accepted');
+    const unsigned = registry.issueChallenge(agent.id);
+    const bad = registry.validateAction({ agentId: agent.id, message: 'x', signature: SignatureSuite.sign('x', keys.privateKey), nonce: unsigned.nonce });
+    if (bad.reason !== 'INVALID_SIGNATURE') fail('Signature not bound to nonce', bad);
+    console.log('[PASS] Expired, skewed and unbound responses rejected');
+
+    // 4. State persisted and bounded
+    const bounded = new AgentIdentityRegistry({ storePath: registryPath, nonce: { maxSeenNonces: 2 } });
+    for (const message of ['a', 'b', 'c']) {
+        const challenge = bounded.issueChallenge(agent.id);
+        const result = bounded.validateAction({
+            agentId: agent.id,
+            message,
+            signature: SignatureSuite.sign(NonceService.responseMessage(challenge.nonce, message), keys.privateKey),
+            nonce: challenge.nonce
+        });
+        if (!result.valid) fail('Valid response rejected', result);
+    }
+    const pending = bounded.issueChallenge(agent.id);
+    const reloaded = new AgentIdentityRegistry({ storePath: registryPath });
+    if (reloaded.store.seenNonces.length !== 2) fail('Seen-nonce cache not persisted or not bounded', reloaded.store.seenNonces);
+    if (!reloaded.store.pendingChallenges[pending.nonce]) fail('Pending challenge not persisted');
+    console.log('[PASS] Nonce state persisted next to lastActionTimestamps');
+
+    console.log('\n--- ALL NONCE CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,121 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+import { canonicalize } from './src/identity/crypto/canonicalize.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import LedgerReplayEngine from './src/identity/reputation/LedgerReplayEngine.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+async function runTest() {
+    console.log('--- Private Ledger Details Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'private-details-'));
+    const [brokerKeys, traderKeys] = [0, 1].map(() => crypto.generateKeyPairSync('ed25519', pemEncoding));
+    const privateFields = { NEGOTIATION: ['price', 'terms'], ECONOMIC_OUTCOME: ['client'] };
+    const ledgerDir = path.join(dir, 'ledger');
+    const ledger = AgentActivityLedger.open(ledgerDir, null, { fsync: 'never', privateFields });
+    const add = (agentId, keys, actionType, details, extra = {}) => ledger.addEntry({ agentId, publicKey: keys.publicKey, privateKey: keys.privateKey, actionType, details, ...extra });
+
+    // 1. Private fields are recorded as salted commitments, their values kept apart
+    const terms = { settlement: 'T+2', penalty: 0.05 };
+    const deal = add('broker', brokerKeys, 'NEGOTIATION', { counterparty: 'trader', price: 1250000, terms, outcome: 'SUCCESS' });
+    const sameDeal = add('broker', brokerKeys, 'NEGOTIATION', { counterparty: 'trader', price: 1250000 });
+    const outcome = add('trader', traderKeys, 'ECONOMIC_OUTCOME', { pnl: 420, client: 'Acme Pension Fund' });
+    const publicEntry = add('trader', traderKeys, 'ECONOMIC_OUTCOME', { pnl: 5, client: 'Globex' }, { privateFields: [] });
+    if ('price' in deal.details || 'terms' in deal.details || deal.details.counterparty !== 'trader' || Object.keys(deal.commitments).sort().join() !== 'price,terms') fail('Private fields not sealed', deal);
+    if (deal.commitments.price === sameDeal.commitments.price) fail('Equal values got equal commitments; salts missing');
+    if (publicEntry.commitments || publicEntry.details.client !== 'Globex') fail('Opting out of private fields failed', publicEntry);
+    const segmentText = fs.readdirSync(ledgerDir).map(f => fs.readFileSync(path.join(ledgerDir, f), 'utf8')).join();
+    if (segmentText.includes('1250000') || segmentText.includes('Acme Pension Fund')) fail('Private value written to the ledger segments');
+    if (canonicalize(ledger.revealDetails(deal.index)) !== canonicalize({ counterparty: 'trader', price: 1250000, terms, outcome: 'SUCCESS' })) fail('Plain details not recoverable', ledger.revealDetails(deal.index));
+    expectThrow(() => add('broker', brokerKeys, 'NEGOTIATION', { counterparty: '', price: 1 }, { privateFields: ['counterparty'] }), 'Invalid private value passed the schema');
+    if (ledger.query({ counterparty: 'trader' }).total !== 2 || !ledger.verifyChain().valid) fail('Public details no longer indexed or chain invalid');
+    const storePath = `${ledgerDir}-private.ndjson`;
+    const logged = fs.readFileSync(storePath, 'utf8');
+    add('broker', brokerKeys, 'NEGOTIATION', { counterparty: 'trader', price: 3 });
+    const appended = fs.readFileSync(storePath, 'utf8');
+    if (!appended.startsWith(logged) || appended.slice(logged.length).split('\n').length !== 2) fail('Recording an entry rewrote the store instead of appending', appended);
+    const append = ledger.store.append;
+    ledger.store.append = () => { throw new Error('disk full'); };
+    expectThrow(() => add('broker', brokerKeys, 'NEGOTIATION', { counterparty: 'trader', price: 4 }), 'Failed append recorded');
+    ledger.store.append = append;
+    const next = add('broker', brokerKeys, 'NEGOTIATION', { counterparty: 'trader' });
+    if ('price' in ledger.revealDetails(next.index) || fs.readFileSync(storePath, 'utf8') !== appended) fail('Openings of an unwritten entry attached to the next one', ledger.revealDetails(next.index));
+    console.log('[PASS] Private fields recorded as salted commitments, values appended to the store after the entry');
+
+    // 2. Individual fields are disclosed with a proof
+    const checkpoint = ledger.createCheckpoint();
+    const disclosure = ledger.disclose(deal.index, ['price']);
+    if ('terms' in disclosure.fields || JSON.stringify(disclosure).includes('T+2')) fail('Disclosure revealed an undisclosed field');
+    const verified = AgentActivityLedger.verifyDisclosure(JSON.parse(JSON.stringify(disclosure)), checkpoint);
+    if (!verified.valid || verified.fields.price !== 1250000) fail('Disclosure does not verify', verified);
+    const inflated = structuredClone(disclosure);
+    inflated.fields.price.value = 990000;
+    const swapped = { ...disclosure, fields: { terms: disclosure.fields.price } };
+    const results = [inflated, swapped].map(d => AgentActivityLedger.verifyDisclosure(d).reason).join();
+    if (results !== 'COMMITMENT_MISMATCH,COMMITMENT_MISMATCH') fail('Altered disclosures verified', results);
+    if (AgentActivityLedger.verifyDisclosure(disclosure, 'f'.repeat(64)).valid) fail('Disclosure verified against a foreign root');
+    expectThrow(() => ledger.disclose(publicEntry.index, ['client']), 'Public field disclosed as private');
+    console.log('[PASS] Single fields disclosed and proven against a checkpoint; altered values rejected');
+
+    // 3. Redacting plain values keeps the chain and replayed reputation intact
+    const before = canonicalize(LedgerReplayEngine.replay(ledger));
+    if (ledger.redact(deal.index).sort().join() !== 'price,terms' || ledger.redact(outcome.index, ['client']).join() !== 'client') fail('Redaction did not remove the fields');
+    ledger.close();
+    const storeText = fs.readFileSync(storePath, 'utf8');
+    const held = Object.fromEntries(storeText.trim().split('\n').map(line => JSON.parse(line)).map(({ index, openings }) => [index, openings]));
+    if (held[deal.index] || held[outcome.index] || storeText.includes('T+2') || storeText.includes('Acme Pension Fund') || !held[sameDeal.index]) fail('Redacted values left in the store', storeText);
+    fs.appendFileSync(storePath, '{"index":99,"openings":{"pri'); // an append torn by a crash
+    const reopened = AgentActivityLedger.open(ledgerDir, null, { fsync: 'never', privateFields });
+    if (!reopened.verifyChain().valid || canonicalize(LedgerReplayEngine.replay(reopened)) !== before) fail('Redaction affected verification or reputation', reopened.verifyChain());
+    const e = expectThrow(() => reopened.disclose(deal.index, ['price']), 'Redacted field disclosed');
+    if (!e.message.includes('redacted')) fail('Wrong error for a redacted field', e.message);
+    if ('price' in reopened.revealDetails(deal.index) || reopened.revealDetails(sameDeal.index).price !== 1250000) fail('Redaction removed the wrong entry');
+    if (!AgentActivityLedger.verifyDisclosure(disclosure, checkpoint).valid) fail('A disclosure made before the redaction stopped verifying');
+    const afterTear = reopened.addEntry({ agentId: 'broker', publicKey: brokerKeys.publicKey, privateKey: brokerKeys.privateKey, actionType: 'NEGOTIATION', details: { counterparty: 'trader', price: 7 } });
+    reopened.close();
+    const recovered = AgentActivityLedger.open(ledgerDir, null, { fsync: 'never', privateFields });
+    if (recovered.revealDetails(afterTear.index).price !== 7 || recovered.revealDetails(sameDeal.index).price !== 1250000) fail('Store unreadable after a torn append', recovered.revealDetails(afterTear.index));
+    recovered.close();
+    console.log('[PASS] Plain values deleted while verifyChain, reputation and earlier disclosures stay valid; a torn append is cut off');
+
+    // 4. API
+    const api = new IdentityReputationAPI({ basePath: path.join(dir, 'api'), ledgerStorage: { fsync: 'never', privateFields: { NEGOTIATION: ['price'] } } });
+    const broker = api.registerAgent({ publicKey: brokerKeys.publicKey, originSystem: 'desk' });
+    const trader = api.registerAgent({ publicKey: traderKeys.publicKey, originSystem: 'desk' });
+    const recorded = api.recordAction({ agentId: broker.id, publicKey: brokerKeys.publicKey, privateKey: brokerKeys.privateKey, actionType: 'NEGOTIATION', details: { counterparty: trader.id, price: 75 } });
+    const proof = api.discloseActionFields(recorded.index, ['price']);
+    if (!api.verifyDisclosure(proof).fields || api.verifyDisclosure(proof).fields.price !== 75) fail('API disclosure wrong', proof);
+    api.redactActionFields(recorded.index);
+    if (!api.verifyLedger().valid || api.getTrustGraph().edges.length !== 1) fail('API ledger affected by the redaction');
+    api.ledger.close();
+    console.log('[PASS] API records private fields, discloses and redacts them');
+
+    console.log('\n--- ALL PRIVATE DETAIL CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
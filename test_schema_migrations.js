@@ -0,0 +1,167 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import createIdentityStoreMigrator from './src/identity/migrations/identityStoreMigrations.js';
+import createLedgerMigrator from './src/identity/migrations/ledgerMigrations.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const readJson = p => JSON.parse(fs.readFileSync(p, 'utf8'));
+
+function v1Store(identities) {
+    return { identities, meta: { schemaVersion: 1 }, lastActionTimestamps: {} };
+}
+
+const legacyIdentity = id => ({ id, publicKey: `pubkey-${id}`, originSystem: 'old-sys', metadata: { creationTimestamp: '2025-01-01T00:00:00Z' } });
+
+async function runTest() {
+    console.log('--- Schema Migration Framework Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    const migrator = createIdentityStoreMigrator();
+
+    // 1. Dry run reports the plan and per-record changes without touching the file
+    const storePath = path.join(dir, 'identities.json');
+    const original = v1Store({ 'did:agent:a': legacyIdentity('did:agent:a'), 'did:agent:b': legacyIdentity('did:agent:b') });
+    fs.writeFileSync(storePath, JSON.stringify(original, null, 2));
+    const originalText = fs.readFileSync(storePath, 'utf8');
+
+    const dry = migrator.migrateFile(storePath, { dryRun: true });
+    if (!dry.dryRun || dry.fromVersion !== 1 || dry.toVersion !== 2 || dry.steps.length !== 1 || dry.steps[0].direction !== 'up') fail('Unexpected dry-run plan', dry);
+    if (dry.changes.modified.length !== 2 || dry.changes.modified[0].fields.join() !== 'schemaVersion') fail('Dry run did not report record changes', dry.changes);
+    if (fs.readFileSync(storePath, 'utf8') !== originalText || migrator.listBackups(storePath).length !== 0) fail('Dry run wrote to disk');
+    console.log('[PASS] Dry run reports planned steps and record changes without writing');
+
+    // 2. Migration writes a timestamped backup first
+    const migrated = migrator.migrateFile(storePath);
+    if (!migrated.backupPath || !/\.v1-.*\.bak$/.test(migrated.backupPath)) fail('No timestamped backup', migrated.backupPath);
+    if (fs.readFileSync(migrated.backupPath, 'utf8') !== originalText) fail('Backup does not hold the previous store');
+    const upgraded = readJson(storePath);
+    if (upgraded.meta.schemaVersion !== 2 || upgraded.identities['did:agent:a'].schemaVersion !== 2) fail('Store not upgraded', upgraded);
+    console.log('[PASS] Migration upgrades the store after a timestamped backup');
+
+    // 3. Rollback by down steps, then by restoring a backup
+    const rolledBack = migrator.rollback(storePath);
+    const downgraded = readJson(storePath);
+    if (rolledBack.steps[0].direction !== 'down' || downgraded.meta.schemaVersion !== 1 || 'schemaVersion' in downgraded.identities['did:agent:a']) {
+        fail('Down steps did not roll the store back', downgraded);
+    }
+    migrator.migrateFile(storePath);
+    const restored = migrator.rollback(storePath, { backupPath: migrated.backupPath });
+    if (fs.readFileSync(storePath, 'utf8') !== JSON.stringify(original, null, 2) || restored.toVersion !== 1 || !restored.backupPath) fail('Backup restore failed', restored);
+    console.log('[PASS] Rollback via down steps and via backup restore');
+
+    // 4. Every record is validated; an invalid store is refused without writing
+    const badPath = path.join(dir, 'bad.json');
+    const bad = v1Store({ 'did:agent:ok': legacyIdentity('did:agent:ok'), 'did:agent:broken': { id: 'did:agent:broken', originSystem: 'x' } });
+    fs.writeFileSync(badPath, JSON.stringify(bad));
+    const badDry = migrator.migrateFile(badPath, { dryRun: true });
+    if (badDry.valid || badDry.errors.length !== 1 || badDry.errors[0].id !== 'did:agent:broken') fail('Dry run missed the invalid record', badDry.errors);
+    const refused = expectThrow(() => migrator.migrateFile(badPath), 'Invalid store was migrated');
+    if (!/did:agent:broken/.test(refused.message) || readJson(badPath).meta.schemaVersion !== 1 || migrator.listBackups(badPath).length !== 0) fail('Invalid migration wrote to disk', refused.message);
+    const registryRefused = expectThrow(() => new AgentIdentityRegistry({ storePath: badPath }), 'Registry loaded an invalid legacy store');
+    if (!/publicKey/.test(registryRefused.message) || readJson(badPath).meta.schemaVersion !== 1) fail('Registry replaced the invalid store', registryRefused.message);
+    console.log('[PASS] Record validation refuses invalid migrations');
+
+    // 5. Registry load migrates legacy stores with a backup
+    const registryPath = path.join(dir, 'registry.json');
+    fs.writeFileSync(registryPath, JSON.stringify(v1Store({ 'did:agent:old': legacyIdentity('did:agent:old') })));
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+    if (!registry.lastMigrationBackup || readJson(registryPath).meta.schemaVersion !== 2 || registry.getRaw('did:agent:old').schemaVersion !== 2) fail('Registry did not migrate on load');
+    console.log('[PASS] Registry migrates a legacy store on load with a backup');
+
+    // 6. Custom migrations without a down step cannot be rolled back
+    const custom = createIdentityStoreMigrator({ 2: store => store });
+    expectThrow(() => custom.plan(2, 1), 'Rolled back a migration with no down step');
+    console.log('[PASS] Rollback refused for migrations without a down step');
+
+    // 7. Ledger file format: legacy files upgrade without breaking the chain
+    const keys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const ledgerRegistry = new AgentIdentityRegistry({ storePath: path.join(dir, 'ledger_registry.json') });
+    const agent = ledgerRegistry.registerIdentity({ publicKey: keys.publicKey, originSystem: 'sys' });
+    const ledger = new AgentActivityLedger(ledgerRegistry);
+    ledger.addEntry({ agentId: agent.id, publicKey: agent.publicKey, privateKey: keys.privateKey, actionType: 'NEGOTIATION', details: { round: 1 } });
+    ledger.addEntry({ agentId: agent.id, publicKey: agent.publicKey, privateKey: keys.privateKey, actionType: 'DELEGATION', details: { delegatedTo: 'x' } });
+    const ledgerPath = path.join(dir, 'ledger.json');
+    ledger.saveToFile(ledgerPath);
+    if (readJson(ledgerPath).formatVersion !== 2) fail('New ledger files do not record their format version');
+
+    // Simulate a v1 file written before algorithms were recorded
+    const legacyLedger = readJson(ledgerPath);
+    delete legacyLedger.formatVersion;
+    legacyLedger.entries.forEach(e => delete e.algorithm);
+    fs.writeFileSync(ledgerPath, JSON.stringify(legacyLedger));
+
+    const ledgerMigrator = createLedgerMigrator();
+    const ledgerDry = ledgerMigrator.migrateFile(ledgerPath, { dryRun: true });
+    if (ledgerDry.changes.modified.length !== 2 || ledgerDry.changes.modified[0].fields.join() !== 'algorithm') fail('Ledger dry run missed the backfill', ledgerDry.changes);
+    if (!AgentActivityLedger.loadFromFile(ledgerPath).verifyChain().valid) fail('Legacy ledger does not verify after in-memory upgrade');
+
+    const ledgerReport = ledgerMigrator.migrateFile(ledgerPath);
+    const upgradedLedger = readJson(ledgerPath);
+    if (upgradedLedger.formatVersion !== 2 || upgradedLedger.entries.some(e => e.algorithm !== 'ED25519') || !ledgerReport.backupPath) fail('Ledger file not upgraded', upgradedLedger);
+    if (!AgentActivityLedger.loadFromFile(ledgerPath).verifyChain().valid) fail('Migrated ledger does not verify');
+    ledgerMigrator.rollback(ledgerPath);
+    if ('formatVersion' in readJson(ledgerPath) || !AgentActivityLedger.loadFromFile(ledgerPath).verifyChain().valid) fail('Ledger rollback failed');
+    console.log('[PASS] Ledger format migration, rollback and chain verification');
+
+    // 8. Command-line dry run and rollback
+    const cli = (...args) => execFileSync(process.execPath, ['migrate_store.js', ...args], { encoding: 'utf8', timeout: 30000 });
+    fs.writeFileSync(storePath, JSON.stringify(original, null, 2));
+    const cliDry = cli('identity', storePath, '--dry-run');
+    if (!/Would migrate identity store .* from v1 to v2/.test(cliDry) || readJson(storePath).meta.schemaVersion !== 1) fail('CLI dry run', cliDry);
+    cli('identity', storePath);
+    const cliRollback = cli('identity', storePath, '--rollback');
+    if (!/from v2 to v1/.test(cliRollback) || readJson(storePath).meta.schemaVersion !== 1) fail('CLI rollback', cliRollback);
+    console.log('[PASS] migrate_store.js dry run and rollback');
+
+    // 9. A sealed store is only rewritten with the registry key, and resealed with it
+    const sealedPath = path.join(dir, 'sealed_identities.json');
+    const keyPath = path.join(dir, 'registry_key.pem');
+    fs.writeFileSync(keyPath, keys.privateKey, { mode: 0o600 });
+    const integrity = { signer: new InProcessSigner(keys.privateKey) };
+    const sealedAgent = new AgentIdentityRegistry({ storePath: sealedPath, integrity }).registerIdentity({ publicKey: keys.publicKey, originSystem: 'sys' });
+    const sealedBytes = fs.readFileSync(sealedPath, 'utf8');
+    const unkeyed = expectThrow(() => cli('identity', sealedPath, '--rollback'), 'CLI rewrote a sealed store without the registry key');
+    if (!String(unkeyed.stderr).includes('sealed') || fs.readFileSync(sealedPath, 'utf8') !== sealedBytes) fail('Sealed store changed by a refused rollback', unkeyed.stderr);
+    cli('identity', sealedPath, '--rollback', '--signing-key', keyPath);
+    if (readJson(sealedPath).meta.schemaVersion !== 1 || readJson(sealedPath).integrity.sequence !== JSON.parse(sealedBytes).integrity.sequence + 1) fail('Rolled back store not resealed', readJson(sealedPath).integrity);
+    const resealed = new AgentIdentityRegistry({ storePath: sealedPath, integrity });
+    if (!resealed.integrityReport.valid || resealed.readOnly || !resealed.getIdentityById(sealedAgent.id)) fail('Registry refused a store rolled back by the CLI', resealed.integrityReport);
+    const tampered = readJson(sealedPath);
+    tampered.identities[sealedAgent.id].originSystem = 'forged';
+    fs.writeFileSync(sealedPath, JSON.stringify(tampered, null, 2));
+    const laundered = expectThrow(() => cli('identity', sealedPath, '--rollback', '--signing-key', keyPath), 'CLI resealed a tampered store');
+    if (!String(laundered.stderr).includes('STORE_MODIFIED')) fail('Tampered store not reported', laundered.stderr);
+    console.log('[PASS] migrate_store.js reseals sealed stores with --signing-key and refuses them without it');
+
+    console.log('\n--- ALL MIGRATION CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
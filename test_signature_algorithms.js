@@ -0,0 +1,84 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Signature Algorithm Support Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_algorithms_registry.json');
+    const ledgerPath = path.resolve(process.cwd(), 'test_algorithms_ledger.json');
+    [registryPath, ledgerPath].forEach(p => { if (fs.existsSync(p)) fs.unlinkSync(p); });
+
+    const keys = {
+        RSA_PSS_SHA256: crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pemEncoding }),
+        ED25519: crypto.generateKeyPairSync('ed25519', pemEncoding),
+        ECDSA_P256_SHA256: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...pemEncoding })
+    };
+
+    // 1. Detection
+    for (const [expected, pair] of Object.entries(keys)) {
+        if (SignatureSuite.detectAlgorithm(pair.publicKey) !== expected) fail(`Public key detection failed for ${expected}`);
+        if (SignatureSuite.detectAlgorithm(pair.privateKey) !== expected) fail(`Private key detection failed for ${expected}`);
+    }
+    console.log('[PASS] Algorithms detected from public and private keys');
+
+    // 2. Registration and signed actions for every algorithm
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+    const identities = {};
+    for (const [alg, pair] of Object.entries(keys)) {
+        const identity = registry.registerIdentity({ publicKey: pair.publicKey, originSystem: 'algorithm-test' });
+        if (identity.algorithm !== alg || registry.getRaw(identity.id).algorithm !== alg) fail(`Algorithm not recorded for ${alg}`);
+
+        const signature = SignatureSuite.sign('HELLO', pair.privateKey);
+        const result = registry.validateAction({ agentId: identity.id, message: 'HELLO', signature });
+        if (!result.valid) fail(`validateAction failed for ${alg}`, result);
+        identities[alg] = identity;
+    }
+    console.log('[PASS] RSA-PSS, Ed25519 and ECDSA identities register and validate');
+
+    // 3. Mixed-algorithm ledger
+    const ledger = new AgentActivityLedger(registry);
+    for (const [alg, pair] of Object.entries(keys)) {
+        const entry = ledger.addEntry({
+            agentId: identities[alg].id,
+            publicKey: pair.publicKey,
+            privateKey: pair.privateKey,
+            actionType: AgentActivityLedger.ACTION_TYPES.COOPERATIVE_COLLABORATION,
+            details: { outcome: 'SUCCESS' }
+        });
+        if (entry.algorithm !== alg) fail(`Entry algorithm not recorded for ${alg}`);
+    }
+
+    ledger.saveToFile(ledgerPath);
+    const loaded = AgentActivityLedger.loadFromFile(ledgerPath, registry);
+    const verify = loaded.verifyChain();
+    if (!verify.valid) fail('Mixed-algorithm chain did not verify', verify);
+    console.log('[PASS] Mixed-algorithm ledger passes verifyChain');
+
+    // 4. A forged algorithm label is detected
+    const forged = { ...loaded.getEntries()[1], algorithm: 'RSA_PSS_SHA256' };
+    if (AgentActivityLedger.verifyEntrySignature(forged).reason !== 'ALGORITHM_MISMATCH') fail('Algorithm mismatch not detected');
+    console.log('[PASS] Mislabelled algorithm rejected');
+
+    console.log('\n--- ALL SIGNATURE ALGORITHM CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+    fs.unlinkSync(ledgerPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,101 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import AgentActivityLedger from './src/identity/governance/AgentActivityLedger.js';
+import AdaptiveGovernanceEngine from './src/identity/governance/AdaptiveGovernanceEngine.js';
+import SignatureSuite from './src/identity/crypto/SignatureSuite.js';
+import AgentKeystore from './src/identity/keystore/AgentKeystore.js';
+import Signer from './src/identity/signing/Signer.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+import RemoteSigner from './src/identity/signing/RemoteSigner.js';
+import SignerHelper from './src/identity/signing/SignerHelper.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+async function runTest() {
+    console.log('--- Pluggable Signer Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+    const registry = new AgentIdentityRegistry({ storagePath: path.join(dir, 'registry.json') });
+    const ledger = new AgentActivityLedger(registry);
+
+    // 1. In-process signer: raw keys and signer objects produce interchangeable entries
+    const localKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const local = registry.registerIdentity({ publicKey: localKeys.publicKey, originSystem: 'local' });
+    const localSigner = new InProcessSigner(localKeys.privateKey, { keyId: local.id });
+    if (!Signer.isSigner(localSigner) || localSigner.algorithm !== 'ED25519') fail('InProcessSigner does not honour the Signer contract');
+    if (JSON.stringify(localSigner).includes('PRIVATE KEY')) fail('InProcessSigner serialized its key');
+    ledger.addEntry({ agentId: local.id, publicKey: local.publicKey, privateKey: localKeys.privateKey, actionType: 'NEGOTIATION', details: { via: 'privateKey' } });
+    ledger.addEntry({ agentId: local.id, signer: localSigner, actionType: 'NEGOTIATION', details: { via: 'signer' } });
+    console.log('[PASS] Raw private keys and InProcessSigner both sign entries');
+
+    // 2. Out-of-process helper unlocks keys from a keystore and signs over a Unix socket
+    const keystorePath = path.join(dir, 'keystore.json');
+    const keystore = new AgentKeystore({ path: keystorePath, scrypt: { N: 1 << 12 } });
+    const remoteKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pemEncoding });
+    const remote = registry.registerIdentity({ publicKey: remoteKeys.publicKey, originSystem: 'hsm' });
+    keystore.importKey(remote.id, remoteKeys.privateKey, 'helper passphrase');
+
+    const helper = await SignerHelper.spawn({ socketPath: path.join(dir, 'signer.sock'), keystorePath, passphrase: 'helper passphrase' });
+    if (!helper.pid || helper.pid === process.pid || !helper.keyIds.includes(remote.id)) fail('Helper did not start in its own process', helper);
+    if ((fs.statSync(helper.socketPath).mode & 0o777) !== 0o600) fail('Helper socket is not private');
+
+    let remoteSigner;
+    try {
+        remoteSigner = RemoteSigner.connect({ socketPath: helper.socketPath, keyId: remote.id });
+        if (!SignatureSuite.sameKey(remoteSigner.publicKey, remote.publicKey)) fail('Helper returned the wrong public key');
+
+        const entry = ledger.addEntry({ agentId: remote.id, publicKey: remote.publicKey, signer: remoteSigner, actionType: 'DELEGATION', details: { delegatedTo: 'agent:worker', via: 'helper' } });
+        if (entry.algorithm !== 'RSA_PSS_SHA256') fail('Remote entry algorithm not recorded', entry.algorithm);
+
+        // The governance engines accept the remote signer in the agent context too
+        const recorded = AdaptiveGovernanceEngine._maybeRecord({ identity: remote, signer: remoteSigner, ledger }, 'POLICY_VIOLATION', { rule: 'test' });
+        if (!recorded) fail('Governance engine could not record through the remote signer');
+
+        const verification = ledger.verifyChain();
+        if (!verification.valid) fail('Chain with remote signatures failed verification', verification);
+        console.log('[PASS] RemoteSigner signs through the helper process and the chain verifies');
+
+        // 3. Unknown keys surface as errors; nothing about the key crosses into this process
+        const unknown = expectThrow(() => RemoteSigner.connect({ socketPath: helper.socketPath, keyId: 'no-such-agent', timeoutMs: 2000 }), 'Unknown helper key accepted');
+        if (!/Unknown key/.test(unknown.message)) fail('Unexpected error for unknown key', unknown.message);
+        const exposed = JSON.stringify(remoteSigner) + JSON.stringify(ledger.toJSON());
+        if (exposed.includes('PRIVATE KEY')) fail('Key material reached the ledger process');
+        console.log('[PASS] Unknown keys rejected and no key material in the ledger process');
+    } finally {
+        if (remoteSigner) remoteSigner.close();
+        await helper.stop();
+    }
+
+    // 4. A stopped helper fails fast instead of hanging the ledger
+    const err = expectThrow(() => RemoteSigner.connect({ socketPath: helper.socketPath, keyId: remote.id, timeoutMs: 2000 }), 'Connected to a stopped helper');
+    if (!/Signer helper/.test(err.message)) fail('Unexpected error for stopped helper', err.message);
+    console.log('[PASS] Stopped helper reported as an error');
+
+    console.log('\n--- ALL SIGNER CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
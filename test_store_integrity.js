@@ -0,0 +1,132 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import IdentityStoreIntegrity from './src/identity/integrity/IdentityStoreIntegrity.js';
+import InProcessSigner from './src/identity/signing/InProcessSigner.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+function expectThrow(fn, message) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+    fail(message);
+}
+
+const readJson = p => JSON.parse(fs.readFileSync(p, 'utf8'));
+const writeJson = (p, value) => fs.writeFileSync(p, JSON.stringify(value, null, 2));
+const newKey = () => crypto.generateKeyPairSync('ed25519', pemEncoding);
+
+async function runTest() {
+    console.log('--- Identity Store Integrity Test ---');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-'));
+    const storePath = path.join(dir, 'identities.json');
+    const signer = new InProcessSigner(newKey().privateKey);
+    const open = (integrity = {}) => new AgentIdentityRegistry({ storePath, integrity: { signer, ...integrity } });
+
+    // 1. Every save reseals the store; the seals form a chain
+    const registry = open();
+    const alice = registry.registerIdentity({ publicKey: newKey().publicKey, originSystem: 'sys' });
+    const first = readJson(storePath).integrity;
+    const bob = registry.registerIdentity({ publicKey: newKey().publicKey, originSystem: 'sys' });
+    const second = readJson(storePath).integrity;
+    if (second.sequence !== first.sequence + 1 || second.prevRoot !== first.root || Object.keys(second.records).length !== 2) fail('Seals are not chained', second);
+    const reopened = open();
+    if (!reopened.integrityReport.valid || reopened.readOnly || reopened.getIdentityById(bob.id).id !== bob.id) fail('Untouched store did not verify', reopened.integrityReport);
+    console.log('[PASS] Store is resealed on every save and verifies on load');
+
+    // 2. A hand-edited trust score is refused and reported
+    const pristine = fs.readFileSync(storePath, 'utf8');
+    const edited = JSON.parse(pristine);
+    edited.identities[alice.id].performance.trustScore = 0.99;
+    writeJson(storePath, edited);
+    const refused = expectThrow(() => open(), 'Tampered store was loaded');
+    if (!refused.message.includes('STORE_MODIFIED') || !refused.message.includes(alice.id) || refused.message.includes(bob.id)) fail('Refusal does not name the altered identity', refused.message);
+    const auditReport = reopened.verifyIntegrity();
+    if (auditReport.valid || auditReport.altered.join() !== alice.id) fail('On-demand verification missed the edit', auditReport);
+    console.log('[PASS] Edited record refused on load and reported by identity');
+
+    // 3. Read-only mode serves reads but never writes
+    const bytes = fs.readFileSync(storePath, 'utf8');
+    const readOnly = open({ onMismatch: 'readOnly' });
+    if (!readOnly.readOnly || readOnly.integrityReport.altered.join() !== alice.id) fail('Read-only mode did not report the alteration', readOnly.integrityReport);
+    if (!readOnly.getIdentityById(bob.id)) fail('Read-only registry cannot read');
+    const blocked = expectThrow(() => readOnly.registerIdentity({ publicKey: newKey().publicKey, originSystem: 'sys' }), 'Read-only registry accepted a registration');
+    if (!/read-only/.test(blocked.message)) fail('Unexpected read-only error', blocked.message);
+    expectThrow(() => readOnly.transitionState(bob.id, 'SUSPENDED'), 'Read-only registry accepted a transition');
+    readOnly.issueChallenge(bob.id);
+    if (fs.readFileSync(storePath, 'utf8') !== bytes) fail('Read-only registry wrote to the store');
+    console.log('[PASS] Read-only mode serves reads and never rewrites the store');
+
+    // 4. Forged seals: recomputed digests without the key, or a seal made with another key
+    const forged = JSON.parse(pristine);
+    forged.identities[alice.id].performance.trustScore = 0.99;
+    const forgedSeal = IdentityStoreIntegrity.seal(forged, signer);
+    forged.integrity = { ...forgedSeal, signature: JSON.parse(pristine).integrity.signature };
+    writeJson(storePath, forged);
+    if (!expectThrow(() => open(), 'Store with a recomputed seal loaded').message.includes('BAD_SIGNATURE')) fail('Recomputed seal not reported as a bad signature');
+
+    const otherSigner = new InProcessSigner(newKey().privateKey);
+    const resealed = JSON.parse(pristine);
+    resealed.identities[alice.id].performance.trustScore = 0.99;
+    delete resealed.integrity;
+    resealed.integrity = IdentityStoreIntegrity.seal(resealed, otherSigner);
+    writeJson(storePath, resealed);
+    if (!expectThrow(() => open(), 'Store sealed with another key loaded').message.includes('UNTRUSTED_KEY')) fail('Foreign seal not reported');
+    console.log('[PASS] Recomputed and foreign seals rejected');
+
+    // 5. Added, removed and unsealed stores
+    const removed = JSON.parse(pristine);
+    delete removed.identities[bob.id];
+    removed.identities['did:agent:injected'] = { ...removed.identities[alice.id], id: 'did:agent:injected' };
+    writeJson(storePath, removed);
+    const changes = IdentityStoreIntegrity.verify(removed, signer.publicKey);
+    if (changes.removed.join() !== bob.id || changes.added.join() !== 'did:agent:injected') fail('Added/removed identities not reported', changes);
+
+    const unsealed = JSON.parse(pristine);
+    delete unsealed.integrity;
+    writeJson(storePath, unsealed);
+    if (!expectThrow(() => open(), 'Stripped seal accepted').message.includes('UNSEALED_STORE')) fail('Stripped seal not reported');
+    const adopted = open({ adoptUnsealed: true });
+    if (adopted.readOnly || !readJson(storePath).integrity || !open().integrityReport.valid) fail('Unsealed store was not adopted and sealed');
+    console.log('[PASS] Added, removed and unsealed stores detected; legacy stores can be adopted');
+
+    // 6. Verify-only mode with just the registry public key
+    const auditor = new AgentIdentityRegistry({ storePath, integrity: { publicKey: signer.publicKey } });
+    if (!auditor.readOnly || !auditor.integrityReport.valid || !auditor.getIdentityById(alice.id)) fail('Verify-only registry misbehaved');
+    expectThrow(() => auditor.registerIdentity({ publicKey: newKey().publicKey, originSystem: 'sys' }), 'Verify-only registry accepted a write');
+    console.log('[PASS] Public-key-only registries verify and open read-only');
+
+    // 7. A sealed store that no longer parses is neither opened writable nor replaced by an empty one
+    fs.writeFileSync(storePath, pristine);
+    for (const damaged of [`${pristine}x`, pristine.slice(0, pristine.length / 2)]) {
+        fs.writeFileSync(storePath, damaged);
+        if (!expectThrow(() => open(), 'Unparseable store opened').message.includes('UNREADABLE_STORE')) fail('Unparseable store not reported');
+        const salvage = open({ onMismatch: 'readOnly' });
+        if (!salvage.readOnly || salvage.integrityReport.valid) fail('Unparseable store opened writable', salvage.integrityReport);
+        expectThrow(() => salvage.registerIdentity({ publicKey: newKey().publicKey, originSystem: 'sys' }), 'Unparseable store accepted a write');
+        if (fs.readFileSync(storePath, 'utf8') !== damaged || reopened.verifyIntegrity().valid) fail('Unparseable store was rewritten or verified');
+    }
+    console.log('[PASS] Garbage and truncated stores are refused, never wiped and resealed');
+
+    console.log('\n--- ALL STORE INTEGRITY CHECKS PASSED ---');
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
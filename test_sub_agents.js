@@ -0,0 +1,72 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+
+function newPublicKey() {
+    return crypto.generateKeyPairSync('ed25519', { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } }).publicKey;
+}
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Sub-Agent Lineage Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_sub_agents_registry.json');
+    if (fs.existsSync(registryPath)) fs.unlinkSync(registryPath);
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+
+    // 1. Lineage recorded on both sides
+    const root = registry.registerIdentity({ publicKey: newPublicKey(), originSystem: 'swarm' });
+    const worker = registry.registerChildIdentity(root.id, newPublicKey());
+    const scout = registry.registerChildIdentity(root.id, newPublicKey(), { maxAuthorityLevel: 'RESTRICTED' });
+    const helper = registry.registerChildIdentity(worker.id, newPublicKey());
+
+    if (worker.lineage.parentId !== root.id || helper.lineage.depth !== 2) fail('Child lineage not recorded', helper.lineage);
+    if (registry.getRaw(root.id).lineage.children.join() !== [worker.id, scout.id].join()) fail('Parent lineage not recorded');
+    if (scout.getAuthorityLevel() !== 'RESTRICTED') fail('Spawn-time ceiling ignored', scout.getAuthorityLevel());
+    console.log('[PASS] Lineage recorded in parent and child identities');
+
+    // 2. Low-trust parent: maxSubAgents enforced and child capped at parent level
+    const restrictedPerformance = {
+        pnl: { totalRevenue: 0, totalExpenses: 0, netProfit: 0 },
+        reliability: 0.3, uptime: 0.3, consistency: 0.3, cooperationScore: 0.3, complianceHistory: 0.3,
+        riskExposure: 0.6, taskSuccessRate: 0.3, budgetEfficiency: 0.3, roi: 0, policyViolations: 3
+    };
+    const weakParent = registry.registerIdentity({ publicKey: newPublicKey(), originSystem: 'swarm', performance: restrictedPerformance });
+    if (weakParent.getAuthorityLevel() !== 'RESTRICTED') fail('Fixture parent not RESTRICTED', weakParent.getAuthorityLevel());
+
+    const onlyChild = registry.registerChildIdentity(weakParent.id, newPublicKey());
+    if (onlyChild.getTrustScore() < 0.9 || onlyChild.getAuthorityLevel() !== 'RESTRICTED') fail('Child not capped at parent level', onlyChild.getAuthorityLevel());
+    try {
+        registry.registerChildIdentity(weakParent.id, newPublicKey());
+        fail('maxSubAgents not enforced');
+    } catch (e) {
+        console.log('[PASS] maxSubAgents enforced at spawn time:', e.message);
+    }
+    console.log('[PASS] Child authority capped at parent level');
+
+    // 3. Suspension cascades through the subtree
+    registry.transitionState(root.id, 'SUSPENDED', { reason: 'Incident 42', actor: 'ops:alice' });
+    for (const id of [worker.id, scout.id, helper.id]) {
+        const lifecycle = registry.getLifecycle(id);
+        if (lifecycle.state !== 'SUSPENDED' || lifecycle.history[lifecycle.history.length - 1].cascadedFrom !== root.id) fail('Suspension did not cascade', { id, lifecycle });
+    }
+    console.log('[PASS] Suspension cascaded to the whole subtree');
+
+    // 4. Revocation cascades through the subtree
+    registry.revokeIdentity(root.id, 'Compromised', 'ops:alice');
+    if (![worker.id, scout.id, helper.id].every(id => registry.isRevoked(id))) fail('Revocation did not cascade');
+    console.log('[PASS] Revocation cascaded to the whole subtree');
+
+    console.log('\n--- ALL SUB-AGENT CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import TenantDirectory from './src/identity/tenancy/TenantDirectory.js';
+import IdentityReputationAPI from './src/api/IdentityReputationAPI.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Multi-Tenant Namespace Test ---');
+
+    const basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+    const directory = new TenantDirectory({ basePath });
+
+    const acme = directory.createTenant('acme', { governanceConfig: { THRESHOLDS: { ELITE: 0.99 } } });
+    const globex = directory.createTenant('globex');
+
+    // 1. Separate storage and governance configuration
+    const sharedKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const acmeAgent = acme.registry.registerIdentity({ publicKey: sharedKeys.publicKey, originSystem: 'acme-swarm' });
+    const globexAgent = globex.registry.registerIdentity({ publicKey: sharedKeys.publicKey, originSystem: 'globex-swarm' });
+
+    if (!fs.existsSync(path.join(basePath, 'tenants', 'acme', 'agent_identities.json'))) fail('Tenant store not created');
+    if (acme.registry.getRaw(acmeAgent.id).originSystem !== 'acme-swarm' || globex.registry.getRaw(globexAgent.id).originSystem !== 'globex-swarm') {
+        fail('Tenant stores are not separate');
+    }
+    if (globexAgent.getAuthorityLevel() !== 'ELITE_AUTHORITY' || acmeAgent.getAuthorityLevel() !== 'HIGH_TRUST') {
+        fail('Tenant governance configuration not applied', [acmeAgent.getAuthorityLevel(), globexAgent.getAuthorityLevel()]);
+    }
+    console.log('[PASS] Each tenant has its own storage and governance configuration');
+
+    try {
+        new AgentIdentityRegistry({ storePath: acme.registry.storePath, tenantId: 'globex' });
+        fail('Opened another tenant\'s store');
+    } catch (e) {
+        console.log('[PASS] Foreign tenant store refused:', e.message);
+    }
+
+    // 2. Tenant ledgers cannot reference agents of other tenants
+    const acmeKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const buyer = acme.registry.registerIdentity({ publicKey: acmeKeys.publicKey, originSystem: 'acme-swarm' });
+    const globexKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const supplier = globex.registry.registerIdentity({ publicKey: globexKeys.publicKey, originSystem: 'globex-swarm' });
+
+    try {
+        acme.ledger.addEntry({
+            agentId: buyer.id, publicKey: acmeKeys.publicKey, privateKey: acmeKeys.privateKey,
+            actionType: 'NEGOTIATION', details: { counterparty: supplier.id }
+        });
+        fail('Tenant ledger accepted a foreign counterparty');
+    } catch (e) {
+        console.log('[PASS] Foreign reference rejected:', e.message);
+    }
+
+    // 3. Explicit, audited cross-tenant collaboration
+    const sides = {
+        source: { tenantId: 'acme', agentId: buyer.id, privateKey: acmeKeys.privateKey },
+        target: { tenantId: 'globex', agentId: supplier.id, privateKey: globexKeys.privateKey }
+    };
+    try {
+        directory.recordCrossTenantCollaboration(sides);
+        fail('Unapproved cross-tenant collaboration recorded');
+    } catch (e) {
+        console.log('[PASS] Unapproved collaboration rejected:', e.message);
+    }
+
+    const audit = directory.recordCrossTenantCollaboration({ ...sides, approvedBy: 'ops:alice', reason: 'Supply contract', outcome: 'SUCCESS' });
+    const acmeEntry = acme.ledger.getEntries().find(e => e.actionType === 'CROSS_TENANT_COLLABORATION');
+    const globexEntry = globex.ledger.getEntries().find(e => e.actionType === 'CROSS_TENANT_COLLABORATION');
+    if (acmeEntry.tenantId !== 'acme' || globexEntry.details.partnerEntryHash !== acmeEntry.hash || audit.target.entryHash !== globexEntry.hash) {
+        fail('Collaboration not recorded on both sides', { acmeEntry, globexEntry });
+    }
+    if (!acme.ledger.verifyChain().valid || !globex.ledger.verifyChain().valid) fail('Tenant ledgers do not verify');
+    console.log('[PASS] Cross-tenant collaboration signed into both ledgers and audited');
+
+    // 4. Separate trust graphs; the foreign partner appears only as an external node
+    const acmeGraph = directory.buildTrustGraph('acme').toJSON();
+    const external = acmeGraph.nodes.find(n => n.id === supplier.id);
+    if (!external || !external.external || external.tenantId !== 'globex') fail('Partner not marked external', external);
+    if (acmeGraph.nodes.some(n => n.id === globexAgent.id && n.tenantId === 'globex')) fail('Unrelated foreign agent leaked into graph');
+    if (directory.buildTrustGraph('globex').toJSON().nodes.find(n => n.id === buyer.id).tenantId !== 'acme') fail('Reverse edge missing');
+    console.log('[PASS] Trust graphs are per tenant with external partner nodes');
+
+    // 5. Tenant-scoped API shares the directory and persists across reloads
+    const api = new IdentityReputationAPI({ basePath, tenantId: 'acme', tenantDirectory: directory });
+    if (api.registry !== acme.registry || api.getTrustGraph().tenantId !== 'acme') fail('API not scoped to tenant');
+    if (api.getGovernanceConfig().THRESHOLDS.ELITE !== 0.99) fail('API governance config mismatch');
+
+    const reloaded = new TenantDirectory({ basePath });
+    if (reloaded.listTenants().length !== 2 || reloaded.getCrossTenantCollaborations('globex').length !== 1) fail('Directory index not persisted');
+    if (!reloaded.getTenant('acme').ledger.verifyChain().valid) fail('Reloaded tenant ledger does not verify');
+    console.log('[PASS] Tenant-scoped API and reload from disk');
+
+    console.log('\n--- ALL MULTI-TENANT CHECKS PASSED ---');
+    fs.rmSync(basePath, { recursive: true, force: true });
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});
@@ -0,0 +1,98 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import AgentIdentityRegistry from './src/identity/AgentIdentityRegistry.js';
+import TrustCredentialIssuer from './src/identity/credentials/TrustCredentialIssuer.js';
+import TrustCredentialVerifier from './src/identity/credentials/TrustCredentialVerifier.js';
+
+const pemEncoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+};
+
+function fail(message, detail = '') {
+    console.error(`[FAIL] ${message}`, detail);
+    process.exit(1);
+}
+
+async function runTest() {
+    console.log('--- Trust Credential Test ---');
+
+    const registryPath = path.resolve(process.cwd(), 'test_credentials_registry.json');
+    const statePath = path.resolve(process.cwd(), 'test_credentials_status.json');
+    [registryPath, statePath].forEach(p => { if (fs.existsSync(p)) fs.unlinkSync(p); });
+
+    const registry = new AgentIdentityRegistry({ storePath: registryPath });
+    const agentKeys = crypto.generateKeyPairSync('ed25519', pemEncoding);
+    const agent = registry.registerIdentity({ publicKey: agentKeys.publicKey, originSystem: 'credential-test' });
+
+    const issuerKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...pemEncoding });
+    const issuer = new TrustCredentialIssuer({ registry, ...issuerKeys, statePath });
+    const verifyOptions = () => ({
+        issuerId: issuer.issuerId,
+        issuerPublicKey: issuerKeys.publicKey,
+        statusListCredential: issuer.getStatusListCredential()
+    });
+
+    // 1. Issue and verify offline
+    const credential = issuer.issue(agent.id);
+    const subject = credential.credentialSubject;
+    if (subject.id !== agent.id || typeof subject.compositeScore !== 'number' || !subject.contextScores || !subject.authorityLevel) {
+        fail('Credential subject incomplete', subject);
+    }
+    const result = TrustCredentialVerifier.verify(credential, verifyOptions());
+    if (!result.valid) fail('Fresh credential did not verify', result);
+    console.log(`[PASS] Credential issued and verified offline (authority ${subject.authorityLevel})`);
+
+    // 2. Tampering
+    const tampered = JSON.parse(JSON.stringify(credential));
+    tampered.credentialSubject.compositeScore = 1.0;
+    if (TrustCredentialVerifier.verify(tampered, verifyOptions()).reason !== 'INVALID_SIGNATURE') fail('Tampered credential accepted');
+    console.log('[PASS] Tampered credential rejected');
+
+    // 3. Expiry
+    const later = new Date(Date.now() + TrustCredentialIssuer.DEFAULT_VALIDITY_MS + 1000);
+    if (TrustCredentialVerifier.verify(credential, { ...verifyOptions(), now: later }).reason !== 'EXPIRED') fail('Expired credential accepted');
+    console.log('[PASS] Expired credential rejected');
+
+    // 4. Revocation survives an issuer restart
+    issuer.revoke(credential.id);
+    const restarted = new TrustCredentialIssuer({ registry, ...issuerKeys, statePath });
+    const revoked = TrustCredentialVerifier.verify(credential, { ...verifyOptions(), statusListCredential: restarted.getStatusListCredential() });
+    if (revoked.reason !== 'REVOKED') fail('Revoked credential accepted', revoked);
+    const other = restarted.issue(agent.id);
+    if (!TrustCredentialVerifier.verify(other, { ...verifyOptions(), statusListCredential: restarted.getStatusListCredential() }).valid) fail('Unrevoked credential rejected');
+    console.log('[PASS] Revocation status list enforced');
+
+    // 5. A status list signed by someone else is not trusted
+    const rogueKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', ...pemEncoding });
+    const rogue = new TrustCredentialIssuer({ registry, ...rogueKeys, issuerId: issuer.issuerId, statusListUrl: issuer.statusListUrl });
+    const forgedList = TrustCredentialVerifier.verify(other, { ...verifyOptions(), statusListCredential: rogue.getStatusListCredential() });
+    if (forgedList.valid) fail('Forged status list accepted');
+    console.log('[PASS] Forged status list rejected');
+
+    // 6. A sub-agent's credential attests its capped authority, not what its score alone would grant
+    const child = registry.registerChildIdentity(agent.id, crypto.generateKeyPairSync('ed25519', pemEncoding).publicKey, { maxAuthorityLevel: 'STANDARD_OPERATIONAL' });
+    const childSubject = issuer.issue(child.id).credentialSubject;
+    if (childSubject.compositeScore < 0.9 || childSubject.authorityLevel !== 'STANDARD_OPERATIONAL') fail('Credential ignores the authority ceiling', childSubject);
+    console.log('[PASS] Sub-agent credential capped at its authority ceiling');
+
+    // 7. A tenant's credentials attest the level its own governance thresholds grant
+    const tenantPath = path.resolve(process.cwd(), 'test_credentials_tenant_registry.json');
+    if (fs.existsSync(tenantPath)) fs.unlinkSync(tenantPath);
+    const tenantRegistry = new AgentIdentityRegistry({ storePath: tenantPath, tenantId: 'acme', governanceConfig: { THRESHOLDS: { ELITE: 1.01 } } });
+    const member = tenantRegistry.registerIdentity({ publicKey: crypto.generateKeyPairSync('ed25519', pemEncoding).publicKey, originSystem: 'credential-test' });
+    const memberSubject = new TrustCredentialIssuer({ registry: tenantRegistry, ...issuerKeys }).issue(member.id).credentialSubject;
+    if (memberSubject.compositeScore < 0.9 || memberSubject.authorityLevel !== 'HIGH_TRUST') fail('Credential ignores the tenant governance thresholds', memberSubject);
+    console.log('[PASS] Tenant credential follows the tenant\'s governance thresholds');
+
+    console.log('\n--- ALL TRUST CREDENTIAL CHECKS PASSED ---');
+    fs.unlinkSync(registryPath);
+    fs.unlinkSync(statePath);
+    fs.unlinkSync(tenantPath);
+}
+
+runTest().catch(err => {
+    console.error('Test errored:', err);
+    process.exit(1);
+});